@@ -18,7 +18,12 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body so payment webhooks can verify their signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(morgan('dev'));
 
 // Serve static files from uploads directory
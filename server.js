@@ -17,8 +17,23 @@ import { notFoundHandler, errorHandler } from './src/middleware/errorHandler.js'
 import { i18nMiddleware } from './src/utils/i18n.js';
 import setupSwagger from './src/utils/swagger.js';
 import { performHealthCheck } from './src/utils/healthCheck.js';
+import { verifyTransport } from './src/utils/mailer.js';
 import { closeRedisConnection } from './src/middleware/cache.js';
-import { closeQueues } from './src/jobs/queue.js';
+import { closeQueues, startQueueProcessors, scheduleSavedSearchDigest, scheduleUploadCleanup } from './src/jobs/queue.js';
+import { processEmail } from './src/jobs/processors/emailProcessor.js';
+import { processEventReminder } from './src/jobs/processors/eventReminderProcessor.js';
+import { processImage } from './src/jobs/processors/imageProcessor.js';
+import { processPaymentHold } from './src/jobs/processors/paymentHoldProcessor.js';
+import { processSavedSearch } from './src/jobs/processors/savedSearchProcessor.js';
+import { processUploadCleanup } from './src/jobs/processors/uploadCleanupProcessor.js';
+import authRoutes from './src/routes/authRoutes.js';
+import eventRoutes from './src/routes/eventRoutes.js';
+import userRoutes from './src/routes/userRoutes.js';
+import imageRoutes from './src/routes/imageRoutes.js';
+import calendarRoutes from './src/routes/calendarRoutes.js';
+import paymentRoutes from './src/routes/paymentRoutes.js';
+import emailRoutes from './src/routes/emailRoutes.js';
+import uploadCleanupRoutes from './src/routes/uploadCleanupRoutes.js';
 import { sequelize } from './src/db/config.js';
 import { seedDatabase } from './src/db/seeds/index.js';
 
@@ -97,7 +112,13 @@ if (process.env.SENTRY_DSN) {
 applySecurityMiddleware(app);
 
 // Basic middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhooks can verify their signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(compression());
 
@@ -117,8 +138,9 @@ if (config.env === 'production') {
 // Internationalization middleware
 app.use(i18nMiddleware);
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve public files from the local uploads directory (private ones and
+// other storage drivers are reached through their own URLs)
+app.use('/uploads', express.static(config.storage.local.uploadDir));
 
 // Setup API documentation
 setupSwagger(app);
@@ -128,6 +150,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/images', imageRoutes);
+app.use('/api/calendar', calendarRoutes); // Feeds are authorised by token, not header
+app.use('/api/payments', paymentRoutes); // Webhooks are authorised by provider signature
+app.use('/api/admin/emails', emailRoutes);
+app.use('/api/admin/uploads', uploadCleanupRoutes);
 
 // Health check endpoint
 /**
@@ -203,6 +229,31 @@ const initializeApp = async () => {
       logger.info(`API documentation available at http://localhost:${config.port}/api-docs`);
     });
     
+    // Start background job processors
+    startQueueProcessors({
+      email: processEmail,
+      eventReminder: processEventReminder,
+      imageProcessing: processImage,
+      paymentHold: processPaymentHold,
+      savedSearch: processSavedSearch,
+      uploadCleanup: processUploadCleanup
+    });
+    
+    scheduleSavedSearchDigest().catch(error => {
+      logger.error(`Failed to schedule saved search digest: ${error.message}`);
+    });
+    
+    scheduleUploadCleanup().catch(error => {
+      logger.error(`Failed to schedule upload cleanup: ${error.message}`);
+    });
+    
+    // Bad SMTP settings only show up when the first email fails, so check early
+    if (config.email.enabled) {
+      verifyTransport().catch(error => {
+        logger.warn(`Email transport is not ready: ${error.message}`);
+      });
+    }
+    
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}. Shutting down gracefully...`);
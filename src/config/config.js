@@ -67,12 +67,6 @@ const config = {
     privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
     serviceAccountPath: path.join(__dirname, 'firebase-service-account.json')
   },
-  redis: {
-    enabled: process.env.REDIS_ENABLED === 'true',
-    host: process.env.REDIS_HOST || 'localhost',
-    port: parseInt(process.env.REDIS_PORT || '6379', 10),
-    password: process.env.REDIS_PASSWORD
-  },
   cors: {
     origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
@@ -67,17 +67,47 @@ const config = {
   // Authentication
   auth: {
     jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
+    // Access tokens are short-lived: clients renew them with their refresh token
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
     saltRounds: parseInt(process.env.SALT_ROUNDS || '10', 10),
-    refreshTokenExpiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
+    refreshTokenExpiresIn: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN || '2592000000', 10), // 30 days
     resetPasswordExpiresIn: parseInt(process.env.RESET_PASSWORD_EXPIRES_IN || '3600000', 10), // 1 hour
+    // Page of the client app where users choose a new password; the reset token is added as ?token=
+    resetPasswordUrl: process.env.RESET_PASSWORD_URL || `${process.env.BASE_URL || 'http://localhost:3000'}/reset-password`,
+    emailVerificationExpiresIn: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN || '86400000', 10), // 24 hours
+    // Where verification links point; the token is added as ?token=
+    emailVerificationUrl: process.env.EMAIL_VERIFICATION_URL || `${process.env.BASE_URL || 'http://localhost:3000'}/api/auth/verify-email`,
+    // Shortest time between two verification emails a user can ask for
+    emailVerificationResendCooldown: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN || '60000', 10), // 1 minute
+    // What users can't do until their email is verified: 'create_events' and/or
+    // 'register_for_events' (which includes joining waitlists); empty for nothing
+    requireVerifiedEmail: (process.env.REQUIRE_VERIFIED_EMAIL ?? 'create_events,register_for_events')
+      .split(',')
+      .map(action => action.trim())
+      .filter(Boolean),
+    twoFactor: {
+      // Name authenticator apps show next to the account
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Community Events',
+      // Encrypts TOTP secrets at rest. Required: no default would be secret.
+      encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+      // Time to enter the code after the password, and wrong codes allowed meanwhile
+      challengeExpiresIn: parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '300000', 10), // 5 minutes
+      maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5', 10),
+      recoveryCodes: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES || '10', 10)
+    },
   },
   
   // File Storage
   storage: {
     type: process.env.STORAGE_TYPE || 'local', // 'local', 's3', etc.
+    // Signs the temporary URLs of private files kept on local disk. Required,
+    // and kept apart from JWT_SECRET so a leaked URL key can't forge logins
+    signingSecret: process.env.STORAGE_SIGNING_SECRET,
+    signedUrlExpiresIn: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES_IN || '300', 10), // 5 minutes in seconds
     local: {
       uploadDir: process.env.UPLOAD_DIR || path.resolve(__dirname, '..', '..', 'uploads'),
+      // Private files, served only through signed URLs; must not be inside uploadDir
+      privateDir: process.env.UPLOAD_PRIVATE_DIR || path.resolve(__dirname, '..', '..', 'uploads-private'),
       maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '5242880', 10), // 5MB
       allowedFileTypes: (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/gif').split(',')
     },
@@ -86,7 +116,32 @@ const config = {
       region: process.env.S3_REGION || 'us-east-1',
       accessKeyId: process.env.S3_ACCESS_KEY_ID,
       secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
-      endpoint: process.env.S3_ENDPOINT
+      // Set for S3-compatible services such as MinIO, which also need path-style URLs
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Public base URL of the bucket (e.g. a CDN); defaults to the bucket's own URL
+      publicUrl: process.env.S3_PUBLIC_URL
+    }
+  },
+  
+  // Image processing
+  images: {
+    // Widths (px) of the resized copies made of every upload; never wider than the original
+    variantWidths: (process.env.IMAGE_VARIANT_WIDTHS || '320,640,1280,1920').split(',').map(Number),
+    // Modern formats made next to a JPEG or PNG fallback
+    variantFormats: (process.env.IMAGE_VARIANT_FORMATS || 'webp,avif').split(','),
+    quality: parseInt(process.env.IMAGE_QUALITY || '80', 10),
+    // Most images an event's gallery can hold
+    maxGalleryImages: parseInt(process.env.IMAGE_GALLERY_MAX_IMAGES || '20', 10),
+    // Reviews uploads before they are published: 'none' (publish everything),
+    // 'manual' (quarantine everything for an admin) or 'webhook'
+    moderation: {
+      provider: process.env.IMAGE_MODERATION_PROVIDER || 'none',
+      webhook: {
+        url: process.env.IMAGE_MODERATION_WEBHOOK_URL,
+        secret: process.env.IMAGE_MODERATION_WEBHOOK_SECRET || '',
+        timeout: parseInt(process.env.IMAGE_MODERATION_WEBHOOK_TIMEOUT || '10000', 10) // 10 seconds
+      }
     }
   },
   
@@ -94,6 +149,9 @@ const config = {
   email: {
     enabled: process.env.EMAIL_ENABLED === 'true',
     from: process.env.EMAIL_FROM || 'noreply@communityevents.com',
+    // 'smtp' sends through the server below; 'file' writes .eml files to fileDirectory instead
+    transport: process.env.EMAIL_TRANSPORT || 'smtp',
+    fileDirectory: process.env.EMAIL_FILE_DIR || path.resolve(__dirname, '..', '..', 'tmp', 'emails'),
     service: process.env.EMAIL_SERVICE || 'smtp',
     host: process.env.EMAIL_HOST || 'smtp.example.com',
     port: parseInt(process.env.EMAIL_PORT || '587', 10),
@@ -148,12 +206,99 @@ const config = {
     maxAttendeesPerEvent: parseInt(process.env.SEED_MAX_ATTENDEES_PER_EVENT || '20', 10)
   },
   
+  // Redis (job queues)
+  redis: {
+    enabled: process.env.REDIS_ENABLED === 'true',
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT || '6379', 10),
+    password: process.env.REDIS_PASSWORD
+  },
+  
+  // Geocoding of event locations
+  geocoding: {
+    // 'stub' never leaves the process, 'nominatim' calls an OpenStreetMap server
+    provider: process.env.GEOCODING_PROVIDER || 'stub',
+    nominatim: {
+      url: process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+      userAgent: process.env.NOMINATIM_USER_AGENT || 'community-events-api',
+      timeout: parseInt(process.env.GEOCODING_TIMEOUT || '5000', 10)
+    }
+  },
+  
+  // Payments for paid tickets
+  payments: {
+    // No default: paid tickets can't be sold until a provider is chosen
+    provider: process.env.PAYMENT_PROVIDER,
+    currency: process.env.PAYMENT_CURRENCY || 'USD',
+    // How long a seat is held while its checkout is pending
+    holdMinutes: parseInt(process.env.PAYMENT_HOLD_MINUTES || '15', 10),
+    mock: {
+      secret: process.env.MOCK_PAYMENT_WEBHOOK_SECRET
+    }
+  },
+  
+  // Signed tickets and their check-in
+  tickets: {
+    // Signs ticket QR codes and door rosters. Required, and apart from JWT_SECRET
+    secret: process.env.TICKET_SIGNING_SECRET,
+    // Hours after an event ends during which its tickets can still be scanned
+    graceHours: parseInt(process.env.TICKET_GRACE_HOURS || '6', 10),
+    // Hours before an event starts from which its tickets can be scanned
+    doorsOpenHours: parseInt(process.env.TICKET_DOORS_OPEN_HOURS || '2', 10)
+  },
+  
+  // Saved searches and their digest
+  savedSearches: {
+    maxPerUser: parseInt(process.env.SAVED_SEARCHES_MAX_PER_USER || '25', 10),
+    // When the daily digest goes out (cron, server time)
+    digestCron: process.env.SAVED_SEARCH_DIGEST_CRON || '0 8 * * *'
+  },
+  
+  // Collection of orphaned uploads
+  uploadCleanup: {
+    // When orphaned uploads are collected (cron, server time)
+    cron: process.env.UPLOAD_CLEANUP_CRON || '0 3 * * *',
+    // Files and images younger than this are left alone, so uploads still
+    // being recorded or processed aren't mistaken for orphans
+    gracePeriodHours: parseInt(process.env.UPLOAD_CLEANUP_GRACE_HOURS || '24', 10),
+    // Only report what scheduled runs would delete
+    dryRun: process.env.UPLOAD_CLEANUP_DRY_RUN === 'true'
+  },
+  
+  // Event reminders
+  reminders: {
+    // Minutes before an event that users without their own preferences are reminded
+    defaultOffsets: (process.env.REMINDER_DEFAULT_OFFSETS || '1440,60').split(',').map(Number),
+    defaultChannels: (process.env.REMINDER_DEFAULT_CHANNELS || 'email').split(','),
+    maxOffsets: parseInt(process.env.REMINDER_MAX_OFFSETS || '5', 10)
+  },
+  
   // Override with environment-specific config
   ...envConfig
 };
 
 // Validate critical configuration
 function validateConfig() {
+  // Secrets with no safe default: the app doesn't start without them
+  const requiredEnvVars = ['TWO_FACTOR_ENCRYPTION_KEY', 'STORAGE_SIGNING_SECRET', 'TICKET_SIGNING_SECRET'];
+  const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
+  
+  if (missingEnvVars.length > 0) {
+    throw new Error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
+  }
+  
+  // The mock provider lets whoever holds a checkout pay it by hand, so it is
+  // for development only, and its webhooks need a secret of their own
+  if (config.payments.provider === 'mock') {
+    if (NODE_ENV === 'production') {
+      throw new Error('PAYMENT_PROVIDER=mock is not allowed in production');
+    }
+    
+    if (!config.payments.mock.secret) {
+      throw new Error('Missing required environment variables: MOCK_PAYMENT_WEBHOOK_SECRET');
+    }
+  }
+  
   const requiredInProduction = [
     { key: 'auth.jwtSecret', defaultValue: 'your-secret-key-change-in-production' },
     { key: 'db.password', defaultValue: 'postgres' }
@@ -181,13 +326,38 @@ if (NODE_ENV === 'development') {
   // Create a safe version of config without sensitive data for logging
   const safeConfig = { ...config };
   if (safeConfig.db) safeConfig.db = { ...safeConfig.db, password: '***REDACTED***' };
-  if (safeConfig.auth) safeConfig.auth = { ...safeConfig.auth, jwtSecret: '***REDACTED***' };
+  if (safeConfig.auth) {
+    safeConfig.auth = {
+      ...safeConfig.auth,
+      jwtSecret: '***REDACTED***',
+      twoFactor: { ...safeConfig.auth.twoFactor, encryptionKey: '***REDACTED***' }
+    };
+  }
   if (safeConfig.email && safeConfig.email.auth) {
     safeConfig.email = { ...safeConfig.email, auth: { ...safeConfig.email.auth, pass: '***REDACTED***' } };
   }
   if (safeConfig.firebase) {
     safeConfig.firebase = { ...safeConfig.firebase, privateKey: '***REDACTED***' };
   }
+  if (safeConfig.storage) {
+    safeConfig.storage = {
+      ...safeConfig.storage,
+      signingSecret: '***REDACTED***',
+      s3: { ...safeConfig.storage.s3, secretAccessKey: safeConfig.storage.s3.secretAccessKey && '***REDACTED***' }
+    };
+  }
+  if (safeConfig.images) {
+    const { moderation } = safeConfig.images;
+    safeConfig.images = {
+      ...safeConfig.images,
+      moderation: { ...moderation, webhook: { ...moderation.webhook, secret: '***REDACTED***' } }
+    };
+  }
+  if (safeConfig.payments) {
+    safeConfig.payments = { ...safeConfig.payments, mock: { ...safeConfig.payments.mock, secret: '***REDACTED***' } };
+  }
+  if (safeConfig.tickets) safeConfig.tickets = { ...safeConfig.tickets, secret: '***REDACTED***' };
+  if (safeConfig.redis) safeConfig.redis = { ...safeConfig.redis, password: '***REDACTED***' };
   
   console.log('Application configuration:', JSON.stringify(safeConfig, null, 2));
 }
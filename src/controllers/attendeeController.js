@@ -2,10 +2,39 @@
 import Attendee from '../database/models/Attendee.js';
 import Event from '../database/models/Event.js';
 import User from '../database/models/User.js';
+import EventModel from '../models/eventModel.js';
+import Payment from '../models/paymentModel.js';
+import Waitlist from '../models/waitlistModel.js';
 import { sequelize } from '../database/config.js';
 import logger from '../utils/logger.js';
 import { NotFoundError, ValidationError, ForbiddenError } from '../utils/errors.js';
 import { queueEmail } from '../jobs/queue.js';
+import { cancelReminders, syncReminders } from '../jobs/reminders.js';
+
+/**
+ * Free a user's seats at an event and promote from its waitlist. Capacity is
+ * counted from the event registrations, so those (and any payment still
+ * holding a seat) are dropped before anyone is promoted.
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User ID
+ */
+const releaseSeat = async (eventId, userId) => {
+  const released = await EventModel.releaseRegistrations(eventId, userId);
+  
+  if (!released.success) {
+    throw new Error(released.message);
+  }
+  
+  for (const payment of released.cancelledPayments) {
+    await Payment.closeCheckout(payment);
+  }
+  
+  for (const registrationId of released.registrationIds) {
+    syncReminders(cancelReminders, { registrationId, userId });
+  }
+  
+  await Waitlist.promoteAll(eventId);
+};
 
 /**
  * Get attendees for an event
@@ -142,8 +171,12 @@ export const registerForEvent = async (req, res, next) => {
     const { eventId } = req.params;
     const userId = req.user.id;
     
-    // Check if event exists
-    const event = await Event.findByPk(eventId, { transaction });
+    // Check if event exists, locking its row so the capacity check below
+    // can't race another registration for the last seat
+    const event = await Event.findByPk(eventId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
     if (!event) {
       throw new NotFoundError('Event not found');
     }
@@ -270,6 +303,11 @@ export const updateAttendanceStatus = async (req, res, next) => {
         : attendee.checkedInAt
     });
     
+    // A declined attendee frees their seat for the next person on the waitlist
+    if (status === 'declined') {
+      await releaseSeat(attendee.eventId, attendee.userId);
+    }
+    
     // Send notification email if status changed
     if (attendee.user && attendee.user.email) {
       let emailSubject, emailTemplate;
@@ -407,6 +445,9 @@ export const deleteAttendance = async (req, res, next) => {
     // Delete attendee record
     await attendee.destroy();
     
+    // Hand the freed seat to the next person on the waitlist
+    await releaseSeat(attendee.eventId, attendee.userId);
+    
     res.status(204).send();
   } catch (error) {
     logger.error(`Error deleting attendance: ${error.message}`);
@@ -1,5 +1,35 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/userModel.js'; // Assuming you have a User model for database operations
+import Auth from '../models/authModel.js';
+import TwoFactor from '../models/twoFactorModel.js';
+import Session from '../models/sessionModel.js';
+import { getClientInfo } from '../utils/device.js';
+import config from '../config/index.js';
+
+// Password length limits, as for registration
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Why a new password is refused, or null when it's acceptable
+const passwordError = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters long`;
+  }
+  
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain at least one lowercase letter, one uppercase letter and one number';
+  }
+  
+  return null;
+};
+
+// Response to a login needing its second factor: the challenge token to send
+// back with the code, and how many seconds it stays valid
+const twoFactorChallenge = async (userId) => ({
+  message: 'Two-factor authentication required',
+  twoFactorRequired: true,
+  challengeToken: await TwoFactor.createChallenge(userId),
+  expiresIn: Math.round(config.auth.twoFactor.challengeExpiresIn / 1000)
+});
 
 // Register a new user (non-Firebase)
 export const register = async (req, res) => {
@@ -20,12 +50,11 @@ export const register = async (req, res) => {
       role: 'user'
     });
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
+    // Start a session: a short-lived access token and a refresh token
+    const { token, refreshToken } = await Auth.issueTokens(user, getClientInfo(req));
+    
+    // Ask the user to confirm their email address
+    await Auth.sendEmailVerification(user, { language: req.language });
     
     // Return user data (excluding password)
     delete user.password;
@@ -35,10 +64,12 @@ export const register = async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
+        emailVerified: Boolean(user.email_verified_at),
         displayName: user.display_name,
         role: user.role
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -63,15 +94,19 @@ export const login = async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
     
+    // With 2FA on, the password only earns a challenge; the tokens come with the code
+    if (user.totp_enabled_at) {
+      return res.json(await twoFactorChallenge(user.id));
+    }
+    
     // Update last login
     await User.update(user.id, { lastLogin: new Date() });
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
+    // Start a session: a short-lived access token and a refresh token
+    const { token, refreshToken } = await Auth.issueTokens(user, getClientInfo(req));
+    
+    // Users of roles requiring 2FA are told to set it up
+    const twoFactorSetupRequired = await TwoFactor.isRequiredFor(user.role);
     
     // Return user data (excluding password)
     delete user.password;
@@ -81,10 +116,13 @@ export const login = async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
+        emailVerified: Boolean(user.email_verified_at),
         displayName: user.display_name,
         role: user.role
       },
-      token
+      token,
+      refreshToken,
+      ...(twoFactorSetupRequired && { twoFactorSetupRequired })
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -92,6 +130,66 @@ export const login = async (req, res) => {
   }
 };
 
+// Finish a login with 2FA: the challenge token from the first step and a code
+// from the authenticator app, or one of the recovery codes
+export const completeTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    
+    if (!challengeToken || typeof challengeToken !== 'string') {
+      return res.status(400).json({ message: 'challengeToken is required' });
+    }
+    
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'code is required' });
+    }
+    
+    const result = await TwoFactor.completeChallenge(challengeToken, code);
+    
+    if (result.error === 'invalid') {
+      return res.status(401).json({ message: 'Invalid or expired challenge, please log in again' });
+    }
+    
+    if (result.error) {
+      return res.status(401).json({ message: 'Invalid two-factor code', attemptsLeft: result.attemptsLeft });
+    }
+    
+    const user = await User.findById(result.userId);
+    
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired challenge, please log in again' });
+    }
+    
+    // Update last login
+    await User.update(user.id, { lastLogin: new Date() });
+    
+    const { token, refreshToken } = await Auth.issueTokens(user, {
+      ...getClientInfo(req),
+      twoFactorVerified: true
+    });
+    
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        emailVerified: Boolean(user.email_verified_at),
+        displayName: user.display_name,
+        role: user.role
+      },
+      token,
+      refreshToken,
+      // Users signing in with a recovery code should know they have fewer left
+      ...(result.method === 'recovery_code' && {
+        recoveryCodesRemaining: (await TwoFactor.getStatus(user.id)).recoveryCodesRemaining
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Failed to login' });
+  }
+};
+
 // Get current user profile
 export const getCurrentUser = async (req, res) => {
   try {
@@ -107,6 +205,8 @@ export const getCurrentUser = async (req, res) => {
     res.json({
       id: user.id,
       email: user.email,
+      emailVerified: Boolean(user.email_verified_at),
+      twoFactorEnabled: Boolean(user.totp_enabled_at),
       displayName: user.display_name,
       role: user.role,
       photoUrl: user.photo_url,
@@ -124,24 +224,27 @@ export const getCurrentUser = async (req, res) => {
 export const processFirebaseAuth = async (req, res) => {
   try {
     // User is already authenticated and added to req.user by the auth middleware
-    const { id, email, displayName, role } = req.user;
+    const { id, email, emailVerified, twoFactorEnabled, displayName, role } = req.user;
     
-    // Generate a JWT token (optional, as you're using Firebase tokens)
-    const token = jwt.sign(
-      { id, email, role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
+    // Our own sessions need the second factor too
+    if (twoFactorEnabled) {
+      return res.json(await twoFactorChallenge(id));
+    }
+    
+    // Start a session, so the client can use our own tokens from now on
+    const { token, refreshToken } = await Auth.issueTokens({ id, email, role }, getClientInfo(req));
     
     res.json({
       message: 'Firebase authentication successful',
       user: {
         id,
         email,
+        emailVerified,
         displayName,
         role
       },
-      token // Optional if you want to use your own JWT
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Firebase auth processing error:', error);
@@ -149,10 +252,205 @@ export const processFirebaseAuth = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token and refresh token.
+// Refresh tokens are single-use: presenting one twice revokes its session.
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body || {};
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+    
+    const result = await Auth.refresh(token, { ipAddress: req.ip });
+    
+    if (!result.success) {
+      return res.status(401).json({ message: result.message });
+    }
+    
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Failed to refresh token' });
+  }
+};
+
+// Log out, revoking the current session (from the access token) or the one
+// of the refresh token given
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body || {};
+    
+    if (!req.user.sessionId && (!token || typeof token !== 'string')) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+    
+    const result = await Auth.logout(req.user.id, { sessionId: req.user.sessionId, refreshToken: token });
+    
+    if (!result.success) {
+      return res.status(404).json({ message: result.message });
+    }
+    
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Failed to logout' });
+  }
+};
+
+// Request a password reset link by email. The response is the same whether
+// or not an account uses the email.
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'email is required' });
+    }
+    
+    const result = await Auth.requestPasswordReset(email.trim(), { language: req.language });
+    
+    if (!result.success) {
+      return res.status(500).json({ message: result.message });
+    }
+    
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Failed to process password reset request' });
+  }
+};
+
+// Set a new password with the token of a reset link, logging the user out everywhere
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'token is required' });
+    }
+    
+    const invalidPassword = passwordError(password);
+    if (invalidPassword) {
+      return res.status(400).json({ message: invalidPassword });
+    }
+    
+    const result = await Auth.resetPassword(token, password);
+    
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Failed to reset password' });
+  }
+};
+
+// Change the current user's password. Their other sessions are revoked, so
+// whoever knew the old password is logged out; this one stays signed in.
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    
+    if (!currentPassword || typeof currentPassword !== 'string') {
+      return res.status(400).json({ message: 'currentPassword is required' });
+    }
+    
+    const invalidPassword = passwordError(newPassword);
+    if (invalidPassword) {
+      return res.status(400).json({ message: invalidPassword });
+    }
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Accounts signing in through Firebase have no password of ours
+    if (!user.password) {
+      return res.status(400).json({ message: 'This account has no password to change' });
+    }
+    
+    if (!await User.checkPassword(user, currentPassword)) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    
+    await User.updatePassword(user.id, newPassword);
+    
+    const revokedSessions = await Session.revokeAll(user.id, {
+      reason: 'password_change',
+      exceptId: req.user.sessionId || null
+    });
+    
+    res.json({ message: 'Password changed successfully', revokedSessions });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Failed to change password' });
+  }
+};
+
+// Verify an email address with the token of a verification link
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'token is required' });
+    }
+    
+    const result = await Auth.verifyEmail(token);
+    
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Failed to verify email' });
+  }
+};
+
+// Send the current user a new verification link, at most once per cooldown
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const result = await Auth.resendEmailVerification(req.user.id, { language: req.language });
+    
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ message: result.message, retryAfter: result.retryAfter });
+    }
+    
+    if (!result.success) {
+      return res.status(result.alreadyVerified ? 400 : 404).json({ message: result.message });
+    }
+    
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ message: 'Failed to send verification email' });
+  }
+};
+
 // You can also provide a default export that includes all functions if needed
 export default {
   register,
   login,
+  completeTwoFactorLogin,
   getCurrentUser,
-  processFirebaseAuth
+  processFirebaseAuth,
+  refreshToken,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerificationEmail
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+import Event from '../models/eventModel.js';
+import User from '../models/userModel.js';
+import Occurrence from '../models/occurrenceModel.js';
+import { buildCalendar } from '../utils/ical.js';
+import { buildOccurrence } from '../utils/recurrence.js';
+
+// Maximum number of events included in a filtered feed
+const FEED_LIMIT = 500;
+
+// Load the overrides of every recurring event in a list
+const getSeriesOverrides = async (events) => {
+  const seriesIds = [...new Set(
+    events.filter(event => event.recurrence_rule).map(event => event.id)
+  )];
+
+  return seriesIds.length > 0 ? Occurrence.getOverrides(seriesIds) : [];
+};
+
+// Send an iCalendar document
+const sendCalendar = (res, calendar, filename, disposition = 'inline') => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+
+  res.send(calendar);
+};
+
+// Download a single event as an .ics file
+export const getEventIcs = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    // Unpublished events stay hidden from everyone but their organiser and admins
+    const canSeeUnpublished = req.user && (event?.organiser_id === req.user.id || req.user.role === 'admin');
+
+    if (!event || (!event.is_published && !canSeeUnpublished)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const calendar = buildCalendar({
+      name: event.title,
+      events: [event],
+      overrides: await getSeriesOverrides([event])
+    });
+
+    sendCalendar(res, calendar, `event-${event.id}.ics`, 'attachment');
+  } catch (error) {
+    console.error('Get event ics error:', error);
+    res.status(500).json({ message: 'Failed to export event' });
+  }
+};
+
+// Subscribable feed of the events a user organises or attends
+export const getUserFeed = async (req, res) => {
+  try {
+    const user = await User.findByCalendarToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const organizedEvents = await User.getOrganizedEvents(user.id);
+    const attendingEvents = await User.getAttendingEvents(user.id);
+
+    // Organised series already cover every occurrence the user attends
+    const organizedIds = new Set(organizedEvents.map(event => event.id));
+    const attending = attendingEvents.filter(event => !organizedIds.has(event.id));
+
+    const overrides = await getSeriesOverrides([...organizedEvents, ...attending]);
+
+    // Attended occurrences of recurring events are exported one by one
+    const attendingEntries = attending.map(event => {
+      if (!event.occurrence_start) return event;
+
+      const override = overrides.find(candidate =>
+        candidate.event_id === event.id &&
+        new Date(candidate.occurrence_start).getTime() === new Date(event.occurrence_start).getTime()
+      );
+
+      return buildOccurrence(event, event.occurrence_start, override);
+    });
+
+    const calendar = buildCalendar({
+      name: `${user.display_name} - Community Events`,
+      events: [...organizedEvents, ...attendingEntries],
+      overrides
+    });
+
+    sendCalendar(res, calendar, 'my-events.ics');
+  } catch (error) {
+    console.error('Get user calendar feed error:', error);
+    res.status(500).json({ message: 'Failed to fetch calendar feed' });
+  }
+};
+
+// Subscribable feed of a category, accepting the same filters as the events listing
+export const getCategoryFeed = async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { search, startDate, endDate, organiserId } = req.query;
+
+    const result = await Event.getAll(
+      { category, search, startDate, endDate, organiserId },
+      { limit: FEED_LIMIT, sort: 'start_time' }
+    );
+
+    const calendar = buildCalendar({
+      name: `${category} - Community Events`,
+      events: result.events,
+      overrides: await getSeriesOverrides(result.events)
+    });
+
+    sendCalendar(res, calendar, `${encodeURIComponent(category)}.ics`);
+  } catch (error) {
+    console.error('Get category calendar feed error:', error);
+    res.status(500).json({ message: 'Failed to fetch calendar feed' });
+  }
+};
+
+// Issue (or rotate) the current user's calendar feed token
+export const createFeedToken = async (req, res) => {
+  try {
+    const token = await User.createCalendarToken(req.user.id);
+
+    res.status(201).json({
+      token,
+      feedUrl: `${req.protocol}://${req.get('host')}/api/calendar/users/${token}.ics`
+    });
+  } catch (error) {
+    console.error('Create calendar token error:', error);
+    res.status(500).json({ message: 'Failed to create calendar token' });
+  }
+};
+
+// Revoke the current user's calendar feed token
+export const revokeFeedToken = async (req, res) => {
+  try {
+    const revoked = await User.revokeCalendarToken(req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'No calendar token to revoke' });
+    }
+
+    res.json({ message: 'Calendar token revoked successfully' });
+  } catch (error) {
+    console.error('Revoke calendar token error:', error);
+    res.status(500).json({ message: 'Failed to revoke calendar token' });
+  }
+};
+
+export default {
+  getEventIcs,
+  getUserFeed,
+  getCategoryFeed,
+  createFeedToken,
+  revokeFeedToken
+};
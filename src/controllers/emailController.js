@@ -0,0 +1,99 @@
+import {
+  EMAIL_LANGUAGES,
+  EMAIL_TEMPLATES,
+  emailLanguage,
+  renderEmail,
+  getSampleContext
+} from '../utils/emailTemplates.js';
+import { queueEmail } from '../jobs/queue.js';
+
+// Formats a preview can be returned in
+const PREVIEW_FORMATS = ['html', 'text', 'json'];
+
+// Template data of a preview: the template's sample, overridden by any
+// context posted with the request
+const getPreviewContext = (req) => {
+  const context = req.body?.context;
+
+  return {
+    ...getSampleContext(req.params.template),
+    ...(context && typeof context === 'object' && !Array.isArray(context) ? context : {})
+  };
+};
+
+// List the email templates with their sample data
+export const getEmailTemplates = async (req, res) => {
+  try {
+    res.json({
+      languages: EMAIL_LANGUAGES,
+      templates: EMAIL_TEMPLATES.map(name => ({ name, sampleContext: getSampleContext(name) }))
+    });
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({ message: 'Failed to fetch email templates' });
+  }
+};
+
+// Render an email template without sending it
+export const previewEmailTemplate = async (req, res) => {
+  try {
+    const { format = 'html' } = req.query;
+
+    if (!PREVIEW_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${PREVIEW_FORMATS.join(', ')}` });
+    }
+
+    if (!EMAIL_TEMPLATES.includes(req.params.template)) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    // ?lang= is picked up by the i18n middleware
+    const email = await renderEmail(req.params.template, getPreviewContext(req), req.language);
+
+    res.set('Content-Language', email.language);
+
+    if (format === 'html') {
+      res.type('html').send(email.html);
+    } else if (format === 'text') {
+      res.type('text').send(email.text);
+    } else {
+      res.json(email);
+    }
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({ message: 'Failed to render email template' });
+  }
+};
+
+// Send an email template to the current admin, to check delivery end to end
+export const sendTestEmail = async (req, res) => {
+  try {
+    if (!EMAIL_TEMPLATES.includes(req.params.template)) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    const language = emailLanguage(req.language);
+
+    const job = await queueEmail({
+      to: req.user.email,
+      template: req.params.template,
+      language,
+      context: getPreviewContext(req)
+    }, { attempts: 1 });
+
+    res.status(202).json({
+      message: `Test email queued for ${req.user.email}`,
+      jobId: job.id,
+      language
+    });
+  } catch (error) {
+    console.error('Send test email error:', error);
+    res.status(500).json({ message: 'Failed to queue test email' });
+  }
+};
+
+export default {
+  getEmailTemplates,
+  previewEmailTemplate,
+  sendTestEmail
+};
@@ -1,38 +1,180 @@
-import Event from '../models/eventModel.js'; // Assuming you have an Event model for database operations
+import Event, { PRICE_TIERS } from '../models/eventModel.js'; // Assuming you have an Event model for database operations
+import Waitlist from '../models/waitlistModel.js';
+import Occurrence from '../models/occurrenceModel.js';
+import Payment from '../models/paymentModel.js';
+import Image from '../models/imageModel.js';
+import Reminder from '../models/reminderModel.js';
+import { isValidRule, isOccurrence, resolveWindow } from '../utils/recurrence.js';
+import { MAX_RADIUS_KM, isValidCoordinates, parseCoordinates } from '../utils/geo.js';
+import { geocode } from '../utils/geocoder.js';
+import { parsePageOptions, paginationResponse } from '../utils/pagination.js';
+import { DATE_BUCKETS, getDateBuckets } from '../utils/dateBuckets.js';
+import { queueSavedSearchMatch } from '../jobs/queue.js';
+import { scheduleReminders, cancelReminders, syncReminders } from '../jobs/reminders.js';
 
-// Get all events with filtering and pagination
+// Sort keys accepted by the events listing ('date' is kept as an alias of start_time)
+const EVENT_SORTS = ['start_time', 'date', 'created_at', 'popularity', 'remaining_capacity', 'distance', 'relevance'];
+
+// Facets GET /api/events can count, and the options of the enumerated ones
+const EVENT_FACETS = ['category', 'organiser', 'date', 'availability', 'price_tier'];
+const AVAILABILITY_OPTIONS = ['has_seats', 'full', 'waitlist'];
+
+// Facets requested through ?facets=true (all) or ?facets=category,date
+const parseFacets = (value) => {
+  if (value === undefined || value === 'false') return [];
+  if (value === 'true') return EVENT_FACETS;
+  
+  const names = String(value).split(',').map(name => name.trim());
+  
+  return names.every(name => EVENT_FACETS.includes(name)) ? names : null;
+};
+
+// Sort keys accepted by attendee listings
+const ATTENDEE_SORTS = ['registered_at', 'display_name'];
+
+// Occurrence of a recurring event that a request targets
+const getOccurrenceStart = (req) => req.body?.occurrenceStart || req.query.occurrenceStart;
+
+// Let saved searches know about an event that was just published for the
+// first time. Alerts are best effort and never fail the request.
+const notifySavedSearches = async (event) => {
+  try {
+    await queueSavedSearchMatch({ eventId: event.id });
+  } catch (error) {
+    console.error('Error queueing saved search matching:', error);
+  }
+};
+
+// Work out an event's coordinates from the request body.
+// Explicit coordinates win; otherwise the venue address (or location) is geocoded.
+// Returns { error } for invalid input, or {} when there is nothing to set.
+const resolveCoordinates = async ({ latitude, longitude, venueAddress, location }) => {
+  if (latitude !== undefined || longitude !== undefined) {
+    const coordinates = { latitude: Number(latitude), longitude: Number(longitude) };
+    
+    if (latitude === undefined || longitude === undefined ||
+        !isValidCoordinates(coordinates.latitude, coordinates.longitude)) {
+      return { error: 'latitude and longitude must be provided together as valid coordinates' };
+    }
+    
+    return coordinates;
+  }
+  
+  const result = await geocode(venueAddress || location);
+  
+  // An address that can't be placed leaves the event without coordinates
+  return result ? { latitude: result.latitude, longitude: result.longitude } : { latitude: null, longitude: null };
+};
+
+// Get all events with filtering and cursor pagination
 export const getAllEvents = async (req, res) => {
   try {
     const { 
-      page = 1, 
-      limit = 10, 
       category, 
       search,
       startDate,
       endDate,
-      published = true
+      published = true,
+      near,
+      radius,
+      organiserId,
+      availability,
+      priceTier,
+      date
     } = req.query;
     
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const facets = parseFacets(req.query.facets);
+    
+    if (!facets) {
+      return res.status(400).json({ message: `facets must be true or a list of: ${EVENT_FACETS.join(', ')}` });
+    }
+    
+    if (availability !== undefined && !AVAILABILITY_OPTIONS.includes(availability)) {
+      return res.status(400).json({ message: `availability must be one of: ${AVAILABILITY_OPTIONS.join(', ')}` });
+    }
+    
+    if (priceTier !== undefined && !PRICE_TIERS.includes(priceTier)) {
+      return res.status(400).json({ message: `priceTier must be one of: ${PRICE_TIERS.join(', ')}` });
+    }
+    
+    const page = parsePageOptions(req.query, { sorts: EVENT_SORTS, defaultLimit: 10 });
+    
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    if (page.sort === 'date') {
+      page.sort = 'start_time';
+    }
     
     const filters = {
       category,
       search,
       startDate,
       endDate,
-      isPublished: published === 'true' || published === true
+      isPublished: published === 'true' || published === true,
+      organiserId,
+      availability,
+      priceTier,
+      // Locale detected by the i18n middleware (?lang=, cookie or Accept-Language)
+      language: req.language
     };
     
-    const result = await Event.getAll(filters, parseInt(limit), offset);
+    // A date bucket (as counted by the date facet) stands for its calendar range
+    if (date !== undefined) {
+      if (!DATE_BUCKETS.includes(date)) {
+        return res.status(400).json({ message: `date must be one of: ${DATE_BUCKETS.join(', ')}` });
+      }
+      
+      if (startDate || endDate) {
+        return res.status(400).json({ message: 'date cannot be combined with startDate or endDate' });
+      }
+      
+      const { start, end } = getDateBuckets()[date];
+      filters.startDate = start;
+      filters.endDate = new Date(end.getTime() - 1);
+    }
+    
+    if (near !== undefined) {
+      filters.near = parseCoordinates(near);
+      
+      if (!filters.near) {
+        return res.status(400).json({ message: 'near must be "latitude,longitude"' });
+      }
+    }
+    
+    if (radius !== undefined) {
+      filters.radius = parseFloat(radius);
+      
+      if (!(filters.radius > 0 && filters.radius <= MAX_RADIUS_KM)) {
+        return res.status(400).json({ message: `Radius must be between 0 and ${MAX_RADIUS_KM} km` });
+      }
+    }
+    
+    if (page.sort === 'distance' && !filters.near) {
+      return res.status(400).json({ message: 'Sorting by distance requires near' });
+    }
+    
+    if (page.sort === 'relevance' && !search) {
+      return res.status(400).json({ message: 'Sorting by relevance requires search' });
+    }
+    
+    const result = await Event.getAll(filters, page);
+    
+    if (result.success === false) {
+      return res.status(400).json({ message: result.message });
+    }
     
     res.json({
       events: result.events,
-      pagination: {
-        total: result.total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(result.total / parseInt(limit))
-      }
+      ...(search && {
+        search: { query: search, mode: result.searchMode, language: result.searchLanguage }
+      }),
+      ...(facets.length > 0 && {
+        facets: await Event.getFacets(filters, facets, result.searchMode)
+      }),
+      sort: { key: result.sort, order: result.order },
+      pagination: paginationResponse(result, page)
     });
   } catch (error) {
     console.error('Get all events error:', error);
@@ -70,25 +212,49 @@ export const createEvent = async (req, res) => {
       startTime, 
       endTime, 
       location, 
+      venueName,
+      venueAddress,
+      latitude,
+      longitude,
       category, 
       imageUrl, 
       capacity, 
-      isPublished 
+      isPublished,
+      recurrenceRule
     } = req.body;
     
+    if (recurrenceRule && !isValidRule(recurrenceRule)) {
+      return res.status(400).json({ message: 'Invalid recurrence rule' });
+    }
+    
+    const coordinates = await resolveCoordinates({ latitude, longitude, venueAddress, location });
+    
+    if (coordinates.error) {
+      return res.status(400).json({ message: coordinates.error });
+    }
+    
     const event = await Event.create({
       title,
       description,
       startTime,
       endTime,
       location,
+      venueName,
+      venueAddress,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
       category,
       imageUrl,
       capacity,
       isPublished,
+      recurrenceRule,
       organiserId: req.user.id // From auth middleware
     });
     
+    if (event.published_at) {
+      await notifySavedSearches(event);
+    }
+    
     res.status(201).json(event);
   } catch (error) {
     console.error('Create event error:', error);
@@ -118,26 +284,76 @@ export const updateEvent = async (req, res) => {
       startTime, 
       endTime, 
       location, 
+      venueName,
+      venueAddress,
+      latitude,
+      longitude,
       category, 
       imageUrl, 
       capacity, 
       isPublished,
-      isCancelled
+      isCancelled,
+      recurrenceRule
     } = req.body;
     
+    if (recurrenceRule && !isValidRule(recurrenceRule)) {
+      return res.status(400).json({ message: 'Invalid recurrence rule' });
+    }
+    
+    // Only look the venue up again when its address changes
+    let coordinates = {};
+    if (latitude !== undefined || longitude !== undefined || venueAddress || location) {
+      coordinates = await resolveCoordinates({ latitude, longitude, venueAddress, location });
+      
+      if (coordinates.error) {
+        return res.status(400).json({ message: coordinates.error });
+      }
+    }
+    
     const updatedEvent = await Event.update(eventId, {
       title,
       description,
       startTime,
       endTime,
       location,
+      venueName,
+      venueAddress,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
       category,
       imageUrl,
       capacity,
       isPublished,
-      isCancelled
+      isCancelled,
+      recurrenceRule
     });
     
+    // Cancelling an event refunds everyone who paid for it
+    if (updatedEvent.is_cancelled && !existingEvent.is_cancelled) {
+      await Payment.refundEvent(eventId);
+    }
+    
+    // Reminders go out relative to the start, so they follow it when the
+    // event (or its series) moves, and stop once it is cancelled
+    if (updatedEvent.is_cancelled) {
+      if (!existingEvent.is_cancelled) syncReminders(cancelReminders, { eventId });
+    } else if (
+      existingEvent.is_cancelled ||
+      new Date(updatedEvent.start_time).getTime() !== new Date(existingEvent.start_time).getTime() ||
+      updatedEvent.recurrence_rule !== existingEvent.recurrence_rule
+    ) {
+      syncReminders(scheduleReminders, { eventId });
+    }
+    
+    if (updatedEvent.published_at && !existingEvent.published_at) {
+      await notifySavedSearches(updatedEvent);
+    }
+    
+    // A raised capacity frees seats for anyone waiting
+    if (capacity !== undefined) {
+      await Waitlist.promoteAll(eventId);
+    }
+    
     res.json(updatedEvent);
   } catch (error) {
     console.error('Update event error:', error);
@@ -161,8 +377,26 @@ export const deleteEvent = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this event' });
     }
     
+    // Refund while the payments can still be matched to the event
+    if (!existingEvent.is_cancelled) {
+      await Payment.refundEvent(eventId);
+    }
+    
+    // The image rows and registrations go with the event; their files and
+    // reminders are removed afterwards
+    const images = await Image.findByEvent(eventId);
+    const registrations = await Reminder.findTargets({ eventId });
+    
     await Event.delete(eventId);
     
+    for (const image of images) {
+      await Image.deleteFiles(image);
+    }
+    
+    for (const registration of registrations) {
+      syncReminders(cancelReminders, { registrationId: registration.registration_id, userId: registration.user_id });
+    }
+    
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
     console.error('Delete event error:', error);
@@ -176,13 +410,43 @@ export const registerForEvent = async (req, res) => {
     const eventId = req.params.id;
     const userId = req.user.id;
     
-    const result = await Event.registerUser(eventId, userId);
+    const result = await Event.registerUser(eventId, userId, getOccurrenceStart(req), req.body?.ticketTypeId);
+    
+    // A full event or sold-out ticket type gets its own status so clients can offer the waitlist
+    if (result.full) {
+      return res.status(409).json({ message: result.message, full: true });
+    }
     
     if (!result.success) {
       return res.status(400).json({ message: result.message });
     }
     
-    res.json({ message: result.message });
+    // Held seats get their reminders too; they are only sent once paid
+    syncReminders(scheduleReminders, { registrationId: result.registrationId });
+    
+    // Paid tickets complete the registration through the provider's checkout
+    if (result.payment) {
+      const checkout = await Payment.startCheckout(result.payment);
+      
+      if (!checkout.success) {
+        return res.status(502).json({ message: checkout.message });
+      }
+      
+      return res.status(202).json({
+        message: result.message,
+        ticketType: result.ticketType,
+        payment: {
+          id: checkout.payment.id,
+          status: checkout.payment.status,
+          amount: checkout.payment.amount,
+          currency: checkout.payment.currency,
+          checkoutUrl: checkout.payment.checkout_url,
+          expiresAt: checkout.payment.expires_at
+        }
+      });
+    }
+    
+    res.json({ message: result.message, ticketType: result.ticketType });
   } catch (error) {
     console.error('Register for event error:', error);
     res.status(500).json({ message: 'Failed to register for event' });
@@ -195,12 +459,21 @@ export const unregisterFromEvent = async (req, res) => {
     const eventId = req.params.id;
     const userId = req.user.id;
     
-    const result = await Event.unregisterUser(eventId, userId);
+    const result = await Event.unregisterUser(eventId, userId, getOccurrenceStart(req));
     
     if (!result.success) {
       return res.status(400).json({ message: result.message });
     }
     
+    if (result.pendingPaymentId) {
+      await Payment.release(result.pendingPaymentId, 'cancelled');
+    }
+    
+    syncReminders(cancelReminders, { registrationId: result.registrationId, userId });
+    
+    // Hand the freed seat to the next person on the waitlist
+    await Waitlist.promote(eventId, result.occurrenceStart);
+    
     res.json({ message: result.message });
   } catch (error) {
     console.error('Unregister from event error:', error);
@@ -224,15 +497,186 @@ export const getEventAttendees = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view attendees' });
     }
     
-    const attendees = await Event.getAttendees(eventId);
+    const page = parsePageOptions(req.query, { sorts: ATTENDEE_SORTS });
+    
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    const result = await Event.getAttendeesPage(eventId, req.query.occurrenceStart, page);
     
-    res.json(attendees);
+    res.json({
+      attendees: result.attendees,
+      sort: { key: result.sort, order: result.order },
+      pagination: paginationResponse(result, page)
+    });
   } catch (error) {
     console.error('Get event attendees error:', error);
     res.status(500).json({ message: 'Failed to fetch attendees' });
   }
 };
 
+// Join the waitlist of a full event
+export const joinWaitlist = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const userId = req.user.id;
+    
+    const result = await Waitlist.join(eventId, userId, getOccurrenceStart(req), req.body?.ticketTypeId);
+    
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    
+    res.status(201).json({
+      message: result.message,
+      position: result.position,
+      total: result.total
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ message: 'Failed to join waitlist' });
+  }
+};
+
+// Leave the waitlist of an event
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const userId = req.user.id;
+    
+    const result = await Waitlist.leave(eventId, userId, getOccurrenceStart(req));
+    
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ message: 'Failed to leave waitlist' });
+  }
+};
+
+// Get the current user's waitlist position for an event
+export const getWaitlistPosition = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const userId = req.user.id;
+    
+    const position = await Waitlist.getPosition(eventId, userId, getOccurrenceStart(req));
+    
+    if (!position) {
+      return res.status(404).json({ message: 'User not on the waitlist for this event' });
+    }
+    
+    res.json(position);
+  } catch (error) {
+    console.error('Get waitlist position error:', error);
+    res.status(500).json({ message: 'Failed to fetch waitlist position' });
+  }
+};
+
+// Get the occurrences of a recurring event within a date window
+export const getEventOccurrences = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    
+    if (!event.recurrence_rule) {
+      return res.status(400).json({ message: 'Event is not recurring' });
+    }
+    
+    const { startDate = new Date(), endDate } = req.query;
+    const { windowStart, windowEnd } = resolveWindow(startDate, endDate);
+    
+    const occurrences = await Occurrence.expandAll([event], windowStart, windowEnd);
+    
+    res.json(occurrences.map(({ attendees, ...occurrence }) => occurrence));
+  } catch (error) {
+    console.error('Get event occurrences error:', error);
+    res.status(500).json({ message: 'Failed to fetch occurrences' });
+  }
+};
+
+// Move, change or cancel a single occurrence of a recurring event
+export const updateOccurrence = async (req, res) => {
+  try {
+    const { id: eventId, occurrenceStart } = req.params;
+    
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    
+    if (event.organiser_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to update this event' });
+    }
+    
+    if (!event.recurrence_rule || !isOccurrence(event, occurrenceStart)) {
+      return res.status(400).json({ message: 'Not an occurrence of this event' });
+    }
+    
+    const { startTime, endTime, title, location, isCancelled } = req.body;
+    
+    const override = await Occurrence.saveOverride(eventId, new Date(occurrenceStart), {
+      startTime,
+      endTime,
+      title,
+      location,
+      isCancelled
+    });
+    
+    // Cancelling one occurrence refunds the people who paid for it
+    if (override.is_cancelled) {
+      await Payment.refundEvent(eventId, override.occurrence_start);
+    }
+    
+    // Moved occurrences are reminded at their new start, cancelled ones not at all
+    syncReminders(scheduleReminders, { eventId });
+    
+    res.json(override);
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+    res.status(500).json({ message: 'Failed to update occurrence' });
+  }
+};
+
+// Restore a single occurrence of a recurring event to the series defaults
+export const deleteOccurrenceOverride = async (req, res) => {
+  try {
+    const { id: eventId, occurrenceStart } = req.params;
+    
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    
+    if (event.organiser_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to update this event' });
+    }
+    
+    if (Number.isNaN(new Date(occurrenceStart).getTime())) {
+      return res.status(400).json({ message: 'Invalid occurrence start' });
+    }
+    
+    const override = await Occurrence.removeOverride(eventId, new Date(occurrenceStart));
+    if (!override) {
+      return res.status(404).json({ message: 'Occurrence has no override' });
+    }
+    
+    syncReminders(scheduleReminders, { eventId });
+    
+    res.json({ message: 'Occurrence restored successfully' });
+  } catch (error) {
+    console.error('Delete occurrence override error:', error);
+    res.status(500).json({ message: 'Failed to restore occurrence' });
+  }
+};
+
 // Also provide a default export for backward compatibility
 export default {
   getAllEvents,
@@ -242,5 +686,11 @@ export default {
   deleteEvent,
   registerForEvent,
   unregisterFromEvent,
-  getEventAttendees
+  getEventAttendees,
+  joinWaitlist,
+  leaveWaitlist,
+  getWaitlistPosition,
+  getEventOccurrences,
+  updateOccurrence,
+  deleteOccurrenceOverride
 };
\ No newline at end of file
@@ -1,50 +1,271 @@
-import path from 'path';
-import fs from 'fs/promises';
-import { v4 as uuidv4 } from 'uuid';
-import User from '../models/userModel';
-import Event from '../models/eventModel';
-import Image from '../models/imageModel';
+import { pipeline } from 'stream/promises';
+import Event from '../models/eventModel.js';
+import Image from '../models/imageModel.js';
+import { queueImageProcessing } from '../jobs/queue.js';
+import { getStorage } from '../utils/storage.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../utils/pagination.js';
+import config from '../config/index.js';
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../../uploads');
-const eventImagesDir = path.join(uploadsDir, 'events');
-const profileImagesDir = path.join(uploadsDir, 'profiles');
+// Formats a variant can be requested in
+const VARIANT_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
 
-const ensureDirectoriesExist = async () => {
+// Largest width or height GET /api/images/resize accepts
+const MAX_RESIZE_DIMENSION = 2000;
+
+// Moderation statuses the moderation queue can be listed by
+const MODERATION_STATUSES = ['pending', 'quarantined', 'approved', 'rejected'];
+
+// Longest caption and alt text of a gallery image
+const MAX_CAPTION_LENGTH = 500;
+const MAX_ALT_TEXT_LENGTH = 250;
+
+// An image with its variants, as returned to clients
+const toImageResponse = (image, variants = []) => ({
+  id: image.id,
+  url: image.url_path,
+  isPrivate: image.is_private,
+  type: image.type,
+  eventId: image.event_id,
+  mimeType: image.mime_type,
+  size: image.size,
+  width: image.width,
+  height: image.height,
+  status: image.status,
+  processedAt: image.processed_at,
+  moderationStatus: image.moderation_status,
+  moderationReason: image.moderation_reason,
+  caption: image.caption,
+  altText: image.alt_text,
+  position: image.position,
+  isCover: image.is_cover,
+  variants: variants.map(variant => ({
+    url: variant.url_path,
+    width: variant.width,
+    height: variant.height,
+    format: variant.format,
+    mimeType: variant.mime_type,
+    size: variant.size
+  }))
+});
+
+// Shape a published gallery image (see Image.getGallery) for the API
+const toGalleryImageResponse = (image) => ({
+  id: image.id,
+  url: image.url_path,
+  caption: image.caption,
+  altText: image.alt_text,
+  position: image.position,
+  isCover: image.is_cover,
+  width: image.width,
+  height: image.height,
+  mimeType: image.mime_type,
+  variants: image.variants.map(variant => ({
+    url: variant.url_path,
+    width: variant.width,
+    height: variant.height,
+    format: variant.format,
+    mimeType: variant.mime_type
+  }))
+});
+
+// Check the caption and alt text of a gallery image, returning an error
+// message or null. Both are optional; null or an empty string clears them.
+const validateImageText = ({ caption, altText }) => {
+  if (caption !== undefined && caption !== null &&
+      (typeof caption !== 'string' || caption.length > MAX_CAPTION_LENGTH)) {
+    return `caption must be a string of at most ${MAX_CAPTION_LENGTH} characters`;
+  }
+  
+  if (altText !== undefined && altText !== null &&
+      (typeof altText !== 'string' || altText.length > MAX_ALT_TEXT_LENGTH)) {
+    return `altText must be a string of at most ${MAX_ALT_TEXT_LENGTH} characters`;
+  }
+  
+  return null;
+};
+
+// Save an upload, record it and queue its processing (which ends with its
+// moderation). Sends the error response itself and returns null when the
+// file is refused or can't be saved.
+const storeUpload = async (req, res, type, { eventId = null, isPrivate = false, caption = null, altText = null } = {}) => {
+  const saved = await Image.saveImage(req.file, type);
+  
+  if (!saved.success) {
+    res.status(400).json({ message: saved.message });
+    return null;
+  }
+  
+  const image = await Image.create({
+    filename: saved.fileName,
+    originalName: req.file.originalname,
+    // Detected from the content; the declared type can't be trusted
+    mimeType: saved.mimeType,
+    size: saved.size,
+    storage: saved.storage,
+    storageKey: saved.key,
+    isPrivate,
+    caption: caption || null,
+    altText: altText || null,
+    type,
+    uploadedBy: req.user.id,
+    eventId
+  });
+  
+  await queueImageProcessing({ imageId: image.id });
+  
+  return image;
+};
+
+// Parse an optional width or height of a resize request
+const parseDimension = (value) => {
+  if (value === undefined) return { value: null };
+  
+  const dimension = Number(value);
+  
+  if (!Number.isInteger(dimension) || dimension < 1 || dimension > MAX_RESIZE_DIMENSION) {
+    return { error: `Width and height must be whole numbers between 1 and ${MAX_RESIZE_DIMENSION}` };
+  }
+  
+  return { value: dimension };
+};
+
+// Format to serve: the one asked for, or else the most compact one the
+// client says it accepts, falling back to the JPEG or PNG every client reads
+const negotiateFormat = (req, variants) => {
+  const available = new Set(variants.map(variant => variant.format));
+  
+  if (req.query.format) return req.query.format;
+  
+  const accept = req.get('Accept') || '';
+  
+  if (accept.includes('image/avif') && available.has('avif')) return 'avif';
+  if (accept.includes('image/webp') && available.has('webp')) return 'webp';
+  
+  return available.has('png') ? 'png' : 'jpeg';
+};
+
+// The narrowest variant in a format that covers the requested box, or the
+// widest one when none does (variants are never enlarged past the original)
+const pickVariant = (image, variants, { width, height, format }) => {
+  const candidates = variants.filter(variant => variant.format === format);
+  const neededWidth = Math.max(width || 0, height ? Math.ceil(height * image.width / image.height) : 0);
+  
+  return candidates.find(variant => variant.width >= neededWidth) || candidates[candidates.length - 1] || null;
+};
+
+// Whether a user may manage an image: its uploader, the organiser of its
+// event or an admin
+const canManageImage = async (image, user) => {
+  if (image.uploaded_by === user.id || user.role === 'admin') return true;
+  if (!image.event_id) return false;
+  
+  const event = await Event.findById(image.event_id);
+  
+  return event?.organiser_id === user.id;
+};
+
+// Whether an error means the file isn't in storage (any driver)
+const isMissingFile = (error) => error.code === 'ENOENT' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+// Stream a stored file of an image, answering 404 when it's gone from storage
+const streamFile = async (res, image, key, mimeType) => {
+  let stream;
+  try {
+    stream = await Image.openFile(image, key);
+  } catch (error) {
+    if (isMissingFile(error)) {
+      return res.status(404).json({ message: 'Image file not found' });
+    }
+    throw error;
+  }
+  
+  res.type(mimeType);
+  
   try {
-    await fs.mkdir(uploadsDir, { recursive: true });
-    await fs.mkdir(eventImagesDir, { recursive: true });
-    await fs.mkdir(profileImagesDir, { recursive: true });
+    await pipeline(stream, res);
   } catch (error) {
-    console.error('Error creating upload directories:', error);
+    // Clients dropping the connection mid-download aren't worth reporting
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Stream image error:', error);
+    }
   }
 };
 
-ensureDirectoriesExist();
+// Load an event and check the current user may manage its images
+const getManagedEvent = async (req, res, eventId = req.params.id) => {
+  const event = await Event.findById(eventId);
+  
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+  
+  if (event.organiser_id !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Not authorized to manage images of this event' });
+    return null;
+  }
+  
+  return event;
+};
 
-// Upload event image
-const uploadEventImage = async (req, res) => {
+// Load an image of an event's gallery. Sends a 404 itself and returns null
+// when the image isn't in the gallery.
+const getGalleryImage = async (req, res) => {
+  const image = await Image.findById(req.params.imageId);
+  
+  if (!image || image.event_id !== req.params.id || image.moderation_status === 'rejected') {
+    res.status(404).json({ message: 'Image not found in this event\'s gallery' });
+    return null;
+  }
+  
+  return image;
+};
+
+// An event's gallery as its managers see it, including images that are
+// still being processed or moderated
+const getManagedGalleryResponse = async (eventId) => {
+  const images = await Image.findByEvent(eventId);
+  
+  return images.map(image => toImageResponse(image, image.variants));
+};
+
+// Upload event image, adding it to the end of the event's gallery. The event
+// comes from the path (POST /events/:id/images) or the eventId field.
+export const uploadEventImage = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No image file provided' });
     }
     
-    const fileExtension = path.extname(req.file.originalname).toLowerCase();
-    const allowedExtensions = ['.jpg', '.jpeg', '.png', '.gif'];
+    const eventId = req.params.id || req.body.eventId;
+    const { caption, altText } = req.body;
+    
+    if (!eventId) {
+      return res.status(400).json({ message: 'eventId is required' });
+    }
+    
+    const error = validateImageText({ caption, altText });
     
-    if (!allowedExtensions.includes(fileExtension)) {
-      return res.status(400).json({ message: 'Invalid file type. Only JPG, PNG, and GIF are allowed' });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
     
-    const fileName = `${uuidv4()}${fileExtension}`;
-    const filePath = path.join(eventImagesDir, fileName);
+    const event = await getManagedEvent(req, res, eventId);
+    if (!event) return;
+    
+    const gallery = await Image.findByEvent(eventId);
+    
+    if (gallery.length >= config.images.maxGalleryImages) {
+      return res.status(409).json({ message: `An event can have at most ${config.images.maxGalleryImages} images` });
+    }
     
-    await fs.writeFile(filePath, req.file.buffer);
+    // Private images are only shown through signed URLs, e.g. for members-only galleries
+    const isPrivate = req.body.private === true || req.body.private === 'true';
     
-    // Create a URL for the image
-    const imageUrl = `/uploads/events/${fileName}`;
+    const image = await storeUpload(req, res, 'event', { eventId, isPrivate, caption, altText });
+    if (!image) return;
     
-    res.status(201).json({ imageUrl });
+    res.status(201).json({ imageUrl: image.url_path, image: toImageResponse(image) });
   } catch (error) {
     console.error('Upload event image error:', error);
     res.status(500).json({ message: 'Failed to upload image' });
@@ -52,32 +273,449 @@ const uploadEventImage = async (req, res) => {
 };
 
 // Upload profile image
-const uploadProfileImage = async (req, res) => {
+export const uploadProfileImage = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No image file provided' });
     }
     
-    const result = await Image.saveImage(req.file, 'profile');
+    // The image becomes the user's photo once moderation approves it
+    const image = await storeUpload(req, res, 'profile');
+    if (!image) return;
     
-    if (!result.success) {
-      return res.status(400).json({ message: result.message });
+    res.status(201).json({ imageUrl: image.url_path, image: toImageResponse(image) });
+  } catch (error) {
+    console.error('Upload profile image error:', error);
+    res.status(500).json({ message: 'Failed to upload image' });
+  }
+};
+
+// Get an image with its metadata and variants
+export const getImage = async (req, res) => {
+  try {
+    const image = await Image.findById(req.params.id);
+    
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
     }
     
-    // Update user's profile photo URL in database
-    await db.query(
-      'UPDATE users SET photo_url = $1, updated_at = NOW() WHERE id = $2',
-      [result.imageUrl, req.user.id]
-    );
+    res.json(toImageResponse(image, await Image.getVariants(image.id)));
+  } catch (error) {
+    console.error('Get image error:', error);
+    res.status(500).json({ message: 'Failed to fetch image' });
+  }
+};
+
+// Delete an image with its variants
+export const deleteImage = async (req, res) => {
+  try {
+    const image = await Image.findById(req.params.id);
+    
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
     
-    res.status(201).json({ imageUrl: result.imageUrl });
+    if (!await canManageImage(image, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to delete this image' });
+    }
+    
+    await Image.destroy(image);
+    
+    res.status(204).send();
   } catch (error) {
-    console.error('Upload profile image error:', error);
-    res.status(500).json({ message: 'Failed to upload image' });
+    console.error('Delete image error:', error);
+    res.status(500).json({ message: 'Failed to delete image' });
+  }
+};
+
+// Get an event's published gallery
+export const getEventGallery = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    
+    res.json(event.images.map(toGalleryImageResponse));
+  } catch (error) {
+    console.error('Get event gallery error:', error);
+    res.status(500).json({ message: 'Failed to fetch event gallery' });
+  }
+};
+
+// Get an event's whole gallery, including images awaiting processing or moderation
+export const getManagedGallery = async (req, res) => {
+  try {
+    const event = await getManagedEvent(req, res);
+    if (!event) return;
+    
+    res.json(await getManagedGalleryResponse(event.id));
+  } catch (error) {
+    console.error('Get managed gallery error:', error);
+    res.status(500).json({ message: 'Failed to fetch event gallery' });
+  }
+};
+
+// Change the caption or alt text of a gallery image, or make it the event's cover
+export const updateGalleryImage = async (req, res) => {
+  try {
+    const { caption, altText, isCover } = req.body || {};
+    const error = validateImageText({ caption, altText });
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    if (isCover !== undefined && typeof isCover !== 'boolean') {
+      return res.status(400).json({ message: 'isCover must be a boolean' });
+    }
+    
+    const event = await getManagedEvent(req, res);
+    if (!event) return;
+    
+    const image = await getGalleryImage(req, res);
+    if (!image) return;
+    
+    // The cover is shown publicly as the event's image
+    if (isCover && (image.is_private || image.moderation_status !== 'approved')) {
+      return res.status(409).json({ message: 'Only published, public images can be the cover' });
+    }
+    
+    if (caption !== undefined || altText !== undefined) {
+      await Image.updateDetails(image.id, {
+        caption: caption === undefined ? undefined : caption || '',
+        altText: altText === undefined ? undefined : altText || ''
+      });
+    }
+    
+    if (isCover === true) {
+      await Image.setCover(event.id, image.id);
+    } else if (isCover === false && image.is_cover) {
+      await Image.setCover(event.id, null);
+    }
+    
+    const updated = await Image.findById(image.id);
+    
+    res.json(toImageResponse(updated, await Image.getVariants(image.id)));
+  } catch (error) {
+    console.error('Update gallery image error:', error);
+    res.status(500).json({ message: 'Failed to update gallery image' });
+  }
+};
+
+// Reorder an event's gallery. Every image of the gallery must be listed once.
+export const reorderGallery = async (req, res) => {
+  try {
+    const { imageIds } = req.body || {};
+    
+    if (!Array.isArray(imageIds) || !imageIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({ message: 'imageIds must be an array of image IDs' });
+    }
+    
+    const event = await getManagedEvent(req, res);
+    if (!event) return;
+    
+    const gallery = await Image.findByEvent(event.id);
+    const galleryIds = new Set(gallery.map(image => image.id));
+    
+    if (imageIds.length !== galleryIds.size || new Set(imageIds).size !== imageIds.length ||
+        !imageIds.every(id => galleryIds.has(id))) {
+      return res.status(400).json({ message: 'imageIds must list every image of the gallery exactly once' });
+    }
+    
+    await Image.reorder(event.id, imageIds);
+    
+    res.json(await getManagedGalleryResponse(event.id));
+  } catch (error) {
+    console.error('Reorder gallery error:', error);
+    res.status(500).json({ message: 'Failed to reorder gallery' });
+  }
+};
+
+// Remove an image from an event's gallery, deleting its files and variants
+export const deleteGalleryImage = async (req, res) => {
+  try {
+    const event = await getManagedEvent(req, res);
+    if (!event) return;
+    
+    const image = await getGalleryImage(req, res);
+    if (!image) return;
+    
+    await Image.destroy(image);
+    
+    res.status(204).send();
+  } catch (error) {
+    console.error('Delete gallery image error:', error);
+    res.status(500).json({ message: 'Failed to delete gallery image' });
+  }
+};
+
+// Serve the stored variant of an image that best fits the requested size
+export const resizeImage = async (req, res) => {
+  try {
+    const { url, format } = req.query;
+    
+    if (!url) {
+      return res.status(400).json({ message: 'url is required' });
+    }
+    
+    const width = parseDimension(req.query.width);
+    const height = parseDimension(req.query.height);
+    const error = width.error || height.error;
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    if (format && !VARIANT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${VARIANT_FORMATS.join(', ')}` });
+    }
+    
+    // Absolute URLs and bare paths both identify the original (images in a
+    // bucket are recorded with their full URL, local ones with their path)
+    let urlPath;
+    try {
+      urlPath = new URL(url, 'http://localhost').pathname;
+    } catch {
+      return res.status(400).json({ message: 'Invalid url' });
+    }
+    
+    // Private images are never served here, only through signed URLs
+    const image = await Image.findByUrlPath([url, urlPath]);
+    
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    
+    const variants = await Image.getVariants(image.id);
+    
+    // Images still being processed (or that failed) are served as uploaded
+    if (variants.length === 0) {
+      res.set('Cache-Control', 'no-cache');
+      return streamFile(res, image, image.storage_key, image.mime_type);
+    }
+    
+    const variant = pickVariant(image, variants, {
+      width: width.value,
+      height: height.value,
+      format: negotiateFormat(req, variants)
+    });
+    
+    if (!variant) {
+      return res.status(404).json({ message: `No ${format} variant of this image` });
+    }
+    
+    res.set({
+      'Cache-Control': 'public, max-age=86400',
+      'Vary': 'Accept',
+      'X-Image-Variant': `${variant.width}x${variant.height}`
+    });
+    await streamFile(res, image, variant.storage_key, variant.mime_type);
+  } catch (error) {
+    console.error('Resize image error:', error);
+    res.status(500).json({ message: 'Failed to resize image' });
+  }
+};
+
+// Get a short-lived signed URL of an image, or of the variant that best fits
+// the requested size. Anyone may sign a public image; private ones only
+// their uploader, the organiser of their event or an admin.
+export const getImageUrl = async (req, res) => {
+  try {
+    const { format } = req.query;
+    const width = parseDimension(req.query.width);
+    const height = parseDimension(req.query.height);
+    const error = width.error || height.error;
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    if (format && !VARIANT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${VARIANT_FORMATS.join(', ')}` });
+    }
+    
+    const image = await Image.findById(req.params.id);
+    
+    // Private and unpublished images the user can't see are reported as missing
+    const restricted = image && (image.is_private || image.moderation_status !== 'approved');
+    
+    if (!image || (restricted && !await canManageImage(image, req.user))) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    
+    const variants = await Image.getVariants(image.id);
+    const file = variants.length === 0 ? null : pickVariant(image, variants, {
+      width: width.value,
+      height: height.value,
+      format: negotiateFormat(req, variants)
+    });
+    
+    if (variants.length > 0 && !file) {
+      return res.status(404).json({ message: `No ${format} variant of this image` });
+    }
+    
+    const expiresIn = config.storage.signedUrlExpiresIn;
+    const source = file || image;
+    
+    res.json({
+      url: await Image.getSignedUrl(image, source.storage_key, expiresIn),
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      width: source.width,
+      height: source.height,
+      format: file ? file.format : null,
+      mimeType: source.mime_type
+    });
+  } catch (error) {
+    console.error('Get image URL error:', error);
+    res.status(500).json({ message: 'Failed to sign image URL' });
+  }
+};
+
+// Serve a file kept on local disk through a signed URL made by the local
+// storage driver (other drivers serve their signed URLs themselves)
+export const serveSignedFile = async (req, res) => {
+  try {
+    const key = req.params.key.join('/');
+    const storage = getStorage('local');
+    
+    if (!storage.verifySignedUrl(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ message: 'Invalid or expired link' });
+    }
+    
+    let stream;
+    try {
+      stream = await storage.createReadStream(key);
+    } catch (error) {
+      if (isMissingFile(error)) {
+        return res.status(404).json({ message: 'Image file not found' });
+      }
+      throw error;
+    }
+    
+    // Cached no longer than the link is valid
+    const maxAge = Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000));
+    
+    res.set('Cache-Control', `private, max-age=${maxAge}`);
+    res.type(key.slice(key.lastIndexOf('.')));
+    
+    await pipeline(stream, res);
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    
+    console.error('Serve signed file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Failed to serve file' });
+    }
+  }
+};
+
+// List the images in a moderation status (quarantined by default), oldest
+// first, with a temporary URL to preview each
+export const getModerationQueue = async (req, res) => {
+  try {
+    const { status = 'quarantined' } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+    }
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ message: 'offset must be a non-negative integer' });
+    }
+    
+    const { images, total } = await Image.findByModerationStatus(status, { limit, offset });
+    
+    res.json({
+      images: await Promise.all(images.map(async image => ({
+        ...toImageResponse(image),
+        uploadedBy: image.uploaded_by,
+        moderationLabels: image.moderation_labels,
+        moderatedAt: image.moderated_at,
+        // Rejected images have no files left to preview
+        previewUrl: image.moderation_status === 'rejected' ? null : await Image.getSignedUrl(image)
+      }))),
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({ message: 'Failed to fetch moderation queue' });
+  }
+};
+
+// Approve a quarantined image, publishing it
+export const approveImage = async (req, res) => {
+  try {
+    const image = await Image.findById(req.params.id);
+    
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    
+    if (image.moderation_status !== 'quarantined') {
+      return res.status(409).json({ message: `Only quarantined images can be approved; this one is ${image.moderation_status}` });
+    }
+    
+    const approved = await Image.approve(image, { moderatedBy: req.user.id });
+    
+    res.json(toImageResponse(approved, await Image.getVariants(image.id)));
+  } catch (error) {
+    console.error('Approve image error:', error);
+    res.status(500).json({ message: 'Failed to approve image' });
+  }
+};
+
+// Reject an image, deleting its files. Published images can be taken down too.
+export const rejectImage = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ message: 'reason must be a string of at most 500 characters' });
+    }
+    
+    const image = await Image.findById(req.params.id);
+    
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    
+    if (image.moderation_status === 'rejected') {
+      return res.status(409).json({ message: 'Image has already been rejected' });
+    }
+    
+    const rejected = await Image.reject(image, { moderatedBy: req.user.id, reason: reason || null });
+    
+    res.json(toImageResponse(rejected));
+  } catch (error) {
+    console.error('Reject image error:', error);
+    res.status(500).json({ message: 'Failed to reject image' });
   }
 };
 
 export default {
   uploadEventImage,
-  uploadProfileImage
-};
\ No newline at end of file
+  uploadProfileImage,
+  getImage,
+  deleteImage,
+  getEventGallery,
+  getManagedGallery,
+  updateGalleryImage,
+  reorderGallery,
+  deleteGalleryImage,
+  resizeImage,
+  getImageUrl,
+  serveSignedFile,
+  getModerationQueue,
+  approveImage,
+  rejectImage
+};
@@ -0,0 +1,135 @@
+import Payment from '../models/paymentModel.js';
+import { getPaymentGateway, MOCK_SIGNATURE_HEADER } from '../utils/paymentGateway.js';
+
+// Fields of a payment that are safe to show its owner
+const toPaymentResponse = (payment) => ({
+  id: payment.id,
+  eventId: payment.event_id,
+  occurrenceStart: payment.occurrence_start,
+  ticketTypeId: payment.ticket_type_id,
+  provider: payment.provider,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  checkoutUrl: payment.status === 'pending' ? payment.checkout_url : null,
+  expiresAt: payment.expires_at,
+  paidAt: payment.paid_at,
+  refundedAt: payment.refunded_at,
+  createdAt: payment.created_at
+});
+
+// Get a payment of the current user
+export const getPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment || (payment.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.json(toPaymentResponse(payment));
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ message: 'Failed to fetch payment' });
+  }
+};
+
+// Receive a payment provider webhook
+export const handleWebhook = async (req, res) => {
+  try {
+    const gateway = getPaymentGateway(req.params.provider);
+
+    if (!gateway) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    let event;
+    try {
+      event = gateway.constructWebhookEvent(req.rawBody, req.headers);
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const result = await Payment.handleWebhookEvent(event);
+
+    // Unknown sessions are acknowledged so the provider stops retrying
+    if (!result.success && result.message !== 'Payment not found') {
+      return res.status(500).json({ message: result.message });
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Failed to process webhook' });
+  }
+};
+
+// Load a mock checkout session of the current user
+const getMockSession = async (req, res) => {
+  const payment = await Payment.findBySessionId(req.params.sessionId);
+
+  if (!payment || payment.provider !== 'mock' || payment.user_id !== req.user.id) {
+    res.status(404).json({ message: 'Checkout session not found' });
+    return null;
+  }
+
+  return payment;
+};
+
+// Show a mock checkout session
+export const getMockCheckout = async (req, res) => {
+  try {
+    const payment = await getMockSession(req, res);
+    if (!payment) return;
+
+    res.json({
+      sessionId: payment.provider_session_id,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      expiresAt: payment.expires_at
+    });
+  } catch (error) {
+    console.error('Get mock checkout error:', error);
+    res.status(500).json({ message: 'Failed to fetch checkout session' });
+  }
+};
+
+// Pay or fail a mock checkout session. The outcome goes through the same
+// signed webhook path a real provider would use.
+export const completeMockCheckout = async (req, res) => {
+  try {
+    const payment = await getMockSession(req, res);
+    if (!payment) return;
+
+    const { outcome = 'succeeded' } = req.body || {};
+
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      return res.status(400).json({ message: 'Outcome must be succeeded or failed' });
+    }
+
+    const gateway = getPaymentGateway('mock');
+    const { body, signature } = gateway.buildWebhook(`payment.${outcome}`, payment.provider_session_id);
+    const event = gateway.constructWebhookEvent(Buffer.from(body), { [MOCK_SIGNATURE_HEADER]: signature });
+
+    const result = await Payment.handleWebhookEvent(event);
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    const updatedPayment = await Payment.findById(payment.id);
+
+    res.json({ message: result.message, payment: toPaymentResponse(updatedPayment) });
+  } catch (error) {
+    console.error('Complete mock checkout error:', error);
+    res.status(500).json({ message: 'Failed to complete checkout' });
+  }
+};
+
+export default {
+  getPayment,
+  handleWebhook,
+  getMockCheckout,
+  completeMockCheckout
+};
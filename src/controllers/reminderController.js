@@ -0,0 +1,103 @@
+import Reminder from '../models/reminderModel.js';
+import {
+  REMINDER_CHANNELS,
+  MIN_REMINDER_OFFSET,
+  MAX_REMINDER_OFFSET,
+  scheduleReminders,
+  syncReminders
+} from '../jobs/reminders.js';
+import { emailLanguage } from '../utils/emailTemplates.js';
+import { userTopic } from '../utils/pushNotifications.js';
+import config from '../config/index.js';
+
+// Check and normalise reminder offsets, returning { offsets } or { error }
+const parseOffsets = (input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'offsets must be an array of minutes' };
+  }
+
+  if (!input.every(offset => Number.isInteger(offset) && offset >= MIN_REMINDER_OFFSET && offset <= MAX_REMINDER_OFFSET)) {
+    return { error: `Offsets must be whole minutes between ${MIN_REMINDER_OFFSET} and ${MAX_REMINDER_OFFSET}` };
+  }
+
+  const offsets = [...new Set(input)].sort((a, b) => b - a);
+
+  if (offsets.length > config.reminders.maxOffsets) {
+    return { error: `You can choose at most ${config.reminders.maxOffsets} reminders per event` };
+  }
+
+  return { offsets };
+};
+
+// Check and normalise reminder channels, returning { channels } or { error }
+const parseChannels = (input) => {
+  if (!Array.isArray(input) || !input.every(channel => REMINDER_CHANNELS.includes(channel))) {
+    return { error: `channels must be an array of: ${REMINDER_CHANNELS.join(', ')}` };
+  }
+
+  return { channels: [...new Set(input)] };
+};
+
+// Reminder preferences with the push topic the user's devices subscribe to
+const toPreferences = (preferences, userId) => ({
+  offsets: preferences.offsets,
+  channels: preferences.channels,
+  language: preferences.language,
+  isDefault: preferences.isDefault,
+  updatedAt: preferences.updated_at || null,
+  pushTopic: userTopic(userId)
+});
+
+// Get the current user's reminder preferences
+export const getReminderPreferences = async (req, res) => {
+  try {
+    const preferences = await Reminder.getPreferences(req.user.id);
+
+    res.json(toPreferences(preferences, req.user.id));
+  } catch (error) {
+    console.error('Get reminder preferences error:', error);
+    res.status(500).json({ message: 'Failed to fetch reminder preferences' });
+  }
+};
+
+// Change when and how the current user is reminded of the events they registered for
+export const updateReminderPreferences = async (req, res) => {
+  try {
+    const { offsets, channels } = req.body || {};
+
+    if (offsets === undefined && channels === undefined) {
+      return res.status(400).json({ message: 'offsets or channels is required' });
+    }
+
+    const current = await Reminder.getPreferences(req.user.id);
+    const parsedOffsets = offsets === undefined ? { offsets: current.offsets } : parseOffsets(offsets);
+    const parsedChannels = channels === undefined ? { channels: current.channels } : parseChannels(channels);
+    const error = parsedOffsets.error || parsedChannels.error;
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const preferences = await Reminder.savePreferences(req.user.id, {
+      offsets: parsedOffsets.offsets,
+      channels: parsedChannels.channels,
+      // Reminders are written in the language the preferences were saved in
+      language: emailLanguage(req.language)
+    });
+
+    // Move the reminders of upcoming registrations to the new offsets
+    if (offsets !== undefined) {
+      syncReminders(scheduleReminders, { userId: req.user.id });
+    }
+
+    res.json(toPreferences(preferences, req.user.id));
+  } catch (error) {
+    console.error('Update reminder preferences error:', error);
+    res.status(500).json({ message: 'Failed to update reminder preferences' });
+  }
+};
+
+export default {
+  getReminderPreferences,
+  updateReminderPreferences
+};
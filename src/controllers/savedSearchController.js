@@ -0,0 +1,168 @@
+import SavedSearch from '../models/savedSearchModel.js';
+import { PRICE_TIERS } from '../models/eventModel.js';
+import { MAX_RADIUS_KM, parseCoordinates } from '../utils/geo.js';
+import config from '../config/index.js';
+
+// Notification modes: none, an email per matching event, or one email a day
+const NOTIFY_OPTIONS = ['none', 'instant', 'daily'];
+
+// Filters of GET /api/events a search can save. Date and availability
+// filters are left out: they describe the moment, not what a user is after.
+const SAVED_FILTERS = ['category', 'search', 'organiserId', 'priceTier', 'near', 'radius'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Check and normalise the filters of a saved search, returning { filters } or { error }
+const parseFilters = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'filters must be an object' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !SAVED_FILTERS.includes(key));
+
+  if (unknown.length > 0) {
+    return { error: `Unsupported filters: ${unknown.join(', ')}. Allowed: ${SAVED_FILTERS.join(', ')}` };
+  }
+
+  const filters = {};
+
+  for (const key of ['category', 'search']) {
+    if (input[key] === undefined || input[key] === '') continue;
+
+    if (typeof input[key] !== 'string' || input[key].trim().length > 200) {
+      return { error: `${key} must be a string of at most 200 characters` };
+    }
+
+    filters[key] = input[key].trim();
+  }
+
+  if (input.organiserId !== undefined) {
+    if (!UUID_PATTERN.test(input.organiserId)) {
+      return { error: 'organiserId must be a valid UUID' };
+    }
+
+    filters.organiserId = input.organiserId;
+  }
+
+  if (input.priceTier !== undefined) {
+    if (!PRICE_TIERS.includes(input.priceTier)) {
+      return { error: `priceTier must be one of: ${PRICE_TIERS.join(', ')}` };
+    }
+
+    filters.priceTier = input.priceTier;
+  }
+
+  if (input.near !== undefined) {
+    const near = parseCoordinates(input.near);
+
+    if (!near) {
+      return { error: 'near must be "latitude,longitude"' };
+    }
+
+    filters.near = `${near.latitude},${near.longitude}`;
+  }
+
+  if (input.radius !== undefined) {
+    const radius = parseFloat(input.radius);
+
+    if (!filters.near) {
+      return { error: 'radius requires near' };
+    }
+
+    if (!(radius > 0 && radius <= MAX_RADIUS_KM)) {
+      return { error: `Radius must be between 0 and ${MAX_RADIUS_KM} km` };
+    }
+
+    filters.radius = radius;
+  }
+
+  if (Object.keys(filters).length === 0) {
+    return { error: 'At least one filter is required' };
+  }
+
+  return { filters };
+};
+
+// A saved search with the events listing URL that re-runs it
+const toSavedSearch = (savedSearch) => ({
+  ...savedSearch,
+  events_url: `/api/events?${new URLSearchParams({ ...savedSearch.filters, lang: savedSearch.language })}`
+});
+
+// List the current user's saved searches
+export const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.findByUser(req.user.id);
+
+    res.json(savedSearches.map(toSavedSearch));
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ message: 'Failed to fetch saved searches' });
+  }
+};
+
+// Save a filter set of the events listing for the current user
+export const createSavedSearch = async (req, res) => {
+  try {
+    const { name, filters, notify = 'none' } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      return res.status(400).json({ message: 'Name is required and must be at most 100 characters' });
+    }
+
+    if (!NOTIFY_OPTIONS.includes(notify)) {
+      return res.status(400).json({ message: `notify must be one of: ${NOTIFY_OPTIONS.join(', ')}` });
+    }
+
+    const parsed = parseFilters(filters);
+
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    if (await SavedSearch.countByUser(req.user.id) >= config.savedSearches.maxPerUser) {
+      return res.status(409).json({
+        message: `You can save at most ${config.savedSearches.maxPerUser} searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create(req.user.id, {
+      name: name.trim(),
+      filters: parsed.filters,
+      // Searches are matched and emailed in the language they were saved in
+      language: String(req.language || 'en').slice(0, 2).toLowerCase(),
+      notify
+    });
+
+    res.status(201).json(toSavedSearch(savedSearch));
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ message: 'Failed to save search' });
+  }
+};
+
+// Delete one of the current user's saved searches
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    const deleted = await SavedSearch.delete(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ message: 'Failed to delete saved search' });
+  }
+};
+
+export default {
+  getSavedSearches,
+  createSavedSearch,
+  deleteSavedSearch
+};
@@ -0,0 +1,120 @@
+import Session from '../models/sessionModel.js';
+import User from '../models/userModel.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A session as listed to its user; current marks the one making the request
+const toSession = (session, currentSessionId) => ({
+  id: session.id,
+  device: session.device,
+  ipAddress: session.ip_address,
+  userAgent: session.user_agent,
+  createdAt: session.created_at,
+  lastSeenAt: session.last_seen_at,
+  current: session.id === currentSessionId
+});
+
+// List the current user's active sessions
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+
+    res.json(sessions.map(session => toSession(session, req.user.sessionId)));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions' });
+  }
+};
+
+// Revoke one of the current user's sessions (the current one logs out)
+export const revokeSession = async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await Session.revoke(req.params.sessionId, 'user', req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Failed to revoke session' });
+  }
+};
+
+// Revoke all of the current user's sessions, or all but the current one with ?exceptCurrent=true
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+
+    if (exceptCurrent && !req.user.sessionId) {
+      return res.status(400).json({ message: 'The current request is not made from a session' });
+    }
+
+    const revoked = await Session.revokeAll(req.user.id, {
+      reason: 'user',
+      exceptId: exceptCurrent ? req.user.sessionId : null
+    });
+
+    res.json({ message: 'Sessions revoked successfully', revoked });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Failed to revoke sessions' });
+  }
+};
+
+// List a user's active sessions (admin only)
+export const getUserSessions = async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await Session.findActiveByUser(user.id);
+
+    res.json(sessions.map(session => toSession(session, req.user.sessionId)));
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions' });
+  }
+};
+
+// Log a user out everywhere, e.g. when their account is compromised (admin only)
+export const revokeUserSessions = async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await Session.revokeAll(user.id, { reason: 'admin' });
+
+    res.json({ message: 'Sessions revoked successfully', revoked });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ message: 'Failed to revoke sessions' });
+  }
+};
+
+export default {
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getUserSessions,
+  revokeUserSessions
+};
@@ -0,0 +1,381 @@
+import QRCode from 'qrcode';
+import Event from '../models/eventModel.js';
+import Occurrence from '../models/occurrenceModel.js';
+import { buildOccurrence, isOccurrence } from '../utils/recurrence.js';
+import {
+  createTicketCode,
+  verifyTicketCode,
+  getTicketOpening,
+  isTicketNotYetValid,
+  getTicketExpiry,
+  isTicketExpired,
+  hashTicketCode,
+  signRoster,
+  createRosterToken,
+  verifyRosterToken
+} from '../utils/ticketCode.js';
+
+// Roles allowed to scan tickets at any event, besides its organiser
+const DOOR_STAFF_ROLES = ['admin', 'staff'];
+
+// Largest number of offline check-ins accepted in one sync request
+const MAX_SYNC_BATCH = 500;
+
+// How far ahead of the server clock an offline check-in may be stamped
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Start and end time of the event or occurrence a registration is for
+const getRegistrationTimes = async (event, registration) => {
+  if (!registration.occurrence_start) {
+    return { startTime: event.start_time, endTime: event.end_time };
+  }
+
+  const override = await Occurrence.findOverride(event.id, registration.occurrence_start);
+  const occurrence = buildOccurrence(event, registration.occurrence_start, override);
+
+  return { startTime: occurrence.start_time, endTime: occurrence.end_time };
+};
+
+// Attendee details returned after a scan
+const toScannedAttendee = (registration) => ({
+  registrationId: registration.id,
+  userId: registration.user_id,
+  displayName: registration.display_name,
+  photoUrl: registration.photo_url,
+  ticketType: registration.ticket_type_name,
+  occurrenceStart: registration.occurrence_start,
+  checkedInAt: registration.checked_in_at
+});
+
+// Load an event the current user may check attendees in for
+const getDoorEvent = async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+
+  if (event.organiser_id !== req.user.id && !DOOR_STAFF_ROLES.includes(req.user.role)) {
+    res.status(403).json({ message: 'Not authorized to check in attendees for this event' });
+    return null;
+  }
+
+  return event;
+};
+
+// Load the current user's confirmed registration for the requested event
+const getOwnRegistration = async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+
+  const registration = await Event.findRegistration(event.id, req.user.id, req.query.occurrenceStart);
+
+  if (!registration) {
+    res.status(404).json({ message: 'You are not registered for this event' });
+    return null;
+  }
+
+  if (registration.status !== 'confirmed') {
+    res.status(402).json({ message: 'Complete payment to receive your ticket' });
+    return null;
+  }
+
+  return { event, registration };
+};
+
+// Get the current user's ticket code for an event
+export const getTicket = async (req, res) => {
+  try {
+    const owned = await getOwnRegistration(req, res);
+    if (!owned) return;
+
+    const { event, registration } = owned;
+    const query = registration.occurrence_start
+      ? `?occurrenceStart=${encodeURIComponent(new Date(registration.occurrence_start).toISOString())}`
+      : '';
+
+    res.json({
+      ticketCode: createTicketCode(event.id, registration.id),
+      registrationId: registration.id,
+      eventId: event.id,
+      occurrenceStart: registration.occurrence_start,
+      ticketType: registration.ticket_type_name,
+      checkedInAt: registration.checked_in_at,
+      qrCodeUrl: `/api/events/${event.id}/ticket/qr${query}`
+    });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({ message: 'Failed to fetch ticket' });
+  }
+};
+
+// Render the current user's ticket as a QR code (PNG or SVG)
+export const getTicketQr = async (req, res) => {
+  try {
+    const { format = 'png' } = req.query;
+
+    if (!['png', 'svg'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be png or svg' });
+    }
+
+    const owned = await getOwnRegistration(req, res);
+    if (!owned) return;
+
+    const code = createTicketCode(owned.event.id, owned.registration.id);
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+    // Tickets are personal, so keep them out of shared caches
+    res.set('Cache-Control', 'private, no-store');
+
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(code, { ...options, type: 'svg' }));
+    } else {
+      res.type('image/png').send(await QRCode.toBuffer(code, { ...options, type: 'png', width: 320 }));
+    }
+  } catch (error) {
+    console.error('Get ticket QR code error:', error);
+    res.status(500).json({ message: 'Failed to render ticket' });
+  }
+};
+
+// Check an attendee in by scanning their ticket code at the door
+export const scanTicket = async (req, res) => {
+  try {
+    const event = await getDoorEvent(req, res);
+    if (!event) return;
+
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({ message: 'Ticket code is required' });
+    }
+
+    const registrationId = verifyTicketCode(event.id, code);
+
+    if (!registrationId) {
+      return res.status(400).json({ message: 'Invalid ticket code', reason: 'invalid' });
+    }
+
+    // A valid signature for a registration that was since cancelled
+    const registration = await Event.findRegistrationById(registrationId);
+
+    if (!registration || registration.event_id !== event.id) {
+      return res.status(400).json({ message: 'Ticket is no longer valid', reason: 'revoked' });
+    }
+
+    if (registration.status !== 'confirmed') {
+      return res.status(400).json({ message: 'Ticket has not been paid for', reason: 'unpaid' });
+    }
+
+    if (event.is_cancelled) {
+      return res.status(400).json({ message: 'Event has been cancelled', reason: 'cancelled' });
+    }
+
+    // Tickets for a recurring event are only good at their own occurrence
+    const { startTime, endTime } = await getRegistrationTimes(event, registration);
+
+    if (isTicketNotYetValid(startTime)) {
+      return res.status(400).json({
+        message: `Ticket is not valid until ${getTicketOpening(startTime).toISOString()}`,
+        reason: 'not_yet_valid',
+        occurrenceStart: registration.occurrence_start
+      });
+    }
+
+    if (isTicketExpired(endTime)) {
+      return res.status(400).json({ message: 'Ticket has expired', reason: 'expired' });
+    }
+
+    const result = await Event.checkIn(registration.id, req.user.id);
+
+    if (result.alreadyCheckedIn) {
+      return res.status(409).json({
+        message: `Ticket already checked in at ${new Date(result.registration.checked_in_at).toISOString()}`,
+        reason: 'already_checked_in',
+        attendee: toScannedAttendee(result.registration)
+      });
+    }
+
+    if (!result.success) {
+      return res.status(400).json({ message: 'Ticket is no longer valid', reason: 'revoked' });
+    }
+
+    res.json({
+      message: result.message,
+      attendee: toScannedAttendee({ ...registration, ...result.registration })
+    });
+  } catch (error) {
+    console.error('Scan ticket error:', error);
+    res.status(500).json({ message: 'Failed to check in attendee' });
+  }
+};
+
+// Export a signed snapshot of the confirmed attendees of an event (or one
+// occurrence of it) for door staff devices working offline
+export const getCheckInRoster = async (req, res) => {
+  try {
+    const event = await getDoorEvent(req, res);
+    if (!event) return;
+
+    let occurrenceStart = null;
+
+    if (event.recurrence_rule) {
+      if (!req.query.occurrenceStart || !isOccurrence(event, req.query.occurrenceStart)) {
+        return res.status(400).json({ message: 'A valid occurrenceStart is required for recurring events' });
+      }
+
+      occurrenceStart = new Date(req.query.occurrenceStart);
+    }
+
+    const { endTime } = await getRegistrationTimes(event, { occurrence_start: occurrenceStart });
+    const attendees = await Event.getAttendees(event.id, occurrenceStart);
+    const generatedAt = new Date();
+
+    const snapshot = {
+      eventId: event.id,
+      occurrenceStart: occurrenceStart ? occurrenceStart.toISOString() : null,
+      title: event.title,
+      generatedAt: generatedAt.toISOString(),
+      validUntil: getTicketExpiry(endTime).toISOString(),
+      attendees: attendees
+        .filter(attendee => attendee.status === 'confirmed')
+        .map(attendee => ({
+          registrationId: attendee.registration_id,
+          userId: attendee.id,
+          displayName: attendee.display_name,
+          ticketType: attendee.ticket_type_name,
+          ticketCodeHash: hashTicketCode(createTicketCode(event.id, attendee.registration_id)),
+          checkedInAt: attendee.checked_in_at ? new Date(attendee.checked_in_at).toISOString() : null
+        }))
+    };
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      snapshot,
+      signature: signRoster(snapshot),
+      rosterToken: createRosterToken(event.id, occurrenceStart, generatedAt)
+    });
+  } catch (error) {
+    console.error('Get check-in roster error:', error);
+    res.status(500).json({ message: 'Failed to export check-in roster' });
+  }
+};
+
+// Validate and merge one offline check-in, recorded with the roster the
+// roster token vouches for: it can't predate that roster, and must fall in
+// the check-in window of the ticket's event or occurrence
+const syncCheckIn = async (event, roster, checkIn, deviceId, checkedInBy) => {
+  const { code, checkedInAt: recordedAt } = checkIn || {};
+  const registrationId = code ? verifyTicketCode(event.id, code) : null;
+  const reject = (reason) => ({ registrationId: registrationId || null, status: 'rejected', reason });
+
+  const checkedInAt = new Date(recordedAt);
+
+  if (!recordedAt || isNaN(checkedInAt.getTime()) ||
+      checkedInAt < roster.generatedAt ||
+      checkedInAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return reject('invalid_timestamp');
+  }
+
+  if (!registrationId || !UUID_PATTERN.test(registrationId)) {
+    return reject('invalid');
+  }
+
+  const registration = await Event.findRegistrationById(registrationId);
+
+  if (!registration || registration.event_id !== event.id) {
+    return reject('revoked');
+  }
+
+  if (roster.occurrenceStart?.getTime() !== registration.occurrence_start?.getTime()) {
+    return reject('wrong_occurrence');
+  }
+
+  if (registration.status !== 'confirmed') {
+    return reject('unpaid');
+  }
+
+  if (event.is_cancelled) {
+    return reject('cancelled');
+  }
+
+  const { startTime, endTime } = await getRegistrationTimes(event, registration);
+
+  if (isTicketNotYetValid(startTime, checkedInAt)) {
+    return reject('not_yet_valid');
+  }
+
+  if (isTicketExpired(endTime, checkedInAt)) {
+    return reject('expired');
+  }
+
+  const result = await Event.mergeOfflineCheckIn(registrationId, { checkedInBy, checkedInAt, deviceId });
+
+  if (!result.success) {
+    return reject('revoked');
+  }
+
+  // 'superseded' means an earlier check-in of the same ticket was kept
+  return {
+    registrationId,
+    status: result.applied ? 'applied' : 'superseded',
+    checkedInAt: result.registration.checked_in_at
+  };
+};
+
+// Merge a batch of check-ins recorded offline by a door staff device
+export const syncCheckIns = async (req, res) => {
+  try {
+    const event = await getDoorEvent(req, res);
+    if (!event) return;
+
+    const { deviceId, rosterToken, checkIns } = req.body || {};
+
+    if (typeof deviceId !== 'string' || !deviceId.trim() || deviceId.trim().length > 100) {
+      return res.status(400).json({ message: 'deviceId is required (at most 100 characters)' });
+    }
+
+    const roster = verifyRosterToken(event.id, rosterToken);
+
+    if (!roster) {
+      return res.status(400).json({ message: 'A valid rosterToken from the roster export is required' });
+    }
+
+    if (!Array.isArray(checkIns) || checkIns.length === 0) {
+      return res.status(400).json({ message: 'checkIns must be a non-empty array' });
+    }
+
+    if (checkIns.length > MAX_SYNC_BATCH) {
+      return res.status(400).json({ message: `At most ${MAX_SYNC_BATCH} check-ins can be synced at once` });
+    }
+
+    const results = [];
+
+    for (const [index, checkIn] of checkIns.entries()) {
+      results.push({ index, ...await syncCheckIn(event, roster, checkIn, deviceId.trim(), req.user.id) });
+    }
+
+    const summary = { applied: 0, superseded: 0, rejected: 0 };
+    results.forEach(result => { summary[result.status] += 1; });
+
+    res.json({ summary, results });
+  } catch (error) {
+    console.error('Sync check-ins error:', error);
+    res.status(500).json({ message: 'Failed to sync check-ins' });
+  }
+};
+
+export default {
+  getTicket,
+  getTicketQr,
+  scanTicket,
+  getCheckInRoster,
+  syncCheckIns
+};
@@ -0,0 +1,193 @@
+import Event from '../models/eventModel.js';
+import TicketType from '../models/ticketTypeModel.js';
+import Waitlist from '../models/waitlistModel.js';
+
+// Check ticket type fields, returning an error message or null.
+// Partial updates only check the fields that are present.
+const validateTicketType = (data, partial = false) => {
+  const { name, quota, price, currency, salesStart, salesEnd } = data;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      return 'Name is required and must be at most 100 characters';
+    }
+  }
+
+  if (quota !== undefined && !(Number.isInteger(Number(quota)) && Number(quota) >= 0)) {
+    return 'Quota must be a non-negative integer (0 for no quota)';
+  }
+
+  if (price !== undefined && !(Number(price) >= 0)) {
+    return 'Price must be a non-negative number';
+  }
+
+  if (currency !== undefined && !/^[A-Za-z]{3}$/.test(currency)) {
+    return 'Currency must be a 3-letter ISO 4217 code';
+  }
+
+  for (const date of [salesStart, salesEnd]) {
+    if (date && Number.isNaN(new Date(date).getTime())) {
+      return 'Sales window dates must be valid dates';
+    }
+  }
+
+  if (salesStart && salesEnd && new Date(salesStart) >= new Date(salesEnd)) {
+    return 'Sales start must be before sales end';
+  }
+
+  return null;
+};
+
+// Load an event and check the current user may manage its tickets
+const getManagedEvent = async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+
+  if (event.organiser_id !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Not authorized to manage tickets for this event' });
+    return null;
+  }
+
+  return event;
+};
+
+// List an event's ticket types with their remaining quota
+export const getTicketTypes = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const ticketTypes = await TicketType.getAvailability(event.id, req.query.occurrenceStart);
+
+    res.json(ticketTypes);
+  } catch (error) {
+    console.error('Get ticket types error:', error);
+    res.status(500).json({ message: 'Failed to fetch ticket types' });
+  }
+};
+
+// Add a ticket type to an event
+export const createTicketType = async (req, res) => {
+  try {
+    const event = await getManagedEvent(req, res);
+    if (!event) return;
+
+    const validationError = validateTicketType(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { name, description, quota, price, currency, salesStart, salesEnd } = req.body;
+
+    const ticketType = await TicketType.create(event.id, {
+      name: name.trim(),
+      description,
+      quota,
+      price,
+      currency,
+      salesStart,
+      salesEnd
+    });
+
+    res.status(201).json(ticketType);
+  } catch (error) {
+    // Unique (event_id, name)
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'A ticket type with this name already exists for this event' });
+    }
+
+    console.error('Create ticket type error:', error);
+    res.status(500).json({ message: 'Failed to create ticket type' });
+  }
+};
+
+// Update a ticket type
+export const updateTicketType = async (req, res) => {
+  try {
+    const event = await getManagedEvent(req, res);
+    if (!event) return;
+
+    const existingTicketType = await TicketType.findById(req.params.ticketTypeId);
+
+    if (!existingTicketType || existingTicketType.event_id !== event.id) {
+      return res.status(404).json({ message: 'Ticket type not found' });
+    }
+
+    const validationError = validateTicketType(req.body, true);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { name, description, quota, price, currency, salesStart, salesEnd } = req.body;
+
+    const ticketType = await TicketType.update(existingTicketType.id, {
+      name: name?.trim(),
+      description,
+      quota,
+      price,
+      currency,
+      salesStart,
+      salesEnd
+    });
+
+    // A raised quota frees seats for anyone waiting on this ticket type
+    if (quota !== undefined) {
+      await Waitlist.promoteAll(event.id);
+    }
+
+    res.json(ticketType);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'A ticket type with this name already exists for this event' });
+    }
+
+    // Sales window check constraint, when only one end was changed
+    if (error.code === '23514') {
+      return res.status(400).json({ message: 'Sales start must be before sales end' });
+    }
+
+    console.error('Update ticket type error:', error);
+    res.status(500).json({ message: 'Failed to update ticket type' });
+  }
+};
+
+// Delete a ticket type that has not been issued yet
+export const deleteTicketType = async (req, res) => {
+  try {
+    const event = await getManagedEvent(req, res);
+    if (!event) return;
+
+    const existingTicketType = await TicketType.findById(req.params.ticketTypeId);
+
+    if (!existingTicketType || existingTicketType.event_id !== event.id) {
+      return res.status(404).json({ message: 'Ticket type not found' });
+    }
+
+    const result = await TicketType.delete(existingTicketType.id);
+
+    if (!result.success) {
+      return res.status(409).json({ message: result.message });
+    }
+
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Delete ticket type error:', error);
+    res.status(500).json({ message: 'Failed to delete ticket type' });
+  }
+};
+
+export default {
+  getTicketTypes,
+  createTicketType,
+  updateTicketType,
+  deleteTicketType
+};
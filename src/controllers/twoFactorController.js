@@ -0,0 +1,176 @@
+import QRCode from 'qrcode';
+import TwoFactor, { TWO_FACTOR_ROLES } from '../models/twoFactorModel.js';
+import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
+
+// Get the current user's 2FA state, and whether their role requires it
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await TwoFactor.getStatus(req.user.id);
+
+    if (!status) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ ...status, required: await TwoFactor.isRequiredFor(req.user.role) });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Failed to fetch two-factor status' });
+  }
+};
+
+// Start enrolment: a new secret to add to an authenticator app, as text, as
+// an otpauth URI and as a QR code of it. 2FA is on once a code is confirmed.
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const enrolment = await TwoFactor.startEnrolment(user);
+
+    if (!enrolment) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json({
+      ...enrolment,
+      qrCode: await QRCode.toDataURL(enrolment.otpauthUri)
+    });
+  } catch (error) {
+    console.error('Set up two-factor error:', error);
+    res.status(500).json({ message: 'Failed to set up two-factor authentication' });
+  }
+};
+
+// Turn 2FA on with a first code from the app, returning the recovery codes
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const recoveryCodes = await TwoFactor.enable(req.user.id, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid code, or no two-factor setup in progress' });
+    }
+
+    // The code just entered counts as this session's second factor
+    if (req.user.sessionId) {
+      await Session.markTwoFactorVerified(req.user.sessionId);
+    }
+
+    // Sessions signed in with the password alone must sign in again with a code
+    const revokedSessions = await Session.revokeAll(req.user.id, {
+      reason: 'two_factor_enabled',
+      exceptId: req.user.sessionId || null
+    });
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes, revokedSessions });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Failed to enable two-factor authentication' });
+  }
+};
+
+// Turn 2FA off with a code from the app or a recovery code, unless the user's role requires it
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await TwoFactor.isRequiredFor(req.user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    if (!await TwoFactor.verify(req.user.id, code)) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    await TwoFactor.disable(req.user.id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Failed to disable two-factor authentication' });
+  }
+};
+
+// Replace the recovery codes, e.g. when few are left, with a code from the app or a recovery code
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await TwoFactor.verify(req.user.id, code)) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(req.user.id);
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Failed to regenerate recovery codes' });
+  }
+};
+
+// Get the roles whose users must use 2FA (admin only)
+export const getRequiredRoles = async (req, res) => {
+  try {
+    const roles = await TwoFactor.getRequiredRoles();
+
+    res.json({ roles, availableRoles: TWO_FACTOR_ROLES });
+  } catch (error) {
+    console.error('Get two-factor required roles error:', error);
+    res.status(500).json({ message: 'Failed to fetch two-factor requirements' });
+  }
+};
+
+// Set the roles whose users must use 2FA (admin only). Their users keep
+// their sessions, but lose their role's permissions until they turn 2FA on.
+export const updateRequiredRoles = async (req, res) => {
+  try {
+    const { roles } = req.body || {};
+
+    if (!Array.isArray(roles) || roles.some(role => !TWO_FACTOR_ROLES.includes(role))) {
+      return res.status(400).json({ message: `roles must be an array of: ${TWO_FACTOR_ROLES.join(', ')}` });
+    }
+
+    const requiredRoles = await TwoFactor.setRequiredRoles([...new Set(roles)], req.user.id);
+
+    res.json({ roles: requiredRoles, availableRoles: TWO_FACTOR_ROLES });
+  } catch (error) {
+    console.error('Update two-factor required roles error:', error);
+    res.status(500).json({ message: 'Failed to update two-factor requirements' });
+  }
+};
+
+export default {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getRequiredRoles,
+  updateRequiredRoles
+};
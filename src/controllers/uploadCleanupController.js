@@ -0,0 +1,105 @@
+import UploadCleanup from '../models/uploadCleanupModel.js';
+import { queueUploadCleanup } from '../jobs/queue.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../utils/pagination.js';
+import config from '../config/index.js';
+
+// Longest grace period a run can be started with (a year)
+const MAX_GRACE_PERIOD_HOURS = 24 * 365;
+
+// A cleanup run as returned to admins; the report is only sent for a single run
+const toCleanupRun = (run) => ({
+  id: run.id,
+  source: run.source,
+  requestedBy: run.requested_by,
+  dryRun: run.dry_run,
+  gracePeriodHours: run.grace_period_hours,
+  status: run.status,
+  filesScanned: run.files_scanned,
+  orphanedFiles: run.orphaned_files,
+  orphanedImages: run.orphaned_images,
+  orphanedBytes: Number(run.orphaned_bytes),
+  deletedFiles: run.deleted_files,
+  deletedImages: run.deleted_images,
+  failed: run.failed,
+  error: run.error,
+  createdAt: run.created_at,
+  startedAt: run.started_at,
+  finishedAt: run.finished_at,
+  ...(run.report !== undefined && { report: run.report })
+});
+
+// List the latest cleanup runs
+export const getCleanupRuns = async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ message: 'offset must be a non-negative integer' });
+    }
+
+    const { runs, total } = await UploadCleanup.findAll({ limit, offset });
+
+    res.json({ runs: runs.map(toCleanupRun), total, limit, offset });
+  } catch (error) {
+    console.error('Get cleanup runs error:', error);
+    res.status(500).json({ message: 'Failed to fetch cleanup runs' });
+  }
+};
+
+// Get a cleanup run with its report of the orphans found
+export const getCleanupRun = async (req, res) => {
+  try {
+    const run = await UploadCleanup.findById(req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({ message: 'Cleanup run not found' });
+    }
+
+    res.json(toCleanupRun(run));
+  } catch (error) {
+    console.error('Get cleanup run error:', error);
+    res.status(500).json({ message: 'Failed to fetch cleanup run' });
+  }
+};
+
+// Start a cleanup run now, by default as a dry run reporting what would be deleted
+export const startCleanupRun = async (req, res) => {
+  try {
+    const { dryRun = true, gracePeriodHours = config.uploadCleanup.gracePeriodHours } = req.body || {};
+
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({ message: 'dryRun must be a boolean' });
+    }
+
+    if (!Number.isInteger(gracePeriodHours) || gracePeriodHours < 0 || gracePeriodHours > MAX_GRACE_PERIOD_HOURS) {
+      return res.status(400).json({ message: `gracePeriodHours must be an integer between 0 and ${MAX_GRACE_PERIOD_HOURS}` });
+    }
+
+    // Runs deleting files don't overlap, so each one's report stays accurate
+    const active = await UploadCleanup.findActive();
+
+    if (active) {
+      return res.status(409).json({ message: 'A cleanup run is already in progress', run: toCleanupRun(active) });
+    }
+
+    const run = await UploadCleanup.create({ source: 'manual', requestedBy: req.user.id, dryRun, gracePeriodHours });
+
+    await queueUploadCleanup({ runId: run.id, dryRun, gracePeriodHours });
+
+    res.status(202).json(toCleanupRun(run));
+  } catch (error) {
+    console.error('Start cleanup run error:', error);
+    res.status(500).json({ message: 'Failed to start cleanup run' });
+  }
+};
+
+export default {
+  getCleanupRuns,
+  getCleanupRun,
+  startCleanupRun
+};
@@ -1,11 +1,30 @@
 import User from '../models/userModel.js';
 import Event from '../models/eventModel.js';
+import Auth from '../models/authModel.js';
+import { parsePageOptions, paginationResponse } from '../utils/pagination.js';
+
+// Sort keys accepted by the user listing
+const USER_SORTS = ['created_at', 'display_name', 'email'];
+
+// Loose email check: the verification email proves the address works
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 // Get all users (admin only)
 export const getAllUsers = async (req, res) => {
   try {
-    const users = await User.getAll();
-    res.json(users);
+    const page = parsePageOptions(req.query, { sorts: USER_SORTS });
+    
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    const result = await User.getAll(page);
+    
+    res.json({
+      users: result.users,
+      sort: { key: result.sort, order: result.order },
+      pagination: paginationResponse(result, page)
+    });
   } catch (error) {
     console.error('Get all users error:', error);
     res.status(500).json({ message: 'Failed to fetch users' });
@@ -21,8 +40,11 @@ export const getUserById = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Don't send password
+    // Don't send password, calendar token or two-factor secret
     delete user.password;
+    delete user.calendar_token_hash;
+    delete user.totp_secret;
+    delete user.totp_last_step;
     
     // Only allow users to view their own profile unless admin
     if (req.user.id !== user.id && req.user.role !== 'admin') {
@@ -47,15 +69,50 @@ export const updateUser = async (req, res) => {
     }
     
     const { displayName, bio, photoUrl } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
+    
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const emailChanged = email !== undefined && email !== null &&
+      (typeof email !== 'string' || email.toLowerCase() !== user.email.toLowerCase());
+    
+    if (emailChanged) {
+      if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ message: 'email must be a valid email address' });
+      }
+      
+      // Firebase owns the email of the accounts signing in through it
+      if (user.firebase_uid) {
+        return res.status(400).json({ message: 'The email of this account is managed by Firebase' });
+      }
+      
+      const existingUser = await User.findByEmail(email);
+      if (existingUser && existingUser.id !== user.id) {
+        return res.status(409).json({ message: 'User already exists with this email' });
+      }
+    }
     
     const updatedUser = await User.update(userId, {
+      email: emailChanged ? email : undefined,
       displayName,
       bio,
       photoUrl
     });
     
-    // Don't send password
+    // The new address has to be verified, through a link sent to it
+    if (emailChanged) {
+      await Auth.sendEmailVerification(updatedUser, { language: req.language, emailChanged: true });
+    }
+    
+    // Don't send password, calendar token or two-factor secret
     delete updatedUser.password;
+    delete updatedUser.calendar_token_hash;
+    delete updatedUser.totp_secret;
+    delete updatedUser.totp_last_step;
     
     res.json(updatedUser);
   } catch (error) {
@@ -97,11 +154,46 @@ export const getUserEvents = async (req, res) => {
   }
 };
 
+// Get events a user organises, optionally only upcoming or past ones
+export const getUserOrganizedEvents = async (req, res) => {
+  try {
+    const userId = req.params.id;
+    
+    // Only allow users to view their own organised events unless admin
+    if (req.user.id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view these events' });
+    }
+    
+    const upcoming = req.query.upcoming === 'true';
+    const past = req.query.past === 'true';
+    
+    if (upcoming && past) {
+      return res.status(400).json({ message: 'upcoming and past cannot both be set' });
+    }
+    
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const events = await User.getOrganizedEvents(userId, {
+      when: upcoming ? 'upcoming' : past ? 'past' : undefined
+    });
+    
+    res.json(events);
+  } catch (error) {
+    console.error('Get organized events error:', error);
+    res.status(500).json({ message: 'Failed to fetch organized events' });
+  }
+};
+
 // Also provide a default export for backward compatibility
 export default {
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
-  getUserEvents
+  getUserEvents,
+  getUserOrganizedEvents
 };
\ No newline at end of file
@@ -49,23 +49,23 @@ export default {
    */
   getClient: async () => {
     const client = await pool.connect();
-    const originalQuery = client.query.bind(client);
     
-    // Wrap query method to add logging
-    client.query = async (text, params) => {
+    // Wrap query method to add logging. The pooled client itself is left
+    // alone: pool.query() calls it with a callback once it's released.
+    const query = async (text, params) => {
       logger.debug('Executing transaction query', { query: text, params });
-      return originalQuery(text, params);
+      return client.query(text, params);
     };
     
     return {
-      query: client.query,
+      query,
       release: () => {
         logger.debug('Releasing client back to pool');
         client.release();
       },
-      begin: () => client.query('BEGIN'),
-      commit: () => client.query('COMMIT'),
-      rollback: () => client.query('ROLLBACK')
+      begin: () => query('BEGIN'),
+      commit: () => query('COMMIT'),
+      rollback: () => query('ROLLBACK')
     };
   },
   
@@ -5,6 +5,9 @@ export default [
       start_time: new Date('2023-12-15 09:00:00'),
       end_time: new Date('2023-12-15 12:00:00'),
       location: 'Central Park',
+      venue_address: 'Central Park, New York, NY 10024',
+      latitude: 40.7829,
+      longitude: -73.9654,
       category: 'Environment',
       capacity: 50,
       organiser_email: 'staff@example.com'
@@ -15,6 +18,10 @@ export default [
       start_time: new Date('2023-12-20 14:00:00'),
       end_time: new Date('2023-12-20 16:00:00'),
       location: 'Community Center',
+      venue_name: 'Hudson Guild Community Center',
+      venue_address: '441 W 26th St, New York, NY 10001',
+      latitude: 40.7491,
+      longitude: -74.0023,
       category: 'Education',
       capacity: 30,
       organiser_email: 'staff@example.com'
@@ -25,8 +32,22 @@ export default [
       start_time: new Date('2023-12-25 08:00:00'),
       end_time: new Date('2023-12-25 11:00:00'),
       location: 'Downtown',
+      venue_address: 'Battery Park, New York, NY 10004',
+      latitude: 40.7033,
+      longitude: -74.0170,
       category: 'Charity',
       capacity: 100,
       organiser_email: 'staff@example.com'
+    },
+    {
+      title: 'Weekly Coding Meetup',
+      description: 'Bring your laptop and hack on community projects together.',
+      start_time: new Date('2023-12-07 18:00:00'),
+      end_time: new Date('2023-12-07 20:00:00'),
+      location: 'Community Center',
+      category: 'Education',
+      capacity: 20,
+      recurrence_rule: 'FREQ=WEEKLY;BYDAY=TH;COUNT=12',
+      organiser_email: 'staff@example.com'
     }
   ];
\ No newline at end of file
@@ -0,0 +1,137 @@
+// src/db/migrateUploads.js
+//
+// Copy the uploads kept on local disk into another storage (by default the
+// one selected by STORAGE_TYPE) and point the database at the copies.
+//
+//   npm run storage:migrate -- [--to=s3] [--dry-run] [--delete-local]
+//
+// Files keep their keys, so the copies can be checked against the originals.
+// Recorded images are moved with their variants and their rows updated;
+// files without a record (e.g. uploaded before images were recorded) are
+// copied too, and event images and profile photos pointing at any moved
+// file are repointed. Files already in the target are skipped, so the
+// command can be run again after a failure.
+import path from 'path';
+import Image from '../models/imageModel.js';
+import { getStorage, isPrivateKey } from '../utils/storage.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Content types of the files stored without a record
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+const parseArgs = (args) => ({
+  to: (args.find(arg => arg.startsWith('--to=')) || '').slice('--to='.length) || config.storage.type,
+  dryRun: args.includes('--dry-run'),
+  deleteLocal: args.includes('--delete-local')
+});
+
+async function migrateUploads({ to, dryRun, deleteLocal }) {
+  if (to === 'local') {
+    throw new Error('Pick a target other than local storage, e.g. --to=s3 or STORAGE_TYPE=s3');
+  }
+
+  const source = getStorage('local');
+  const target = getStorage(to);
+  const existing = new Set(await target.list(''));
+  const stats = { images: 0, files: 0, skipped: 0, failed: 0 };
+
+  logger.info(`${dryRun ? '[dry run] ' : ''}Migrating local uploads to ${to}`);
+
+  // Copy one file, unless the target already has it
+  const copy = async (key, contentType) => {
+    if (existing.has(key)) {
+      stats.skipped++;
+      return;
+    }
+
+    if (!dryRun) {
+      await target.put(key, await source.get(key), { contentType });
+    }
+
+    existing.add(key);
+    stats.files++;
+    logger.info(`${dryRun ? '[dry run] ' : ''}Copied ${key}`);
+  };
+
+  const copied = new Set();
+
+  for (const image of await Image.findByStorage('local')) {
+    const variants = await Image.getVariants(image.id);
+
+    try {
+      await copy(image.storage_key, image.mime_type);
+      for (const variant of variants) {
+        await copy(variant.storage_key, variant.mime_type);
+      }
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Failed to copy image ${image.id}: ${error.message}`);
+      continue;
+    }
+
+    [image.storage_key, ...variants.map(variant => variant.storage_key)].forEach(key => copied.add(key));
+    stats.images++;
+
+    if (dryRun) continue;
+
+    // Files under private keys (private or not yet approved images) have no public URL
+    const publicUrl = (key) => isPrivateKey(key) ? null : target.publicUrl(key);
+    const previousUrl = image.url_path;
+
+    await Image.moveToStorage(image.id, to, {
+      urlPath: publicUrl(image.storage_key),
+      variants: variants.map(variant => ({ id: variant.id, urlPath: publicUrl(variant.storage_key) }))
+    });
+
+    if (previousUrl) {
+      await Image.replaceUrl(previousUrl, publicUrl(image.storage_key));
+    }
+  }
+
+  // Files without a record
+  for (const key of await source.list('')) {
+    if (copied.has(key)) continue;
+
+    try {
+      await copy(key, CONTENT_TYPES[path.extname(key).toLowerCase()]);
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Failed to copy ${key}: ${error.message}`);
+      continue;
+    }
+
+    copied.add(key);
+
+    if (!dryRun) {
+      await Image.replaceUrl(source.publicUrl(key), target.publicUrl(key));
+    }
+  }
+
+  if (deleteLocal && !dryRun) {
+    for (const key of copied) {
+      await source.delete(key);
+    }
+  }
+
+  logger.info(
+    `${dryRun ? '[dry run] ' : ''}Migrated ${stats.images} images: ${stats.files} files copied, ` +
+    `${stats.skipped} already in ${to}, ${stats.failed} failed`
+  );
+
+  return stats;
+}
+
+migrateUploads(parseArgs(process.argv.slice(2)))
+  .then(stats => process.exit(stats.failed > 0 ? 1 : 0))
+  .catch(error => {
+    logger.error(`Upload migration failed: ${error.message}`);
+    process.exit(1);
+  });
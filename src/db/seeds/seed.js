@@ -79,24 +79,52 @@ const seed = async ({ userData, eventData, attendeeData }) => {
     await db.query('BEGIN');
 
     // Drop existing tables if they exist
+    await db.query(`DROP TABLE IF EXISTS upload_cleanup_runs;`);
+    await db.query(`DROP TABLE IF EXISTS two_factor_required_roles;`);
+    await db.query(`DROP TABLE IF EXISTS two_factor_challenges;`);
+    await db.query(`DROP TABLE IF EXISTS two_factor_recovery_codes;`);
+    await db.query(`DROP TABLE IF EXISTS email_verification_tokens;`);
+    await db.query(`DROP TABLE IF EXISTS password_reset_tokens;`);
+    await db.query(`DROP TABLE IF EXISTS refresh_tokens;`);
+    await db.query(`DROP TABLE IF EXISTS sessions;`);
+    await db.query(`DROP TABLE IF EXISTS reminder_preferences;`);
+    await db.query(`DROP TABLE IF EXISTS saved_search_notifications;`);
+    await db.query(`DROP TABLE IF EXISTS saved_searches;`);
+    await db.query(`DROP TABLE IF EXISTS event_waitlist;`);
+    await db.query(`DROP TABLE IF EXISTS event_occurrence_overrides;`);
     await db.query(`DROP TABLE IF EXISTS event_attendees;`);
-    await db.query(`DROP TABLE IF EXISTS events;`);
+    await db.query(`DROP TABLE IF EXISTS payments;`);
+    await db.query(`DROP TABLE IF EXISTS ticket_types;`);
+    await db.query(`DROP TABLE IF EXISTS image_variants;`);
     await db.query(`DROP TABLE IF EXISTS images;`);
+    await db.query(`DROP TABLE IF EXISTS events;`);
     await db.query(`DROP TABLE IF EXISTS users;`);
 
     console.log('Dropped existing tables');
 
+    // Trigram matching backs the typo-tolerant fallback of event search
+    await db.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+
     // Create tables
     await db.query(`
       CREATE TABLE users (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         firebase_uid VARCHAR(255) UNIQUE,
         email VARCHAR(255) NOT NULL UNIQUE,
+        -- Cleared when the email changes, until the new address is verified
+        email_verified_at TIMESTAMP,
         password VARCHAR(255),
         display_name VARCHAR(255) NOT NULL,
         role VARCHAR(50) NOT NULL DEFAULT 'user',
         photo_url TEXT,
         bio TEXT,
+        calendar_token_hash VARCHAR(64) UNIQUE,
+        -- TOTP two-factor: the secret is encrypted, and only in use once
+        -- totp_enabled_at is set; totp_last_step is the time step of the last
+        -- code accepted, so a code can't be used twice
+        totp_secret TEXT,
+        totp_enabled_at TIMESTAMP,
+        totp_last_step BIGINT,
         last_login TIMESTAMP,
         created_at TIMESTAMP NOT NULL DEFAULT NOW(),
         updated_at TIMESTAMP NOT NULL DEFAULT NOW()
@@ -111,17 +139,29 @@ const seed = async ({ userData, eventData, attendeeData }) => {
         start_time TIMESTAMP NOT NULL,
         end_time TIMESTAMP NOT NULL,
         location VARCHAR(255) NOT NULL,
+        venue_name VARCHAR(255),
+        venue_address TEXT,
+        latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+        longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
         category VARCHAR(100) DEFAULT 'General',
         image_url TEXT,
         capacity INTEGER DEFAULT 0,
+        attendee_count INTEGER NOT NULL DEFAULT 0,
         is_published BOOLEAN DEFAULT TRUE,
+        published_at TIMESTAMP,
         is_cancelled BOOLEAN DEFAULT FALSE,
+        recurrence_rule TEXT,
         organiser_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
         created_at TIMESTAMP NOT NULL DEFAULT NOW(),
         updated_at TIMESTAMP NOT NULL DEFAULT NOW()
       );
     `);
 
+    // Uploaded files live in the storage driver they were written to, under
+    // storage_key. They stay under private keys, without a public url_path,
+    // until moderation approves them (and for good if they are private).
+    // Images of an event form its gallery, ordered by position; the cover's
+    // URL is also kept as the event's image_url.
     await db.query(`
       CREATE TABLE images (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -129,22 +169,296 @@ const seed = async ({ userData, eventData, attendeeData }) => {
         original_name VARCHAR(255) NOT NULL,
         mime_type VARCHAR(100) NOT NULL,
         size INTEGER NOT NULL,
-        path TEXT NOT NULL,
-        url_path TEXT NOT NULL,
+        storage VARCHAR(20) NOT NULL DEFAULT 'local',
+        storage_key TEXT NOT NULL,
+        url_path TEXT,
+        is_private BOOLEAN NOT NULL DEFAULT FALSE,
         type VARCHAR(50) NOT NULL,
         width INTEGER,
         height INTEGER,
+        uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        caption TEXT,
+        alt_text TEXT,
+        is_cover BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'ready', 'failed')),
+        processed_at TIMESTAMP,
+        moderation_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (moderation_status IN ('pending', 'quarantined', 'approved', 'rejected')),
+        moderation_reason TEXT,
+        moderation_labels JSONB,
+        moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        moderated_at TIMESTAMP,
         created_at TIMESTAMP NOT NULL DEFAULT NOW(),
         updated_at TIMESTAMP NOT NULL DEFAULT NOW()
       );
     `);
 
+    // Resized copies of an image, one per width and format, made by the image
+    // worker and kept in the same storage as the image
+    await db.query(`
+      CREATE TABLE image_variants (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        format VARCHAR(10) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        storage_key TEXT NOT NULL,
+        url_path TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (image_id, width, format)
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE event_occurrence_overrides (
+        event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+        occurrence_start TIMESTAMP NOT NULL,
+        start_time TIMESTAMP,
+        end_time TIMESTAMP,
+        title VARCHAR(255),
+        location VARCHAR(255),
+        is_cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (event_id, occurrence_start)
+      );
+    `);
+
+    // A quota of 0 means the ticket type is only limited by the event capacity
+    await db.query(`
+      CREATE TABLE ticket_types (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        quota INTEGER NOT NULL DEFAULT 0 CHECK (quota >= 0),
+        price NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (price >= 0),
+        currency CHAR(3) NOT NULL DEFAULT 'USD',
+        sales_start TIMESTAMP,
+        sales_end TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (event_id, name),
+        CHECK (sales_start IS NULL OR sales_end IS NULL OR sales_start < sales_end)
+      );
+    `);
+
+    // Payments outlive their event so refunds and accounting stay traceable
+    await db.query(`
+      CREATE TABLE payments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        occurrence_start TIMESTAMP,
+        ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE SET NULL,
+        provider VARCHAR(50) NOT NULL,
+        provider_session_id VARCHAR(255) UNIQUE,
+        provider_payment_id VARCHAR(255),
+        provider_refund_id VARCHAR(255),
+        checkout_url TEXT,
+        amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+        currency CHAR(3) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'succeeded', 'failed', 'expired', 'cancelled', 'refunded')),
+        expires_at TIMESTAMP NOT NULL,
+        paid_at TIMESTAMP,
+        refunded_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // occurrence_start is NULL for one-off events and set for occurrences of recurring ones.
+    // Paid registrations hold their seat as 'pending_payment' until hold_expires_at.
+    // checked_in_device is set for check-ins recorded offline and synced later.
     await db.query(`
       CREATE TABLE event_attendees (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         event_id UUID REFERENCES events(id) ON DELETE CASCADE,
         user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-        registered_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        PRIMARY KEY (event_id, user_id)
+        occurrence_start TIMESTAMP,
+        ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE RESTRICT,
+        status VARCHAR(20) NOT NULL DEFAULT 'confirmed'
+          CHECK (status IN ('pending_payment', 'confirmed')),
+        payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+        hold_expires_at TIMESTAMP,
+        checked_in_at TIMESTAMP,
+        checked_in_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        checked_in_device VARCHAR(100),
+        registered_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE event_waitlist (
+        event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        occurrence_start TIMESTAMP,
+        ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE CASCADE,
+        joined_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Filter sets saved by users, in the query parameters of GET /api/events
+    await db.query(`
+      CREATE TABLE saved_searches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        filters JSONB NOT NULL,
+        language VARCHAR(10) NOT NULL DEFAULT 'en',
+        notify VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (notify IN ('none', 'instant', 'daily')),
+        last_notified_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Events a saved search has already emailed about, so none is sent twice
+    await db.query(`
+      CREATE TABLE saved_search_notifications (
+        saved_search_id UUID REFERENCES saved_searches(id) ON DELETE CASCADE,
+        event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+        notified_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (saved_search_id, event_id)
+      );
+    `);
+
+    // How long before their events (in minutes) and through which channels
+    // users are reminded. Users without a row get config.reminders' defaults.
+    await db.query(`
+      CREATE TABLE reminder_preferences (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        offsets INTEGER[] NOT NULL,
+        channels VARCHAR(20)[] NOT NULL,
+        language VARCHAR(10) NOT NULL DEFAULT 'en',
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // A session is one sign-in and the family of refresh tokens rotated from
+    // it. Revoking it (logout, or an already-used refresh token coming back)
+    // ends every token of the family, and its access tokens are refused.
+    // ip_address and last_seen_at follow the session's latest request.
+    // two_factor_verified_at is set when the sign-in passed the user's 2FA.
+    await db.query(`
+      CREATE TABLE sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        device VARCHAR(100) NOT NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        two_factor_verified_at TIMESTAMP,
+        last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(50),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Refresh tokens are opaque and only stored hashed. Each is used once:
+    // refreshing marks it used and issues the next token of the session.
+    await db.query(`
+      CREATE TABLE refresh_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Password reset tokens are random, single-use and only stored hashed.
+    // A user has at most one at a time: asking again replaces it, and
+    // changing the password removes it.
+    await db.query(`
+      CREATE TABLE password_reset_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Email verification tokens work like password reset tokens, for the
+    // address they were sent to: a link sent before the email changed can't
+    // verify the new one.
+    await db.query(`
+      CREATE TABLE email_verification_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // One-time recovery codes for users who lost their authenticator, only
+    // stored hashed. Enabling 2FA or asking for new codes replaces them all.
+    await db.query(`
+      CREATE TABLE two_factor_recovery_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Logins waiting for their second factor. The challenge token proves the
+    // password was right; attempts counts wrong codes, so they can't be guessed.
+    await db.query(`
+      CREATE TABLE two_factor_challenges (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Roles whose users must use 2FA, as set by admins
+    await db.query(`
+      CREATE TABLE two_factor_required_roles (
+        role VARCHAR(50) PRIMARY KEY CHECK (role IN ('admin', 'staff')),
+        required_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Runs of the orphaned upload cleanup, scheduled or started by an admin.
+    // The counts are what was found (and, unless dry_run, deleted); report
+    // lists the orphans themselves.
+    await db.query(`
+      CREATE TABLE upload_cleanup_runs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        source VARCHAR(20) NOT NULL CHECK (source IN ('schedule', 'manual')),
+        requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        dry_run BOOLEAN NOT NULL,
+        grace_period_hours INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+        files_scanned INTEGER NOT NULL DEFAULT 0,
+        orphaned_files INTEGER NOT NULL DEFAULT 0,
+        orphaned_images INTEGER NOT NULL DEFAULT 0,
+        orphaned_bytes BIGINT NOT NULL DEFAULT 0,
+        deleted_files INTEGER NOT NULL DEFAULT 0,
+        deleted_images INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        report JSONB,
+        error TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP
       );
     `);
 
@@ -161,15 +475,75 @@ const seed = async ({ userData, eventData, attendeeData }) => {
       $$ LANGUAGE plpgsql;
     `);
 
+    // Weighted search document of an event: title (A), category (B),
+    // description (C) and location (D). The events search indexes are built
+    // on this function, so queries must call it with the same arguments.
+    await db.query(`
+      CREATE OR REPLACE FUNCTION event_search_vector(
+        config REGCONFIG, title TEXT, category TEXT, description TEXT,
+        location TEXT, venue_name TEXT, venue_address TEXT
+      )
+      RETURNS TSVECTOR AS $$
+        SELECT setweight(to_tsvector(config, coalesce(title, '')), 'A') ||
+               setweight(to_tsvector(config, coalesce(category, '')), 'B') ||
+               setweight(to_tsvector(config, coalesce(description, '')), 'C') ||
+               setweight(to_tsvector(config, coalesce(location, '') || ' ' ||
+                 coalesce(venue_name, '') || ' ' || coalesce(venue_address, '')), 'D');
+      $$ LANGUAGE sql IMMUTABLE;
+    `);
+
     await db.query(`
       CREATE TRIGGER update_users_timestamp
       BEFORE UPDATE ON users
       FOR EACH ROW EXECUTE FUNCTION update_timestamp();
     `);
 
+    // Registration counts are bookkeeping, not edits of the event
     await db.query(`
       CREATE TRIGGER update_events_timestamp
       BEFORE UPDATE ON events
+      FOR EACH ROW
+      WHEN (OLD.attendee_count IS NOT DISTINCT FROM NEW.attendee_count)
+      EXECUTE FUNCTION update_timestamp();
+    `);
+
+    // events.attendee_count mirrors the number of event_attendees rows, so
+    // listings can sort by popularity or remaining capacity without counting
+    await db.query(`
+      CREATE OR REPLACE FUNCTION update_event_attendee_count()
+      RETURNS TRIGGER AS $$
+      BEGIN
+          IF TG_OP = 'INSERT' THEN
+              UPDATE events SET attendee_count = attendee_count + 1 WHERE id = NEW.event_id;
+          ELSIF TG_OP = 'DELETE' THEN
+              UPDATE events SET attendee_count = attendee_count - 1 WHERE id = OLD.event_id;
+          END IF;
+          RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await db.query(`
+      CREATE TRIGGER update_event_attendee_count
+      AFTER INSERT OR DELETE ON event_attendees
+      FOR EACH ROW EXECUTE FUNCTION update_event_attendee_count();
+    `);
+
+    await db.query(`
+      CREATE TRIGGER update_event_occurrence_overrides_timestamp
+      BEFORE UPDATE ON event_occurrence_overrides
+      FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+    `);
+
+    await db.query(`
+      CREATE TRIGGER update_ticket_types_timestamp
+      BEFORE UPDATE ON ticket_types
+      FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+    `);
+
+    await db.query(`
+      CREATE TRIGGER update_payments_timestamp
+      BEFORE UPDATE ON payments
       FOR EACH ROW EXECUTE FUNCTION update_timestamp();
     `);
 
@@ -178,14 +552,70 @@ const seed = async ({ userData, eventData, attendeeData }) => {
       BEFORE UPDATE ON images
       FOR EACH ROW EXECUTE FUNCTION update_timestamp();
     `);
+
+    await db.query(`
+      CREATE TRIGGER update_saved_searches_timestamp
+      BEFORE UPDATE ON saved_searches
+      FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+    `);
+
+    await db.query(`
+      CREATE TRIGGER update_reminder_preferences_timestamp
+      BEFORE UPDATE ON reminder_preferences
+      FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+    `);
     
     console.log('Created triggers for timestamp updates');
 
     // Create indexes for performance
     await db.query(`CREATE INDEX idx_events_organiser ON events(organiser_id);`);
     await db.query(`CREATE INDEX idx_events_category ON events(category);`);
-    await db.query(`CREATE INDEX idx_events_start_time ON events(start_time);`);
+    await db.query(`CREATE INDEX idx_events_start_time ON events(start_time, id);`);
+    await db.query(`CREATE INDEX idx_events_created_at ON events(created_at, id);`);
+    await db.query(`CREATE INDEX idx_events_popularity ON events(attendee_count, id);`);
+    await db.query(`CREATE INDEX idx_events_coordinates ON events(latitude, longitude);`);
+    await db.query(`
+      CREATE INDEX idx_events_search_en ON events USING GIN (
+        event_search_vector('english', title, category, description, location, venue_name, venue_address)
+      );
+    `);
+    await db.query(`
+      CREATE INDEX idx_events_search_es ON events USING GIN (
+        event_search_vector('spanish', title, category, description, location, venue_name, venue_address)
+      );
+    `);
     await db.query(`CREATE INDEX idx_event_attendees_user ON event_attendees(user_id);`);
+    await db.query(`CREATE INDEX idx_event_attendees_registered ON event_attendees(event_id, registered_at, id);`);
+    await db.query(`CREATE INDEX idx_users_created_at ON users(created_at, id);`);
+    await db.query(`CREATE INDEX idx_event_attendees_ticket_type ON event_attendees(ticket_type_id);`);
+    await db.query(`CREATE INDEX idx_ticket_types_event ON ticket_types(event_id);`);
+    await db.query(`CREATE INDEX idx_payments_event_status ON payments(event_id, status);`);
+    await db.query(`CREATE INDEX idx_payments_user ON payments(user_id);`);
+    await db.query(`CREATE INDEX idx_event_waitlist_order ON event_waitlist(event_id, occurrence_start, joined_at);`);
+    await db.query(`CREATE INDEX idx_events_published_at ON events(published_at);`);
+    await db.query(`CREATE INDEX idx_saved_searches_user ON saved_searches(user_id, created_at);`);
+    await db.query(`CREATE INDEX idx_saved_searches_notify ON saved_searches(notify);`);
+    await db.query(`CREATE INDEX idx_images_url_path ON images(url_path);`);
+    await db.query(`CREATE INDEX idx_images_event ON images(event_id, position);`);
+    await db.query(`CREATE UNIQUE INDEX idx_images_event_cover ON images(event_id) WHERE is_cover;`);
+    await db.query(`CREATE INDEX idx_images_moderation ON images(moderation_status, created_at);`);
+    await db.query(`CREATE INDEX idx_upload_cleanup_runs_created_at ON upload_cleanup_runs(created_at);`);
+    await db.query(`CREATE INDEX idx_sessions_user ON sessions(user_id, created_at);`);
+    await db.query(`CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);`);
+    await db.query(`CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id);`);
+    await db.query(`CREATE INDEX idx_email_verification_tokens_user ON email_verification_tokens(user_id);`);
+    await db.query(`CREATE INDEX idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);`);
+    await db.query(`CREATE INDEX idx_two_factor_challenges_user ON two_factor_challenges(user_id);`);
+
+    // One registration and one waitlist entry per user per occurrence
+    await db.query(`
+      CREATE UNIQUE INDEX idx_event_attendees_unique
+      ON event_attendees(event_id, user_id, COALESCE(occurrence_start, 'epoch'::timestamp));
+    `);
+    await db.query(`
+      CREATE UNIQUE INDEX idx_event_waitlist_unique
+      ON event_waitlist(event_id, user_id, COALESCE(occurrence_start, 'epoch'::timestamp));
+    `);
 
     console.log('Created indexes for performance optimization');
 
@@ -201,10 +631,10 @@ const seed = async ({ userData, eventData, attendeeData }) => {
 
     console.log('Hashed user passwords');
 
-    // Insert users
+    // Insert users (seeded accounts start with their email verified)
     const insertUsersQueryStr = format(
       `INSERT INTO users 
-       (email, password, display_name, role, photo_url, bio) 
+       (email, password, display_name, role, photo_url, bio, email_verified_at) 
        VALUES %L RETURNING id, email;`,
       hashedUserData.map(({ email, password, display_name, role, photo_url, bio }) => [
         email,
@@ -212,7 +642,8 @@ const seed = async ({ userData, eventData, attendeeData }) => {
         display_name,
         role || 'user',
         photo_url || null,
-        bio || null
+        bio || null,
+        new Date()
       ])
     );
 
@@ -231,7 +662,7 @@ const seed = async ({ userData, eventData, attendeeData }) => {
     if (eventData && eventData.length > 0) {
       const insertEventsQueryStr = format(
         `INSERT INTO events 
-         (title, description, start_time, end_time, location, category, image_url, capacity, is_published, organiser_id) 
+         (title, description, start_time, end_time, location, venue_name, venue_address, latitude, longitude, category, image_url, capacity, is_published, published_at, recurrence_rule, organiser_id) 
          VALUES %L RETURNING id, title;`,
         eventData.map(({ 
           title, 
@@ -239,10 +670,15 @@ const seed = async ({ userData, eventData, attendeeData }) => {
           start_time, 
           end_time, 
           location, 
+          venue_name,
+          venue_address,
+          latitude,
+          longitude,
           category, 
           image_url, 
           capacity, 
           is_published, 
+          recurrence_rule,
           organiser_email 
         }) => [
           title,
@@ -250,10 +686,16 @@ const seed = async ({ userData, eventData, attendeeData }) => {
           start_time,
           end_time,
           location,
+          venue_name || null,
+          venue_address || null,
+          latitude ?? null,
+          longitude ?? null,
           category || 'General',
           image_url || null,
           capacity || 0,
           is_published !== undefined ? is_published : true,
+          is_published !== false ? new Date() : null,
+          recurrence_rule || null,
           userIdLookup[organiser_email] // Use the lookup to get the organiser ID
         ])
       );
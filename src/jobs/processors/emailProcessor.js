@@ -0,0 +1,39 @@
+import config from '../../config/index.js';
+import { renderEmail } from '../../utils/emailTemplates.js';
+import { sendMail } from '../../utils/mailer.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Render and send a queued email. Templated emails are rendered in
+ * data.language (English by default); emails without a template are sent
+ * with the subject, html and text they were queued with.
+ * @param {Job} job - Bull job with data { to, subject, template, context, language } or { to, subject, html, text }
+ * @returns {Promise<Object>} Delivery outcome
+ */
+export const processEmail = async (job) => {
+  const { to, template, context, language } = job.data;
+
+  let message = { subject: job.data.subject, html: job.data.html, text: job.data.text };
+
+  if (template) {
+    message = await renderEmail(template, context, language);
+
+    // Retrying can't make an unknown template render
+    if (!message) {
+      await job.discard();
+      throw new Error(`Unknown email template: ${template}`);
+    }
+  }
+
+  if (!config.email.enabled) {
+    logger.info(`Email delivery disabled, dropped "${message.subject}" to ${to}`);
+    return { delivered: false };
+  }
+
+  const result = await sendMail({ to, subject: message.subject, html: message.html, text: message.text });
+  logger.info(`Sent ${template || 'email'} to ${to} (${result.messageId})`);
+
+  return { delivered: true, ...result };
+};
+
+export default processEmail;
@@ -0,0 +1,104 @@
+import Reminder from '../../models/reminderModel.js';
+import { queueEmail } from '../queue.js';
+import { isCurrentOccurrence } from '../reminders.js';
+import { renderEmail } from '../../utils/emailTemplates.js';
+import { isPushEnabled, sendPush } from '../../utils/pushNotifications.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+// Why a reminder should no longer go out, or null if it should. Jobs are only
+// removed on a best effort basis, so everything is checked again here.
+const skipReason = (target, { offset, startTime }) => {
+  if (!target) return 'registration no longer exists';
+  if (target.status !== 'confirmed') return 'registration is not confirmed';
+  if (target.is_cancelled) return 'event is cancelled';
+  if (!isCurrentOccurrence(target)) return 'occurrence no longer exists';
+
+  // A moved event has had new reminders scheduled for its new start
+  if (new Date(target.start_time).getTime() !== new Date(startTime).getTime()) return 'event was rescheduled';
+  if (new Date(target.start_time) <= new Date()) return 'event already started';
+  if (!target.offsets.includes(offset)) return 'offset is no longer selected';
+  if (target.channels.length === 0) return 'no reminder channels selected';
+
+  return null;
+};
+
+// Template data of a reminder
+const toReminderContext = (target, offset) => ({
+  userName: target.display_name,
+  offset,
+  event: {
+    id: target.event_id,
+    title: target.title,
+    location: target.location,
+    startTime: target.start_time,
+    eventUrl: `${config.baseUrl}/api/events/${target.event_id}`
+  }
+});
+
+// Senders of each reminder channel
+const CHANNELS = {
+  email: (target, context) => queueEmail({
+    to: target.email,
+    template: 'eventReminder',
+    language: target.language,
+    context
+  }),
+
+  push: async (target, context) => {
+    // Users can pick push before the server is set up for it
+    if (!isPushEnabled()) return false;
+
+    const { subject } = await renderEmail('eventReminder', context, target.language);
+
+    return sendPush(target.user_id, {
+      title: context.event.title,
+      body: subject,
+      data: { type: 'eventReminder', eventId: String(target.event_id) }
+    });
+  }
+};
+
+/**
+ * Send an event reminder through the attendee's chosen channels, after
+ * checking that the registration still stands and the event still starts
+ * when the reminder was scheduled for. Reminders that no longer apply are
+ * skipped, not failed. A channel that fails is logged; the job only fails
+ * (and is retried) when every channel did.
+ * @param {Job} job - Bull job with data { registrationId, offset, startTime }
+ * @returns {Promise<Object>} Reminder outcome
+ */
+export const processEventReminder = async (job) => {
+  const { registrationId, offset } = job.data;
+
+  const [target] = await Reminder.findTargets({ registrationId });
+  const reason = skipReason(target, job.data);
+
+  if (reason) {
+    logger.info(`Skipped reminder ${job.id}: ${reason}`);
+    return { sent: false, reason };
+  }
+
+  const context = toReminderContext(target, offset);
+  const channels = [];
+  const errors = [];
+
+  for (const channel of target.channels.filter(name => CHANNELS[name])) {
+    try {
+      if (await CHANNELS[channel](target, context) !== false) channels.push(channel);
+    } catch (error) {
+      logger.error(`Reminder ${job.id} failed on ${channel}: ${error.message}`);
+      errors.push(error);
+    }
+  }
+
+  if (channels.length === 0 && errors.length > 0) {
+    throw errors[0];
+  }
+
+  logger.info(`Sent reminder ${job.id} via ${channels.join(', ') || 'no channel'}`);
+
+  return { sent: channels.length > 0, channels };
+};
+
+export default processEventReminder;
@@ -0,0 +1,100 @@
+import Image from '../../models/imageModel.js';
+import { getModerator, MODERATION_DECISIONS } from '../../utils/imageModeration.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Ask the moderation hook about a processed image and apply its decision.
+ * Images the hook couldn't review are quarantined rather than published.
+ * @param {Object} image - Processed image
+ * @param {Object} metadata - Image metadata
+ * @returns {Promise<string>} Moderation status the image ended up in
+ */
+const moderate = async (image, metadata) => {
+  let review;
+
+  try {
+    review = await getModerator().review({ image, metadata, getUrl: () => Image.getSignedUrl(image) });
+  } catch (error) {
+    logger.error(`Moderation of image ${image.id} failed: ${error.message}`);
+    review = { decision: 'quarantine', reason: `Moderation failed: ${error.message}` };
+  }
+
+  if (!MODERATION_DECISIONS.includes(review?.decision)) {
+    review = { decision: 'quarantine', reason: `Unknown moderation decision: ${review?.decision}` };
+  }
+
+  const { decision, reason = null, labels = null } = review;
+
+  if (decision === 'approve') {
+    await Image.approve(image, { labels });
+    return 'approved';
+  }
+
+  if (decision === 'reject') {
+    await Image.reject(image, { reason, labels });
+    return 'rejected';
+  }
+
+  await Image.quarantine(image.id, { reason, labels });
+  return 'quarantined';
+};
+
+/**
+ * Process an uploaded image: read its real format and displayed dimensions,
+ * write its resized variants and store both on the image, then pass it to the
+ * moderation hook, which decides whether it is published. Files that aren't
+ * images are marked failed without retrying; other errors are retried, and
+ * the image is marked failed once the last attempt gave up.
+ * @param {Job} job - Bull job with data { imageId }
+ * @returns {Promise<Object>} Processing outcome
+ */
+export const processImage = async (job) => {
+  const { imageId } = job.data;
+
+  const image = await Image.findById(imageId);
+
+  // Deleted (or rejected by an admin) before its turn came
+  if (!image || image.moderation_status === 'rejected') {
+    return { processed: false, reason: 'image no longer exists' };
+  }
+
+  const source = await Image.readOriginal(image);
+  const metadata = await Image.getImageMetadata(source);
+
+  if (!metadata || !metadata.width || !metadata.height) {
+    await Image.markFailed(imageId);
+    await job.discard();
+    throw new Error(`Image ${imageId} is not a readable image`);
+  }
+
+  let processed;
+  let variants;
+
+  try {
+    variants = await Image.renderVariants(image, source, metadata);
+
+    processed = await Image.saveProcessed(imageId, {
+      width: metadata.width,
+      height: metadata.height,
+      mimeType: metadata.mimeType,
+      variants
+    });
+  } catch (error) {
+    if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+      await Image.markFailed(imageId);
+    }
+
+    throw error;
+  }
+
+  logger.info(`Processed image ${imageId} (${metadata.width}x${metadata.height} ${metadata.mimeType}) into ${variants.length} variants`);
+
+  // Images reprocessed after moderation keep their decision
+  const moderationStatus = processed.moderation_status === 'pending'
+    ? await moderate(processed, metadata)
+    : processed.moderation_status;
+
+  return { processed: true, width: metadata.width, height: metadata.height, variants: variants.length, moderationStatus };
+};
+
+export default processImage;
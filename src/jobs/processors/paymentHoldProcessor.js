@@ -0,0 +1,21 @@
+import Payment from '../../models/paymentModel.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Release the seat held by a checkout that was not paid in time.
+ * Payments completed before the hold ran out are left untouched.
+ * @param {Job} job - Bull job with data.paymentId
+ * @returns {Promise<Object>} Release outcome
+ */
+export const processPaymentHold = async (job) => {
+  const { paymentId } = job.data;
+  const result = await Payment.expire(paymentId);
+
+  if (result.success) {
+    logger.info(`Released expired payment hold ${paymentId}`);
+  }
+
+  return result;
+};
+
+export default processPaymentHold;
@@ -0,0 +1,132 @@
+import SavedSearch from '../../models/savedSearchModel.js';
+import Event from '../../models/eventModel.js';
+import { queueEmail } from '../queue.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+// Most events listed in one digest email
+const DIGEST_SIZE = 20;
+
+// Details of an event as listed in saved search emails
+const toEmailEvent = (event) => ({
+  id: event.id,
+  title: event.title,
+  category: event.category,
+  location: event.venue_name || event.location,
+  startTime: event.start_time,
+  eventDate: new Date(event.start_time).toLocaleDateString(),
+  eventTime: new Date(event.start_time).toLocaleTimeString(),
+  organiserName: event.organiser_name,
+  eventUrl: `${config.baseUrl}/api/events/${event.id}`
+});
+
+// Email everyone with instant notifications whose saved search matches a
+// newly published event. Matches are recorded before the email is queued,
+// so a retried job never emails the same search about the same event twice.
+const notifyMatches = async (eventId) => {
+  const savedSearches = await SavedSearch.findByNotify('instant');
+  let notified = 0;
+
+  for (const savedSearch of savedSearches) {
+    const [event] = await Event.findMatching(SavedSearch.toListingFilters(savedSearch), {
+      eventIds: [eventId],
+      excludeOrganiserId: savedSearch.user_id,
+      limit: 1
+    });
+
+    if (!event) continue;
+
+    const recorded = await SavedSearch.recordNotifications(savedSearch.id, [event.id]);
+    if (recorded.length === 0) continue;
+
+    await queueEmail({
+      to: savedSearch.email,
+      subject: `New event matching "${savedSearch.name}": ${event.title}`,
+      template: 'savedSearchMatch',
+      language: savedSearch.language,
+      context: {
+        userName: savedSearch.display_name,
+        searchName: savedSearch.name,
+        event: toEmailEvent(event)
+      }
+    });
+
+    notified++;
+  }
+
+  return { eventId, notified };
+};
+
+// Send one saved search its digest of the events published since the last one
+const sendDigest = async (savedSearch, runAt) => {
+  const events = await Event.findMatching(SavedSearch.toListingFilters(savedSearch), {
+    publishedAfter: savedSearch.last_notified_at || savedSearch.created_at,
+    publishedUntil: runAt,
+    excludeOrganiserId: savedSearch.user_id,
+    limit: DIGEST_SIZE + 1
+  });
+
+  const listed = events.slice(0, DIGEST_SIZE);
+  const fresh = new Set(await SavedSearch.recordNotifications(savedSearch.id, listed.map(event => event.id)));
+
+  if (fresh.size > 0) {
+    await queueEmail({
+      to: savedSearch.email,
+      subject: `${fresh.size} new event${fresh.size === 1 ? '' : 's'} matching "${savedSearch.name}"`,
+      template: 'savedSearchDigest',
+      language: savedSearch.language,
+      context: {
+        userName: savedSearch.display_name,
+        searchName: savedSearch.name,
+        events: listed.filter(event => fresh.has(event.id)).map(toEmailEvent),
+        hasMore: events.length > DIGEST_SIZE
+      }
+    });
+  }
+
+  await SavedSearch.markNotified(savedSearch.id, runAt);
+
+  return fresh.size > 0;
+};
+
+// Send the daily digests. A failing search is logged and retried on the
+// next run, since its digest window only moves once it went out.
+const sendDigests = async () => {
+  const runAt = new Date();
+  const savedSearches = await SavedSearch.findByNotify('daily');
+  let sent = 0;
+
+  for (const savedSearch of savedSearches) {
+    try {
+      if (await sendDigest(savedSearch, runAt)) sent++;
+    } catch (error) {
+      logger.error(`Saved search digest ${savedSearch.id} failed: ${error.message}`);
+    }
+  }
+
+  logger.info(`Sent ${sent} saved search digests for ${savedSearches.length} searches`);
+
+  return { searches: savedSearches.length, sent };
+};
+
+/**
+ * Process a saved search job: either match a newly published event against
+ * searches with instant notifications, or send the daily digests.
+ * @param {Job} job - Bull job with data.type ('match' with data.eventId, or 'digest')
+ * @returns {Promise<Object>} Notification outcome
+ */
+export const processSavedSearch = async (job) => {
+  const { type, eventId } = job.data;
+
+  if (type === 'digest') {
+    return sendDigests();
+  }
+
+  if (type === 'match') {
+    return notifyMatches(eventId);
+  }
+
+  throw new Error(`Unknown saved search job type: ${type}`);
+};
+
+export default processSavedSearch;
@@ -0,0 +1,133 @@
+import Image from '../../models/imageModel.js';
+import UploadCleanup from '../../models/uploadCleanupModel.js';
+import { getStorage } from '../../utils/storage.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+// Most orphans of each kind listed in a run's report (the counts cover all)
+const MAX_REPORT_ITEMS = 1000;
+
+// Delete (or, in a dry run, only list) the image records nothing refers to,
+// with their files
+const collectImages = async ({ cutoff, dryRun }, stats, report) => {
+  for (const image of await Image.findOrphans(cutoff)) {
+    stats.orphanedImages++;
+    stats.orphanedBytes += Number(image.total_size);
+
+    if (report.images.length < MAX_REPORT_ITEMS) {
+      report.images.push({
+        id: image.id,
+        type: image.type,
+        storage: image.storage,
+        key: image.storage_key,
+        size: Number(image.total_size),
+        createdAt: image.created_at
+      });
+    }
+
+    if (dryRun) continue;
+
+    try {
+      await Image.delete(image.id);
+      await Image.deleteFiles(image);
+      stats.deletedImages++;
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Failed to delete orphaned image ${image.id}: ${error.message}`);
+    }
+  }
+};
+
+// Delete (or, in a dry run, only list) the stored files that have no image
+// record and aren't an event's image or a user's photo
+const collectFiles = async ({ cutoff, dryRun }, stats, report) => {
+  const storage = getStorage();
+
+  // Listed before the records are read, so a file saved meanwhile is either
+  // recorded by then or too recent to be collected
+  const keys = await storage.list('');
+  const recorded = await Image.getStorageKeys(storage.name);
+  const referenced = await Image.getReferencedUrls();
+
+  for (const key of keys) {
+    stats.filesScanned++;
+
+    if (recorded.has(key) || referenced.has(storage.publicUrl(key))) continue;
+
+    try {
+      const { size, lastModified } = await storage.stat(key);
+
+      if (lastModified >= cutoff) continue;
+
+      stats.orphanedFiles++;
+      stats.orphanedBytes += size;
+
+      if (report.files.length < MAX_REPORT_ITEMS) {
+        report.files.push({ storage: storage.name, key, size, lastModified });
+      }
+
+      if (dryRun) continue;
+
+      await storage.delete(key);
+      stats.deletedFiles++;
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Failed to collect orphaned file ${key}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Process an upload cleanup job: find the image records and stored files
+ * nothing refers to any more and that are older than the grace period, and
+ * delete them unless it's a dry run. Runs started by an admin are recorded
+ * beforehand (data.runId); scheduled ones are recorded here.
+ * @param {Job} job - Bull job with data.runId, data.dryRun and data.gracePeriodHours
+ * @returns {Promise<Object>} The finished run
+ */
+export const processUploadCleanup = async (job) => {
+  const {
+    runId,
+    dryRun = config.uploadCleanup.dryRun,
+    gracePeriodHours = config.uploadCleanup.gracePeriodHours
+  } = job.data;
+
+  const run = runId
+    ? await UploadCleanup.start(runId)
+    : await UploadCleanup.create({ source: 'schedule', dryRun, gracePeriodHours, status: 'running' });
+
+  if (!run) {
+    logger.warn(`Upload cleanup run ${runId} no longer exists`);
+    return null;
+  }
+
+  const options = { cutoff: new Date(Date.now() - gracePeriodHours * 60 * 60 * 1000), dryRun };
+  const stats = {
+    filesScanned: 0,
+    orphanedFiles: 0,
+    orphanedImages: 0,
+    orphanedBytes: 0,
+    deletedFiles: 0,
+    deletedImages: 0,
+    failed: 0
+  };
+  const report = { images: [], files: [] };
+
+  try {
+    await collectImages(options, stats, report);
+    await collectFiles(options, stats, report);
+  } catch (error) {
+    await UploadCleanup.fail(run.id, error.message);
+    throw error;
+  }
+
+  logger.info(
+    `${dryRun ? '[dry run] ' : ''}Upload cleanup ${run.id}: ${stats.orphanedImages} orphaned images and ` +
+    `${stats.orphanedFiles} orphaned files (${stats.orphanedBytes} bytes) among ${stats.filesScanned} files, ` +
+    `${stats.failed} failed`
+  );
+
+  return UploadCleanup.complete(run.id, { ...stats, report });
+};
+
+export default processUploadCleanup;
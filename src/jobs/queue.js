@@ -1,7 +1,7 @@
 import Bull from 'bull';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import config from '../../src/config/config.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
 // Get directory name in ESM
@@ -21,9 +21,12 @@ const redisConfig = config.redis.enabled ? {
 const emailQueue = new Bull('email-notifications', redisConfig);
 const eventReminderQueue = new Bull('event-reminders', redisConfig);
 const imageProcessingQueue = new Bull('image-processing', redisConfig);
+const paymentHoldQueue = new Bull('payment-holds', redisConfig);
+const savedSearchQueue = new Bull('saved-searches', redisConfig);
+const uploadCleanupQueue = new Bull('upload-cleanup', redisConfig);
 
 // Configure queues
-const queues = [emailQueue, eventReminderQueue, imageProcessingQueue];
+const queues = [emailQueue, eventReminderQueue, imageProcessingQueue, paymentHoldQueue, savedSearchQueue, uploadCleanupQueue];
 
 // Set up queue event handlers
 queues.forEach(queue => {
@@ -43,8 +46,10 @@ queues.forEach(queue => {
 });
 
 /**
- * Add a job to the email queue
- * @param {Object} data - Email data (to, subject, template, context)
+ * Add a job to the email queue.
+ * Templated emails are rendered in `language` with a translated subject;
+ * emails without a template are sent with their own subject, html and text.
+ * @param {Object} data - Email data (to, subject, template, context, language)
  * @param {Object} options - Bull job options
  * @returns {Promise<Job>} The created job
  */
@@ -62,7 +67,7 @@ export const queueEmail = async (data, options = {}) => {
 
 /**
  * Add a job to the event reminder queue
- * @param {Object} data - Reminder data (eventId, userId, reminderTime)
+ * @param {Object} data - Reminder data (registrationId, eventId, userId, offset, startTime)
  * @param {Object} options - Bull job options
  * @returns {Promise<Job>} The created job
  */
@@ -75,18 +80,21 @@ export const queueEventReminder = async (data, options = {}) => {
       delay: 5 * 60 * 1000 // 5 minutes
     },
     removeOnComplete: true,
+    // A failed job would keep its ID, and rescheduling could not add it again
+    removeOnFail: true,
     ...options
   });
 };
 
 /**
- * Add a job to the image processing queue
- * @param {Object} data - Image data (filePath, operations)
+ * Add a job that extracts an uploaded image's metadata and makes its variants
+ * @param {Object} data - Image data (imageId)
  * @param {Object} options - Bull job options
  * @returns {Promise<Job>} The created job
  */
 export const queueImageProcessing = async (data, options = {}) => {
   return imageProcessingQueue.add(data, {
+    jobId: `image-${data.imageId}`,
     attempts: 2,
     backoff: {
       type: 'fixed',
@@ -98,50 +106,121 @@ export const queueImageProcessing = async (data, options = {}) => {
 };
 
 /**
- * Schedule event reminders for an event
- * @param {Object} event - The event object
- * @param {Array} attendees - Array of attendee objects
+ * Add a job that releases a payment's seat hold once it expires
+ * @param {Object} data - Hold data (paymentId)
+ * @param {Object} options - Bull job options (delay until the hold expires)
+ * @returns {Promise<Job>} The created job
  */
-export const scheduleEventReminders = async (event, attendees) => {
-  try {
-    logger.info(`Scheduling reminders for event: ${event.id}`);
-    
-    // Calculate reminder times
-    const eventTime = new Date(event.startDate).getTime();
-    const dayBefore = eventTime - (24 * 60 * 60 * 1000); // 24 hours before
-    const hourBefore = eventTime - (60 * 60 * 1000); // 1 hour before
-    
-    // Current time
-    const now = Date.now();
-    
-    // Schedule reminders for each attendee
-    for (const attendee of attendees) {
-      // Day before reminder (if there's still time)
-      if (dayBefore > now) {
-        await queueEventReminder({
-          eventId: event.id,
-          userId: attendee.userId,
-          reminderType: 'day-before',
-          delay: dayBefore - now
-        });
-      }
-      
-      // Hour before reminder (if there's still time)
-      if (hourBefore > now) {
-        await queueEventReminder({
-          eventId: event.id,
-          userId: attendee.userId,
-          reminderType: 'hour-before',
-          delay: hourBefore - now
-        });
-      }
+export const queuePaymentHoldExpiry = async (data, options = {}) => {
+  return paymentHoldQueue.add(data, {
+    jobId: `payment-hold-${data.paymentId}`,
+    attempts: 3,
+    backoff: {
+      type: 'fixed',
+      delay: 60 * 1000 // 1 minute
+    },
+    removeOnComplete: true,
+    ...options
+  });
+};
+
+/**
+ * Add a job that matches a newly published event against the saved searches
+ * with instant notifications
+ * @param {Object} data - Event data (eventId)
+ * @param {Object} options - Bull job options
+ * @returns {Promise<Job>} The created job
+ */
+export const queueSavedSearchMatch = async (data, options = {}) => {
+  return savedSearchQueue.add({ type: 'match', ...data }, {
+    jobId: `saved-search-match-${data.eventId}`,
+    attempts: 3,
+    backoff: {
+      type: 'fixed',
+      delay: 60 * 1000 // 1 minute
+    },
+    removeOnComplete: true,
+    ...options
+  });
+};
+
+/**
+ * Schedule the daily saved search digest as a repeatable job.
+ * Safe to call on every start; a digest left over from another schedule is removed.
+ * @param {string} cron - Cron expression of the digest run
+ * @returns {Promise<Job>} The repeatable job
+ */
+export const scheduleSavedSearchDigest = async (cron = config.savedSearches.digestCron) => {
+  const repeatableJobs = await savedSearchQueue.getRepeatableJobs();
+  
+  for (const job of repeatableJobs) {
+    if (job.cron !== cron) {
+      await savedSearchQueue.removeRepeatableByKey(job.key);
+    }
+  }
+  
+  return savedSearchQueue.add({ type: 'digest' }, {
+    jobId: 'saved-search-digest',
+    repeat: { cron },
+    removeOnComplete: true
+  });
+};
+
+/**
+ * Add a job that collects orphaned uploads, for a run an admin started
+ * @param {Object} data - Run data (runId, dryRun, gracePeriodHours)
+ * @param {Object} options - Bull job options
+ * @returns {Promise<Job>} The created job
+ */
+export const queueUploadCleanup = async (data, options = {}) => {
+  return uploadCleanupQueue.add(data, {
+    jobId: `upload-cleanup-${data.runId}`,
+    removeOnComplete: true,
+    ...options
+  });
+};
+
+/**
+ * Schedule the orphaned upload cleanup as a repeatable job.
+ * Safe to call on every start; a cleanup left over from another schedule is removed.
+ * @param {string} cron - Cron expression of the cleanup run
+ * @returns {Promise<Job>} The repeatable job
+ */
+export const scheduleUploadCleanup = async (cron = config.uploadCleanup.cron) => {
+  const repeatableJobs = await uploadCleanupQueue.getRepeatableJobs();
+  
+  for (const job of repeatableJobs) {
+    if (job.cron !== cron) {
+      await uploadCleanupQueue.removeRepeatableByKey(job.key);
     }
+  }
+  
+  return uploadCleanupQueue.add({}, {
+    jobId: 'upload-cleanup',
+    repeat: { cron },
+    removeOnComplete: true
+  });
+};
+
+/**
+ * Remove reminders by job ID. Jobs already being sent are left alone; the
+ * worker checks every reminder again before sending it.
+ * @param {string[]} jobIds - Reminder job IDs
+ * @returns {Promise<number>} Number of reminders removed
+ */
+export const removeEventReminders = async (jobIds) => {
+  let removed = 0;
+  
+  for (const jobId of jobIds) {
+    const job = await eventReminderQueue.getJob(jobId);
     
-    logger.info(`Scheduled reminders for ${attendees.length} attendees of event ${event.id}`);
-  } catch (error) {
-    logger.error(`Error scheduling event reminders: ${error.message}`);
-    throw error;
+    if (job && !(await job.isActive())) {
+      await job.remove();
+      removed++;
+    }
   }
+  
+  return removed;
 };
 
 /**
@@ -163,6 +242,21 @@ export const startQueueProcessors = (processors = {}) => {
     imageProcessingQueue.process(processors.imageProcessing);
     logger.info('Image processing queue processor started');
   }
+  
+  if (processors.paymentHold) {
+    paymentHoldQueue.process(processors.paymentHold);
+    logger.info('Payment hold queue processor started');
+  }
+  
+  if (processors.savedSearch) {
+    savedSearchQueue.process(processors.savedSearch);
+    logger.info('Saved search queue processor started');
+  }
+  
+  if (processors.uploadCleanup) {
+    uploadCleanupQueue.process(processors.uploadCleanup);
+    logger.info('Upload cleanup queue processor started');
+  }
 };
 
 /**
@@ -185,14 +279,22 @@ export const closeQueues = async () => {
 export const queuesMap = {
   email: emailQueue,
   eventReminder: eventReminderQueue,
-  imageProcessing: imageProcessingQueue
+  imageProcessing: imageProcessingQueue,
+  paymentHold: paymentHoldQueue,
+  savedSearch: savedSearchQueue,
+  uploadCleanup: uploadCleanupQueue
 };
 
 export default {
   queueEmail,
   queueEventReminder,
   queueImageProcessing,
-  scheduleEventReminders,
+  queuePaymentHoldExpiry,
+  queueSavedSearchMatch,
+  scheduleSavedSearchDigest,
+  queueUploadCleanup,
+  scheduleUploadCleanup,
+  removeEventReminders,
   startQueueProcessors,
   closeQueues,
   queues: queuesMap
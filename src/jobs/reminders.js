@@ -0,0 +1,127 @@
+import Reminder from '../models/reminderModel.js';
+import { queueEventReminder, removeEventReminders } from './queue.js';
+import { isOccurrence } from '../utils/recurrence.js';
+import logger from '../utils/logger.js';
+
+// Channels reminders can be sent through
+export const REMINDER_CHANNELS = ['email', 'push'];
+
+// Shortest and longest time before an event a reminder can go out (minutes)
+export const MIN_REMINDER_OFFSET = 5;
+export const MAX_REMINDER_OFFSET = 30 * 24 * 60;
+
+// Job ID of one reminder, so rescheduling replaces it instead of adding another
+const reminderJobId = (registrationId, offset) => `reminder-${registrationId}-${offset}`;
+
+// Job IDs of every reminder the registrations' offsets schedule
+const reminderJobIds = (targets) => targets.flatMap(target =>
+  target.offsets.map(offset => reminderJobId(target.registration_id, offset)));
+
+/**
+ * Check that a registration still targets a real occurrence: changing the
+ * start of a recurring series moves its rule, which can leave registrations
+ * on starts the rule no longer produces.
+ * @param {Object} target - Row from Reminder.findTargets
+ * @returns {boolean} True if the registration's occurrence still exists
+ */
+export const isCurrentOccurrence = (target) => {
+  if (!target.recurrence_rule) return !target.occurrence_start;
+  if (!target.occurrence_start) return false;
+
+  return isOccurrence(
+    { start_time: target.series_start_time, recurrence_rule: target.recurrence_rule },
+    target.occurrence_start
+  );
+};
+
+/**
+ * (Re)schedule the reminders of the registrations matching a filter: pending
+ * reminders are removed and one job per preferred offset is queued for the
+ * event's current start. Offsets that already passed are skipped, and so are
+ * cancelled events; registrations still awaiting payment are scheduled, since
+ * the worker checks the registration again before sending.
+ * @param {Object} filter - { registrationId }, { eventId } or { userId }
+ * @returns {Promise<number>} Number of reminders queued
+ */
+export const scheduleReminders = async (filter) => {
+  const targets = await Reminder.findTargets({ ...filter, upcoming: true });
+
+  await removeEventReminders(reminderJobIds(targets));
+
+  let scheduled = 0;
+
+  for (const target of targets) {
+    if (target.is_cancelled || !isCurrentOccurrence(target)) continue;
+
+    const startTime = new Date(target.start_time);
+
+    for (const offset of target.offsets) {
+      const delay = startTime.getTime() - offset * 60 * 1000 - Date.now();
+      if (delay <= 0) continue;
+
+      await queueEventReminder({
+        registrationId: target.registration_id,
+        eventId: target.event_id,
+        userId: target.user_id,
+        offset,
+        startTime: startTime.toISOString()
+      }, {
+        jobId: reminderJobId(target.registration_id, offset),
+        delay
+      });
+
+      scheduled++;
+    }
+  }
+
+  logger.info(`Scheduled ${scheduled} reminders for ${JSON.stringify(filter)}`);
+
+  return scheduled;
+};
+
+/**
+ * Remove the pending reminders of the registrations matching a filter.
+ * A registration that was already deleted can't be looked up, so its
+ * reminders are found through its user's offsets instead, given
+ * { registrationId, userId }. Reminders of offsets the user has since
+ * deselected stay queued; the worker skips them.
+ * @param {Object} filter - { registrationId[, userId] }, { eventId } or { userId }
+ * @returns {Promise<number>} Number of reminders removed
+ */
+export const cancelReminders = async (filter) => {
+  let targets = await Reminder.findTargets(filter);
+
+  if (targets.length === 0 && filter.registrationId && filter.userId) {
+    const { offsets } = await Reminder.getPreferences(filter.userId);
+    targets = [{ registration_id: filter.registrationId, offsets }];
+  }
+
+  const removed = await removeEventReminders(reminderJobIds(targets));
+
+  logger.info(`Cancelled ${removed} reminders for ${JSON.stringify(filter)}`);
+
+  return removed;
+};
+
+/**
+ * Schedule or cancel reminders in the background, for request handlers:
+ * the worker re-checks every reminder before sending it, so a failure here
+ * is logged rather than failing the request.
+ * @param {Function} task - scheduleReminders or cancelReminders
+ * @param {Object} filter - { registrationId }, { eventId } or { userId }
+ */
+export const syncReminders = (task, filter) => {
+  task(filter).catch(error => {
+    logger.error(`Reminder update for ${JSON.stringify(filter)} failed: ${error.message}`);
+  });
+};
+
+export default {
+  REMINDER_CHANNELS,
+  MIN_REMINDER_OFFSET,
+  MAX_REMINDER_OFFSET,
+  isCurrentOccurrence,
+  scheduleReminders,
+  cancelReminders,
+  syncReminders
+};
@@ -1,9 +1,14 @@
 import admin from 'firebase-admin';
 import jwt from 'jsonwebtoken';
 import db from '../db/connection.js';
+import Session from '../models/sessionModel.js';
+import TwoFactor from '../models/twoFactorModel.js';
+import config from '../config/index.js';
 
-// Middleware to verify Firebase token
-const firebaseAuth = async (req, res, next) => {
+// Middleware to verify Firebase token. Firebase knows nothing of our second
+// factor, so users with 2FA on are refused unless allowTwoFactor is set: they
+// exchange the ID token at /auth/firebase and then use our session tokens.
+const verifyFirebaseToken = ({ allowTwoFactor = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -34,17 +39,35 @@ const firebaseAuth = async (req, res, next) => {
       console.log(`Created new user from Firebase auth: ${user.id}`);
     }
     
-    // Update last login
-    await db.query(
-      'UPDATE users SET last_login = NOW() WHERE id = $1',
-      [user.id]
+    // Update last login, and take over Firebase's word that the email is verified
+    const loginResult = await db.query(
+      `UPDATE users
+       SET last_login = NOW(),
+           email_verified_at = CASE
+             WHEN email_verified_at IS NULL AND $2 AND LOWER(email) = LOWER($3) THEN NOW()
+             ELSE email_verified_at
+           END
+       WHERE id = $1
+       RETURNING *`,
+      [user.id, decodedToken.email_verified === true, decodedToken.email || '']
     );
+    user = loginResult.rows[0];
+    
+    if (user.totp_enabled_at && !allowTwoFactor) {
+      return res.status(401).json({
+        message: 'Two-factor authentication required: sign in through /api/auth/firebase',
+        twoFactorRequired: true
+      });
+    }
     
     // Add user info to request
     req.user = {
       id: user.id,
       firebaseUid: user.firebase_uid,
       email: user.email,
+      emailVerified: Boolean(user.email_verified_at),
+      twoFactorEnabled: Boolean(user.totp_enabled_at),
+      twoFactorVerified: false,
       displayName: user.display_name,
       role: user.role
     };
@@ -56,6 +79,12 @@ const firebaseAuth = async (req, res, next) => {
   }
 };
 
+const firebaseAuth = verifyFirebaseToken();
+
+// For the exchange of a Firebase ID token for our session, which hands users
+// with 2FA on a challenge instead
+const firebaseLogin = verifyFirebaseToken({ allowTwoFactor: true });
+
 // Middleware to verify JWT (for non-Firebase auth)
 const jwtAuth = async (req, res, next) => {
   try {
@@ -68,6 +97,18 @@ const jwtAuth = async (req, res, next) => {
     const token = authHeader.split('Bearer ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Access tokens belong to a session, and stop working once it's revoked
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    
+    if (!session || session.revoked_at || session.user_id !== decoded.id) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+    
+    // Last seen is kept to the minute, sparing a write on most requests
+    if (Date.now() - new Date(session.last_seen_at).getTime() > 60 * 1000) {
+      await Session.touch(session.id, { ipAddress: req.ip });
+    }
+    
     // Find user in database
     const userResult = await db.query(
       'SELECT * FROM users WHERE id = $1',
@@ -90,8 +131,12 @@ const jwtAuth = async (req, res, next) => {
     req.user = {
       id: user.id,
       email: user.email,
+      emailVerified: Boolean(user.email_verified_at),
+      twoFactorEnabled: Boolean(user.totp_enabled_at),
+      twoFactorVerified: Boolean(session.two_factor_verified_at),
       displayName: user.display_name,
-      role: user.role
+      role: user.role,
+      sessionId: decoded.sid
     };
     
     next();
@@ -101,9 +146,11 @@ const jwtAuth = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
+// Role-based authorization middleware. Roles admins require 2FA for only
+// get their permissions once the user has turned it on, and users with 2FA
+// on only from sessions that passed it.
 const authorize = (...roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Unauthorized: User not authenticated' });
     }
@@ -112,16 +159,81 @@ const authorize = (...roles) => {
       return res.status(403).json({ message: 'Forbidden: Insufficient permissions' });
     }
     
+    // e.g. a session signed in before 2FA was turned on
+    if (req.user.twoFactorEnabled && !req.user.twoFactorVerified) {
+      return res.status(403).json({
+        message: 'Forbidden: Sign in again with your two-factor code',
+        twoFactorRequired: true
+      });
+    }
+    
+    try {
+      if (!req.user.twoFactorEnabled && await TwoFactor.isRequiredFor(req.user.role)) {
+        return res.status(403).json({
+          message: 'Two-factor authentication is required for your role',
+          twoFactorSetupRequired: true
+        });
+      }
+    } catch (error) {
+      console.error('Authorization error:', error);
+      return res.status(500).json({ message: 'Failed to check permissions' });
+    }
+    
     next();
   };
 };
 
+// Block users whose email isn't verified from an action, when the action is
+// listed in config.auth.requireVerifiedEmail ('create_events', 'register_for_events')
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized: User not authenticated' });
+    }
+    
+    if (config.auth.requireVerifiedEmail.includes(action) && !req.user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address first',
+        emailVerificationRequired: true
+      });
+    }
+    
+    next();
+  };
+};
+
+// Our own access tokens carry their session's ID; Firebase ID tokens don't
+const isSessionToken = (req) => {
+  const token = req.headers.authorization?.split('Bearer ')[1];
+  
+  return Boolean(token && jwt.decode(token)?.sid);
+};
+
+// Firebase ID tokens, or our session tokens that /auth/firebase and the
+// logins hand out (the only way in for users with 2FA on)
+const firebaseOrJwtAuth = (req, res, next) => {
+  return isSessionToken(req) ? jwtAuth(req, res, next) : firebaseAuth(req, res, next);
+};
+
 // Choose which auth method to use based on environment or config
-const auth = process.env.USE_JWT_AUTH === 'true' ? jwtAuth : firebaseAuth;
+const auth = process.env.USE_JWT_AUTH === 'true' ? jwtAuth : firebaseOrJwtAuth;
+
+// Authenticate requests that carry a token, for public routes that show
+// signed-in users more. A token that doesn't check out is still refused.
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  
+  return auth(req, res, next);
+};
 
 export {
   auth,
+  optionalAuth,
   authorize,
+  requireVerifiedEmail,
   firebaseAuth,
+  firebaseLogin,
   jwtAuth
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+// src/middleware/upload.js
+import multer from 'multer';
+import { ApiError } from './errorHandler.js';
+import config from '../config/index.js';
+
+// Configure multer for file uploads. The declared type only screens out
+// obvious mistakes: uploads are checked by content once received.
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage,
+  limits: { fileSize: config.storage.local.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    // Accept only images
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new ApiError(400, 'Only image files are allowed'), false);
+    }
+  }
+});
+
+// Receive the "image" file, answering 413 when it is over the size limit
+// and 400 for other malformed uploads
+export const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return error.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ message: `Image is too large. The maximum size is ${config.storage.local.maxFileSize} bytes` })
+        : res.status(400).json({ message: error.message });
+    }
+
+    next(error);
+  });
+};
+
+export default uploadImage;
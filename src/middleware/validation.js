@@ -1,5 +1,9 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { ApiError } from './errorHandler.js';
+import { isValidRule } from '../utils/recurrence.js';
+import { parseCoordinates } from '../utils/geo.js';
+import { decodeCursor } from '../utils/pagination.js';
+import { DATE_BUCKETS } from '../utils/dateBuckets.js';
 
 // Validation middleware factory
 export const validate = (validations) => {
@@ -51,6 +55,22 @@ export const eventValidation = {
       .trim()
       .notEmpty()
       .withMessage('Location is required'),
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    body('venueName')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Venue name must be at most 255 characters'),
+    body('venueAddress')
+      .optional()
+      .trim(),
     body('category')
       .optional()
       .trim()
@@ -63,7 +83,11 @@ export const eventValidation = {
     body('isPublished')
       .optional()
       .isBoolean()
-      .withMessage('isPublished must be a boolean')
+      .withMessage('isPublished must be a boolean'),
+    body('recurrenceRule')
+      .optional({ values: 'falsy' })
+      .custom(isValidRule)
+      .withMessage('recurrenceRule must be a valid iCalendar RRULE')
   ],
   update: [
     param('id')
@@ -96,6 +120,22 @@ export const eventValidation = {
       .trim()
       .notEmpty()
       .withMessage('Location cannot be empty'),
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    body('venueName')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Venue name must be at most 255 characters'),
+    body('venueAddress')
+      .optional()
+      .trim(),
     body('category')
       .optional()
       .trim()
@@ -112,13 +152,17 @@ export const eventValidation = {
       body('isCancelled')
       .optional()
       .isBoolean()
-      .withMessage('isCancelled must be a boolean')
+      .withMessage('isCancelled must be a boolean'),
+    body('recurrenceRule')
+      .optional({ values: 'falsy' })
+      .custom(isValidRule)
+      .withMessage('recurrenceRule must be a valid iCalendar RRULE')
   ],
   getAll: [
-    query('page')
+    query('cursor')
       .optional()
-      .isInt({ min: 1 })
-      .withMessage('Page must be a positive integer'),
+      .custom(value => decodeCursor(value) !== null)
+      .withMessage('Invalid cursor'),
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -128,7 +172,9 @@ export const eventValidation = {
       .trim(),
     query('search')
       .optional()
-      .trim(),
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Search must be at most 200 characters'),
     query('startDate')
       .optional()
       .isISO8601()
@@ -140,7 +186,46 @@ export const eventValidation = {
     query('published')
       .optional()
       .isBoolean()
-      .withMessage('Published must be a boolean')
+      .withMessage('Published must be a boolean'),
+    query('near')
+      .optional()
+      .custom(value => parseCoordinates(value) !== null)
+      .withMessage('near must be "latitude,longitude"'),
+    query('radius')
+      .optional()
+      .isFloat({ gt: 0, max: 500 })
+      .withMessage('Radius must be between 0 and 500 km'),
+    query('sort')
+      .optional()
+      .isIn(['start_time', 'date', 'created_at', 'popularity', 'remaining_capacity', 'distance', 'relevance'])
+      .withMessage('Sort must be one of: start_time, date, created_at, popularity, remaining_capacity, distance, relevance'),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc'),
+    query('includeTotal')
+      .optional()
+      .isBoolean()
+      .withMessage('includeTotal must be a boolean'),
+    query('organiserId')
+      .optional()
+      .isUUID()
+      .withMessage('organiserId must be a valid UUID'),
+    query('availability')
+      .optional()
+      .isIn(['has_seats', 'full', 'waitlist'])
+      .withMessage('availability must be one of: has_seats, full, waitlist'),
+    query('priceTier')
+      .optional()
+      .isIn(['free', 'low', 'medium', 'high'])
+      .withMessage('priceTier must be one of: free, low, medium, high'),
+    query('date')
+      .optional()
+      .isIn(DATE_BUCKETS)
+      .withMessage(`date must be one of: ${DATE_BUCKETS.join(', ')}`),
+    query('facets')
+      .optional()
+      .trim()
   ]
 };
 
@@ -213,3 +298,39 @@ export const imageValidation = {
   ]
 };
 
+export const savedSearchValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and must be at most 100 characters'),
+    body('filters')
+      .isObject()
+      .withMessage('filters must be an object'),
+    body('filters.search')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Search must be at most 200 characters'),
+    body('filters.organiserId')
+      .optional()
+      .isUUID()
+      .withMessage('organiserId must be a valid UUID'),
+    body('filters.priceTier')
+      .optional()
+      .isIn(['free', 'low', 'medium', 'high'])
+      .withMessage('priceTier must be one of: free, low, medium, high'),
+    body('filters.near')
+      .optional()
+      .custom(value => parseCoordinates(value) !== null)
+      .withMessage('near must be "latitude,longitude"'),
+    body('filters.radius')
+      .optional()
+      .isFloat({ gt: 0, max: 500 })
+      .withMessage('Radius must be between 0 and 500 km'),
+    body('notify')
+      .optional()
+      .isIn(['none', 'instant', 'daily'])
+      .withMessage('notify must be one of: none, instant, daily')
+  ]
+};
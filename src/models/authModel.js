@@ -1,257 +1,298 @@
+import crypto from 'crypto';
 import db from '../db/connection.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import Session from './sessionModel.js';
+import { queueEmail } from '../jobs/queue.js';
+import { emailLanguage } from '../utils/emailTemplates.js';
+import { hashToken } from '../utils/tokens.js';
+import config from '../config/index.js';
 
 class Auth {
-  // Register a new user
-  static async register(userData) {
+  // Generate a short-lived JWT access token for a session
+  static generateToken(user, sessionId) {
+    return jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        sid: sessionId
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: config.auth.jwtExpiresIn }
+    );
+  }
+  
+  // Start a session for a user on a client (see getClientInfo): an access
+  // token and the refresh token that renews it
+  static async issueTokens(user, client) {
+    const { session, refreshToken } = await Session.create(user.id, client);
+    
+    return {
+      token: this.generateToken(user, session.id),
+      refreshToken,
+      sessionId: session.id
+    };
+  }
+  
+  // Exchange a refresh token for a new access token and refresh token
+  static async refresh(refreshToken, client = {}) {
     try {
-      const { email, password, displayName, role = 'user', photoUrl, bio } = userData;
+      const { session, refreshToken: nextToken, error } = await Session.rotate(refreshToken, client);
       
-      // Check if user already exists
-      const existingUserResult = await db.query(
-        'SELECT * FROM users WHERE email = $1',
-        [email]
-      );
-      
-      if (existingUserResult.rows.length > 0) {
-        return { success: false, message: 'User already exists with this email' };
+      if (error === 'reused') {
+        console.warn(`Refresh token reused, revoked session ${session.id} of user ${session.user_id}`);
       }
       
-      // Hash password
-      const hashedPassword = await bcrypt.hash(password, 10);
-      
-      // Create user
-      const userResult = await db.query(
-        `INSERT INTO users 
-         (email, password, display_name, role, photo_url, bio) 
-         VALUES ($1, $2, $3, $4, $5, $6) 
-         RETURNING *`,
-        [email, hashedPassword, displayName, role, photoUrl, bio]
-      );
+      if (error) {
+        return { success: false, message: 'Invalid or expired refresh token' };
+      }
       
+      const userResult = await db.query('SELECT * FROM users WHERE id = $1', [session.user_id]);
       const user = userResult.rows[0];
       
-      // Generate token
-      const token = this.generateToken(user);
-      
-      // Remove password from user object
-      delete user.password;
+      if (!user) {
+        return { success: false, message: 'Invalid or expired refresh token' };
+      }
       
       return {
         success: true,
-        user,
-        token
+        token: this.generateToken(user, session.id),
+        refreshToken: nextToken,
+        sessionId: session.id
       };
     } catch (error) {
-      console.error('Registration error:', error);
-      return { success: false, message: 'Failed to register user' };
+      console.error('Token refresh error:', error);
+      return { success: false, message: 'Failed to refresh token' };
+    }
+  }
+  
+  // End a user's session, from its ID or one of its refresh tokens
+  static async logout(userId, { sessionId, refreshToken } = {}) {
+    const session = sessionId
+      ? await Session.findById(sessionId)
+      : refreshToken && await Session.findByRefreshToken(refreshToken);
+    
+    if (!session || session.user_id !== userId) {
+      return { success: false, message: 'Session not found' };
     }
+    
+    await Session.revoke(session.id, 'logout');
+    
+    return { success: true, message: 'Logged out successfully' };
   }
   
-  // Login a user
-  static async login(email, password) {
+  // Start a password reset: email the user a single-use link. The outcome is
+  // the same whether or not the email belongs to an account, so it can't be
+  // used to find out who has one.
+  static async requestPasswordReset(email, { language } = {}) {
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+    
     try {
-      // Find user by email
       const userResult = await db.query(
-        'SELECT * FROM users WHERE email = $1',
+        'SELECT * FROM users WHERE LOWER(email) = LOWER($1)',
         [email]
       );
-      
-      if (userResult.rows.length === 0) {
-        return { success: false, message: 'Invalid credentials' };
-      }
-      
       const user = userResult.rows[0];
       
-      // Check password
-      const isPasswordValid = await bcrypt.compare(password, user.password);
-      if (!isPasswordValid) {
-        return { success: false, message: 'Invalid credentials' };
+      // Accounts signing in through Firebase have no password of ours to reset
+      if (!user || !user.password) {
+        return response;
       }
       
-      // Update last login
+      const resetToken = crypto.randomBytes(32).toString('base64url');
+      
+      // Only the latest link works
+      await db.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [user.id]);
       await db.query(
-        'UPDATE users SET last_login = NOW() WHERE id = $1',
-        [user.id]
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + $3 * INTERVAL '1 millisecond')`,
+        [user.id, hashToken(resetToken), config.auth.resetPasswordExpiresIn]
       );
       
-      // Generate token
-      const token = this.generateToken(user);
-      
-      // Remove password from user object
-      delete user.password;
-      
-      return {
-        success: true,
-        user,
-        token
-      };
+      const resetUrl = new URL(config.auth.resetPasswordUrl);
+      resetUrl.searchParams.set('token', resetToken);
+      
+      await queueEmail({
+        to: user.email,
+        subject: 'Reset your password',
+        template: 'passwordReset',
+        context: {
+          userName: user.display_name,
+          resetUrl: resetUrl.toString(),
+          expiresInMinutes: Math.round(config.auth.resetPasswordExpiresIn / 60000)
+        },
+        language: emailLanguage(language)
+      });
+      
+      return response;
     } catch (error) {
-      console.error('Login error:', error);
-      return { success: false, message: 'Failed to login' };
+      console.error('Password reset request error:', error);
+      return { success: false, message: 'Failed to process password reset request' };
     }
   }
   
-  // Process Firebase authentication
-  static async processFirebaseAuth(firebaseUser) {
+  // Reset a password with a reset token. The token is used up, and every
+  // session of the user is revoked, so whoever had the old password is out.
+  static async resetPassword(resetToken, newPassword) {
+    const client = await db.getClient();
+    
     try {
-      const { uid, email, displayName, photoURL } = firebaseUser;
-      
-      // Find user by Firebase UID
-      const userResult = await db.query(
-        'SELECT * FROM users WHERE firebase_uid = $1',
-        [uid]
+      await client.begin();
+      
+      // Deleted right away, so the token can't be used twice
+      const tokenResult = await client.query(
+        `DELETE FROM password_reset_tokens
+         WHERE token_hash = $1
+         RETURNING user_id, expires_at`,
+        [hashToken(resetToken)]
       );
+      const token = tokenResult.rows[0];
       
-      let user;
-      
-      if (userResult.rows.length === 0) {
-        // If user doesn't exist, create a new one
-        const newUserResult = await db.query(
-          `INSERT INTO users 
-           (firebase_uid, email, display_name, role, photo_url) 
-           VALUES ($1, $2, $3, $4, $5) 
-           RETURNING *`,
-          [uid, email, displayName || email.split('@')[0], 'user', photoURL]
-        );
-        
-        user = newUserResult.rows[0];
-      } else {
-        user = userResult.rows[0];
-        
-        // Update last login
-        await db.query(
-          'UPDATE users SET last_login = NOW() WHERE id = $1',
-          [user.id]
-        );
+      if (!token || new Date(token.expires_at) <= new Date()) {
+        await client.commit();
+        return { success: false, message: 'Invalid or expired reset token' };
       }
       
-      // Generate token
-      const token = this.generateToken(user);
+      const hashedPassword = await bcrypt.hash(newPassword, config.auth.saltRounds);
+      
+      await client.query(
+        'UPDATE users SET password = $1, updated_at = NOW() WHERE id = $2',
+        [hashedPassword, token.user_id]
+      );
+      await client.query(
+        `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'password_reset'
+         WHERE user_id = $1 AND revoked_at IS NULL`,
+        [token.user_id]
+      );
       
-      // Remove password from user object
-      delete user.password;
+      await client.commit();
       
       return {
         success: true,
-        user,
-        token
+        message: 'Password reset successful'
       };
     } catch (error) {
-      console.error('Firebase auth processing error:', error);
-      return { success: false, message: 'Failed to process Firebase authentication' };
+      await client.rollback();
+      console.error('Password reset error:', error);
+      return { success: false, message: 'Failed to reset password' };
+    } finally {
+      client.release();
     }
   }
   
-  // Generate JWT token
-  static generateToken(user) {
-    return jwt.sign(
-      {
-        id: user.id,
+  // Email a user a link verifying their current address, replacing any link
+  // sent before. emailChanged words the email for an address just changed.
+  static async sendEmailVerification(user, { language, emailChanged = false } = {}) {
+    const verificationToken = crypto.randomBytes(32).toString('base64url');
+    
+    await db.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [user.id]);
+    await db.query(
+      `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 millisecond')`,
+      [user.id, user.email, hashToken(verificationToken), config.auth.emailVerificationExpiresIn]
+    );
+    
+    const verifyUrl = new URL(config.auth.emailVerificationUrl);
+    verifyUrl.searchParams.set('token', verificationToken);
+    
+    await queueEmail({
+      to: user.email,
+      subject: 'Verify your email address',
+      template: 'emailVerification',
+      context: {
+        userName: user.display_name,
         email: user.email,
-        role: user.role
+        verifyUrl: verifyUrl.toString(),
+        expiresInHours: Math.round(config.auth.emailVerificationExpiresIn / 3600000),
+        emailChanged
       },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
+      language: emailLanguage(language)
+    });
   }
   
-  // Verify JWT token
-  static async verifyToken(token) {
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Find user by ID
-      const userResult = await db.query(
-        'SELECT * FROM users WHERE id = $1',
-        [decoded.id]
-      );
-      
-      if (userResult.rows.length === 0) {
-        return { success: false, message: 'User not found' };
-      }
-      
-      const user = userResult.rows[0];
-      
+  // Send a user a new verification link, at most once per resend cooldown.
+  // Fails with alreadyVerified, or with retryAfter (seconds) when asked too soon.
+  static async resendEmailVerification(userId, { language } = {}) {
+    const userResult = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+    
+    if (!user) {
+      return { success: false, message: 'User not found' };
+    }
+    
+    if (user.email_verified_at) {
+      return { success: false, alreadyVerified: true, message: 'Email already verified' };
+    }
+    
+    const lastSentResult = await db.query(
+      'SELECT MAX(created_at) AS last_sent_at FROM email_verification_tokens WHERE user_id = $1',
+      [userId]
+    );
+    const { last_sent_at: lastSentAt } = lastSentResult.rows[0];
+    const waitMs = lastSentAt
+      ? new Date(lastSentAt).getTime() + config.auth.emailVerificationResendCooldown - Date.now()
+      : 0;
+    
+    if (waitMs > 0) {
       return {
-        success: true,
-        user
+        success: false,
+        retryAfter: Math.ceil(waitMs / 1000),
+        message: 'A verification email was sent recently, please wait before asking again'
       };
-    } catch (error) {
-      console.error('Token verification error:', error);
-      return { success: false, message: 'Invalid token' };
     }
+    
+    await this.sendEmailVerification(user, { language });
+    
+    return { success: true, message: 'Verification email sent' };
   }
   
-  // Reset password request
-  static async requestPasswordReset(email) {
+  // Verify the email of a verification link. The link is used up, and only
+  // verifies the address it was sent to if that is still the user's email.
+  static async verifyEmail(verificationToken) {
+    const client = await db.getClient();
+    
     try {
-      // Find user by email
-      const userResult = await db.query(
-        'SELECT * FROM users WHERE email = $1',
-        [email]
-      );
-      
-      if (userResult.rows.length === 0) {
-        return { success: false, message: 'User not found' };
-      }
+      await client.begin();
       
-      const user = userResult.rows[0];
-      
-      // Generate reset token (valid for 1 hour)
-      const resetToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: '1h' }
+      const tokenResult = await client.query(
+        `DELETE FROM email_verification_tokens
+         WHERE token_hash = $1
+         RETURNING user_id, email, expires_at`,
+        [hashToken(verificationToken)]
       );
+      const token = tokenResult.rows[0];
       
-      // In a real application, you would send an email with the reset link
-      // For this example, we'll just return the token
-      
-      return {
-        success: true,
-        message: 'Password reset email sent',
-        resetToken // In production, don't return this
-      };
-    } catch (error) {
-      console.error('Password reset request error:', error);
-      return { success: false, message: 'Failed to process password reset request' };
-    }
-  }
-  
-  // Reset password
-  static async resetPassword(resetToken, newPassword) {
-    try {
-      // Verify reset token
-      const decoded = jwt.verify(resetToken, process.env.JWT_SECRET);
+      if (!token || new Date(token.expires_at) <= new Date()) {
+        await client.commit();
+        return { success: false, message: 'Invalid or expired verification token' };
+      }
       
-      // Find user by ID
-      const userResult = await db.query(
-        'SELECT * FROM users WHERE id = $1',
-        [decoded.id]
+      const userResult = await client.query(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE id = $1 AND LOWER(email) = LOWER($2)
+         RETURNING *`,
+        [token.user_id, token.email]
       );
+      const user = userResult.rows[0];
       
-      if (userResult.rows.length === 0) {
-        return { success: false, message: 'User not found' };
+      if (!user) {
+        await client.commit();
+        return { success: false, message: 'Invalid or expired verification token' };
       }
       
-      // Hash new password
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
-      
-      // Update password
-      await db.query(
-        'UPDATE users SET password = $1, updated_at = NOW() WHERE id = $2',
-        [hashedPassword, decoded.id]
-      );
+      await client.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [user.id]);
+      await client.commit();
       
-      return {
-        success: true,
-        message: 'Password reset successful'
-      };
+      return { success: true, message: 'Email verified successfully', user };
     } catch (error) {
-      console.error('Password reset error:', error);
-      return { success: false, message: 'Invalid or expired reset token' };
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
     }
   }
 }
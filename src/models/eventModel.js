@@ -1,4 +1,365 @@
 import db from '../db/connection.js';
+import Occurrence from './occurrenceModel.js';
+import TicketType from './ticketTypeModel.js';
+import Payment from './paymentModel.js';
+import Image from './imageModel.js';
+import { normalizeRule, resolveWindow } from '../utils/recurrence.js';
+import { EARTH_RADIUS_KM, boundingBox } from '../utils/geo.js';
+import { keysetQuery, buildPage, paginateInMemory } from '../utils/pagination.js';
+import { getDateBuckets } from '../utils/dateBuckets.js';
+
+// Radius applied to `near` searches that don't specify one
+const DEFAULT_RADIUS_KM = 25;
+
+// Great-circle (haversine) distance in km from the given parameters to an event
+const distanceSql = (latParam, lngParam) => `(${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+  POWER(SIN(RADIANS(e.latitude - $${latParam}::float8) / 2), 2) +
+  COS(RADIANS($${latParam}::float8)) * COS(RADIANS(e.latitude)) *
+  POWER(SIN(RADIANS(e.longitude - $${lngParam}::float8) / 2), 2)
+))))`;
+
+// Text search configuration of each supported search language (see src/utils/i18n.js)
+const SEARCH_CONFIGS = {
+  en: 'english',
+  es: 'spanish'
+};
+
+// Lowest trigram word similarity accepted by the typo-tolerant fallback search
+const FUZZY_MATCH_THRESHOLD = 0.4;
+
+// ts_headline options for description snippets
+const SNIPPET_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10';
+
+// Supported search language for a requested locale (e.g. "es-ES" -> "es")
+const searchLanguage = (locale) => {
+  const language = String(locale || '').slice(0, 2).toLowerCase();
+  return SEARCH_CONFIGS[language] ? language : 'en';
+};
+
+// Escape event text before it is highlighted, so only the <mark> tags are markup
+const escapeHtmlSql = (expression) =>
+  `replace(replace(replace(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+// Condition, rank and result columns of a search for the given parameter.
+// 'fulltext' matches the indexed, weighted search document; 'fuzzy' falls back
+// to trigram similarity so misspelt words still find events.
+const searchSql = (mode, searchParam, language) => {
+  if (mode === 'fuzzy') {
+    const similarity = `GREATEST(
+      word_similarity($${searchParam}, e.title),
+      word_similarity($${searchParam}, coalesce(e.category, '')),
+      word_similarity($${searchParam}, e.location)
+    )`;
+    
+    return {
+      condition: `${similarity} >= ${FUZZY_MATCH_THRESHOLD}`,
+      rank: similarity,
+      columns: `, ${similarity} AS search_rank,
+              ${escapeHtmlSql('e.title')} AS title_highlight,
+              ${escapeHtmlSql('left(e.description, 200)')} AS search_snippet`
+    };
+  }
+  
+  const config = `'${SEARCH_CONFIGS[language]}'`;
+  const document = `event_search_vector(${config}, e.title, e.category, e.description, e.location, e.venue_name, e.venue_address)`;
+  const tsquery = `websearch_to_tsquery(${config}, $${searchParam})`;
+  
+  const rank = `ts_rank_cd(${document}, ${tsquery})`;
+  
+  return {
+    condition: `${document} @@ ${tsquery}`,
+    rank,
+    columns: `, ${rank} AS search_rank,
+              ts_headline(${config}, ${escapeHtmlSql('e.title')}, ${tsquery}, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS title_highlight,
+              ts_headline(${config}, ${escapeHtmlSql('e.description')}, ${tsquery}, '${SNIPPET_OPTIONS}') AS search_snippet`
+  };
+};
+
+// Columns of an attendee in attendee listings
+const ATTENDEE_COLUMNS = `u.id, u.display_name, u.photo_url, ea.occurrence_start, ea.registered_at,
+              ea.id as registration_id, ea.ticket_type_id, tt.name as ticket_type_name,
+              ea.status, ea.checked_in_at`;
+
+// Sort keys of paginated attendee listings
+const ATTENDEE_SORTS = {
+  registered_at: { expression: 'ea.registered_at', type: 'timestamp', order: 'asc' },
+  display_name: { expression: 'u.display_name', type: 'text', order: 'asc' }
+};
+
+// Remaining seats of an event, NULL when its capacity is unlimited
+const REMAINING_CAPACITY_SQL = 'CASE WHEN e.capacity > 0 THEN GREATEST(e.capacity - e.attendee_count, 0) END';
+
+// Sort value of unlimited capacity, above any number of remaining seats
+const UNLIMITED_CAPACITY = 2147483647;
+
+// Availability of an event. Options overlap: a full event can have a waitlist.
+// Recurring events are judged on their attendee count across all occurrences.
+const AVAILABILITY_SQL = {
+  has_seats: '(COALESCE(e.capacity, 0) = 0 OR e.attendee_count < e.capacity)',
+  full: '(e.capacity > 0 AND e.attendee_count >= e.capacity)',
+  waitlist: 'EXISTS (SELECT 1 FROM event_waitlist w WHERE w.event_id = e.id)'
+};
+
+// Upper bounds (exclusive) of the low and medium price tiers, in the event's currency
+const PRICE_TIER_BOUNDS = { low: 20, medium: 50 };
+
+// Price tiers, cheapest first
+export const PRICE_TIERS = ['free', 'low', 'medium', 'high'];
+
+// Price tier of an event by its cheapest ticket; events without ticket types are free
+const PRICE_TIER_SQL = `(SELECT CASE
+    WHEN COALESCE(MIN(tt.price), 0) = 0 THEN 'free'
+    WHEN MIN(tt.price) < ${PRICE_TIER_BOUNDS.low} THEN 'low'
+    WHEN MIN(tt.price) < ${PRICE_TIER_BOUNDS.medium} THEN 'medium'
+    ELSE 'high'
+  END FROM ticket_types tt WHERE tt.event_id = e.id)`;
+
+// Largest number of options returned for open-ended facets (category, organiser)
+const FACET_SIZE = 20;
+
+// WHERE clause, parameters and computed columns of an event listing
+const buildListing = (filters, searchMode) => {
+  const {
+    category,
+    search,
+    startDate,
+    endDate,
+    isPublished = true,
+    organiserId,
+    availability,
+    priceTier,
+    near,
+    radius = DEFAULT_RADIUS_KM,
+    language
+  } = filters;
+  
+  let whereClause = 'WHERE e.is_published = $1';
+  const queryParams = [isPublished];
+  let paramCount = 1;
+  let columns = '';
+  
+  if (category) {
+    paramCount++;
+    whereClause += ` AND e.category = $${paramCount}`;
+    queryParams.push(category);
+  }
+  
+  // Search rank and highlighted title and snippet of each event
+  let rank = null;
+  if (search) {
+    paramCount++;
+    const searchQuery = searchSql(searchMode, paramCount, searchLanguage(language));
+    whereClause += ` AND ${searchQuery.condition}`;
+    columns += searchQuery.columns;
+    rank = searchQuery.rank;
+    queryParams.push(search);
+  }
+  
+  // Recurring series can have occurrences after startDate even when the
+  // series itself started earlier, so they are filtered after expansion
+  if (startDate) {
+    paramCount++;
+    whereClause += ` AND (e.start_time >= $${paramCount} OR e.recurrence_rule IS NOT NULL)`;
+    queryParams.push(startDate);
+  }
+  
+  if (endDate) {
+    paramCount++;
+    whereClause += ` AND e.start_time <= $${paramCount}`;
+    queryParams.push(endDate);
+  }
+  
+  if (organiserId) {
+    paramCount++;
+    whereClause += ` AND e.organiser_id = $${paramCount}`;
+    queryParams.push(organiserId);
+  }
+  
+  if (AVAILABILITY_SQL[availability]) {
+    whereClause += ` AND ${AVAILABILITY_SQL[availability]}`;
+  }
+  
+  if (priceTier) {
+    paramCount++;
+    whereClause += ` AND ${PRICE_TIER_SQL} = $${paramCount}`;
+    queryParams.push(priceTier);
+  }
+  
+  // Radius search around a point, returning each event's distance
+  let distance = null;
+  if (near) {
+    paramCount++;
+    const latParam = paramCount;
+    queryParams.push(near.latitude);
+    
+    paramCount++;
+    const lngParam = paramCount;
+    queryParams.push(near.longitude);
+    
+    distance = distanceSql(latParam, lngParam);
+    columns += `, ${distance} AS distance_km`;
+    
+    // The bounding box narrows rows down via the coordinates index first
+    const { minLat, maxLat, minLng, maxLng } = boundingBox(near, radius);
+    whereClause += ` AND e.latitude BETWEEN $${paramCount + 1} AND $${paramCount + 2}`;
+    queryParams.push(minLat, maxLat);
+    paramCount += 2;
+    
+    if (minLng !== null) {
+      whereClause += ` AND e.longitude BETWEEN $${paramCount + 1} AND $${paramCount + 2}`;
+      queryParams.push(minLng, maxLng);
+      paramCount += 2;
+    }
+    
+    paramCount++;
+    whereClause += ` AND ${distance} <= $${paramCount}`;
+    queryParams.push(radius);
+  }
+  
+  return { whereClause, queryParams, paramCount, columns, distance, rank };
+};
+
+// Sort keys of an event listing: the SQL expression and type used for keyset
+// pagination, the default order, and the value of a loaded event for
+// listings paginated in memory. 'distance' needs `near`, 'relevance' a search.
+const listingSorts = ({ distance, rank }) => ({
+  start_time: {
+    expression: 'e.start_time',
+    type: 'timestamp',
+    order: 'asc',
+    value: event => new Date(event.start_time).getTime()
+  },
+  created_at: {
+    expression: 'e.created_at',
+    type: 'timestamp',
+    order: 'desc',
+    value: event => new Date(event.created_at).getTime()
+  },
+  popularity: {
+    expression: 'e.attendee_count',
+    type: 'integer',
+    order: 'desc',
+    value: event => Number(event.attendee_count)
+  },
+  remaining_capacity: {
+    expression: `COALESCE(${REMAINING_CAPACITY_SQL}, ${UNLIMITED_CAPACITY})`,
+    type: 'integer',
+    order: 'desc',
+    value: event => event.remaining_capacity ?? UNLIMITED_CAPACITY
+  },
+  ...(distance && {
+    distance: { expression: distance, type: 'float8', order: 'asc', value: event => event.distance_km }
+  }),
+  ...(rank && {
+    relevance: { expression: rank, type: 'real', order: 'desc', value: event => event.search_rank }
+  })
+});
+
+// Facet counters. Each counts the events matching its options under the
+// current filters minus its own, so the other options of a facet that is
+// already filtered on still show what selecting them would return.
+const FACET_COUNTERS = {
+  category: async (filters, searchMode) => {
+    const { whereClause, queryParams } = buildListing({ ...filters, category: null }, searchMode);
+    const result = await db.query(
+      `SELECT e.category AS value, COUNT(*)::int AS count
+       FROM events e
+       ${whereClause}
+       GROUP BY e.category
+       ORDER BY count DESC, value
+       LIMIT ${FACET_SIZE}`,
+      queryParams
+    );
+    
+    return result.rows;
+  },
+  
+  organiser: async (filters, searchMode) => {
+    const { whereClause, queryParams } = buildListing({ ...filters, organiserId: null }, searchMode);
+    const result = await db.query(
+      `SELECT e.organiser_id AS value, u.display_name AS label, COUNT(*)::int AS count
+       FROM events e
+       JOIN users u ON u.id = e.organiser_id
+       ${whereClause}
+       GROUP BY e.organiser_id, u.display_name
+       ORDER BY count DESC, label
+       LIMIT ${FACET_SIZE}`,
+      queryParams
+    );
+    
+    return result.rows;
+  },
+  
+  // Recurring series count towards every bucket one of their occurrences falls in
+  date: async (filters, searchMode) => {
+    const { whereClause, queryParams } = buildListing({ ...filters, startDate: null, endDate: null }, searchMode);
+    const buckets = Object.entries(getDateBuckets());
+    
+    const bucketColumns = buckets.map(([name], index) => {
+      const startParam = queryParams.length + index * 2 + 1;
+      return `COUNT(*) FILTER (WHERE e.start_time >= $${startParam} AND e.start_time < $${startParam + 1})::int AS ${name}`;
+    });
+    
+    const oneOffResult = await db.query(
+      `SELECT ${bucketColumns.join(', ')}
+       FROM events e
+       ${whereClause} AND e.recurrence_rule IS NULL`,
+      [...queryParams, ...buckets.flatMap(([, { start, end }]) => [start, end])]
+    );
+    
+    const seriesResult = await db.query(
+      `SELECT e.* FROM events e ${whereClause} AND e.recurrence_rule IS NOT NULL`,
+      queryParams
+    );
+    
+    const counts = oneOffResult.rows[0];
+    
+    if (seriesResult.rows.length > 0) {
+      const windowStart = new Date(Math.min(...buckets.map(([, bucket]) => bucket.start.getTime())));
+      const windowEnd = new Date(Math.max(...buckets.map(([, bucket]) => bucket.end.getTime())));
+      const occurrences = await Occurrence.expandAll(seriesResult.rows, windowStart, windowEnd);
+      
+      buckets.forEach(([name, { start, end }]) => {
+        const seriesIds = new Set(occurrences
+          .filter(occurrence => occurrence.start_time >= start && occurrence.start_time < end)
+          .map(occurrence => occurrence.id));
+        counts[name] += seriesIds.size;
+      });
+    }
+    
+    return counts;
+  },
+  
+  availability: async (filters, searchMode) => {
+    const { whereClause, queryParams } = buildListing({ ...filters, availability: null }, searchMode);
+    const result = await db.query(
+      `SELECT ${Object.entries(AVAILABILITY_SQL)
+        .map(([name, condition]) => `COUNT(*) FILTER (WHERE ${condition})::int AS ${name}`)
+        .join(', ')}
+       FROM events e
+       ${whereClause}`,
+      queryParams
+    );
+    
+    return result.rows[0];
+  },
+  
+  price_tier: async (filters, searchMode) => {
+    const { whereClause, queryParams } = buildListing({ ...filters, priceTier: null }, searchMode);
+    const result = await db.query(
+      `SELECT ${PRICE_TIER_SQL} AS value, COUNT(*)::int AS count
+       FROM events e
+       ${whereClause}
+       GROUP BY 1`,
+      queryParams
+    );
+    
+    const counts = Object.fromEntries(PRICE_TIERS.map(tier => [tier, 0]));
+    result.rows.forEach(row => { counts[row.value] = row.count; });
+    
+    return counts;
+  }
+};
 
 class Event {
   // Find event by ID
@@ -19,14 +380,17 @@ class Event {
     
     // Get attendees
     const attendeesResult = await db.query(
-      `SELECT u.id, u.display_name, u.photo_url, ea.registered_at
+      `SELECT ${ATTENDEE_COLUMNS}
        FROM users u
        JOIN event_attendees ea ON u.id = ea.user_id
+       LEFT JOIN ticket_types tt ON tt.id = ea.ticket_type_id
        WHERE ea.event_id = $1`,
       [id]
     );
     
     event.attendees = attendeesResult.rows;
+    event.ticket_types = await TicketType.findByEvent(id);
+    event.images = await Image.getGallery(id);
     
     return event;
   }
@@ -39,19 +403,31 @@ class Event {
       startTime, 
       endTime, 
       location, 
+      venueName,
+      venueAddress,
+      latitude,
+      longitude,
       category = 'General', 
       imageUrl, 
       capacity = 0, 
       isPublished = true, 
+      recurrenceRule,
       organiserId 
     } = eventData;
     
     const result = await db.query(
       `INSERT INTO events 
-       (title, description, start_time, end_time, location, category, image_url, capacity, is_published, organiser_id) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
+       (title, description, start_time, end_time, location, venue_name, venue_address, latitude, longitude,
+        category, image_url, capacity, is_published, published_at, recurrence_rule, organiser_id) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CASE WHEN $13 THEN NOW() END, $14, $15) 
        RETURNING *`,
-      [title, description, startTime, endTime, location, category, imageUrl, capacity, isPublished, organiserId]
+      [
+        title, description, startTime, endTime, location,
+        venueName, venueAddress, latitude ?? null, longitude ?? null,
+        category, imageUrl, capacity, isPublished,
+        recurrenceRule ? normalizeRule(recurrenceRule) : null,
+        organiserId
+      ]
     );
     
     return result.rows[0];
@@ -65,13 +441,28 @@ class Event {
       startTime, 
       endTime, 
       location, 
+      venueName,
+      venueAddress,
+      latitude,
+      longitude,
       category, 
       imageUrl, 
       capacity, 
       isPublished, 
-      isCancelled 
+      isCancelled,
+      recurrenceRule
     } = eventData;
     
+    // An empty recurrence rule turns a series back into a one-off event
+    let recurrence = null;
+    if (recurrenceRule !== undefined) {
+      recurrence = recurrenceRule ? normalizeRule(recurrenceRule) : '';
+    }
+    
+    // Null coordinates clear them, so a venue that moved somewhere geocoding
+    // can't place stops showing at its old spot
+    const moveVenue = latitude !== undefined || longitude !== undefined;
+    
     // Update event
     const result = await db.query(
       `UPDATE events 
@@ -84,11 +475,21 @@ class Event {
            image_url = COALESCE($7, image_url), 
            capacity = COALESCE($8, capacity), 
            is_published = COALESCE($9, is_published), 
+           published_at = CASE WHEN COALESCE($9, is_published) THEN COALESCE(published_at, NOW()) ELSE published_at END,
            is_cancelled = COALESCE($10, is_cancelled),
+           recurrence_rule = CASE WHEN $11::text IS NULL THEN recurrence_rule ELSE NULLIF($11, '') END,
+           venue_name = COALESCE($12, venue_name),
+           venue_address = COALESCE($13, venue_address),
+           latitude = CASE WHEN $16 THEN $14 ELSE latitude END,
+           longitude = CASE WHEN $16 THEN $15 ELSE longitude END,
            updated_at = NOW()
-       WHERE id = $11 
+       WHERE id = $17 
        RETURNING *`,
-      [title, description, startTime, endTime, location, category, imageUrl, capacity, isPublished, isCancelled, id]
+      [
+        title, description, startTime, endTime, location, category, imageUrl, capacity, isPublished, isCancelled, recurrence,
+        venueName, venueAddress, latitude ?? null, longitude ?? null, moveVenue,
+        id
+      ]
     );
     
     return result.rows[0];
@@ -104,161 +505,418 @@ class Event {
     return result.rows[0];
   }
   
-  // Get all events with filtering and pagination
-  static async getAll(filters = {}, limit = 10, offset = 0) {
-    const {
-      category,
-      search,
-      startDate,
-      endDate,
-      isPublished = true,
-      organiserId
-    } = filters;
-    
-    // Build the WHERE clause
-    let whereClause = 'WHERE e.is_published = $1';
-    const queryParams = [isPublished];
-    let paramCount = 1;
-    
-    if (category) {
-      paramCount++;
-      whereClause += ` AND e.category = $${paramCount}`;
-      queryParams.push(category);
-    }
+  // Get events with filtering and cursor pagination
+  // (page: { limit, cursor, sort, order, includeTotal } as parsed by parsePageOptions)
+  static async getAll(filters = {}, page = {}) {
+    const { search, startDate, endDate, language } = filters;
+    const { limit = 10, cursor = null, includeTotal = false } = page;
     
+    // Full-text matches come first; only when there are none is the search
+    // retried with trigram similarity, so typos still find something
+    let searchMode = null;
     if (search) {
+      const fulltext = buildListing(filters, 'fulltext');
+      const matches = await db.query(
+        `SELECT EXISTS (SELECT 1 FROM events e ${fulltext.whereClause}) AS found`,
+        fulltext.queryParams
+      );
+      searchMode = matches.rows[0].found ? 'fulltext' : 'fuzzy';
+    }
+    
+    const listing = buildListing(filters, searchMode);
+    const sorts = listingSorts(listing);
+    const windowed = Boolean(startDate || endDate);
+    
+    // Windowed listings page through occurrences, the others through events,
+    // and their cursors say which they were issued for
+    const mode = windowed ? 'occurrences' : 'events';
+    
+    if (cursor && (!sorts[cursor.sort] || cursor.mode !== mode)) {
+      return { success: false, message: 'Cursor does not match this listing' };
+    }
+    
+    // Searches are ordered by relevance unless another order is asked for
+    const sortKey = sorts[page.sort] ? page.sort : (search ? 'relevance' : 'start_time');
+    const sort = sorts[sortKey];
+    const options = { limit, cursor, sort: sortKey, order: page.order || sort.order, mode, includeTotal };
+    
+    // A date window expands recurring series into their occurrences
+    const result = windowed
+      ? await this.getAllOccurrences(listing, sort, options, { startDate, endDate })
+      : await this.getListingPage(listing, sort, options);
+    
+    // Counting every match is opt-in, as it costs a second pass over the listing
+    let total = null;
+    if (includeTotal) {
+      total = result.total ?? parseInt((await db.query(
+        `SELECT COUNT(*) FROM events e ${listing.whereClause}`,
+        listing.queryParams
+      )).rows[0].count);
+    }
+    
+    return {
+      events: result.events,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor,
+      total,
+      limit,
+      sort: sortKey,
+      order: options.order,
+      ...(search && { searchMode, searchLanguage: searchLanguage(language) })
+    };
+  }
+  
+  // Find published, upcoming events matching a saved filter set, limited to
+  // some events or to those first published in a time window. Searches are
+  // full-text only: the fuzzy fallback suits browsing, not alerts.
+  static async findMatching(filters, options = {}) {
+    const { eventIds, publishedAfter, publishedUntil, excludeOrganiserId, limit = 50 } = options;
+    const listing = buildListing({ ...filters, isPublished: true }, 'fulltext');
+    
+    let { whereClause, paramCount } = listing;
+    const queryParams = [...listing.queryParams];
+    
+    whereClause += ' AND e.is_cancelled IS NOT TRUE AND (e.end_time >= NOW() OR e.recurrence_rule IS NOT NULL)';
+    
+    if (eventIds) {
       paramCount++;
-      whereClause += ` AND (e.title ILIKE $${paramCount} OR e.description ILIKE $${paramCount})`;
-      queryParams.push(`%${search}%`);
+      whereClause += ` AND e.id = ANY($${paramCount}::uuid[])`;
+      queryParams.push(eventIds);
     }
     
-    if (startDate) {
+    if (publishedAfter) {
       paramCount++;
-      whereClause += ` AND e.start_time >= $${paramCount}`;
-      queryParams.push(startDate);
+      whereClause += ` AND e.published_at > $${paramCount}`;
+      queryParams.push(publishedAfter);
     }
     
-    if (endDate) {
+    if (publishedUntil) {
       paramCount++;
-      whereClause += ` AND e.start_time <= $${paramCount}`;
-      queryParams.push(endDate);
+      whereClause += ` AND e.published_at <= $${paramCount}`;
+      queryParams.push(publishedUntil);
     }
     
-    if (organiserId) {
+    // Nobody needs an alert about their own event
+    if (excludeOrganiserId) {
       paramCount++;
-      whereClause += ` AND e.organiser_id = $${paramCount}`;
-      queryParams.push(organiserId);
+      whereClause += ` AND e.organiser_id <> $${paramCount}`;
+      queryParams.push(excludeOrganiserId);
     }
     
-    // Add pagination parameters
     paramCount++;
-    const limitParam = paramCount;
     queryParams.push(limit);
     
-    paramCount++;
-    const offsetParam = paramCount;
-    queryParams.push(offset);
+    const result = await db.query(
+      `SELECT e.*, u.display_name as organiser_name${listing.columns}
+       FROM events e
+       JOIN users u ON e.organiser_id = u.id
+       ${whereClause}
+       ORDER BY e.published_at, e.id
+       LIMIT $${paramCount}`,
+      queryParams
+    );
+    
+    return result.rows;
+  }
+  
+  // Count facet options for an event listing. searchMode must be the one the
+  // listing itself used (see getAll), so facets and results agree.
+  static async getFacets(filters = {}, names = Object.keys(FACET_COUNTERS), searchMode = null) {
+    const requested = names.filter(name => FACET_COUNTERS[name]);
+    const counts = await Promise.all(requested.map(name => FACET_COUNTERS[name](filters, searchMode)));
+    
+    return Object.fromEntries(requested.map((name, index) => [name, counts[index]]));
+  }
+  
+  // Read one keyset page of an event listing
+  static async getListingPage(listing, sort, options) {
+    const keyset = keysetQuery(sort, 'e.id', options, listing.paramCount);
+    const whereClause = keyset.condition
+      ? `${listing.whereClause} AND ${keyset.condition}`
+      : listing.whereClause;
+    const queryParams = [...listing.queryParams, ...keyset.params, options.limit + 1];
     
-    // Execute the query
     const result = await db.query(
       `SELECT e.*, 
               u.display_name as organiser_name, 
               u.photo_url as organiser_photo,
-              (SELECT COUNT(*) FROM event_attendees WHERE event_id = e.id) as attendee_count
+              ${REMAINING_CAPACITY_SQL} AS remaining_capacity,
+              ${keyset.keyColumn}
+              ${listing.columns}
        FROM events e
        JOIN users u ON e.organiser_id = u.id
        ${whereClause}
-       ORDER BY e.start_time
-       LIMIT $${limitParam} OFFSET $${offsetParam}`,
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${queryParams.length}`,
       queryParams
     );
     
-    // Get total count for pagination
-    const countResult = await db.query(
-      `SELECT COUNT(*) 
+    const page = buildPage(result.rows, options, event => event.id);
+    
+    return { events: page.items, nextCursor: page.nextCursor, prevCursor: page.prevCursor };
+  }
+  
+  // List one-off events and expanded occurrences of recurring events in a
+  // date window. Occurrences only exist once expanded, so they are merged
+  // with the one-off events of the page and paginated in memory; the one-off
+  // events themselves are read a page at a time from the cursor on.
+  static async getAllOccurrences(listing, sort, options, { startDate, endDate }) {
+    const columns = `e.*, 
+              u.display_name as organiser_name, 
+              u.photo_url as organiser_photo,
+              ${REMAINING_CAPACITY_SQL} AS remaining_capacity
+              ${listing.columns}`;
+    
+    // In-memory cursors hold timestamps as milliseconds. A one-off event never
+    // shares its ID with an occurrence, so the third key can't break a tie.
+    const { cursor } = options;
+    const keysetCursor = cursor && {
+      ...cursor,
+      keys: [sort.type === 'timestamp' ? new Date(cursor.keys[0]) : cursor.keys[0], cursor.keys[1]]
+    };
+    const keyset = keysetQuery(sort, 'e.id', { ...options, cursor: keysetCursor }, listing.paramCount);
+    const oneOffClause = `${listing.whereClause} AND e.recurrence_rule IS NULL`;
+    const queryParams = [...listing.queryParams, ...keyset.params, options.limit + 1];
+    
+    const oneOffResult = await db.query(
+      `SELECT ${columns}
        FROM events e
-       ${whereClause}`,
-      queryParams.slice(0, -2) // Remove limit and offset params
+       JOIN users u ON e.organiser_id = u.id
+       ${oneOffClause}${keyset.condition ? ` AND ${keyset.condition}` : ''}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${queryParams.length}`,
+      queryParams
+    );
+    
+    const seriesResult = await db.query(
+      `SELECT ${columns}
+       FROM events e
+       JOIN users u ON e.organiser_id = u.id
+       ${listing.whereClause} AND e.recurrence_rule IS NOT NULL`,
+      listing.queryParams
     );
     
+    const { windowStart, windowEnd } = resolveWindow(startDate, endDate);
+    const occurrences = await Occurrence.expandAll(seriesResult.rows, windowStart, windowEnd);
+    
+    // Occurrences share their series' ID, so their start breaks ties between them
+    const page = paginateInMemory([...oneOffResult.rows, ...occurrences], options, event => [
+      sort.value(event),
+      event.id,
+      event.occurrence_start ? new Date(event.occurrence_start).getTime() : 0
+    ]);
+    
+    // Counting every match is opt-in (see getAll)
+    let total = null;
+    if (options.includeTotal) {
+      const countResult = await db.query(
+        `SELECT COUNT(*) FROM events e ${oneOffClause}`,
+        listing.queryParams
+      );
+      total = parseInt(countResult.rows[0].count) + occurrences.length;
+    }
+    
     return {
-      events: result.rows,
-      total: parseInt(countResult.rows[0].count),
-      limit,
-      offset
+      events: page.items,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      total
     };
   }
   
   // Register user for an event
-  static async registerUser(eventId, userId) {
+  static async registerUser(eventId, userId, occurrenceStart = null, ticketTypeId = null) {
+    const client = await db.getClient();
+    
     try {
-      // Check if user is already registered
-      const checkResult = await db.query(
-        'SELECT * FROM event_attendees WHERE event_id = $1 AND user_id = $2',
-        [eventId, userId]
-      );
-      
-      if (checkResult.rows.length > 0) {
-        return { success: false, message: 'User already registered for this event' };
-      }
+      await client.begin();
       
-      // Check event capacity
-      const eventResult = await db.query(
-        'SELECT capacity FROM events WHERE id = $1',
+      // Lock the event row so concurrent registrations are checked against
+      // the capacity one at a time and can't both take the last seat
+      const eventResult = await client.query(
+        'SELECT id, capacity, start_time, recurrence_rule FROM events WHERE id = $1 FOR UPDATE',
         [eventId]
       );
       
       if (eventResult.rows.length === 0) {
+        await client.rollback();
         return { success: false, message: 'Event not found' };
       }
       
       const event = eventResult.rows[0];
       
+      // Recurring events are registered for one occurrence at a time
+      const occurrence = await Occurrence.resolve(event, occurrenceStart);
+      
+      if (!occurrence.success) {
+        await client.rollback();
+        return { success: false, message: occurrence.message };
+      }
+      
+      // Check if user is already registered
+      const checkResult = await client.query(
+        `SELECT 1 FROM event_attendees 
+         WHERE event_id = $1 AND user_id = $2 AND occurrence_start IS NOT DISTINCT FROM $3`,
+        [eventId, userId, occurrence.occurrenceStart]
+      );
+      
+      if (checkResult.rows.length > 0) {
+        await client.rollback();
+        return { success: false, message: 'User already registered for this event' };
+      }
+      
       // Check current attendee count
-      const countResult = await db.query(
-        'SELECT COUNT(*) FROM event_attendees WHERE event_id = $1',
-        [eventId]
+      const countResult = await client.query(
+        `SELECT COUNT(*) FROM event_attendees 
+         WHERE event_id = $1 AND occurrence_start IS NOT DISTINCT FROM $2`,
+        [eventId, occurrence.occurrenceStart]
       );
       
       const currentCount = parseInt(countResult.rows[0].count);
       
       // Check if event is at capacity
       if (event.capacity > 0 && currentCount >= event.capacity) {
-        return { success: false, message: 'Event is at capacity' };
+        await client.rollback();
+        return { success: false, full: true, message: 'Event is at capacity' };
+      }
+      
+      // Each ticket type also has its own quota and sales window
+      const ticket = await TicketType.resolve(eventId, ticketTypeId, occurrence.occurrenceStart, client);
+      
+      if (!ticket.success) {
+        await client.rollback();
+        return { success: false, full: Boolean(ticket.soldOut), message: ticket.message };
+      }
+      
+      // Paid tickets hold the seat until the checkout completes or expires
+      let payment = null;
+      if (ticket.ticketType && Number(ticket.ticketType.price) > 0) {
+        if (!Payment.isAvailable()) {
+          await client.rollback();
+          return { success: false, message: 'Paid tickets are not available: no payment provider is configured' };
+        }
+        
+        payment = await Payment.createHold({
+          eventId,
+          userId,
+          occurrenceStart: occurrence.occurrenceStart,
+          ticketType: ticket.ticketType
+        }, client);
       }
       
       // Register user
-      await db.query(
-        'INSERT INTO event_attendees (event_id, user_id) VALUES ($1, $2)',
-        [eventId, userId]
+      const registrationResult = await client.query(
+        `INSERT INTO event_attendees 
+         (event_id, user_id, occurrence_start, ticket_type_id, status, payment_id, hold_expires_at) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [
+          eventId, userId, occurrence.occurrenceStart, ticket.ticketType?.id || null,
+          payment ? 'pending_payment' : 'confirmed', payment?.id || null, payment?.expires_at || null
+        ]
+      );
+      
+      // Drop any waitlist entry now that the user has a seat
+      await client.query(
+        `DELETE FROM event_waitlist 
+         WHERE event_id = $1 AND user_id = $2 AND occurrence_start IS NOT DISTINCT FROM $3`,
+        [eventId, userId, occurrence.occurrenceStart]
       );
       
-      return { success: true, message: 'User registered successfully' };
+      await client.commit();
+      
+      return {
+        success: true,
+        message: payment ? 'Seat held until payment is completed' : 'User registered successfully',
+        registrationId: registrationResult.rows[0].id,
+        occurrenceStart: occurrence.occurrenceStart,
+        ticketType: ticket.ticketType,
+        payment
+      };
     } catch (error) {
+      await client.rollback();
       console.error('Error registering user for event:', error);
       return { success: false, message: 'Failed to register for event' };
+    } finally {
+      client.release();
     }
   }
   
   // Unregister user from an event
-  static async unregisterUser(eventId, userId) {
+  static async unregisterUser(eventId, userId, occurrenceStart = null) {
     try {
       const result = await db.query(
-        'DELETE FROM event_attendees WHERE event_id = $1 AND user_id = $2 RETURNING *',
-        [eventId, userId]
+        `DELETE FROM event_attendees 
+         WHERE event_id = $1 AND user_id = $2 AND occurrence_start IS NOT DISTINCT FROM $3 
+         RETURNING *`,
+        [eventId, userId, occurrenceStart ? new Date(occurrenceStart) : null]
       );
       
       if (result.rows.length === 0) {
         return { success: false, message: 'User not registered for this event' };
       }
       
-      return { success: true, message: 'User unregistered successfully' };
+      const registration = result.rows[0];
+      
+      return {
+        success: true,
+        message: 'User unregistered successfully',
+        registrationId: registration.id,
+        occurrenceStart: registration.occurrence_start,
+        // A checkout still in progress must be closed so it can't be paid
+        pendingPaymentId: registration.status === 'pending_payment' ? registration.payment_id : null
+      };
     } catch (error) {
       console.error('Error unregistering user from event:', error);
       return { success: false, message: 'Failed to unregister from event' };
     }
   }
   
+  // Drop every registration a user holds for an event (e.g. after they
+  // decline), closing pending payments in the same transaction so their
+  // held seats are freed at once
+  static async releaseRegistrations(eventId, userId) {
+    const client = await db.getClient();
+    
+    try {
+      await client.begin();
+      
+      const result = await client.query(
+        `DELETE FROM event_attendees
+         WHERE event_id = $1 AND user_id = $2
+         RETURNING *`,
+        [eventId, userId]
+      );
+      
+      const pendingPaymentIds = result.rows
+        .filter(registration => registration.status === 'pending_payment' && registration.payment_id)
+        .map(registration => registration.payment_id);
+      
+      const paymentResult = pendingPaymentIds.length > 0
+        ? await client.query(
+          `UPDATE payments SET status = 'cancelled', updated_at = NOW()
+           WHERE id = ANY($1::uuid[]) AND status = 'pending'
+           RETURNING *`,
+          [pendingPaymentIds]
+        )
+        : { rows: [] };
+      
+      await client.commit();
+      
+      return {
+        success: true,
+        registrationIds: result.rows.map(registration => registration.id),
+        cancelledPayments: paymentResult.rows
+      };
+    } catch (error) {
+      await client.rollback();
+      console.error('Error releasing event registrations:', error);
+      return { success: false, message: 'Failed to release registrations' };
+    } finally {
+      client.release();
+    }
+  }
+  
   // Check if user is registered for an event
   static async isUserRegistered(eventId, userId) {
     const result = await db.query(
@@ -269,19 +927,159 @@ class Event {
     return result.rows.length > 0;
   }
   
+  // Find a user's registration for an event (or one occurrence of it)
+  static async findRegistration(eventId, userId, occurrenceStart = null) {
+    const result = await db.query(
+      `SELECT ea.*, tt.name as ticket_type_name
+       FROM event_attendees ea
+       LEFT JOIN ticket_types tt ON tt.id = ea.ticket_type_id
+       WHERE ea.event_id = $1 AND ea.user_id = $2 AND ea.occurrence_start IS NOT DISTINCT FROM $3`,
+      [eventId, userId, occurrenceStart ? new Date(occurrenceStart) : null]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  // Find a registration by ID, with the attendee's details
+  static async findRegistrationById(registrationId) {
+    const result = await db.query(
+      `SELECT ea.*, u.display_name, u.photo_url, tt.name as ticket_type_name
+       FROM event_attendees ea
+       JOIN users u ON u.id = ea.user_id
+       LEFT JOIN ticket_types tt ON tt.id = ea.ticket_type_id
+       WHERE ea.id = $1`,
+      [registrationId]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  // Check an attendee in. Only the first check-in of a registration counts.
+  static async checkIn(registrationId, checkedInBy, checkedInAt = new Date()) {
+    const result = await db.query(
+      `UPDATE event_attendees 
+       SET checked_in_at = $3, checked_in_by = $2 
+       WHERE id = $1 AND checked_in_at IS NULL 
+       RETURNING *`,
+      [registrationId, checkedInBy, checkedInAt]
+    );
+    
+    if (result.rows.length === 0) {
+      const existing = await this.findRegistrationById(registrationId);
+      
+      if (!existing) {
+        return { success: false, message: 'Registration not found' };
+      }
+      
+      return {
+        success: false,
+        alreadyCheckedIn: true,
+        message: 'Ticket already checked in',
+        registration: existing
+      };
+    }
+    
+    return { success: true, message: 'Checked in successfully', registration: result.rows[0] };
+  }
+  
+  // Merge a check-in recorded offline by a door staff device.
+  // When several check-ins exist for one registration the earliest one wins,
+  // ties going to the lowest device ID (online scans have none), so the result
+  // does not depend on the order in which devices sync.
+  static async mergeOfflineCheckIn(registrationId, { checkedInBy, checkedInAt, deviceId }) {
+    const result = await db.query(
+      `UPDATE event_attendees 
+       SET checked_in_at = $3, checked_in_by = $2, checked_in_device = $4 
+       WHERE id = $1 AND (
+         checked_in_at IS NULL
+         OR checked_in_at > $3
+         OR (checked_in_at = $3 AND COALESCE(checked_in_device, '') > $4)
+       ) 
+       RETURNING *`,
+      [registrationId, checkedInBy, checkedInAt, deviceId]
+    );
+    
+    if (result.rows.length === 0) {
+      const existing = await this.findRegistrationById(registrationId);
+      
+      if (!existing) {
+        return { success: false, message: 'Registration not found' };
+      }
+      
+      return { success: true, applied: false, registration: existing };
+    }
+    
+    return { success: true, applied: true, registration: result.rows[0] };
+  }
+  
   // Get event attendees
-  static async getAttendees(eventId) {
+  static async getAttendees(eventId, occurrenceStart = null) {
+    let occurrenceClause = '';
+    const queryParams = [eventId];
+    
+    // Narrow a recurring event's attendees down to one occurrence
+    if (occurrenceStart) {
+      occurrenceClause = 'AND ea.occurrence_start = $2';
+      queryParams.push(new Date(occurrenceStart));
+    }
+    
     const result = await db.query(
-      `SELECT u.id, u.display_name, u.photo_url, ea.registered_at
+      `SELECT ${ATTENDEE_COLUMNS}
        FROM users u
        JOIN event_attendees ea ON u.id = ea.user_id
-       WHERE ea.event_id = $1
-       ORDER BY ea.registered_at`,
-      [eventId]
+       LEFT JOIN ticket_types tt ON tt.id = ea.ticket_type_id
+       WHERE ea.event_id = $1 ${occurrenceClause}
+       ORDER BY ea.occurrence_start NULLS FIRST, ea.registered_at`,
+      queryParams
     );
     
     return result.rows;
   }
+  
+  // Get one page of an event's attendees, with the same cursor contract as
+  // event listings (page: { limit, cursor, sort, order, includeTotal })
+  static async getAttendeesPage(eventId, occurrenceStart = null, page = {}) {
+    const { limit = 20, cursor = null, includeTotal = false } = page;
+    const sortKey = ATTENDEE_SORTS[page.sort] ? page.sort : 'registered_at';
+    const sort = ATTENDEE_SORTS[sortKey];
+    const options = { limit, cursor, sort: sortKey, order: page.order || sort.order };
+    
+    let whereClause = 'WHERE ea.event_id = $1';
+    const queryParams = [eventId];
+    
+    // Narrow a recurring event's attendees down to one occurrence
+    if (occurrenceStart) {
+      whereClause += ' AND ea.occurrence_start = $2';
+      queryParams.push(new Date(occurrenceStart));
+    }
+    
+    const keyset = keysetQuery(sort, 'ea.id', options, queryParams.length);
+    const pageParams = [...queryParams, ...keyset.params, limit + 1];
+    
+    const result = await db.query(
+      `SELECT ${ATTENDEE_COLUMNS}, ${keyset.keyColumn}
+       FROM users u
+       JOIN event_attendees ea ON u.id = ea.user_id
+       LEFT JOIN ticket_types tt ON tt.id = ea.ticket_type_id
+       ${whereClause} ${keyset.condition ? `AND ${keyset.condition}` : ''}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${pageParams.length}`,
+      pageParams
+    );
+    
+    const { items, nextCursor, prevCursor } = buildPage(result.rows, options, attendee => attendee.registration_id);
+    
+    let total = null;
+    if (includeTotal) {
+      const countResult = await db.query(
+        `SELECT COUNT(*) FROM event_attendees ea ${whereClause}`,
+        queryParams
+      );
+      total = parseInt(countResult.rows[0].count);
+    }
+    
+    return { attendees: items, nextCursor, prevCursor, total, limit, sort: sortKey, order: options.order };
+  }
 }
 
 export default Event;
\ No newline at end of file
@@ -1,62 +1,92 @@
-import path from 'path';
-import fs from 'fs/promises';
-import { v4 as uuidv4 } from 'uuid';
+import { randomUUID } from 'crypto';
+import sharp from 'sharp';
 import db from '../db/connection.js';
+import config from '../config/index.js';
+import { getStorage, isPrivateKey, PRIVATE_PREFIX } from '../utils/storage.js';
+import { sniffImageType, hasActiveContent } from '../utils/fileType.js';
 
-// Define upload directories
-const uploadsDir = path.join(__dirname, '../../uploads');
-const eventImagesDir = path.join(uploadsDir, 'events');
-const profileImagesDir = path.join(uploadsDir, 'profiles');
+// MIME types of the formats sharp detects
+const FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  heif: 'image/heif',
+  tiff: 'image/tiff',
+  svg: 'image/svg+xml'
+};
+
+// File extensions of the variant formats
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+// Encoder options of uploads re-encoded without their metadata; high enough
+// that the variants made from them don't suffer
+const ORIGINAL_ENCODE_OPTIONS = { jpeg: { quality: 92 }, webp: { quality: 92 }, avif: { quality: 80 } };
+
+// Storage key prefix of the variants of one image, private while the image is
+const variantPrefix = (image) => `${isPrivateKey(image.storage_key) ? PRIVATE_PREFIX : ''}variants/${image.id}/`;
+
+// Size limit of uploads, for messages
+const formatSizeLimit = (bytes) => `${Math.round(bytes / (1024 * 1024) * 10) / 10}MB`;
 
 class Image {
-  // Ensure upload directories exist
-  static async ensureDirectoriesExist() {
-    try {
-      await fs.mkdir(uploadsDir, { recursive: true });
-      await fs.mkdir(eventImagesDir, { recursive: true });
-      await fs.mkdir(profileImagesDir, { recursive: true });
-      return true;
-    } catch (error) {
-      console.error('Error creating upload directories:', error);
-      return false;
-    }
-  }
-  
-  // Save image file
+  // Check an upload by its content, strip its metadata and save it to the
+  // configured storage. Uploads are kept under a private key until
+  // moderation approves them.
   static async saveImage(file, type) {
     try {
-      // Ensure directories exist
-      await this.ensureDirectoriesExist();
+      const { maxFileSize, allowedFileTypes } = config.storage.local;
       
-      // Validate file type
-      const fileExtension = path.extname(file.originalname).toLowerCase();
-      const allowedExtensions = ['.jpg', '.jpeg', '.png', '.gif'];
+      if (file.buffer.length > maxFileSize) {
+        return {
+          success: false,
+          message: `Image is too large. The maximum size is ${formatSizeLimit(maxFileSize)}`
+        };
+      }
       
-      if (!allowedExtensions.includes(fileExtension)) {
+      if (hasActiveContent(file.buffer)) {
         return {
           success: false,
-          message: 'Invalid file type. Only JPG, PNG, and GIF are allowed'
+          message: 'SVG, HTML and other files with active content are not allowed'
         };
       }
       
-      // Generate unique filename
-      const fileName = `${uuidv4()}${fileExtension}`;
+      // Validate file type by content; the name and declared type can't be trusted
+      const detected = sniffImageType(file.buffer);
+      
+      if (!detected || !allowedFileTypes.includes(detected.mimeType)) {
+        return {
+          success: false,
+          message: `Invalid file type. Allowed types: ${allowedFileTypes.join(', ')}`
+        };
+      }
       
-      // Determine directory based on type
-      const directory = type === 'event' ? eventImagesDir : profileImagesDir;
-      const filePath = path.join(directory, fileName);
+      const sanitized = await this.stripMetadata(file.buffer, detected.format);
       
-      // Write file to disk
-      await fs.writeFile(filePath, file.buffer);
+      if (!sanitized) {
+        return {
+          success: false,
+          message: 'The file is not a readable image'
+        };
+      }
       
-      // Create URL path
-      const urlPath = `/uploads/${type === 'event' ? 'events' : 'profiles'}/${fileName}`;
+      // Generate unique filename
+      const fileName = `${randomUUID()}${detected.extension}`;
+      
+      // Determine key based on type
+      const key = `${PRIVATE_PREFIX}${type === 'event' ? 'events' : 'profiles'}/${fileName}`;
+      const storage = getStorage();
+      
+      await storage.put(key, sanitized, { contentType: detected.mimeType });
       
       return {
         success: true,
         fileName,
-        filePath,
-        imageUrl: urlPath
+        storage: storage.name,
+        key,
+        mimeType: detected.mimeType,
+        size: sanitized.length
       };
     } catch (error) {
       console.error('Error saving image:', error);
@@ -67,14 +97,10 @@ class Image {
     }
   }
   
-  // Delete image
-  static async deleteImage(filePath) {
+  // Delete a stored file
+  static async deleteImage(key, storageName = config.storage.type) {
     try {
-      // Check if file exists
-      await fs.access(filePath);
-      
-      // Delete file
-      await fs.unlink(filePath);
+      await getStorage(storageName).delete(key);
       
       return {
         success: true,
@@ -89,40 +115,83 @@ class Image {
     }
   }
   
-  // Get image dimensions (requires sharp package)
-  static async getImageDimensions(filePath) {
+  // Delete an image's original file and all its variants
+  static async deleteFiles(image) {
+    const storage = getStorage(image.storage);
+    
+    await storage.delete(image.storage_key);
+    
+    for (const key of await storage.list(variantPrefix(image))) {
+      await storage.delete(key);
+    }
+  }
+  
+  // Re-encode an upload without its EXIF (including GPS), XMP and IPTC
+  // metadata, keeping its colour profile and baking its orientation into the
+  // pixels. This also drops anything appended after the image data. Returns
+  // null if the file can't be decoded.
+  static async stripMetadata(input, format) {
     try {
-      // This would require the sharp package
-      const sharp = require('sharp');
-      const metadata = await sharp(filePath).metadata();
+      return await sharp(input, { animated: format === 'gif' || format === 'webp' })
+        .rotate()
+        .keepIccProfile()
+        .toFormat(format, ORIGINAL_ENCODE_OPTIONS[format] || {})
+        .toBuffer();
+    } catch (error) {
+      console.error('Error stripping image metadata:', error);
+      return null;
+    }
+  }
+  
+  // Read an image's original file
+  static async readOriginal(image) {
+    return getStorage(image.storage).get(image.storage_key);
+  }
+  
+  // Open a stored file of an image (its original or one of its variants) for streaming
+  static async openFile(image, key = image.storage_key) {
+    return getStorage(image.storage).createReadStream(key);
+  }
+  
+  // Get a temporary URL of a stored file of an image
+  static async getSignedUrl(image, key = image.storage_key, expiresIn = config.storage.signedUrlExpiresIn) {
+    return getStorage(image.storage).signedUrl(key, { expiresIn });
+  }
+  
+  // Read an image's real format and its dimensions as displayed, i.e. after
+  // applying any EXIF orientation. Returns null if the file isn't an image.
+  static async getImageMetadata(input) {
+    try {
+      const metadata = await sharp(input).metadata();
+      const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+      
       return {
-        width: metadata.width,
-        height: metadata.height
+        format,
+        mimeType: FORMAT_MIME_TYPES[format] || `image/${format}`,
+        width: metadata.autoOrient?.width ?? metadata.width,
+        height: metadata.autoOrient?.height ?? metadata.height,
+        hasAlpha: Boolean(metadata.hasAlpha)
       };
-      
-      // // For now, return placeholder dimensions
-      // return {
-      //   width: 800,
-      //   height: 600
-      // };
     } catch (error) {
-      console.error('Error getting image dimensions:', error);
+      console.error('Error reading image metadata:', error);
       return null;
     }
   }
   
-  // Resize image (requires sharp package)
-  static async resizeImage(filePath, width, height) {
+  // Get image dimensions
+  static async getImageDimensions(input) {
+    const metadata = await this.getImageMetadata(input);
+    
+    return metadata ? { width: metadata.width, height: metadata.height } : null;
+  }
+  
+  // Resize image
+  static async resizeImage(input, width, height) {
     try {
-      // This would require the sharp package
-      const sharp = require('sharp');
-      const resizedImageBuffer = await sharp(filePath)
+      return await sharp(input)
+        .rotate()
         .resize(width, height)
         .toBuffer();
-      return resizedImageBuffer;
-      
-      // For now, just return the original file
-      // return await fs.readFile(filePath);
     } catch (error) {
       console.error('Error resizing image:', error);
       return null;
@@ -130,27 +199,499 @@ class Image {
   }
   
   // Generate thumbnail
-  static async generateThumbnail(filePath, fileName, type) {
+  static async generateThumbnail(input, fileName) {
     try {
-      // This would require the sharp package
-      const sharp = require('sharp');
-      const thumbnailDir = path.join(uploadsDir, 'thumbnails');
-      await fs.mkdir(thumbnailDir, { recursive: true });
-      
-      const thumbnailPath = path.join(thumbnailDir, `thumb_${fileName}`);
-      await sharp(filePath)
+      const key = `thumbnails/thumb_${fileName}`;
+      const storage = getStorage();
+      const thumbnail = await sharp(input)
+        .rotate()
         .resize(200, 200, { fit: 'inside' })
-        .toFile(thumbnailPath);
+        .toBuffer();
       
-      return `/uploads/thumbnails/thumb_${fileName}`;
+      await storage.put(key, thumbnail);
       
-      // For now, just return the original URL
-      // return `/uploads/${type === 'event' ? 'events' : 'profiles'}/${fileName}`;
+      return storage.publicUrl(key);
     } catch (error) {
       console.error('Error generating thumbnail:', error);
       return null;
     }
   }
+  
+  // Write the resized copies of an image: every configured width narrower
+  // than the original plus the original width, each as a JPEG (PNG when the
+  // image has transparency) and in the configured modern formats, next to
+  // the original in its storage
+  static async renderVariants(image, source, metadata) {
+    const storage = getStorage(image.storage);
+    const prefix = variantPrefix(image);
+    const { variantWidths, variantFormats, quality } = config.images;
+    
+    const widths = [...new Set([
+      ...variantWidths.filter(width => width < metadata.width),
+      metadata.width
+    ])].sort((a, b) => a - b);
+    const formats = [metadata.hasAlpha ? 'png' : 'jpeg', ...variantFormats.filter(format => FORMAT_EXTENSIONS[format])];
+    
+    // Start over so widths dropped from the config don't linger
+    for (const key of await storage.list(prefix)) {
+      await storage.delete(key);
+    }
+    
+    const variants = [];
+    
+    for (const width of widths) {
+      for (const format of formats) {
+        const key = `${prefix}${width}.${FORMAT_EXTENSIONS[format]}`;
+        
+        const { data, info } = await sharp(source)
+          .rotate()
+          .resize({ width, withoutEnlargement: true })
+          .toFormat(format, format === 'png' ? {} : { quality })
+          .toBuffer({ resolveWithObject: true });
+        
+        await storage.put(key, data, { contentType: FORMAT_MIME_TYPES[format] });
+        
+        variants.push({
+          width: info.width,
+          height: info.height,
+          format,
+          mimeType: FORMAT_MIME_TYPES[format],
+          size: info.size,
+          storageKey: key,
+          urlPath: isPrivateKey(key) ? null : storage.publicUrl(key)
+        });
+      }
+    }
+    
+    return variants;
+  }
+  
+  // Record an uploaded image, waiting to be processed
+  static async create(imageData) {
+    const {
+      filename, originalName, mimeType, size, storage, storageKey, urlPath = null,
+      isPrivate = false, type, uploadedBy, eventId = null, caption = null, altText = null
+    } = imageData;
+    
+    // Event images join the end of the event's gallery
+    const result = await db.query(
+      `INSERT INTO images (filename, original_name, mime_type, size, storage, storage_key, url_path, is_private,
+                           type, uploaded_by, event_id, caption, alt_text, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+               (SELECT COALESCE(MAX(position) + 1, 0) FROM images WHERE event_id = $11))
+       RETURNING *`,
+      [filename, originalName, mimeType, size, storage, storageKey, urlPath, isPrivate, type, uploadedBy, eventId, caption, altText]
+    );
+    
+    return result.rows[0];
+  }
+  
+  // Find an image by ID
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM images WHERE id = $1', [id]);
+    
+    return result.rows[0] || null;
+  }
+  
+  // Find a public image by the URL of its original; takes several candidate
+  // URLs (e.g. a full URL and its path) and returns the first match
+  static async findByUrlPath(urlPaths) {
+    const result = await db.query(
+      'SELECT * FROM images WHERE url_path = ANY($1) AND NOT is_private LIMIT 1',
+      [[].concat(urlPaths)]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  // Get the published gallery of an event, in order, with each image's variants
+  static async getGallery(eventId) {
+    const result = await db.query(
+      `SELECT i.id, i.url_path, i.caption, i.alt_text, i.position, i.is_cover, i.width, i.height, i.mime_type,
+              COALESCE(
+                json_agg(json_build_object(
+                  'url_path', v.url_path, 'width', v.width, 'height', v.height,
+                  'format', v.format, 'mime_type', v.mime_type
+                ) ORDER BY v.width, v.format) FILTER (WHERE v.id IS NOT NULL),
+                '[]'
+              ) AS variants
+       FROM images i
+       LEFT JOIN image_variants v ON v.image_id = i.id
+       WHERE i.event_id = $1 AND i.moderation_status = 'approved' AND NOT i.is_private
+       GROUP BY i.id
+       ORDER BY i.position, i.created_at`,
+      [eventId]
+    );
+    
+    return result.rows;
+  }
+  
+  // Get every image of an event that hasn't been rejected, in gallery order,
+  // with its variants
+  static async findByEvent(eventId) {
+    const result = await db.query(
+      `SELECT i.*,
+              COALESCE(json_agg(v ORDER BY v.width, v.format) FILTER (WHERE v.id IS NOT NULL), '[]') AS variants
+       FROM images i
+       LEFT JOIN image_variants v ON v.image_id = i.id
+       WHERE i.event_id = $1 AND i.moderation_status <> 'rejected'
+       GROUP BY i.id
+       ORDER BY i.position, i.created_at`,
+      [eventId]
+    );
+    
+    return result.rows;
+  }
+  
+  // Update an image's caption and alt text; an empty string clears them
+  static async updateDetails(id, { caption, altText }) {
+    const result = await db.query(
+      `UPDATE images
+       SET caption = CASE WHEN $1::text IS NULL THEN caption ELSE NULLIF($1, '') END,
+           alt_text = CASE WHEN $2::text IS NULL THEN alt_text ELSE NULLIF($2, '') END
+       WHERE id = $3
+       RETURNING *`,
+      [caption, altText, id]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  // Put an event's gallery in the given order of image IDs
+  static async reorder(eventId, imageIds) {
+    await db.query(
+      `UPDATE images
+       SET position = ordered.position - 1
+       FROM unnest($2::uuid[]) WITH ORDINALITY AS ordered(id, position)
+       WHERE images.id = ordered.id AND images.event_id = $1`,
+      [eventId, imageIds]
+    );
+  }
+  
+  // Make an image the cover of its event (or remove the cover when imageId
+  // is null), showing its URL as the event's image
+  static async setCover(eventId, imageId) {
+    const client = await db.getClient();
+    
+    try {
+      await client.begin();
+      
+      await client.query('UPDATE images SET is_cover = FALSE WHERE event_id = $1 AND is_cover', [eventId]);
+      
+      const result = imageId
+        ? await client.query(
+          'UPDATE images SET is_cover = TRUE WHERE id = $1 AND event_id = $2 RETURNING *',
+          [imageId, eventId]
+        )
+        : { rows: [] };
+      const cover = result.rows[0] || null;
+      
+      await client.query(
+        'UPDATE events SET image_url = $2 WHERE id = $1',
+        [eventId, cover ? cover.url_path : null]
+      );
+      
+      await client.commit();
+      
+      return cover;
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Get the variants of an image, narrowest first
+  static async getVariants(imageId) {
+    const result = await db.query(
+      'SELECT * FROM image_variants WHERE image_id = $1 ORDER BY width, format',
+      [imageId]
+    );
+    
+    return result.rows;
+  }
+  
+  // Store what processing found out about an image and replace its variants
+  static async saveProcessed(id, { width, height, mimeType, variants }) {
+    const client = await db.getClient();
+    
+    try {
+      await client.begin();
+      
+      const result = await client.query(
+        `UPDATE images
+         SET width = $1, height = $2, mime_type = $3, status = 'ready', processed_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [width, height, mimeType, id]
+      );
+      
+      await client.query('DELETE FROM image_variants WHERE image_id = $1', [id]);
+      
+      for (const variant of variants) {
+        await client.query(
+          `INSERT INTO image_variants (image_id, width, height, format, mime_type, size, storage_key, url_path)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [id, variant.width, variant.height, variant.format, variant.mimeType, variant.size, variant.storageKey, variant.urlPath]
+        );
+      }
+      
+      await client.commit();
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Get the images kept in a storage, oldest first
+  static async findByStorage(storage) {
+    const result = await db.query(
+      'SELECT * FROM images WHERE storage = $1 ORDER BY created_at',
+      [storage]
+    );
+    
+    return result.rows;
+  }
+  
+  // Record that an image's files (under the same keys) were moved to another
+  // storage, along with their new public URLs
+  static async moveToStorage(id, storage, { urlPath, variants }) {
+    const client = await db.getClient();
+    
+    try {
+      await client.begin();
+      
+      const result = await client.query(
+        'UPDATE images SET storage = $1, url_path = $2 WHERE id = $3 RETURNING *',
+        [storage, urlPath, id]
+      );
+      
+      for (const variant of variants) {
+        await client.query(
+          'UPDATE image_variants SET url_path = $1 WHERE id = $2',
+          [variant.urlPath, variant.id]
+        );
+      }
+      
+      await client.commit();
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Point the event images and profile photos using a file's URL to its new one
+  static async replaceUrl(oldUrl, newUrl) {
+    const events = await db.query('UPDATE events SET image_url = $2 WHERE image_url = $1', [oldUrl, newUrl]);
+    const users = await db.query('UPDATE users SET photo_url = $2 WHERE photo_url = $1', [oldUrl, newUrl]);
+    
+    return events.rowCount + users.rowCount;
+  }
+  
+  // Get the images nothing refers to any more, created before a cutoff:
+  // profile photos that were replaced or whose user is gone. Event images
+  // go with their event; rejected images keep their record (their files are
+  // already deleted) as a trace of the moderation decision.
+  static async findOrphans(createdBefore) {
+    const result = await db.query(
+      `SELECT i.*,
+              i.size + COALESCE((SELECT SUM(v.size) FROM image_variants v WHERE v.image_id = i.id), 0) AS total_size
+       FROM images i
+       WHERE i.type = 'profile'
+         AND i.created_at < $1
+         AND i.moderation_status <> 'rejected'
+         AND (i.moderation_status = 'approved' OR i.uploaded_by IS NULL)
+         AND NOT EXISTS (SELECT 1 FROM users u WHERE u.photo_url = i.url_path)
+       ORDER BY i.created_at`,
+      [createdBefore]
+    );
+    
+    return result.rows;
+  }
+  
+  // Get the keys of every file recorded in a storage, originals and variants
+  static async getStorageKeys(storage) {
+    const result = await db.query(
+      `SELECT storage_key FROM images WHERE storage = $1
+       UNION
+       SELECT v.storage_key FROM image_variants v JOIN images i ON i.id = v.image_id WHERE i.storage = $1`,
+      [storage]
+    );
+    
+    return new Set(result.rows.map(row => row.storage_key));
+  }
+  
+  // Get every URL events and users point at for their image or photo
+  static async getReferencedUrls() {
+    const result = await db.query(
+      `SELECT image_url AS url FROM events WHERE image_url IS NOT NULL
+       UNION
+       SELECT photo_url FROM users WHERE photo_url IS NOT NULL`
+    );
+    
+    return new Set(result.rows.map(row => row.url));
+  }
+  
+  // Get the images in a moderation status, oldest first, with the total count
+  static async findByModerationStatus(status, { limit, offset = 0 }) {
+    const result = await db.query(
+      `SELECT *, COUNT(*) OVER() AS total_count
+       FROM images
+       WHERE moderation_status = $1
+       ORDER BY created_at, id
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+    
+    return {
+      images: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+    };
+  }
+  
+  // Hold an image for an admin to review
+  static async quarantine(id, { reason = null, labels = null } = {}) {
+    const result = await db.query(
+      `UPDATE images
+       SET moderation_status = 'quarantined', moderation_reason = $2, moderation_labels = $3, moderated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, reason, labels && JSON.stringify(labels)]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  // Approve an image. Unless it is private, its files move to public keys
+  // and it gets its public URLs; a profile image becomes its uploader's photo.
+  static async approve(image, { moderatedBy = null, labels = null } = {}) {
+    const storage = getStorage(image.storage);
+    const variants = await this.getVariants(image.id);
+    const publish = !image.is_private && isPrivateKey(image.storage_key);
+    
+    // Files are copied to their public keys first; the private copies are
+    // only removed once the records point at the public ones
+    const publicKey = (key) => key.slice(PRIVATE_PREFIX.length);
+    const files = [
+      { key: image.storage_key, contentType: image.mime_type },
+      ...variants.map(variant => ({ key: variant.storage_key, contentType: variant.mime_type }))
+    ];
+    
+    if (publish) {
+      for (const { key, contentType } of files) {
+        await storage.put(publicKey(key), await storage.get(key), { contentType });
+      }
+    }
+    
+    const client = await db.getClient();
+    let approved;
+    
+    try {
+      await client.begin();
+      
+      const storageKey = publish ? publicKey(image.storage_key) : image.storage_key;
+      const result = await client.query(
+        `UPDATE images
+         SET storage_key = $2, url_path = $3, moderation_status = 'approved', moderation_reason = NULL,
+             moderation_labels = COALESCE($4, moderation_labels), moderated_by = $5, moderated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [image.id, storageKey, publish ? storage.publicUrl(storageKey) : image.url_path, labels && JSON.stringify(labels), moderatedBy]
+      );
+      approved = result.rows[0] || null;
+      
+      if (publish) {
+        for (const variant of variants) {
+          const key = publicKey(variant.storage_key);
+          
+          await client.query(
+            'UPDATE image_variants SET storage_key = $2, url_path = $3 WHERE id = $1',
+            [variant.id, key, storage.publicUrl(key)]
+          );
+        }
+      }
+      
+      if (approved && approved.type === 'profile' && approved.url_path) {
+        await client.query('UPDATE users SET photo_url = $2 WHERE id = $1', [approved.uploaded_by, approved.url_path]);
+      }
+      
+      await client.commit();
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    if (publish) {
+      for (const { key } of files) {
+        await storage.delete(key);
+      }
+    }
+    
+    return approved;
+  }
+  
+  // Reject an image: its files are deleted and anything showing it is cleared,
+  // while the record stays to tell the uploader why
+  static async reject(image, { moderatedBy = null, reason = null, labels = null } = {}) {
+    await this.deleteFiles(image);
+    
+    if (image.url_path) {
+      await this.replaceUrl(image.url_path, null);
+    }
+    
+    await db.query('DELETE FROM image_variants WHERE image_id = $1', [image.id]);
+    
+    const result = await db.query(
+      `UPDATE images
+       SET url_path = NULL, is_cover = FALSE, moderation_status = 'rejected', moderation_reason = $2,
+           moderation_labels = COALESCE($3, moderation_labels), moderated_by = $4, moderated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [image.id, reason, labels && JSON.stringify(labels), moderatedBy]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  // Mark an image whose processing gave up
+  static async markFailed(id) {
+    const result = await db.query(
+      `UPDATE images SET status = 'failed', processed_at = NOW() WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  // Delete an image for good: its record, anything showing it (an event
+  // cover, a profile photo) and its stored files and variants
+  static async destroy(image) {
+    await this.delete(image.id);
+    
+    if (image.url_path) {
+      await this.replaceUrl(image.url_path, null);
+    }
+    
+    await this.deleteFiles(image);
+  }
+  
+  // Delete an image's record (its variants go with it)
+  static async delete(id) {
+    const result = await db.query('DELETE FROM images WHERE id = $1 RETURNING *', [id]);
+    
+    return result.rows[0] || null;
+  }
 }
 
 export default Image;
\ No newline at end of file
@@ -0,0 +1,122 @@
+import db from '../db/connection.js';
+import { isOccurrence, expandOccurrences } from '../utils/recurrence.js';
+
+class Occurrence {
+  // Get the overrides of one or more recurring events
+  static async getOverrides(eventIds) {
+    const result = await db.query(
+      `SELECT * FROM event_occurrence_overrides
+       WHERE event_id = ANY($1)
+       ORDER BY occurrence_start`,
+      [eventIds]
+    );
+
+    return result.rows;
+  }
+
+  // Find the override of a single occurrence
+  static async findOverride(eventId, occurrenceStart) {
+    const result = await db.query(
+      'SELECT * FROM event_occurrence_overrides WHERE event_id = $1 AND occurrence_start = $2',
+      [eventId, occurrenceStart]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Create or replace the override of a single occurrence
+  static async saveOverride(eventId, occurrenceStart, overrideData) {
+    const { startTime, endTime, title, location, isCancelled = false } = overrideData;
+
+    const result = await db.query(
+      `INSERT INTO event_occurrence_overrides
+       (event_id, occurrence_start, start_time, end_time, title, location, is_cancelled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (event_id, occurrence_start) DO UPDATE
+       SET start_time = EXCLUDED.start_time,
+           end_time = EXCLUDED.end_time,
+           title = EXCLUDED.title,
+           location = EXCLUDED.location,
+           is_cancelled = EXCLUDED.is_cancelled,
+           updated_at = NOW()
+       RETURNING *`,
+      [eventId, occurrenceStart, startTime, endTime, title, location, isCancelled]
+    );
+
+    return result.rows[0];
+  }
+
+  // Remove the override of a single occurrence, restoring it to the series defaults
+  static async removeOverride(eventId, occurrenceStart) {
+    const result = await db.query(
+      'DELETE FROM event_occurrence_overrides WHERE event_id = $1 AND occurrence_start = $2 RETURNING *',
+      [eventId, occurrenceStart]
+    );
+
+    return result.rows[0];
+  }
+
+  // Resolve the occurrence a registration targets
+  static async resolve(event, occurrenceStart) {
+    // One-off events have a single implicit occurrence
+    if (!event.recurrence_rule) {
+      return { success: true, occurrenceStart: null };
+    }
+
+    if (!occurrenceStart) {
+      return { success: false, message: 'occurrenceStart is required for recurring events' };
+    }
+
+    if (!isOccurrence(event, occurrenceStart)) {
+      return { success: false, message: 'Not an occurrence of this event' };
+    }
+
+    const override = await this.findOverride(event.id, new Date(occurrenceStart));
+
+    if (override && override.is_cancelled) {
+      return { success: false, message: 'This occurrence is cancelled' };
+    }
+
+    return { success: true, occurrenceStart: new Date(occurrenceStart) };
+  }
+
+  // Expand recurring events into their occurrences inside a window
+  static async expandAll(events, windowStart, windowEnd) {
+    if (events.length === 0) return [];
+
+    const eventIds = events.map(event => event.id);
+    const overrides = await this.getOverrides(eventIds);
+
+    const countResult = await db.query(
+      `SELECT event_id, occurrence_start, COUNT(*)::int AS attendee_count
+       FROM event_attendees
+       WHERE event_id = ANY($1) AND occurrence_start IS NOT NULL
+       GROUP BY event_id, occurrence_start`,
+      [eventIds]
+    );
+
+    const counts = new Map(
+      countResult.rows.map(row => [
+        `${row.event_id}:${new Date(row.occurrence_start).getTime()}`,
+        row.attendee_count
+      ])
+    );
+
+    return events.flatMap(event => {
+      const eventOverrides = overrides.filter(override => override.event_id === event.id);
+
+      return expandOccurrences(event, eventOverrides, windowStart, windowEnd)
+        .map(occurrence => {
+          const attendeeCount = counts.get(`${event.id}:${occurrence.occurrence_start.getTime()}`) || 0;
+
+          return {
+            ...occurrence,
+            attendee_count: attendeeCount,
+            remaining_capacity: event.capacity > 0 ? Math.max(event.capacity - attendeeCount, 0) : null
+          };
+        });
+    });
+  }
+}
+
+export default Occurrence;
@@ -0,0 +1,336 @@
+import db from '../db/connection.js';
+import config from '../config/index.js';
+import Waitlist from './waitlistModel.js';
+import { getPaymentGateway } from '../utils/paymentGateway.js';
+import { queuePaymentHoldExpiry } from '../jobs/queue.js';
+
+class Payment {
+  // Find payment by ID
+  static async findById(id) {
+    const result = await db.query(
+      'SELECT * FROM payments WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Find payment by its provider checkout session
+  static async findBySessionId(sessionId) {
+    const result = await db.query(
+      'SELECT * FROM payments WHERE provider_session_id = $1',
+      [sessionId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Whether paid tickets can be sold, i.e. a payment provider is configured
+  static isAvailable() {
+    return Boolean(config.payments.provider);
+  }
+
+  // Open a pending payment for a paid ticket. The caller inserts the
+  // attendee row that holds the seat until the payment expires.
+  static async createHold({ eventId, userId, occurrenceStart = null, ticketType }, client = db) {
+    const expiresAt = new Date(Date.now() + config.payments.holdMinutes * 60 * 1000);
+
+    const result = await client.query(
+      `INSERT INTO payments
+       (event_id, user_id, occurrence_start, ticket_type_id, provider, amount, currency, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        eventId, userId, occurrenceStart, ticketType.id,
+        config.payments.provider, ticketType.price, ticketType.currency, expiresAt
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Create the provider checkout session for a pending payment
+  static async startCheckout(payment) {
+    try {
+      const gateway = getPaymentGateway(payment.provider);
+
+      if (!gateway) {
+        throw new Error(`Unknown payment provider: ${payment.provider}`);
+      }
+
+      const detailsResult = await db.query(
+        `SELECT e.title, tt.name as ticket_type_name
+         FROM payments p
+         JOIN events e ON e.id = p.event_id
+         LEFT JOIN ticket_types tt ON tt.id = p.ticket_type_id
+         WHERE p.id = $1`,
+        [payment.id]
+      );
+      const details = detailsResult.rows[0] || {};
+
+      const session = await gateway.createCheckoutSession({
+        paymentId: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        description: [details.title, details.ticket_type_name].filter(Boolean).join(' - ')
+      });
+
+      const result = await db.query(
+        `UPDATE payments
+         SET provider_session_id = $1, checkout_url = $2, updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [session.sessionId, session.url, payment.id]
+      );
+
+      // Release the seat if the checkout is still unpaid when the hold runs out
+      await queuePaymentHoldExpiry(
+        { paymentId: payment.id },
+        { delay: Math.max(new Date(payment.expires_at).getTime() - Date.now(), 0) }
+      );
+
+      return { success: true, payment: result.rows[0] };
+    } catch (error) {
+      console.error('Error starting checkout:', error);
+      // Not handed to the waitlist: with the provider failing, its checkout
+      // would fail in turn and drain the list
+      await this.release(payment.id, 'failed', { promote: false });
+      return { success: false, message: 'Failed to start checkout' };
+    }
+  }
+
+  // Mark a payment as paid and confirm the registration it holds a seat for
+  static async confirm(sessionId, providerPaymentId) {
+    const client = await db.getClient();
+    let payment;
+    let seatLost = false;
+
+    try {
+      await client.begin();
+
+      const paymentResult = await client.query(
+        'SELECT * FROM payments WHERE provider_session_id = $1 FOR UPDATE',
+        [sessionId]
+      );
+
+      if (paymentResult.rows.length === 0) {
+        await client.rollback();
+        return { success: false, message: 'Payment not found' };
+      }
+
+      payment = paymentResult.rows[0];
+
+      // Providers may deliver the same webhook more than once
+      if (payment.status === 'succeeded' || payment.status === 'refunded') {
+        await client.commit();
+        return { success: true, message: 'Payment already processed', payment };
+      }
+
+      const updateResult = await client.query(
+        `UPDATE payments
+         SET status = 'succeeded', provider_payment_id = $1, paid_at = NOW(), updated_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [providerPaymentId, payment.id]
+      );
+      payment = updateResult.rows[0];
+
+      const attendeeResult = await client.query(
+        `UPDATE event_attendees
+         SET status = 'confirmed', hold_expires_at = NULL
+         WHERE payment_id = $1 AND status = 'pending_payment'
+         RETURNING *`,
+        [payment.id]
+      );
+
+      // The hold was already released (expired, cancelled or unregistered)
+      seatLost = attendeeResult.rows.length === 0;
+
+      await client.commit();
+    } catch (error) {
+      await client.rollback();
+      console.error('Error confirming payment:', error);
+      return { success: false, message: 'Failed to confirm payment' };
+    } finally {
+      client.release();
+    }
+
+    // Money arrived for a seat we no longer hold, so send it straight back
+    if (seatLost) {
+      const refund = await this.refund(payment);
+      return { success: refund.success, message: 'Seat no longer held, payment refunded', payment: refund.payment };
+    }
+
+    return { success: true, message: 'Payment confirmed', payment };
+  }
+
+  // Close a pending payment and free the seat it was holding, for the
+  // waitlist unless promote is false
+  static async release(paymentId, status, { promote = true } = {}) {
+    const client = await db.getClient();
+    let payment;
+    let releasedSeat;
+
+    try {
+      await client.begin();
+
+      const paymentResult = await client.query(
+        'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+        [paymentId]
+      );
+
+      payment = paymentResult.rows[0];
+
+      if (!payment || payment.status !== 'pending') {
+        await client.rollback();
+        return { success: false, message: 'Payment is not pending' };
+      }
+
+      await client.query(
+        'UPDATE payments SET status = $1, updated_at = NOW() WHERE id = $2',
+        [status, paymentId]
+      );
+
+      const attendeeResult = await client.query(
+        `DELETE FROM event_attendees
+         WHERE payment_id = $1 AND status = 'pending_payment'
+         RETURNING *`,
+        [paymentId]
+      );
+      releasedSeat = attendeeResult.rows[0];
+
+      await client.commit();
+    } catch (error) {
+      await client.rollback();
+      console.error('Error releasing payment hold:', error);
+      return { success: false, message: 'Failed to release payment hold' };
+    } finally {
+      client.release();
+    }
+
+    await this.closeCheckout(payment);
+
+    // Hand the freed seat to the next person on the waitlist
+    if (releasedSeat && promote) {
+      await Waitlist.promote(releasedSeat.event_id, releasedSeat.occurrence_start);
+    }
+
+    return { success: true, message: 'Payment hold released' };
+  }
+
+  // Expire the provider checkout session of a closed payment, so it can't be paid
+  static async closeCheckout(payment) {
+    if (!payment.provider_session_id) return;
+
+    try {
+      await getPaymentGateway(payment.provider)?.expireCheckoutSession(payment.provider_session_id);
+    } catch (error) {
+      console.error('Error expiring checkout session:', error);
+    }
+  }
+
+  // Release the hold of a payment that was not completed in time
+  static async expire(paymentId) {
+    const payment = await this.findById(paymentId);
+
+    if (!payment || payment.status !== 'pending' || new Date(payment.expires_at) > new Date()) {
+      return { success: false, message: 'Payment hold has not expired' };
+    }
+
+    return this.release(paymentId, 'expired');
+  }
+
+  // Refund a completed payment in full
+  static async refund(payment) {
+    try {
+      const gateway = getPaymentGateway(payment.provider);
+
+      if (!gateway) {
+        throw new Error(`Unknown payment provider: ${payment.provider}`);
+      }
+
+      const { refundId } = await gateway.refund({
+        providerPaymentId: payment.provider_payment_id,
+        amount: payment.amount,
+        currency: payment.currency
+      });
+
+      const result = await db.query(
+        `UPDATE payments
+         SET status = 'refunded', provider_refund_id = $1, refunded_at = NOW(), updated_at = NOW()
+         WHERE id = $2 AND status = 'succeeded'
+         RETURNING *`,
+        [refundId, payment.id]
+      );
+
+      return { success: true, payment: result.rows[0] || payment };
+    } catch (error) {
+      console.error('Error refunding payment:', error);
+      return { success: false, message: 'Failed to refund payment', payment };
+    }
+  }
+
+  // Refund paid registrations and cancel pending checkouts of a cancelled
+  // event, or of a single cancelled occurrence
+  static async refundEvent(eventId, occurrenceStart) {
+    let occurrenceClause = '';
+    const queryParams = [eventId];
+
+    if (occurrenceStart !== undefined) {
+      occurrenceClause = 'AND occurrence_start IS NOT DISTINCT FROM $2';
+      queryParams.push(occurrenceStart ? new Date(occurrenceStart) : null);
+    }
+
+    const result = await db.query(
+      `SELECT * FROM payments
+       WHERE event_id = $1 AND status IN ('pending', 'succeeded') ${occurrenceClause}`,
+      queryParams
+    );
+
+    const summary = { refunded: 0, cancelled: 0, failed: 0 };
+
+    for (const payment of result.rows) {
+      const outcome = payment.status === 'pending'
+        ? await this.release(payment.id, 'cancelled')
+        : await this.refund(payment);
+
+      if (!outcome.success) {
+        summary.failed++;
+      } else if (payment.status === 'pending') {
+        summary.cancelled++;
+      } else {
+        summary.refunded++;
+      }
+    }
+
+    return summary;
+  }
+
+  // Apply a verified provider webhook event
+  static async handleWebhookEvent(event) {
+    switch (event.type) {
+      case 'payment.succeeded':
+        return this.confirm(event.sessionId, event.providerPaymentId);
+
+      case 'payment.failed': {
+        const payment = await this.findBySessionId(event.sessionId);
+
+        if (!payment) {
+          return { success: false, message: 'Payment not found' };
+        }
+
+        // A failure arriving after success or expiry changes nothing
+        if (payment.status !== 'pending') {
+          return { success: true, message: 'Payment already processed', payment };
+        }
+
+        return this.release(payment.id, 'failed');
+      }
+
+      default:
+        return { success: true, message: `Ignored event type: ${event.type}` };
+    }
+  }
+}
+
+export default Payment;
@@ -0,0 +1,97 @@
+import db from '../db/connection.js';
+import config from '../config/index.js';
+
+// A registration with what its reminders need: the start, title and place of
+// the event (or of its occurrence, as moved or renamed by an override) and the
+// attendee's reminder preferences, falling back to the configured defaults
+const TARGET_QUERY = `
+  SELECT ea.id AS registration_id, ea.event_id, ea.user_id, ea.occurrence_start, ea.status,
+         e.start_time AS series_start_time, e.recurrence_rule,
+         COALESCE(o.start_time, ea.occurrence_start, e.start_time) AS start_time,
+         COALESCE(o.title, e.title) AS title,
+         COALESCE(o.location, e.venue_name, e.location) AS location,
+         e.is_cancelled OR COALESCE(o.is_cancelled, false) AS is_cancelled,
+         u.email, u.display_name,
+         COALESCE(rp.offsets, $1) AS offsets,
+         COALESCE(rp.channels, $2) AS channels,
+         COALESCE(rp.language, 'en') AS language
+  FROM event_attendees ea
+  JOIN events e ON e.id = ea.event_id
+  JOIN users u ON u.id = ea.user_id
+  LEFT JOIN event_occurrence_overrides o
+    ON o.event_id = ea.event_id AND o.occurrence_start = ea.occurrence_start
+  LEFT JOIN reminder_preferences rp ON rp.user_id = ea.user_id`;
+
+class Reminder {
+  // Get a user's reminder preferences, or the defaults if they never set any
+  static async getPreferences(userId) {
+    const result = await db.query(
+      'SELECT offsets, channels, language, updated_at FROM reminder_preferences WHERE user_id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return {
+        offsets: config.reminders.defaultOffsets,
+        channels: config.reminders.defaultChannels,
+        language: 'en',
+        isDefault: true
+      };
+    }
+
+    return { ...result.rows[0], isDefault: false };
+  }
+
+  // Create or replace a user's reminder preferences
+  static async savePreferences(userId, { offsets, channels, language = 'en' }) {
+    const result = await db.query(
+      `INSERT INTO reminder_preferences (user_id, offsets, channels, language)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO UPDATE
+       SET offsets = EXCLUDED.offsets,
+           channels = EXCLUDED.channels,
+           language = EXCLUDED.language
+       RETURNING offsets, channels, language, updated_at`,
+      [userId, offsets, channels, language]
+    );
+
+    return { ...result.rows[0], isDefault: false };
+  }
+
+  // Find the registrations reminders are sent for: one by ID, or every one of
+  // an event or a user. `upcoming` leaves out events that already started.
+  static async findTargets({ registrationId, eventId, userId, upcoming = false } = {}) {
+    const conditions = [];
+    const params = [config.reminders.defaultOffsets, config.reminders.defaultChannels];
+
+    if (registrationId) {
+      params.push(registrationId);
+      conditions.push(`ea.id = $${params.length}`);
+    }
+
+    if (eventId) {
+      params.push(eventId);
+      conditions.push(`ea.event_id = $${params.length}`);
+    }
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`ea.user_id = $${params.length}`);
+    }
+
+    if (upcoming) {
+      conditions.push('COALESCE(o.start_time, ea.occurrence_start, e.start_time) > NOW()');
+    }
+
+    const result = await db.query(
+      `${TARGET_QUERY}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ea.registered_at, ea.id`,
+      params
+    );
+
+    return result.rows;
+  }
+}
+
+export default Reminder;
@@ -0,0 +1,100 @@
+import db from '../db/connection.js';
+import { parseCoordinates } from '../utils/geo.js';
+
+class SavedSearch {
+  // Get a user's saved searches, newest first
+  static async findByUser(userId) {
+    const result = await db.query(
+      `SELECT * FROM saved_searches
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // Count a user's saved searches
+  static async countByUser(userId) {
+    const result = await db.query(
+      'SELECT COUNT(*)::int AS count FROM saved_searches WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows[0].count;
+  }
+
+  // Save a filter set for a user
+  static async create(userId, { name, filters, language = 'en', notify = 'none' }) {
+    const result = await db.query(
+      `INSERT INTO saved_searches (user_id, name, filters, language, notify)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, name, JSON.stringify(filters), language, notify]
+    );
+
+    return result.rows[0];
+  }
+
+  // Delete one of a user's saved searches
+  static async delete(id, userId) {
+    const result = await db.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING *',
+      [id, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Get the saved searches with a notification mode, with their owners' details
+  static async findByNotify(notify) {
+    const result = await db.query(
+      `SELECT s.*, u.email, u.display_name
+       FROM saved_searches s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.notify = $1
+       ORDER BY s.created_at, s.id`,
+      [notify]
+    );
+
+    return result.rows;
+  }
+
+  // Record that a saved search emailed about some events.
+  // Returns the IDs of the events it had not emailed about before.
+  static async recordNotifications(id, eventIds) {
+    if (eventIds.length === 0) return [];
+
+    const result = await db.query(
+      `INSERT INTO saved_search_notifications (saved_search_id, event_id)
+       SELECT $1, UNNEST($2::uuid[])
+       ON CONFLICT DO NOTHING
+       RETURNING event_id`,
+      [id, eventIds]
+    );
+
+    return result.rows.map(row => row.event_id);
+  }
+
+  // Move the start of a saved search's next digest window
+  static async markNotified(id, notifiedAt = new Date()) {
+    await db.query(
+      'UPDATE saved_searches SET last_notified_at = $1 WHERE id = $2',
+      [notifiedAt, id]
+    );
+  }
+
+  // Turn the stored query parameters of a saved search into event listing filters
+  static toListingFilters(savedSearch) {
+    const { near, radius, ...filters } = savedSearch.filters;
+
+    return {
+      ...filters,
+      ...(near && { near: parseCoordinates(near) }),
+      ...(radius !== undefined && { radius }),
+      language: savedSearch.language
+    };
+  }
+}
+
+export default SavedSearch;
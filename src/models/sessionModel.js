@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import db from '../db/connection.js';
+import config from '../config/index.js';
+import { hashToken } from '../utils/tokens.js';
+
+class Session {
+  // Start a session for a user on a device, with its first refresh token.
+  // twoFactorVerified records that the sign-in passed the user's 2FA.
+  static async create(userId, { device = 'Unknown device', ipAddress = null, userAgent = null, twoFactorVerified = false } = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.begin();
+
+      const result = await client.query(
+        `INSERT INTO sessions (user_id, device, ip_address, user_agent, two_factor_verified_at)
+         VALUES ($1, $2, $3, $4, CASE WHEN $5 THEN NOW() END)
+         RETURNING *`,
+        [userId, device, ipAddress, userAgent, twoFactorVerified]
+      );
+      const session = result.rows[0];
+      const refreshToken = await this.issueRefreshToken(client, session.id);
+
+      await client.commit();
+
+      return { session, refreshToken };
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Exchange a refresh token for the next one of its session. Returns
+  // { session, refreshToken }, or { error } when the token is unknown,
+  // expired or revoked ('invalid') or was already used ('reused'). A used
+  // token coming back means it leaked, so its whole session is revoked.
+  static async rotate(refreshToken, { ipAddress = null } = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.begin();
+
+      // Locked so a token can't be exchanged twice by concurrent requests
+      const result = await client.query(
+        `SELECT rt.id AS token_id, rt.expires_at, rt.used_at, s.*
+         FROM refresh_tokens rt
+         JOIN sessions s ON s.id = rt.session_id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt, s`,
+        [hashToken(refreshToken)]
+      );
+      const row = result.rows[0];
+
+      if (!row || row.revoked_at || new Date(row.expires_at) <= new Date()) {
+        await client.commit();
+        return { error: 'invalid' };
+      }
+
+      if (row.used_at) {
+        await client.query(
+          `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse' WHERE id = $1`,
+          [row.id]
+        );
+        await client.commit();
+        return { error: 'reused', session: row };
+      }
+
+      await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [row.token_id]);
+
+      const sessionResult = await client.query(
+        `UPDATE sessions SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+         WHERE id = $1
+         RETURNING *`,
+        [row.id, ipAddress]
+      );
+      const nextToken = await this.issueRefreshToken(client, row.id);
+
+      await client.commit();
+
+      return { session: sessionResult.rows[0], refreshToken: nextToken };
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Find a session by ID
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM sessions WHERE id = $1', [id]);
+
+    return result.rows[0] || null;
+  }
+
+  // Find the session a refresh token belongs to, whether or not the token was used
+  static async findByRefreshToken(refreshToken) {
+    const result = await db.query(
+      `SELECT s.* FROM sessions s
+       JOIN refresh_tokens rt ON rt.session_id = s.id
+       WHERE rt.token_hash = $1`,
+      [hashToken(refreshToken)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Get a user's active sessions (not revoked, with a refresh token still
+  // usable), most recently seen first
+  static async findActiveByUser(userId) {
+    const result = await db.query(
+      `SELECT s.* FROM sessions s
+       WHERE s.user_id = $1 AND s.revoked_at IS NULL
+         AND EXISTS (
+           SELECT 1 FROM refresh_tokens rt
+           WHERE rt.session_id = s.id AND rt.used_at IS NULL AND rt.expires_at > NOW()
+         )
+       ORDER BY s.last_seen_at DESC, s.id`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // Record that a session is in use, at most once a minute
+  static async touch(id, { ipAddress = null } = {}) {
+    await db.query(
+      `UPDATE sessions SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+       WHERE id = $1 AND last_seen_at < NOW() - INTERVAL '1 minute'`,
+      [id, ipAddress]
+    );
+  }
+
+  // Record that a session passed its user's 2FA, e.g. by turning it on
+  static async markTwoFactorVerified(id) {
+    await db.query(
+      'UPDATE sessions SET two_factor_verified_at = NOW() WHERE id = $1 AND two_factor_verified_at IS NULL',
+      [id]
+    );
+  }
+
+  // Revoke a session, ending its refresh tokens and access tokens. With a
+  // userId, only that user's session is revoked.
+  static async revoke(id, reason = 'logout', userId = null) {
+    const result = await db.query(
+      `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR user_id = $3)
+       RETURNING *`,
+      [id, reason, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Revoke all of a user's sessions, optionally but one, returning how many were revoked
+  static async revokeAll(userId, { reason, exceptId = null }) {
+    const result = await db.query(
+      `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3)`,
+      [userId, reason, exceptId]
+    );
+
+    return result.rowCount;
+  }
+
+  // Store a new refresh token for a session and return it; only its hash is kept
+  static async issueRefreshToken(client, sessionId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await client.query(
+      `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + $3 * INTERVAL '1 millisecond')`,
+      [sessionId, hashToken(token), config.auth.refreshTokenExpiresIn]
+    );
+
+    return token;
+  }
+}
+
+export default Session;
@@ -0,0 +1,183 @@
+import db from '../db/connection.js';
+import config from '../config/index.js';
+
+class TicketType {
+  // Get the ticket types of an event
+  static async findByEvent(eventId) {
+    const result = await db.query(
+      `SELECT * FROM ticket_types
+       WHERE event_id = $1
+       ORDER BY price, created_at`,
+      [eventId]
+    );
+
+    return result.rows;
+  }
+
+  // Find ticket type by ID
+  static async findById(id) {
+    const result = await db.query(
+      'SELECT * FROM ticket_types WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Get the ticket types of an event with how many are sold and left for one occurrence
+  static async getAvailability(eventId, occurrenceStart = null) {
+    const result = await db.query(
+      `SELECT tt.*, COUNT(ea.user_id) AS sold
+       FROM ticket_types tt
+       LEFT JOIN event_attendees ea
+         ON ea.ticket_type_id = tt.id AND ea.occurrence_start IS NOT DISTINCT FROM $2
+       WHERE tt.event_id = $1
+       GROUP BY tt.id
+       ORDER BY tt.price, tt.created_at`,
+      [eventId, occurrenceStart ? new Date(occurrenceStart) : null]
+    );
+
+    return result.rows.map(ticketType => {
+      const sold = parseInt(ticketType.sold);
+
+      return {
+        ...ticketType,
+        sold,
+        remaining: ticketType.quota > 0 ? Math.max(ticketType.quota - sold, 0) : null,
+        sales_status: this.getSalesStatus(ticketType)
+      };
+    });
+  }
+
+  // Create a ticket type for an event
+  static async create(eventId, ticketTypeData) {
+    const {
+      name,
+      description,
+      quota = 0,
+      price = 0,
+      currency = config.payments.currency,
+      salesStart,
+      salesEnd
+    } = ticketTypeData;
+
+    const result = await db.query(
+      `INSERT INTO ticket_types
+       (event_id, name, description, quota, price, currency, sales_start, sales_end)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [eventId, name, description, quota, price, currency.toUpperCase(), salesStart || null, salesEnd || null]
+    );
+
+    return result.rows[0];
+  }
+
+  // Update a ticket type
+  static async update(id, ticketTypeData) {
+    const { name, description, quota, price, currency, salesStart, salesEnd } = ticketTypeData;
+
+    const result = await db.query(
+      `UPDATE ticket_types
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           quota = COALESCE($3, quota),
+           price = COALESCE($4, price),
+           currency = COALESCE($5, currency),
+           sales_start = COALESCE($6, sales_start),
+           sales_end = COALESCE($7, sales_end),
+           updated_at = NOW()
+       WHERE id = $8
+       RETURNING *`,
+      [name, description, quota, price, currency?.toUpperCase(), salesStart, salesEnd, id]
+    );
+
+    return result.rows[0];
+  }
+
+  // Delete a ticket type that has not been issued to anyone yet
+  static async delete(id) {
+    try {
+      const issuedResult = await db.query(
+        'SELECT 1 FROM event_attendees WHERE ticket_type_id = $1 LIMIT 1',
+        [id]
+      );
+
+      if (issuedResult.rows.length > 0) {
+        return { success: false, message: 'Tickets of this type have already been issued' };
+      }
+
+      const result = await db.query(
+        'DELETE FROM ticket_types WHERE id = $1 RETURNING *',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return { success: false, message: 'Ticket type not found' };
+      }
+
+      return { success: true, message: 'Ticket type deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting ticket type:', error);
+      return { success: false, message: 'Failed to delete ticket type' };
+    }
+  }
+
+  // Where a ticket type is in its sales window: 'upcoming', 'on_sale' or 'ended'
+  static getSalesStatus(ticketType, now = new Date()) {
+    if (ticketType.sales_start && now < new Date(ticketType.sales_start)) return 'upcoming';
+    if (ticketType.sales_end && now > new Date(ticketType.sales_end)) return 'ended';
+    return 'on_sale';
+  }
+
+  // Resolve the ticket type a registration asks for and check it can still be sold.
+  // Pass the transaction client when the caller holds the event row lock.
+  static async resolve(eventId, ticketTypeId, occurrenceStart = null, client = db) {
+    const typesResult = await client.query(
+      'SELECT * FROM ticket_types WHERE event_id = $1',
+      [eventId]
+    );
+
+    // Events without ticket types are only limited by their capacity
+    if (typesResult.rows.length === 0) {
+      return ticketTypeId
+        ? { success: false, message: 'Ticket type not found for this event' }
+        : { success: true, ticketType: null };
+    }
+
+    if (!ticketTypeId) {
+      return { success: false, message: 'ticketTypeId is required for this event' };
+    }
+
+    const ticketType = typesResult.rows.find(row => row.id === ticketTypeId);
+
+    if (!ticketType) {
+      return { success: false, message: 'Ticket type not found for this event' };
+    }
+
+    const salesStatus = this.getSalesStatus(ticketType);
+
+    if (salesStatus === 'upcoming') {
+      return { success: false, message: 'Sales for this ticket type have not started yet' };
+    }
+
+    if (salesStatus === 'ended') {
+      return { success: false, message: 'Sales for this ticket type have ended' };
+    }
+
+    if (ticketType.quota > 0) {
+      const soldResult = await client.query(
+        `SELECT COUNT(*) FROM event_attendees
+         WHERE ticket_type_id = $1 AND occurrence_start IS NOT DISTINCT FROM $2`,
+        [ticketType.id, occurrenceStart]
+      );
+
+      if (parseInt(soldResult.rows[0].count) >= ticketType.quota) {
+        return { success: false, soldOut: true, ticketType, message: 'This ticket type is sold out' };
+      }
+    }
+
+    return { success: true, ticketType };
+  }
+}
+
+export default TicketType;
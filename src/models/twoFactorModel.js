@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import db from '../db/connection.js';
+import config from '../config/index.js';
+import { generateSecret, otpauthUri, verifyCode } from '../utils/totp.js';
+import { hashToken } from '../utils/tokens.js';
+
+// Roles admins can require 2FA for
+export const TWO_FACTOR_ROLES = ['admin', 'staff'];
+
+// AES-256-GCM key for TOTP secrets, derived from the configured key
+const encryptionKey = () => crypto.createHash('sha256').update(config.auth.twoFactor.encryptionKey).digest();
+
+// Encrypt a TOTP secret for storage, as iv.tag.ciphertext in base64url
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+// Decrypt a stored TOTP secret
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Hash a recovery code for storage and lookup. Recovery codes are compared
+// without case, spaces or dashes.
+const hashRecoveryCode = (code) => hashToken(String(code).toLowerCase().replace(/[\s-]/g, ''));
+
+class TwoFactor {
+  // Get a user's 2FA state: whether it's on, whether an enrolment waits for
+  // its first code, and how many recovery codes are left
+  static async getStatus(userId) {
+    const result = await db.query(
+      `SELECT u.totp_secret, u.totp_enabled_at,
+              (SELECT COUNT(*) FROM two_factor_recovery_codes rc
+               WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_remaining
+       FROM users u
+       WHERE u.id = $1`,
+      [userId]
+    );
+    const row = result.rows[0];
+
+    if (!row) return null;
+
+    return {
+      enabled: Boolean(row.totp_enabled_at),
+      enabledAt: row.totp_enabled_at,
+      pending: Boolean(row.totp_secret) && !row.totp_enabled_at,
+      recoveryCodesRemaining: row.totp_enabled_at ? parseInt(row.recovery_codes_remaining, 10) : 0
+    };
+  }
+
+  // Start enrolment with a new secret, replacing any unconfirmed one. 2FA
+  // isn't on until a code from the secret is confirmed with enable().
+  // Returns null when 2FA is already on.
+  static async startEnrolment(user) {
+    const secret = generateSecret();
+
+    const result = await db.query(
+      `UPDATE users SET totp_secret = $2, totp_last_step = NULL
+       WHERE id = $1 AND totp_enabled_at IS NULL
+       RETURNING id`,
+      [user.id, encryptSecret(secret)]
+    );
+
+    if (!result.rows[0]) return null;
+
+    return {
+      secret,
+      otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: config.auth.twoFactor.issuer })
+    };
+  }
+
+  // Turn 2FA on with a code from the enrolment secret, returning new
+  // recovery codes, or null when the code is wrong or nothing is pending
+  static async enable(userId, code) {
+    const client = await db.getClient();
+
+    try {
+      await client.begin();
+
+      const userResult = await client.query(
+        'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+      const user = userResult.rows[0];
+      const step = user?.totp_secret && !user.totp_enabled_at
+        ? verifyCode(decryptSecret(user.totp_secret), code)
+        : null;
+
+      if (step === null) {
+        await client.commit();
+        return null;
+      }
+
+      await client.query(
+        'UPDATE users SET totp_enabled_at = NOW(), totp_last_step = $2 WHERE id = $1',
+        [userId, step]
+      );
+      const recoveryCodes = await this.replaceRecoveryCodes(client, userId);
+
+      await client.commit();
+
+      return recoveryCodes;
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Turn 2FA off, forgetting the secret and recovery codes
+  static async disable(userId) {
+    const client = await db.getClient();
+
+    try {
+      await client.begin();
+
+      await client.query(
+        'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+        [userId]
+      );
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM two_factor_challenges WHERE user_id = $1', [userId]);
+
+      await client.commit();
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Check a second factor of a user with 2FA on: a code from their app, or
+  // else one of their recovery codes, which is used up. Returns 'totp',
+  // 'recovery_code' or null. Each app code is accepted only once.
+  static async verify(userId, code) {
+    const client = await db.getClient();
+
+    try {
+      await client.begin();
+
+      const userResult = await client.query(
+        'SELECT totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+      const user = userResult.rows[0];
+
+      if (!user?.totp_enabled_at || typeof code !== 'string') {
+        await client.commit();
+        return null;
+      }
+
+      const step = verifyCode(decryptSecret(user.totp_secret), code, {
+        afterStep: user.totp_last_step === null ? null : Number(user.totp_last_step)
+      });
+
+      if (step !== null) {
+        await client.query('UPDATE users SET totp_last_step = $2 WHERE id = $1', [userId, step]);
+        await client.commit();
+        return 'totp';
+      }
+
+      const recoveryResult = await client.query(
+        `UPDATE two_factor_recovery_codes SET used_at = NOW()
+         WHERE id = (
+           SELECT id FROM two_factor_recovery_codes
+           WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+           LIMIT 1
+         )
+         RETURNING id`,
+        [userId, hashRecoveryCode(code)]
+      );
+
+      await client.commit();
+
+      return recoveryResult.rows[0] ? 'recovery_code' : null;
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Replace a user's recovery codes with new ones (2FA must be on)
+  static async regenerateRecoveryCodes(userId) {
+    const client = await db.getClient();
+
+    try {
+      await client.begin();
+
+      const recoveryCodes = await this.replaceRecoveryCodes(client, userId);
+
+      await client.commit();
+
+      return recoveryCodes;
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Store new recovery codes for a user in place of the old ones, and return
+  // them; they are only ever shown this once
+  static async replaceRecoveryCodes(client, userId) {
+    const codes = Array.from({ length: config.auth.twoFactor.recoveryCodes }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(
+      `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::varchar[])`,
+      [userId, codes.map(hashRecoveryCode)]
+    );
+
+    return codes;
+  }
+
+  // Start a login challenge for a user whose password was right, returning
+  // the token the second login request must carry
+  static async createChallenge(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await db.query(
+      `DELETE FROM two_factor_challenges WHERE user_id = $1 AND expires_at <= NOW()`,
+      [userId]
+    );
+    await db.query(
+      `INSERT INTO two_factor_challenges (user_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + $3 * INTERVAL '1 millisecond')`,
+      [userId, hashToken(token), config.auth.twoFactor.challengeExpiresIn]
+    );
+
+    return token;
+  }
+
+  // Answer a login challenge with a code. Returns { userId, method } when the
+  // code is right, using the challenge up, or { error } when the challenge is
+  // unknown, expired or used up ('invalid'), or the code is wrong ('code',
+  // with attemptsLeft). The last wrong code allowed ends the challenge.
+  static async completeChallenge(token, code) {
+    const { maxAttempts } = config.auth.twoFactor;
+
+    // Counted before checking, so concurrent guesses can't exceed the limit
+    const result = await db.query(
+      `UPDATE two_factor_challenges SET attempts = attempts + 1
+       WHERE token_hash = $1 AND expires_at > NOW() AND attempts < $2
+       RETURNING *`,
+      [hashToken(token), maxAttempts]
+    );
+    const challenge = result.rows[0];
+
+    if (!challenge) return { error: 'invalid' };
+
+    const method = await this.verify(challenge.user_id, code);
+
+    if (!method) {
+      const attemptsLeft = maxAttempts - challenge.attempts;
+
+      if (attemptsLeft <= 0) {
+        await db.query('DELETE FROM two_factor_challenges WHERE id = $1', [challenge.id]);
+      }
+
+      return { error: 'code', attemptsLeft };
+    }
+
+    // Deleted only if still there, so a challenge can't complete twice
+    const deleted = await db.query(
+      'DELETE FROM two_factor_challenges WHERE id = $1 RETURNING id',
+      [challenge.id]
+    );
+
+    if (!deleted.rows[0]) return { error: 'invalid' };
+
+    return { userId: challenge.user_id, method };
+  }
+
+  // Get the roles whose users must use 2FA
+  static async getRequiredRoles() {
+    const result = await db.query('SELECT role FROM two_factor_required_roles ORDER BY role');
+
+    return result.rows.map(row => row.role);
+  }
+
+  // Set the roles whose users must use 2FA (any of TWO_FACTOR_ROLES)
+  static async setRequiredRoles(roles, adminId) {
+    const client = await db.getClient();
+
+    try {
+      await client.begin();
+
+      await client.query(
+        'DELETE FROM two_factor_required_roles WHERE NOT (role = ANY($1::varchar[]))',
+        [roles]
+      );
+      await client.query(
+        `INSERT INTO two_factor_required_roles (role, required_by)
+         SELECT UNNEST($1::varchar[]), $2
+         ON CONFLICT (role) DO NOTHING`,
+        [roles, adminId]
+      );
+
+      await client.commit();
+    } catch (error) {
+      await client.rollback();
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getRequiredRoles();
+  }
+
+  // Whether users of a role must use 2FA
+  static async isRequiredFor(role) {
+    if (!TWO_FACTOR_ROLES.includes(role)) return false;
+
+    const result = await db.query('SELECT 1 FROM two_factor_required_roles WHERE role = $1', [role]);
+
+    return result.rows.length > 0;
+  }
+}
+
+export default TwoFactor;
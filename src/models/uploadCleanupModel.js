@@ -0,0 +1,97 @@
+import db from '../db/connection.js';
+
+class UploadCleanup {
+  // Record a cleanup run, queued for the worker or already running
+  static async create({ source, requestedBy = null, dryRun, gracePeriodHours, status = 'queued' }) {
+    const result = await db.query(
+      `INSERT INTO upload_cleanup_runs (source, requested_by, dry_run, grace_period_hours, status, started_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 = 'running' THEN NOW() END)
+       RETURNING *`,
+      [source, requestedBy, dryRun, gracePeriodHours, status]
+    );
+
+    return result.rows[0];
+  }
+
+  // Mark a queued run as started
+  static async start(id) {
+    const result = await db.query(
+      `UPDATE upload_cleanup_runs
+       SET status = 'running', started_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Record what a run found and deleted
+  static async complete(id, { filesScanned, orphanedFiles, orphanedImages, orphanedBytes, deletedFiles, deletedImages, failed, report }) {
+    const result = await db.query(
+      `UPDATE upload_cleanup_runs
+       SET status = 'completed', finished_at = NOW(),
+           files_scanned = $2, orphaned_files = $3, orphaned_images = $4, orphaned_bytes = $5,
+           deleted_files = $6, deleted_images = $7, failed = $8, report = $9
+       WHERE id = $1
+       RETURNING *`,
+      [id, filesScanned, orphanedFiles, orphanedImages, orphanedBytes, deletedFiles, deletedImages, failed, JSON.stringify(report)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Record why a run stopped
+  static async fail(id, error) {
+    const result = await db.query(
+      `UPDATE upload_cleanup_runs
+       SET status = 'failed', finished_at = NOW(), error = $2
+       WHERE id = $1
+       RETURNING *`,
+      [id, error]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Get a run, with its report
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM upload_cleanup_runs WHERE id = $1', [id]);
+
+    return result.rows[0] || null;
+  }
+
+  // Get the latest runs (without their reports), newest first, with the total count
+  static async findAll({ limit, offset = 0 }) {
+    const result = await db.query(
+      `SELECT id, source, requested_by, dry_run, grace_period_hours, status,
+              files_scanned, orphaned_files, orphaned_images, orphaned_bytes,
+              deleted_files, deleted_images, failed, error, created_at, started_at, finished_at,
+              COUNT(*) OVER() AS total_count
+       FROM upload_cleanup_runs
+       ORDER BY created_at DESC, id
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return {
+      runs: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+    };
+  }
+
+  // Get the run that is queued or running, if any. Runs left unfinished for
+  // a day are taken to have died with their worker.
+  static async findActive() {
+    const result = await db.query(
+      `SELECT * FROM upload_cleanup_runs
+       WHERE status IN ('queued', 'running') AND created_at > NOW() - INTERVAL '1 day'
+       ORDER BY created_at DESC
+       LIMIT 1`
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+export default UploadCleanup;
@@ -1,5 +1,15 @@
+import crypto from 'crypto';
 import db from '../db/connection.js';
 import bcrypt from 'bcryptjs';
+import { keysetQuery, buildPage } from '../utils/pagination.js';
+import { hashToken } from '../utils/tokens.js';
+
+// Sort keys of the paginated user listing
+const USER_SORTS = {
+  created_at: { expression: 'created_at', type: 'timestamp', order: 'desc' },
+  display_name: { expression: 'display_name', type: 'text', order: 'asc' },
+  email: { expression: 'email', type: 'text', order: 'asc' }
+};
 
 class User {
   // Find user by ID
@@ -50,13 +60,17 @@ class User {
     return result.rows[0];
   }
   
-  // Update user
+  // Update user. A new email is unverified until the user verifies it.
   static async update(id, userData) {
     const { email, displayName, role, photoUrl, bio } = userData;
     
     const result = await db.query(
       `UPDATE users 
        SET email = COALESCE($1, email), 
+           email_verified_at = CASE
+             WHEN $1::varchar IS NOT NULL AND LOWER($1::varchar) <> LOWER(email) THEN NULL
+             ELSE email_verified_at
+           END,
            display_name = COALESCE($2, display_name), 
            role = COALESCE($3, role), 
            photo_url = COALESCE($4, photo_url), 
@@ -83,6 +97,9 @@ class User {
       [hashedPassword, id]
     );
     
+    // Reset links sent for the old password stop working
+    await db.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [id]);
+    
     return result.rows[0];
   }
   
@@ -96,17 +113,34 @@ class User {
     return result.rows[0];
   }
   
-  // Get all users
-  static async getAll(limit = 100, offset = 0) {
+  // Get users with cursor pagination (page: { limit, cursor, sort, order, includeTotal })
+  static async getAll(page = {}) {
+    const { limit = 20, cursor = null, includeTotal = false } = page;
+    const sortKey = USER_SORTS[page.sort] ? page.sort : 'created_at';
+    const sort = USER_SORTS[sortKey];
+    const options = { limit, cursor, sort: sortKey, order: page.order || sort.order };
+    
+    const keyset = keysetQuery(sort, 'id', options, 0);
+    const queryParams = [...keyset.params, limit + 1];
+    
     const result = await db.query(
-      `SELECT id, email, display_name, role, photo_url, bio, created_at, updated_at 
+      `SELECT id, email, display_name, role, photo_url, bio, created_at, updated_at, ${keyset.keyColumn} 
        FROM users 
-       ORDER BY created_at DESC 
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
+       ${keyset.condition ? `WHERE ${keyset.condition}` : ''} 
+       ORDER BY ${keyset.orderBy} 
+       LIMIT $${queryParams.length}`,
+      queryParams
     );
     
-    return result.rows;
+    const { items, nextCursor, prevCursor } = buildPage(result.rows, options, user => user.id);
+    
+    let total = null;
+    if (includeTotal) {
+      const countResult = await db.query('SELECT COUNT(*) FROM users');
+      total = parseInt(countResult.rows[0].count);
+    }
+    
+    return { users: items, nextCursor, prevCursor, total, limit, sort: sortKey, order: options.order };
   }
   
   // Check password
@@ -116,10 +150,16 @@ class User {
   }
   
   // Get user's organized events
-  static async getOrganizedEvents(userId) {
+  // (when: 'upcoming' for events not over yet, 'past' for ended ones)
+  static async getOrganizedEvents(userId, { when } = {}) {
+    const timeCondition = {
+      upcoming: 'AND end_time >= NOW()',
+      past: 'AND end_time < NOW()'
+    }[when] || '';
+    
     const result = await db.query(
       `SELECT * FROM events 
-       WHERE organiser_id = $1 
+       WHERE organiser_id = $1 ${timeCondition}
        ORDER BY start_time`,
       [userId]
     );
@@ -127,19 +167,57 @@ class User {
     return result.rows;
   }
   
-  // Get user's attending events
+  // Get user's attending events: confirmed seats only, not ones still
+  // awaiting payment
   static async getAttendingEvents(userId) {
     const result = await db.query(
-      `SELECT e.* 
+      `SELECT e.*, ea.occurrence_start, ea.ticket_type_id, tt.name as ticket_type_name 
        FROM events e
        JOIN event_attendees ea ON e.id = ea.event_id
-       WHERE ea.user_id = $1
-       ORDER BY e.start_time`,
+       LEFT JOIN ticket_types tt ON tt.id = ea.ticket_type_id
+       WHERE ea.user_id = $1 AND ea.status = 'confirmed'
+       ORDER BY COALESCE(ea.occurrence_start, e.start_time)`,
       [userId]
     );
     
     return result.rows;
   }
+  
+  // Issue a new calendar feed token, replacing (and so revoking) any previous one
+  static async createCalendarToken(id) {
+    const token = crypto.randomBytes(32).toString('hex');
+    
+    // Only a hash is stored, so a leaked database can't be used to read feeds
+    await db.query(
+      'UPDATE users SET calendar_token_hash = $1, updated_at = NOW() WHERE id = $2',
+      [hashToken(token), id]
+    );
+    
+    return token;
+  }
+  
+  // Revoke the calendar feed token
+  static async revokeCalendarToken(id) {
+    const result = await db.query(
+      `UPDATE users 
+       SET calendar_token_hash = NULL, updated_at = NOW() 
+       WHERE id = $1 AND calendar_token_hash IS NOT NULL 
+       RETURNING id`,
+      [id]
+    );
+    
+    return result.rows.length > 0;
+  }
+  
+  // Find user by calendar feed token
+  static async findByCalendarToken(token) {
+    const result = await db.query(
+      'SELECT * FROM users WHERE calendar_token_hash = $1',
+      [hashToken(token)]
+    );
+    
+    return result.rows[0];
+  }
 }
 
 export default User;
\ No newline at end of file
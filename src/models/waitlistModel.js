@@ -0,0 +1,343 @@
+import db from '../db/connection.js';
+import Occurrence from './occurrenceModel.js';
+import TicketType from './ticketTypeModel.js';
+import Payment from './paymentModel.js';
+import { queueEmail } from '../jobs/queue.js';
+import { scheduleReminders, syncReminders } from '../jobs/reminders.js';
+
+class Waitlist {
+  // Add user to the waitlist of a full event or sold-out ticket type
+  static async join(eventId, userId, occurrenceStart = null, ticketTypeId = null) {
+    try {
+      const eventResult = await db.query(
+        'SELECT id, capacity, start_time, recurrence_rule FROM events WHERE id = $1',
+        [eventId]
+      );
+
+      if (eventResult.rows.length === 0) {
+        return { success: false, message: 'Event not found' };
+      }
+
+      const event = eventResult.rows[0];
+
+      // Recurring events keep a separate waitlist per occurrence
+      const occurrence = await Occurrence.resolve(event, occurrenceStart);
+
+      if (!occurrence.success) {
+        return { success: false, message: occurrence.message };
+      }
+
+      const countResult = await db.query(
+        `SELECT COUNT(*) FROM event_attendees
+         WHERE event_id = $1 AND occurrence_start IS NOT DISTINCT FROM $2`,
+        [eventId, occurrence.occurrenceStart]
+      );
+
+      const ticket = await TicketType.resolve(eventId, ticketTypeId, occurrence.occurrenceStart);
+      
+      if (!ticket.success && !ticket.soldOut) {
+        return { success: false, message: ticket.message };
+      }
+      
+      // A seat of a paid type could never be paid for
+      if (ticket.ticketType && Number(ticket.ticketType.price) > 0 && !Payment.isAvailable()) {
+        return { success: false, message: 'Paid tickets are not available: no payment provider is configured' };
+      }
+      
+      // Only full events and sold-out ticket types keep a waitlist,
+      // otherwise the user should just register
+      const eventFull = event.capacity > 0 && parseInt(countResult.rows[0].count) >= event.capacity;
+      
+      if (!eventFull && !ticket.soldOut) {
+        return { success: false, message: 'Event still has seats available' };
+      }
+
+      const registeredResult = await db.query(
+        `SELECT 1 FROM event_attendees
+         WHERE event_id = $1 AND user_id = $2 AND occurrence_start IS NOT DISTINCT FROM $3`,
+        [eventId, userId, occurrence.occurrenceStart]
+      );
+
+      if (registeredResult.rows.length > 0) {
+        return { success: false, message: 'User already registered for this event' };
+      }
+
+      const insertResult = await db.query(
+        `INSERT INTO event_waitlist (event_id, user_id, occurrence_start, ticket_type_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [eventId, userId, occurrence.occurrenceStart, ticket.ticketType?.id || null]
+      );
+
+      if (insertResult.rows.length === 0) {
+        return { success: false, message: 'User already on the waitlist for this event' };
+      }
+
+      const position = await this.getPosition(eventId, userId, occurrence.occurrenceStart);
+
+      return { success: true, message: 'Added to waitlist', ...position };
+    } catch (error) {
+      console.error('Error joining event waitlist:', error);
+      return { success: false, message: 'Failed to join waitlist' };
+    }
+  }
+
+  // Remove user from the waitlist of an event
+  static async leave(eventId, userId, occurrenceStart = null) {
+    try {
+      const result = await db.query(
+        `DELETE FROM event_waitlist
+         WHERE event_id = $1 AND user_id = $2 AND occurrence_start IS NOT DISTINCT FROM $3
+         RETURNING *`,
+        [eventId, userId, occurrenceStart ? new Date(occurrenceStart) : null]
+      );
+
+      if (result.rows.length === 0) {
+        return { success: false, message: 'User not on the waitlist for this event' };
+      }
+
+      return { success: true, message: 'Removed from waitlist' };
+    } catch (error) {
+      console.error('Error leaving event waitlist:', error);
+      return { success: false, message: 'Failed to leave waitlist' };
+    }
+  }
+
+  // Get a user's 1-based position on the waitlist, or null if not waitlisted
+  static async getPosition(eventId, userId, occurrenceStart = null) {
+    const result = await db.query(
+      `SELECT position, total, joined_at
+       FROM (
+         SELECT user_id,
+                joined_at,
+                ROW_NUMBER() OVER (ORDER BY joined_at, user_id) AS position,
+                COUNT(*) OVER () AS total
+         FROM event_waitlist
+         WHERE event_id = $1 AND occurrence_start IS NOT DISTINCT FROM $3
+       ) w
+       WHERE w.user_id = $2`,
+      [eventId, userId, occurrenceStart ? new Date(occurrenceStart) : null]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const { position, total, joined_at } = result.rows[0];
+
+    return {
+      position: parseInt(position),
+      total: parseInt(total),
+      joinedAt: joined_at
+    };
+  }
+
+  // Move users from the head of the waitlist into any free seats
+  static async promote(eventId, occurrenceStart = null) {
+    const client = await db.getClient();
+    let event;
+    const promoted = [];
+
+    try {
+      await client.begin();
+
+      // Lock the event row so concurrent promotions can't hand out the same seat
+      const eventResult = await client.query(
+        `SELECT id, title, start_time, capacity, is_cancelled
+         FROM events
+         WHERE id = $1
+         FOR UPDATE`,
+        [eventId]
+      );
+
+      // Nobody is promoted into a cancelled event
+      if (eventResult.rows.length === 0 || eventResult.rows[0].is_cancelled) {
+        await client.rollback();
+        return [];
+      }
+
+      event = eventResult.rows[0];
+
+      // Nor into a cancelled occurrence, or one that has already started,
+      // just as registration refuses them
+      const override = occurrenceStart && await Occurrence.findOverride(eventId, new Date(occurrenceStart));
+      const startTime = override?.start_time || occurrenceStart || event.start_time;
+
+      if (override?.is_cancelled || new Date(startTime) <= new Date()) {
+        await client.rollback();
+        return [];
+      }
+
+      const countResult = await client.query(
+        `SELECT COUNT(*) FROM event_attendees
+         WHERE event_id = $1 AND occurrence_start IS NOT DISTINCT FROM $2`,
+        [eventId, occurrenceStart]
+      );
+
+      // A capacity of 0 means unlimited, so everyone waiting gets a seat
+      const freeSeats = event.capacity > 0
+        ? Math.max(event.capacity - parseInt(countResult.rows[0].count), 0)
+        : null;
+
+      if (freeSeats === 0) {
+        await client.commit();
+        return [];
+      }
+
+      // Seats left per ticket type, null when the type has no quota of its own
+      const typesResult = await client.query(
+        `SELECT tt.*, COUNT(ea.user_id) AS sold
+         FROM ticket_types tt
+         LEFT JOIN event_attendees ea
+           ON ea.ticket_type_id = tt.id AND ea.occurrence_start IS NOT DISTINCT FROM $2
+         WHERE tt.event_id = $1
+         GROUP BY tt.id`,
+        [eventId, occurrenceStart]
+      );
+
+      const ticketTypes = new Map(typesResult.rows.map(type => [type.id, type]));
+      const remainingByType = new Map(typesResult.rows.map(type => [
+        type.id,
+        type.quota > 0 ? Math.max(type.quota - parseInt(type.sold), 0) : null
+      ]));
+
+      const nextResult = await client.query(
+        `SELECT w.user_id, w.ticket_type_id, w.joined_at, u.email, u.display_name
+         FROM event_waitlist w
+         JOIN users u ON u.id = w.user_id
+         WHERE w.event_id = $1 AND w.occurrence_start IS NOT DISTINCT FROM $2
+         ORDER BY w.joined_at, w.user_id`,
+        [eventId, occurrenceStart]
+      );
+
+      // Walk the queue in order, skipping people whose ticket type is still
+      // sold out or outside its sales window
+      let seatsLeft = freeSeats;
+      for (const entry of nextResult.rows) {
+        if (seatsLeft === 0) break;
+
+        const typeRemaining = entry.ticket_type_id ? remainingByType.get(entry.ticket_type_id) : null;
+        if (typeRemaining === 0) continue;
+
+        const ticketType = ticketTypes.get(entry.ticket_type_id);
+        if (ticketType && TicketType.getSalesStatus(ticketType) !== 'on_sale') continue;
+
+        const paid = Boolean(ticketType) && Number(ticketType.price) > 0;
+        if (paid && !Payment.isAvailable()) continue;
+
+        const registrationResult = await client.query(
+          `INSERT INTO event_attendees
+           (event_id, user_id, occurrence_start, ticket_type_id, status)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT DO NOTHING
+           RETURNING id`,
+          [eventId, entry.user_id, occurrenceStart, entry.ticket_type_id, paid ? 'pending_payment' : 'confirmed']
+        );
+        const registration = registrationResult.rows[0];
+
+        await client.query(
+          `DELETE FROM event_waitlist
+           WHERE event_id = $1 AND user_id = $2 AND occurrence_start IS NOT DISTINCT FROM $3`,
+          [eventId, entry.user_id, occurrenceStart]
+        );
+
+        // Already registered, so there's no seat to hold or announce
+        if (!registration) continue;
+
+        // Paid tickets are held for the promoted user until they pay
+        const payment = paid
+          ? await Payment.createHold({ eventId, userId: entry.user_id, occurrenceStart, ticketType }, client)
+          : null;
+
+        if (payment) {
+          await client.query(
+            'UPDATE event_attendees SET payment_id = $2, hold_expires_at = $3 WHERE id = $1',
+            [registration.id, payment.id, payment.expires_at]
+          );
+        }
+
+        if (seatsLeft !== null) seatsLeft--;
+        if (typeRemaining) remainingByType.set(entry.ticket_type_id, typeRemaining - 1);
+        promoted.push({ ...entry, payment, registrationId: registration.id });
+      }
+
+      await client.commit();
+    } catch (error) {
+      await client.rollback();
+      console.error('Error promoting from event waitlist:', error);
+      return [];
+    } finally {
+      client.release();
+    }
+
+    // Notify promoted users once their seats are committed
+    const restored = new Set();
+    for (const entry of promoted) {
+      try {
+        let checkoutUrl = null;
+
+        if (entry.payment) {
+          const checkout = await Payment.startCheckout(entry.payment);
+
+          // The hold is gone with the checkout; the user keeps their place
+          // and is tried again when the next seat frees up
+          if (!checkout.success) {
+            await this.restore(eventId, occurrenceStart, entry);
+            restored.add(entry);
+            continue;
+          }
+
+          checkoutUrl = checkout.payment.checkout_url;
+        }
+
+        syncReminders(scheduleReminders, { registrationId: entry.registrationId });
+
+        await queueEmail({
+          to: entry.email,
+          subject: `You're In: ${event.title}`,
+          template: 'waitlistPromotion',
+          context: {
+            userName: entry.display_name,
+            eventTitle: event.title,
+            startTime: occurrenceStart || event.start_time,
+            eventDate: new Date(occurrenceStart || event.start_time).toLocaleDateString(),
+            eventTime: new Date(occurrenceStart || event.start_time).toLocaleTimeString(),
+            checkoutUrl,
+            paymentExpiresAt: entry.payment?.expires_at || null
+          }
+        });
+      } catch (error) {
+        console.error('Error queueing waitlist promotion email:', error);
+      }
+    }
+
+    return promoted.filter(entry => !restored.has(entry));
+  }
+
+  // Put a promoted user whose seat fell through back on the waitlist, in
+  // their old place
+  static async restore(eventId, occurrenceStart, entry) {
+    await db.query(
+      `INSERT INTO event_waitlist (event_id, user_id, occurrence_start, ticket_type_id, joined_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT DO NOTHING`,
+      [eventId, entry.user_id, occurrenceStart, entry.ticket_type_id, entry.joined_at]
+    );
+  }
+
+  // Promote into free seats across every occurrence that has a waitlist
+  static async promoteAll(eventId) {
+    const result = await db.query(
+      'SELECT DISTINCT occurrence_start FROM event_waitlist WHERE event_id = $1',
+      [eventId]
+    );
+
+    const promoted = [];
+    for (const { occurrence_start } of result.rows) {
+      promoted.push(...await this.promote(eventId, occurrence_start));
+    }
+
+    return promoted;
+  }
+}
+
+export default Waitlist;
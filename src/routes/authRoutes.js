@@ -1,7 +1,8 @@
 // src/routes/authRoutes.js
 import express from 'express';
 import * as authController from '../controllers/authController.js';
-import { auth, authorize } from '../middleware/auth.js';
+import * as twoFactorController from '../controllers/twoFactorController.js';
+import { auth, authorize, firebaseLogin } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -10,7 +11,10 @@ const router = express.Router();
  * /auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user account with email and password
+ *     description: |
+ *       Create a new user account with email and password. A verification link is emailed to the
+ *       user, who can't create events or register for them until they follow it (see
+ *       REQUIRE_VERIFIED_EMAIL).
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -63,7 +67,10 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/UserResponse'
  *                     token:
  *                       type: string
- *                       description: JWT authentication token
+ *                       description: Short-lived JWT access token (JWT_EXPIRES_IN, 15 minutes by default)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token renewing the access token through POST /auth/refresh
  *       400:
  *         description: Validation error or email already in use
  *         content:
@@ -80,7 +87,11 @@ router.post('/register', authController.register);
  * /auth/login:
  *   post:
  *     summary: Login user
- *     description: Authenticate a user with email and password
+ *     description: |
+ *       Authenticate a user with email and password. When the user has two-factor authentication on,
+ *       no tokens are returned yet: the response carries `twoFactorRequired: true` and a
+ *       `challengeToken` to send with a code to POST /auth/login/2fa. Users whose role requires 2FA
+ *       but who haven't turned it on get `twoFactorSetupRequired: true`.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -102,6 +113,11 @@ router.post('/register', authController.register);
  *                 format: password
  *                 description: User's password
  *                 example: Password123!
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Name of the device, listed with the user's sessions (read from the user agent if omitted)
+ *                 example: Jane's iPhone
  *     responses:
  *       200:
  *         description: Login successful
@@ -120,7 +136,10 @@ router.post('/register', authController.register);
  *                       $ref: '#/components/schemas/UserResponse'
  *                     token:
  *                       type: string
- *                       description: JWT authentication token
+ *                       description: Short-lived JWT access token (JWT_EXPIRES_IN, 15 minutes by default)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token renewing the access token through POST /auth/refresh
  *       400:
  *         description: Invalid credentials
  *         content:
@@ -132,12 +151,94 @@ router.post('/register', authController.register);
  */
 router.post('/login', authController.login);
 
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with two-factor authentication
+ *     description: |
+ *       Finish a login that returned `twoFactorRequired`, with a code from the authenticator app or
+ *       one of the recovery codes (each works once). A challenge expires after 5 minutes
+ *       (TWO_FACTOR_CHALLENGE_EXPIRES_IN) or 5 wrong codes (TWO_FACTOR_MAX_ATTEMPTS); the user
+ *       then logs in again.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token returned by the login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app, or a recovery code
+ *                 example: '123456'
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Name of the device, listed with the user's sessions (read from the user agent if omitted)
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Login successful
+ *                 user:
+ *                   $ref: '#/components/schemas/UserResponse'
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 recoveryCodesRemaining:
+ *                   type: integer
+ *                   description: Recovery codes left, when one was used to log in
+ *       400:
+ *         description: challengeToken or code missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Wrong code (with attemptsLeft), or invalid or expired challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Invalid two-factor code
+ *                 attemptsLeft:
+ *                   type: integer
+ *                   example: 4
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/login/2fa', authController.completeTwoFactorLogin);
+
 /**
  * @swagger
  * /auth/firebase:
  *   post:
  *     summary: Process Firebase authentication
- *     description: Authenticate a user with Firebase and create/update user record
+ *     description: |
+ *       Authenticate a user with a Firebase ID token, create/update their user record and start a
+ *       session. When the user has two-factor authentication on, no tokens are returned yet: the
+ *       response carries `twoFactorRequired: true` and a `challengeToken` to send with a code to
+ *       POST /auth/login/2fa. Other routes refuse Firebase ID tokens of such users, so they use
+ *       the session tokens from then on.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -154,6 +255,10 @@ router.post('/login', authController.login);
  *                 type: string
  *                 format: uri
  *                 description: User's profile photo URL from Firebase
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Name of the device, listed with the user's sessions (read from the user agent if omitted)
  *     responses:
  *       200:
  *         description: Firebase authentication processed successfully
@@ -172,13 +277,16 @@ router.post('/login', authController.login);
  *                       $ref: '#/components/schemas/UserResponse'
  *                     token:
  *                       type: string
- *                       description: JWT authentication token
+ *                       description: Short-lived JWT access token (JWT_EXPIRES_IN, 15 minutes by default)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token renewing the access token through POST /auth/refresh
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/firebase', auth, authController.processFirebaseAuth);
+router.post('/firebase', firebaseLogin, authController.processFirebaseAuth);
 
 /**
  * @swagger
@@ -223,7 +331,10 @@ router.get('/me', auth, authController.getCurrentUser);
  * /auth/refresh:
  *   post:
  *     summary: Refresh authentication token
- *     description: Get a new JWT token using a refresh token
+ *     description: |
+ *       Exchange a refresh token for a new access token and a new refresh token. Refresh tokens are
+ *       single-use: presenting one that was already exchanged revokes its whole session, so every
+ *       token issued from it stops working and the user has to log in again.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -236,7 +347,7 @@ router.get('/me', auth, authController.getCurrentUser);
  *             properties:
  *               refreshToken:
  *                 type: string
- *                 description: Refresh token received during login
+ *                 description: Latest refresh token received from login or a previous refresh
  *     responses:
  *       200:
  *         description: Token refreshed successfully
@@ -245,20 +356,23 @@ router.get('/me', auth, authController.getCurrentUser);
  *             schema:
  *               type: object
  *               properties:
- *                 status:
+ *                 message:
  *                   type: string
- *                   example: success
- *                 data:
- *                   type: object
- *                   properties:
- *                     token:
- *                       type: string
- *                       description: New JWT authentication token
- *                     refreshToken:
- *                       type: string
- *                       description: New refresh token
+ *                   example: Token refreshed successfully
+ *                 token:
+ *                   type: string
+ *                   description: New JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: New refresh token, replacing the one sent
+ *       400:
+ *         description: refreshToken missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid, expired, revoked or already used refresh token
  *         content:
  *           application/json:
  *             schema:
@@ -273,7 +387,10 @@ router.post('/refresh', authController.refreshToken);
  * /auth/forgot-password:
  *   post:
  *     summary: Request password reset
- *     description: Send a password reset email to the user
+ *     description: |
+ *       Email the user a link to reset their password. The link carries a single-use token that
+ *       expires after an hour (RESET_PASSWORD_EXPIRES_IN); asking again replaces the previous link.
+ *       The response is the same whether or not an account uses the email.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -291,20 +408,17 @@ router.post('/refresh', authController.refreshToken);
  *                 example: john@example.com
  *     responses:
  *       200:
- *         description: Password reset email sent
+ *         description: Request accepted
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: success
  *                 message:
  *                   type: string
- *                   example: Password reset email sent
- *       404:
- *         description: Email not found
+ *                   example: If an account exists for this email, a password reset link has been sent
+ *       400:
+ *         description: Email missing
  *         content:
  *           application/json:
  *             schema:
@@ -319,7 +433,9 @@ router.post('/forgot-password', authController.forgotPassword);
  * /auth/reset-password:
  *   post:
  *     summary: Reset password
- *     description: Reset user password using a reset token
+ *     description: |
+ *       Set a new password with the token of a password reset link. The token can only be used
+ *       once, and all of the user's sessions are revoked, so they sign in again everywhere.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -333,11 +449,13 @@ router.post('/forgot-password', authController.forgotPassword);
  *             properties:
  *               token:
  *                 type: string
- *                 description: Password reset token
+ *                 description: Password reset token, from the link emailed to the user
  *               password:
  *                 type: string
  *                 format: password
- *                 description: New password
+ *                 minLength: 8
+ *                 maxLength: 128
+ *                 description: New password, with a lowercase letter, an uppercase letter and a number
  *                 example: NewPassword123!
  *     responses:
  *       200:
@@ -347,14 +465,11 @@ router.post('/forgot-password', authController.forgotPassword);
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: success
  *                 message:
  *                   type: string
- *                   example: Password has been reset
+ *                   example: Password reset successful
  *       400:
- *         description: Invalid or expired token
+ *         description: Invalid or expired token, or invalid password
  *         content:
  *           application/json:
  *             schema:
@@ -369,10 +484,21 @@ router.post('/reset-password', authController.resetPassword);
  * /auth/logout:
  *   post:
  *     summary: Logout user
- *     description: Invalidate the user's refresh token
+ *     description: |
+ *       Revoke the current session, ending its refresh tokens. The session is the one of the access
+ *       token; clients authenticated through Firebase send their refresh token instead.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token of the session to end, when the access token carries no session
  *     responses:
  *       200:
  *         description: Logout successful
@@ -381,14 +507,23 @@ router.post('/reset-password', authController.resetPassword);
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: success
  *                 message:
  *                   type: string
  *                   example: Logged out successfully
+ *       400:
+ *         description: refreshToken missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -399,8 +534,13 @@ router.post('/logout', auth, authController.logout);
  * /auth/verify-email:
  *   get:
  *     summary: Verify email address
- *     description: Verify a user's email address using a verification token
+ *     description: |
+ *       Verify the user's email address with the token of the link emailed at registration, on an
+ *       email change or on request. Links expire after 24 hours (EMAIL_VERIFICATION_EXPIRES_IN),
+ *       can only be used once, and only the latest one sent works. A link sent to an address the
+ *       user has since changed no longer verifies anything.
  *     tags: [Auth]
+ *     security: []
  *     parameters:
  *       - in: query
  *         name: token
@@ -416,9 +556,6 @@ router.post('/logout', auth, authController.logout);
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: success
  *                 message:
  *                   type: string
  *                   example: Email verified successfully
@@ -438,7 +575,9 @@ router.get('/verify-email', authController.verifyEmail);
  * /auth/resend-verification:
  *   post:
  *     summary: Resend verification email
- *     description: Send a new email verification link to the user
+ *     description: |
+ *       Send the current user a new email verification link, replacing the previous one. Users can
+ *       ask at most once a minute (EMAIL_VERIFICATION_RESEND_COOLDOWN).
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -450,9 +589,6 @@ router.get('/verify-email', authController.verifyEmail);
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: success
  *                 message:
  *                   type: string
  *                   example: Verification email sent
@@ -464,6 +600,23 @@ router.get('/verify-email', authController.verifyEmail);
  *               $ref: '#/components/schemas/Error'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         description: A verification email was sent too recently; the Retry-After header says when to ask again
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds to wait
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
+ *                   example: 42
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -474,7 +627,9 @@ router.post('/resend-verification', auth, authController.resendVerificationEmail
  * /auth/change-password:
  *   post:
  *     summary: Change password
- *     description: Change the user's password (requires authentication)
+ *     description: |
+ *       Change the current user's password. All of their other sessions are revoked; the session
+ *       making the request stays signed in.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -511,6 +666,10 @@ router.post('/resend-verification', auth, authController.resendVerificationEmail
  *                 message:
  *                   type: string
  *                   example: Password changed successfully
+ *                 revokedSessions:
+ *                   type: integer
+ *                   description: Other sessions logged out
+ *                   example: 2
  *       400:
  *         description: Current password is incorrect or new password is invalid
  *         content:
@@ -524,4 +683,298 @@ router.post('/resend-verification', auth, authController.resendVerificationEmail
  */
 router.post('/change-password', auth, authController.changePassword);
 
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     summary: Get two-factor status
+ *     description: Whether the current user has two-factor authentication on, and whether their role requires it
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 enabledAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 pending:
+ *                   type: boolean
+ *                   description: A setup is waiting for its first code
+ *                 recoveryCodesRemaining:
+ *                   type: integer
+ *                 required:
+ *                   type: boolean
+ *                   description: The user's role requires two-factor authentication
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/2fa', auth, twoFactorController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: |
+ *       Create a new TOTP secret for the current user, replacing any setup not yet confirmed. The
+ *       secret is added to an authenticator app by scanning the QR code (or entering the secret);
+ *       two-factor authentication is on once a first code is confirmed with POST /auth/2fa/enable.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   description: Base32 secret
+ *                   example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: otpauth://totp/Community%20Events:john%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Community%20Events&algorithm=SHA1&digits=6&period=30
+ *                 qrCode:
+ *                   type: string
+ *                   description: PNG data URL of a QR code of the otpauth URI
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/2fa/setup', auth, twoFactorController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Enable two-factor authentication
+ *     description: |
+ *       Confirm the setup with a first code from the authenticator app. The response lists the
+ *       one-time recovery codes, which are never shown again.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: 3f9a1-0c4d2
+ *                 revokedSessions:
+ *                   type: integer
+ *                   description: Other sessions logged out
+ *                   example: 2
+ *       400:
+ *         description: Invalid code, or no setup in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/2fa/enable', auth, twoFactorController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turn two-factor authentication off with a code from the app or a recovery code. Not allowed when the user's role requires it.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or a recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid code, or two-factor authentication not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: The user's role requires two-factor authentication
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/2fa/disable', auth, twoFactorController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes with new ones, confirmed with a code from the app or a recovery code
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid code, or two-factor authentication not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/2fa/recovery-codes', auth, twoFactorController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /auth/2fa/required-roles:
+ *   get:
+ *     summary: Get roles requiring two-factor authentication
+ *     description: Roles whose users must turn two-factor authentication on (admin only)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Required roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorRequirements'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden (admin only)
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   put:
+ *     summary: Set roles requiring two-factor authentication
+ *     description: |
+ *       Require two-factor authentication for the admin and/or staff roles (admin only). Users of a
+ *       required role without it keep their sessions, but lose the role's permissions (403 with
+ *       `twoFactorSetupRequired: true`) until they turn it on.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [admin, staff]
+ *     responses:
+ *       200:
+ *         description: Required roles updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorRequirements'
+ *       400:
+ *         description: Invalid roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden (admin only)
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/2fa/required-roles', auth, authorize('admin'), twoFactorController.getRequiredRoles);
+router.put('/2fa/required-roles', auth, authorize('admin'), twoFactorController.updateRequiredRoles);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,90 @@
+// src/routes/calendarRoutes.js
+import express from 'express';
+import * as calendarController from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /calendar/users/{token}.ics:
+ *   get:
+ *     summary: Personal calendar feed
+ *     description: Subscribable iCalendar feed of the events a user organises or attends. Calendar clients can't send a Bearer header, so the feed is protected by a secret token from POST /users/me/calendar-token instead. Cancelled events are included with STATUS:CANCELLED.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Secret calendar feed token
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/users/:token.ics', calendarController.getUserFeed);
+
+/**
+ * @swagger
+ * /calendar/categories/{category}.ics:
+ *   get:
+ *     summary: Category calendar feed
+ *     description: Subscribable iCalendar feed of the published events in a category. Accepts the same filters as GET /events. Cancelled events are included with STATUS:CANCELLED.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category name
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for event title or description
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include events starting on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include events starting on or before this date
+ *       - in: query
+ *         name: organiserId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only include events by this organiser
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/categories/:category.ics', calendarController.getCategoryFeed);
+
+export default router;
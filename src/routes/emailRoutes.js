@@ -0,0 +1,214 @@
+// src/routes/emailRoutes.js
+import express from 'express';
+import { auth, authorize } from '../middleware/auth.js';
+import * as emailController from '../controllers/emailController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /admin/emails/templates:
+ *   get:
+ *     summary: List email templates
+ *     description: List the email templates and the sample data their previews use (admin only)
+ *     tags: [Admin, Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 languages:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       sampleContext:
+ *                         type: object
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/templates', auth, authorize('admin'), emailController.getEmailTemplates);
+
+/**
+ * @swagger
+ * /admin/emails/templates/{template}/preview:
+ *   get:
+ *     summary: Preview an email template
+ *     description: Render an email template with its sample data, without sending it (admin only)
+ *     tags: [Admin, Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: template
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, es]
+ *         description: Language to render in. Defaults to the locale detected from the i18next cookie or Accept-Language header.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, text, json]
+ *           default: html
+ *         description: html or text returns that version of the email; json returns the subject and both versions
+ *     responses:
+ *       200:
+ *         description: Rendered email
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subject:
+ *                   type: string
+ *                 html:
+ *                   type: string
+ *                 text:
+ *                   type: string
+ *                 language:
+ *                   type: string
+ *       400:
+ *         description: Invalid format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   post:
+ *     summary: Preview an email template with custom data
+ *     description: Render an email template with the posted context merged over its sample data (admin only). Accepts the same query parameters as the GET version.
+ *     tags: [Admin, Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: template
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, es]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, text, json]
+ *           default: html
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               context:
+ *                 type: object
+ *                 description: Template data overriding the sample
+ *     responses:
+ *       200:
+ *         description: Rendered email
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/templates/:template/preview', auth, authorize('admin'), emailController.previewEmailTemplate);
+router.post('/templates/:template/preview', auth, authorize('admin'), emailController.previewEmailTemplate);
+
+/**
+ * @swagger
+ * /admin/emails/templates/{template}/test:
+ *   post:
+ *     summary: Send a test email
+ *     description: Queue an email template (sample data, overridden by any posted context) to the current admin's own address, to check delivery through the configured transport (admin only)
+ *     tags: [Admin, Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: template
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, es]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               context:
+ *                 type: object
+ *                 description: Template data overriding the sample
+ *     responses:
+ *       202:
+ *         description: Test email queued
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/templates/:template/test', auth, authorize('admin'), emailController.sendTestEmail);
+
+export default router;
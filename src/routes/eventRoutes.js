@@ -1,7 +1,12 @@
 // src/routes/eventRoutes.js
 import express from 'express';
 import * as eventController from '../controllers/eventController.js';
-import { auth, authorize } from '../middleware/auth.js';
+import * as calendarController from '../controllers/calendarController.js';
+import * as ticketTypeController from '../controllers/ticketTypeController.js';
+import * as ticketController from '../controllers/ticketController.js';
+import * as imageController from '../controllers/imageController.js';
+import { auth, optionalAuth, authorize, requireVerifiedEmail } from '../middleware/auth.js';
+import { uploadImage } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -13,13 +18,7 @@ const router = express.Router();
  *     description: Retrieve a list of all events with optional filtering
  *     tags: [Events]
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
+ *       - $ref: '#/components/parameters/Cursor'
  *       - in: query
  *         name: limit
  *         schema:
@@ -32,7 +31,15 @@ const router = express.Router();
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term for event title or description
+ *           maxLength: 200
+ *         description: Full-text search over title, category, description and location, ranked by relevance. Supports quoted phrases, `or` and `-word`. When nothing matches, a typo-tolerant similarity search is used instead. Matching events include `search_rank`, `title_highlight` and `search_snippet`, with matches wrapped in `<mark>` tags.
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, es]
+ *           default: en
+ *         description: Language used to stem search terms. Defaults to the locale detected from the i18next cookie or Accept-Language header.
  *       - in: query
  *         name: category
  *         schema:
@@ -44,32 +51,71 @@ const router = express.Router();
  *         schema:
  *           type: string
  *           format: date
- *         description: Filter events starting on or after this date (YYYY-MM-DD)
+ *         description: Filter events starting on or after this date (YYYY-MM-DD). Recurring events are expanded into their occurrences inside the startDate/endDate window.
  *       - in: query
  *         name: endDate
  *         schema:
  *           type: string
  *           format: date
- *         description: Filter events ending on or before this date (YYYY-MM-DD)
+ *         description: Filter events ending on or before this date (YYYY-MM-DD). Recurring events are expanded into their occurrences inside the startDate/endDate window.
  *       - in: query
  *         name: location
  *         schema:
  *           type: string
  *         description: Filter by location (partial match)
  *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *           example: 40.7484,-73.9857
+ *         description: Only return events within `radius` km of this "latitude,longitude" point. Each event then includes its `distance_km`.
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 500
+ *           default: 25
+ *         description: Search radius in kilometres, used with `near`
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [date, title, popularity]
- *           default: date
- *         description: Sort events by date, title, or popularity
+ *           enum: [start_time, date, created_at, popularity, remaining_capacity, distance, relevance]
+ *           default: start_time
+ *         description: Sort key. start_time (alias date) and distance (requires `near`) default to ascending; created_at, popularity (attendee count), remaining_capacity (unlimited events first) and relevance (requires `search`) to descending. Searches default to relevance.
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/IncludeTotal'
+ *       - in: query
+ *         name: organiserId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only events of this organiser
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: string
+ *           enum: [has_seats, full, waitlist]
+ *         description: Only events with seats left, full events, or events with people on their waitlist
+ *       - in: query
+ *         name: priceTier
+ *         schema:
+ *           type: string
+ *           enum: [free, low, medium, high]
+ *         description: Price tier of the cheapest ticket (free, under 20, under 50, 50 and above, in the event's currency)
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           enum: [today, this_week, this_month]
+ *         description: Only events in this calendar range (server time, weeks start on Monday). Can't be combined with startDate or endDate.
  *       - in: query
- *         name: order
+ *         name: facets
  *         schema:
  *           type: string
- *           enum: [asc, desc]
- *           default: asc
- *         description: Sort order (ascending or descending)
+ *           example: category,date
+ *         description: Also return facet counts for the current filters, either `true` for all facets or a comma-separated list of category, organiser, date, availability, price_tier. Each facet ignores its own filter, so all of its options keep their counts.
  *     responses:
  *       200:
  *         description: A list of events
@@ -78,34 +124,88 @@ const router = express.Router();
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 results:
- *                   type: integer
- *                   example: 10
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventResponse'
+ *                 sort:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     order:
+ *                       type: string
  *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *                 search:
  *                   type: object
+ *                   description: Present when `search` is given
  *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 10
- *                     totalPages:
- *                       type: integer
- *                       example: 5
- *                     totalResults:
- *                       type: integer
- *                       example: 47
- *                 data:
+ *                     query:
+ *                       type: string
+ *                     mode:
+ *                       type: string
+ *                       enum: [fulltext, fuzzy]
+ *                       description: fuzzy when no event matched the full-text search
+ *                     language:
+ *                       type: string
+ *                       enum: [en, es]
+ *                 facets:
  *                   type: object
+ *                   description: Present when `facets` is given
  *                   properties:
- *                     events:
+ *                     category:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     organiser:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/EventResponse'
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                             format: uuid
+ *                           label:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     date:
+ *                       type: object
+ *                       properties:
+ *                         today:
+ *                           type: integer
+ *                         this_week:
+ *                           type: integer
+ *                         this_month:
+ *                           type: integer
+ *                     availability:
+ *                       type: object
+ *                       properties:
+ *                         has_seats:
+ *                           type: integer
+ *                         full:
+ *                           type: integer
+ *                         waitlist:
+ *                           type: integer
+ *                     price_tier:
+ *                       type: object
+ *                       properties:
+ *                         free:
+ *                           type: integer
+ *                         low:
+ *                           type: integer
+ *                         medium:
+ *                           type: integer
+ *                         high:
+ *                           type: integer
+ *       400:
+ *         description: Invalid filter, cursor or sort
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -149,6 +249,40 @@ router.get('/', eventController.getAllEvents);
  */
 router.get('/:id', eventController.getEventById);
 
+/**
+ * @swagger
+ * /events/{id}/ics:
+ *   get:
+ *     summary: Download an event as iCalendar
+ *     description: Download a single event as an .ics file. Recurring events include their RRULE and overridden occurrences. Unpublished events can only be downloaded by their organiser or an admin, so a token is optional.
+ *     tags: [Events, Calendar]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/ics', optionalAuth, calendarController.getEventIcs);
+
 /**
  * @swagger
  * /events:
@@ -193,15 +327,23 @@ router.get('/:id', eventController.getEventById);
  *                 type: string
  *                 description: Event location (address)
  *                 example: Tech Hub, 123 Innovation St
- *               locationLat:
+ *               venueName:
+ *                 type: string
+ *                 description: Name of the venue
+ *                 example: Tech Hub
+ *               venueAddress:
+ *                 type: string
+ *                 description: Full venue address, geocoded when no coordinates are given
+ *                 example: 123 Innovation St, San Francisco, CA
+ *               latitude:
  *                 type: number
- *                 format: float
- *                 description: Event location latitude
+ *                 format: double
+ *                 description: Venue latitude (send together with longitude)
  *                 example: 37.7749
- *               locationLng:
+ *               longitude:
  *                 type: number
- *                 format: float
- *                 description: Event location longitude
+ *                 format: double
+ *                 description: Venue longitude (send together with latitude)
  *                 example: -122.4194
  *               maxAttendees:
  *                 type: integer
@@ -221,6 +363,10 @@ router.get('/:id', eventController.getEventById);
  *                 format: uuid
  *                 description: ID of the event category
  *                 example: 123e4567-e89b-12d3-a456-426614174000
+ *               recurrenceRule:
+ *                 type: string
+ *                 description: iCalendar RRULE that makes this a recurring event
+ *                 example: FREQ=WEEKLY;BYDAY=TH;COUNT=12
  *     responses:
  *       201:
  *         description: Event created successfully
@@ -242,7 +388,9 @@ router.get('/:id', eventController.getEventById);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
- *         description: User does not have permission to create events
+ *         description: |
+ *           User does not have permission to create events, or must verify their email first
+ *           (then the response has `emailVerificationRequired: true`)
  *         content:
  *           application/json:
  *             schema:
@@ -250,7 +398,7 @@ router.get('/:id', eventController.getEventById);
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/', auth, authorize('staff', 'admin'), eventController.createEvent);
+router.post('/', auth, authorize('staff', 'admin'), requireVerifiedEmail('create_events'), eventController.createEvent);
 
 /**
  * @swagger
@@ -293,14 +441,20 @@ router.post('/', auth, authorize('staff', 'admin'), eventController.createEvent)
  *               location:
  *                 type: string
  *                 description: Event location (address)
- *               locationLat:
+ *               venueName:
+ *                 type: string
+ *                 description: Name of the venue
+ *               venueAddress:
+ *                 type: string
+ *                 description: Full venue address, geocoded again when changed without coordinates
+ *               latitude:
  *                 type: number
- *                 format: float
- *                 description: Event location latitude
- *               locationLng:
+ *                 format: double
+ *                 description: Venue latitude (send together with longitude)
+ *               longitude:
  *                 type: number
- *                 format: float
- *                 description: Event location longitude
+ *                 format: double
+ *                 description: Venue longitude (send together with latitude)
  *               maxAttendees:
  *                 type: integer
  *                 description: Maximum number of attendees
@@ -315,6 +469,9 @@ router.post('/', auth, authorize('staff', 'admin'), eventController.createEvent)
  *                 type: string
  *                 format: uuid
  *                 description: ID of the event category
+ *               recurrenceRule:
+ *                 type: string
+ *                 description: iCalendar RRULE for a recurring event; an empty string makes it a one-off event
  *     responses:
  *       200:
  *         description: Event updated successfully
@@ -409,6 +566,14 @@ router.delete('/:id', auth, eventController.deleteEvent);
  *               notes:
  *                 type: string
  *                 description: Optional notes for the registration
+ *               occurrenceStart:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the occurrence to register for (required for recurring events)
+ *               ticketTypeId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Ticket type to register with (required when the event has ticket types)
  *     responses:
  *       201:
  *         description: Successfully registered for the event
@@ -425,20 +590,67 @@ router.delete('/:id', auth, eventController.deleteEvent);
  *                   properties:
  *                     attendee:
  *                       $ref: '#/components/schemas/Attendee'
+ *       202:
+ *         description: Paid ticket; the seat is held until the checkout at payment.checkoutUrl is completed or payment.expiresAt passes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Seat held until payment is completed
+ *                 payment:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     status:
+ *                       type: string
+ *                       example: pending
+ *                     amount:
+ *                       type: string
+ *                       example: '25.00'
+ *                     currency:
+ *                       type: string
+ *                       example: USD
+ *                     checkoutUrl:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
  *       400:
- *         description: Validation error (e.g., already registered, event full)
+ *         description: Validation error (e.g., already registered)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/EmailNotVerifiedError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Event is at capacity or the ticket type is sold out; the user can join the waitlist instead
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Event is at capacity
+ *                 full:
+ *                   type: boolean
+ *                   example: true
  *       500:
  *         $ref: '#/components/responses/ServerError'
+ *       502:
+ *         description: The payment provider could not start a checkout
  */
-router.post('/:id/register', auth, eventController.registerForEvent);
+router.post('/:id/register', auth, requireVerifiedEmail('register_for_events'), eventController.registerForEvent);
 
 /**
  * @swagger
@@ -457,6 +669,12 @@ router.post('/:id/register', auth, eventController.registerForEvent);
  *           type: string
  *           format: uuid
  *         description: Event ID
+ *       - in: query
+ *         name: occurrenceStart
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the occurrence to unregister from (required for recurring events)
  *     responses:
  *       200:
  *         description: Successfully unregistered from the event
@@ -484,6 +702,149 @@ router.post('/:id/register', auth, eventController.registerForEvent);
  */
 router.delete('/:id/register', auth, eventController.unregisterFromEvent);
 
+/**
+ * @swagger
+ * /events/{id}/waitlist:
+ *   post:
+ *     summary: Join an event waitlist
+ *     description: Add the authenticated user to the waitlist of an event that is at capacity, or of a sold-out ticket type. Users are promoted in order when a seat frees up.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               occurrenceStart:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the occurrence to wait for (required for recurring events)
+ *               ticketTypeId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Ticket type to wait for (required when the event has ticket types)
+ *     responses:
+ *       201:
+ *         description: Successfully joined the waitlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Added to waitlist
+ *                 position:
+ *                   type: integer
+ *                   example: 3
+ *                 total:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Event not full, already registered or already waitlisted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/EmailNotVerifiedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/waitlist', auth, requireVerifiedEmail('register_for_events'), eventController.joinWaitlist);
+
+/**
+ * @swagger
+ * /events/{id}/waitlist:
+ *   get:
+ *     summary: Get waitlist position
+ *     description: Get the authenticated user's position on an event waitlist
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: The user's waitlist position
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 position:
+ *                   type: integer
+ *                   example: 2
+ *                 total:
+ *                   type: integer
+ *                   example: 5
+ *                 joinedAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: User is not on the waitlist for this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/waitlist', auth, eventController.getWaitlistPosition);
+
+/**
+ * @swagger
+ * /events/{id}/waitlist:
+ *   delete:
+ *     summary: Leave an event waitlist
+ *     description: Remove the authenticated user from an event waitlist
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Successfully left the waitlist
+ *       400:
+ *         description: User is not on the waitlist for this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id/waitlist', auth, eventController.leaveWaitlist);
+
 /**
  * @swagger
  * /events/{id}/attendees:
@@ -502,67 +863,81 @@ router.delete('/:id/register', auth, eventController.unregisterFromEvent);
  *           format: uuid
  *         description: Event ID
  *       - in: query
- *         name: status
+ *         name: occurrenceStart
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only list the attendees of one occurrence of a recurring event
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of attendees per page
+ *       - in: query
+ *         name: sort
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, declined, no-show]
- *         description: Filter by attendance status
+ *           enum: [registered_at, display_name]
+ *           default: registered_at
+ *         description: Sort key
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
- *         description: A list of event attendees
+ *         description: A page of event attendees
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 results:
- *                   type: integer
- *                   example: 25
- *                 data:
+ *                 attendees:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                         description: User ID
+ *                       display_name:
+ *                         type: string
+ *                       photo_url:
+ *                         type: string
+ *                       registration_id:
+ *                         type: string
+ *                         format: uuid
+ *                       occurrence_start:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       ticket_type_name:
+ *                         type: string
+ *                         nullable: true
+ *                       status:
+ *                         type: string
+ *                         enum: [pending_payment, confirmed]
+ *                       registered_at:
+ *                         type: string
+ *                         format: date-time
+ *                       checked_in_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                 sort:
  *                   type: object
  *                   properties:
- *                     attendees:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: string
- *                             format: uuid
- *                           userId:
- *                             type: string
- *                             format: uuid
- *                           eventId:
- *                             type: string
- *                             format: uuid
- *                           status:
- *                             type: string
- *                             enum: [pending, confirmed, declined, no-show]
- *                           checkedInAt:
- *                             type: string
- *                             format: date-time
- *                             nullable: true
- *                           notes:
- *                             type: string
- *                             nullable: true
- *                           user:
- *                             type: object
- *                             properties:
- *                               id:
- *                                 type: string
- *                                 format: uuid
- *                               username:
- *                                 type: string
- *                               firstName:
- *                                 type: string
- *                               lastName:
- *                                 type: string
- *                               profileImage:
- *                                 type: string
- *                                 format: uri
+ *                     key:
+ *                       type: string
+ *                     order:
+ *                       type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Invalid cursor, limit or sort
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
@@ -578,4 +953,1094 @@ router.delete('/:id/register', auth, eventController.unregisterFromEvent);
  */
 router.get('/:id/attendees', auth, eventController.getEventAttendees);
 
+/**
+ * @swagger
+ * /events/{id}/occurrences:
+ *   get:
+ *     summary: Get occurrences of a recurring event
+ *     description: Expand a recurring event into its occurrences inside a date window, with per-occurrence overrides applied
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window start (defaults to now)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window end (defaults to one year after the window start)
+ *     responses:
+ *       200:
+ *         description: A list of occurrences
+ *       400:
+ *         description: Event is not recurring
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/occurrences', eventController.getEventOccurrences);
+
+/**
+ * @swagger
+ * /events/{id}/occurrences/{occurrenceStart}:
+ *   put:
+ *     summary: Override a single occurrence
+ *     description: Move, rename, relocate or cancel one occurrence of a recurring event (authenticated, owner or admin only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Original start of the occurrence as generated by the recurrence rule
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New start time for a moved occurrence
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New end time for a moved occurrence
+ *               title:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               isCancelled:
+ *                 type: boolean
+ *                 description: Cancel just this occurrence
+ *     responses:
+ *       200:
+ *         description: Occurrence override saved
+ *       400:
+ *         description: Not an occurrence of this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to update this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:id/occurrences/:occurrenceStart', auth, eventController.updateOccurrence);
+
+/**
+ * @swagger
+ * /events/{id}/occurrences/{occurrenceStart}:
+ *   delete:
+ *     summary: Remove an occurrence override
+ *     description: Restore one occurrence of a recurring event to the series defaults (authenticated, owner or admin only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Original start of the occurrence
+ *     responses:
+ *       200:
+ *         description: Occurrence restored
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to update this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found or occurrence has no override
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id/occurrences/:occurrenceStart', auth, eventController.deleteOccurrenceOverride);
+
+/**
+ * @swagger
+ * /events/{id}/images:
+ *   get:
+ *     summary: Get an event's gallery
+ *     description: List an event's published images in gallery order. Private images and images awaiting moderation are left out.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: The event's gallery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/GalleryImage'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/images', imageController.getEventGallery);
+
+/**
+ * @swagger
+ * /events/{id}/images/manage:
+ *   get:
+ *     summary: Get an event's whole gallery
+ *     description: List every image of an event in gallery order, including private images and images still being processed or moderated (authenticated, owner or admin only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: The event's gallery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Image'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to manage this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/images/manage', auth, imageController.getManagedGallery);
+
+/**
+ * @swagger
+ * /events/{id}/images:
+ *   post:
+ *     summary: Add an image to an event's gallery
+ *     description: Upload an image to the end of an event's gallery (authenticated, owner or admin only). It is shown once processed and approved by moderation.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or GIF image, checked by content, up to MAX_FILE_SIZE bytes
+ *               caption:
+ *                 type: string
+ *                 maxLength: 500
+ *               altText:
+ *                 type: string
+ *                 maxLength: 250
+ *                 description: Text alternative read by screen readers
+ *               private:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Keep the image private, served only through signed URLs
+ *     responses:
+ *       201:
+ *         description: Image uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 imageUrl:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Public URL of the image; null until moderation has published it
+ *                 image:
+ *                   $ref: '#/components/schemas/Image'
+ *       400:
+ *         description: Invalid request (missing file, invalid caption or alt text, unsupported image)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to manage this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The gallery is full (IMAGE_GALLERY_MAX_IMAGES, 20 by default)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/images', auth, uploadImage, imageController.uploadEventImage);
+
+/**
+ * @swagger
+ * /events/{id}/images/order:
+ *   put:
+ *     summary: Reorder an event's gallery
+ *     description: Set the order of an event's gallery (authenticated, owner or admin only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageIds
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Every image of the gallery (as listed by GET /events/{id}/images/manage), once each, in their new order
+ *     responses:
+ *       200:
+ *         description: The reordered gallery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Image'
+ *       400:
+ *         description: imageIds doesn't list every image of the gallery exactly once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to manage this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:id/images/order', auth, imageController.reorderGallery);
+
+/**
+ * @swagger
+ * /events/{id}/images/{imageId}:
+ *   patch:
+ *     summary: Update a gallery image
+ *     description: Change an image's caption or alt text, or make it the event's cover, which also becomes the event's image (authenticated, owner or admin only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Image ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 500
+ *                 description: New caption; null or an empty string removes it
+ *               altText:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 250
+ *                 description: New alt text; null or an empty string removes it
+ *               isCover:
+ *                 type: boolean
+ *                 description: true makes the image the cover, false on the current cover leaves the event without one
+ *     responses:
+ *       200:
+ *         description: Image updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Image'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to manage this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Only published, public images can be the cover
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.patch('/:id/images/:imageId', auth, imageController.updateGalleryImage);
+
+/**
+ * @swagger
+ * /events/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete a gallery image
+ *     description: Remove an image from an event's gallery, deleting its stored file and variants. Deleting the cover leaves the event without an image (authenticated, owner or admin only).
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Image ID
+ *     responses:
+ *       204:
+ *         description: Image deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to manage this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id/images/:imageId', auth, imageController.deleteGalleryImage);
+
+/**
+ * @swagger
+ * /events/{id}/ticket-types:
+ *   get:
+ *     summary: Get ticket types of an event
+ *     description: List an event's ticket types with how many are sold and remaining, and whether each is on sale
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: query
+ *         name: occurrenceStart
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence to count sales for (recurring events)
+ *     responses:
+ *       200:
+ *         description: A list of ticket types
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/ticket-types', ticketTypeController.getTicketTypes);
+
+/**
+ * @swagger
+ * /events/{id}/ticket-types:
+ *   post:
+ *     summary: Create a ticket type
+ *     description: Add a ticket type with its own quota, sales window and price to an event (authenticated, owner or admin only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Early bird
+ *               description:
+ *                 type: string
+ *               quota:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Tickets of this type available per occurrence (0 for no quota beyond the event capacity)
+ *                 example: 50
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 25.00
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency code
+ *                 example: USD
+ *               salesStart:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When sales open (open immediately if omitted)
+ *               salesEnd:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When sales close (open until the event if omitted)
+ *     responses:
+ *       201:
+ *         description: Ticket type created
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to manage this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: A ticket type with this name already exists for the event
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/ticket-types', auth, ticketTypeController.createTicketType);
+
+/**
+ * @swagger
+ * /events/{id}/ticket-types/{ticketTypeId}:
+ *   put:
+ *     summary: Update a ticket type
+ *     description: Update a ticket type (authenticated, owner or admin only). Raising the quota promotes people from the waitlist.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: ticketTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Ticket type ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Early bird
+ *               description:
+ *                 type: string
+ *               quota:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Tickets of this type available per occurrence (0 for no quota beyond the event capacity)
+ *                 example: 50
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 25.00
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency code
+ *                 example: USD
+ *               salesStart:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When sales open (open immediately if omitted)
+ *               salesEnd:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When sales close (open until the event if omitted)
+ *     responses:
+ *       200:
+ *         description: Ticket type updated
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to manage this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event or ticket type not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:id/ticket-types/:ticketTypeId', auth, ticketTypeController.updateTicketType);
+
+/**
+ * @swagger
+ * /events/{id}/ticket-types/{ticketTypeId}:
+ *   delete:
+ *     summary: Delete a ticket type
+ *     description: Delete a ticket type that nobody holds yet (authenticated, owner or admin only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: path
+ *         name: ticketTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Ticket type ID
+ *     responses:
+ *       200:
+ *         description: Ticket type deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have permission to manage this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event or ticket type not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Tickets of this type have already been issued
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id/ticket-types/:ticketTypeId', auth, ticketTypeController.deleteTicketType);
+
+/**
+ * @swagger
+ * /events/{id}/ticket:
+ *   get:
+ *     summary: Get my ticket
+ *     description: Signed ticket code of the authenticated user's confirmed registration, to be shown at the door
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: query
+ *         name: occurrenceStart
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence the ticket is for (recurring events)
+ *     responses:
+ *       200:
+ *         description: Ticket details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ticketCode:
+ *                   type: string
+ *                 registrationId:
+ *                   type: string
+ *                   format: uuid
+ *                 ticketType:
+ *                   type: string
+ *                 checkedInAt:
+ *                   type: string
+ *                   format: date-time
+ *                 qrCodeUrl:
+ *                   type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       402:
+ *         description: Registration is waiting for payment
+ *       404:
+ *         description: Event not found or user not registered
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/ticket', auth, ticketController.getTicket);
+
+/**
+ * @swagger
+ * /events/{id}/ticket/qr:
+ *   get:
+ *     summary: Get my ticket as a QR code
+ *     description: The authenticated user's ticket code rendered as a QR code image
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg]
+ *           default: png
+ *         description: Image format
+ *       - in: query
+ *         name: occurrenceStart
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence the ticket is for (recurring events)
+ *     responses:
+ *       200:
+ *         description: QR code image
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       402:
+ *         description: Registration is waiting for payment
+ *       404:
+ *         description: Event not found or user not registered
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/ticket/qr', auth, ticketController.getTicketQr);
+
+/**
+ * @swagger
+ * /events/{id}/check-in/scan:
+ *   post:
+ *     summary: Check in by scanning a ticket
+ *     description: Validate a scanned ticket code and check its holder in (event organiser, staff or admin only). Each ticket can be checked in once, from when the doors open shortly before the start of its event or occurrence until a grace period after its end.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Ticket code read from the QR code
+ *     responses:
+ *       200:
+ *         description: Attendee checked in
+ *       400:
+ *         description: Ticket is invalid, revoked, unpaid, not valid yet, expired or for a cancelled event (see reason)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ticket has expired
+ *                 reason:
+ *                   type: string
+ *                   enum: [invalid, revoked, unpaid, cancelled, not_yet_valid, expired]
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User may not check in attendees for this event
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Ticket was already checked in
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/check-in/scan', auth, ticketController.scanTicket);
+
+/**
+ * @swagger
+ * /events/{id}/check-in/roster:
+ *   get:
+ *     summary: Export an offline check-in roster
+ *     description: Signed snapshot of the confirmed attendees of an event for door staff devices that check people in without connectivity (event organiser, staff or admin only). Each attendee carries the SHA-256 hash of their ticket code, so scanned codes can be matched offline.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *       - in: query
+ *         name: occurrenceStart
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence to export (required for recurring events)
+ *     responses:
+ *       200:
+ *         description: Roster snapshot and its signature
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snapshot:
+ *                   type: object
+ *                   properties:
+ *                     eventId:
+ *                       type: string
+ *                       format: uuid
+ *                     occurrenceStart:
+ *                       type: string
+ *                       format: date-time
+ *                     generatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     validUntil:
+ *                       type: string
+ *                       format: date-time
+ *                     attendees:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           registrationId:
+ *                             type: string
+ *                             format: uuid
+ *                           displayName:
+ *                             type: string
+ *                           ticketType:
+ *                             type: string
+ *                           ticketCodeHash:
+ *                             type: string
+ *                           checkedInAt:
+ *                             type: string
+ *                             format: date-time
+ *                 signature:
+ *                   type: string
+ *                   description: HMAC-SHA256 of the serialised snapshot
+ *                 rosterToken:
+ *                   type: string
+ *                   description: Token to send with the check-ins recorded with this roster when syncing them
+ *       400:
+ *         description: Missing or invalid occurrenceStart for a recurring event
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User may not check in attendees for this event
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/check-in/roster', auth, ticketController.getCheckInRoster);
+
+/**
+ * @swagger
+ * /events/{id}/check-in/sync:
+ *   post:
+ *     summary: Sync offline check-ins
+ *     description: Merge check-ins recorded offline by a door staff device (event organiser, staff or admin only). Each check-in is validated like a scan, at the time it was recorded, which must fall in the check-in window of the ticket's event or occurrence and not before the roster it was recorded with was exported. When a ticket was checked in more than once, the earliest check-in is kept (ties go to the lowest device ID), whatever order devices sync in.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceId
+ *               - rosterToken
+ *               - checkIns
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *                 maxLength: 100
+ *               rosterToken:
+ *                 type: string
+ *                 description: rosterToken of the roster export the check-ins were recorded with
+ *               checkIns:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - code
+ *                     - checkedInAt
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       description: Scanned ticket code
+ *                     checkedInAt:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       200:
+ *         description: Result of each check-in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     applied:
+ *                       type: integer
+ *                     superseded:
+ *                       type: integer
+ *                     rejected:
+ *                       type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       registrationId:
+ *                         type: string
+ *                         format: uuid
+ *                       status:
+ *                         type: string
+ *                         enum: [applied, superseded, rejected]
+ *                       reason:
+ *                         type: string
+ *                         enum: [invalid, invalid_timestamp, revoked, wrong_occurrence, unpaid, cancelled, not_yet_valid, expired]
+ *                       checkedInAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Check-in time kept for the registration
+ *       400:
+ *         description: Invalid device ID, roster token or batch
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User may not check in attendees for this event
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/check-in/sync', auth, ticketController.syncCheckIns);
+
 export default router;
\ No newline at end of file
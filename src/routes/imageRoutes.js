@@ -1,26 +1,11 @@
 // src/routes/imageRoutes.js
 import express from 'express';
 import * as imageController from '../controllers/imageController.js';
-import auth from '../middleware/auth.js';
-import multer from 'multer';
+import { auth, authorize } from '../middleware/auth.js';
+import { uploadImage } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({ 
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    // Accept only images
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  }
-});
-
 /**
  * @swagger
  * /images/events:
@@ -43,32 +28,36 @@ const upload = multer({
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Image file to upload (max 5MB, image formats only)
+ *                 description: |
+ *                   JPEG, PNG or GIF image (the types allowed by ALLOWED_FILE_TYPES, checked by content),
+ *                   up to MAX_FILE_SIZE bytes (5MB by default). SVG and other active content is refused;
+ *                   EXIF metadata, including GPS position, is stripped.
  *               eventId:
  *                 type: string
  *                 format: uuid
  *                 description: ID of the event to associate with this image
+ *               private:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Keep the image private, served only through signed URLs
  *     responses:
- *       200:
- *         description: Image uploaded successfully
+ *       201:
+ *         description: |
+ *           Image uploaded. Its metadata and variants are filled in once the image worker has processed
+ *           it, after which the moderation hook decides whether it is published (see moderationStatus).
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
+ *                 imageUrl:
  *                   type: string
- *                   example: success
- *                 data:
- *                   type: object
- *                   properties:
- *                     imageUrl:
- *                       type: string
- *                       format: uri
- *                       description: URL of the uploaded image
- *                       example: https://example.com/uploads/events/image-123456.jpg
+ *                   nullable: true
+ *                   description: Public URL of the image; null until moderation has published it
+ *                 image:
+ *                   $ref: '#/components/schemas/Image'
  *       400:
- *         description: Invalid request (missing file, wrong format, or file too large)
+ *         description: Invalid request (missing file, unsupported or unreadable image, or active content)
  *         content:
  *           application/json:
  *             schema:
@@ -87,10 +76,16 @@ const upload = multer({
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/events', auth, upload.single('image'), imageController.uploadEventImage);
+router.post('/events', auth, uploadImage, imageController.uploadEventImage);
 
 /**
  * @swagger
@@ -113,44 +108,281 @@ router.post('/events', auth, upload.single('image'), imageController.uploadEvent
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Image file to upload (max 5MB, image formats only)
+ *                 description: |
+ *                   JPEG, PNG or GIF image (the types allowed by ALLOWED_FILE_TYPES, checked by content),
+ *                   up to MAX_FILE_SIZE bytes (5MB by default). SVG and other active content is refused;
+ *                   EXIF metadata, including GPS position, is stripped.
  *     responses:
- *       200:
- *         description: Profile image uploaded successfully
+ *       201:
+ *         description: Profile image uploaded. It becomes the user's photo once moderation approves it.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
+ *                 imageUrl:
  *                   type: string
- *                   example: success
- *                 data:
- *                   type: object
- *                   properties:
- *                     imageUrl:
- *                       type: string
- *                       format: uri
- *                       description: URL of the uploaded profile image
- *                       example: https://example.com/uploads/profiles/profile-123456.jpg
- *                     user:
- *                       $ref: '#/components/schemas/UserResponse'
+ *                   nullable: true
+ *                   description: Public URL of the image; null until moderation has published it
+ *                 image:
+ *                   $ref: '#/components/schemas/Image'
+ *       400:
+ *         description: Invalid request (missing file, unsupported or unreadable image, or active content)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       413:
+ *         description: File too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/profile', auth, uploadImage, imageController.uploadProfileImage);
+
+/**
+ * @swagger
+ * /images/moderation:
+ *   get:
+ *     summary: List the moderation queue
+ *     description: |
+ *       List the images in a moderation status, oldest first, with a short-lived URL to preview each
+ *       (admin only). Images the moderation hook quarantined wait here for an admin to approve or reject.
+ *     tags: [Admin, Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, quarantined, approved, rejected]
+ *           default: quarantined
+ *         description: Moderation status to list
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of images to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of images to skip
+ *     responses:
+ *       200:
+ *         description: Images in the status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 images:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Image'
+ *                       - type: object
+ *                         properties:
+ *                           uploadedBy:
+ *                             type: string
+ *                             format: uuid
+ *                           moderationLabels:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Labels the moderation hook attached
+ *                           moderatedAt:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                           previewUrl:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Signed URL of the original; null for rejected images
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
  *       400:
- *         description: Invalid request (missing file, wrong format, or file too large)
+ *         description: Invalid parameters
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/moderation', auth, authorize('admin'), imageController.getModerationQueue);
+
+/**
+ * @swagger
+ * /images/{id}/approve:
+ *   post:
+ *     summary: Approve a quarantined image
+ *     description: |
+ *       Publish an image the moderation hook quarantined (admin only). A profile image becomes its
+ *       uploader's photo; private images are approved but stay private.
+ *     tags: [Admin, Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Image ID
+ *     responses:
+ *       200:
+ *         description: Approved image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Image'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Image not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Image is not quarantined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/approve', auth, authorize('admin'), imageController.approveImage);
+
+/**
+ * @swagger
+ * /images/{id}/reject:
+ *   post:
+ *     summary: Reject an image
+ *     description: |
+ *       Reject an image, whether quarantined, awaiting moderation or already published (admin only).
+ *       Its files are deleted and event images or profile photos showing it are cleared; the record
+ *       stays so its uploader can see why.
+ *     tags: [Admin, Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Image ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Reason shown to the uploader
+ *     responses:
+ *       200:
+ *         description: Rejected image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Image'
+ *       400:
+ *         description: Invalid reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Image not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Image has already been rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/profile', auth, upload.single('image'), imageController.uploadProfileImage);
+router.post('/:id/reject', auth, authorize('admin'), imageController.rejectImage);
 
 /**
  * @swagger
  * /images/{id}:
+ *   get:
+ *     summary: Get an image
+ *     description: Get an uploaded image's metadata and processing status, with the variants made of it
+ *     tags: [Images]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Image ID
+ *     responses:
+ *       200:
+ *         description: Image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Image'
+ *       404:
+ *         description: Image not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
  *   delete:
  *     summary: Delete an image
  *     description: Delete an uploaded image (requires authentication and appropriate permissions)
@@ -192,7 +424,12 @@ router.delete('/:id', auth, imageController.deleteImage);
  * /images/resize:
  *   get:
  *     summary: Resize an image
- *     description: Get a resized version of an existing image
+ *     description: |
+ *       Serve the stored variant of an uploaded image that best fits the requested size: the narrowest
+ *       one at least `width` wide and `height` tall, or the largest one when none is (images are never
+ *       enlarged). Without `format`, AVIF or WebP is served to clients that list it in their Accept
+ *       header, and JPEG (PNG for images with transparency) to the others. Images that haven't been
+ *       processed yet are served as uploaded. Private images aren't served here; use GET /images/{id}/url.
  *     tags: [Images]
  *     parameters:
  *       - in: query
@@ -217,15 +454,19 @@ router.delete('/:id', auth, imageController.deleteImage);
  *           maximum: 2000
  *         description: Desired height in pixels
  *       - in: query
- *         name: fit
+ *         name: format
  *         schema:
  *           type: string
- *           enum: [cover, contain, fill, inside, outside]
- *           default: cover
- *         description: Resizing strategy
+ *           enum: [jpeg, png, webp, avif]
+ *         description: Format to serve instead of the negotiated one
  *     responses:
  *       200:
  *         description: Resized image
+ *         headers:
+ *           X-Image-Variant:
+ *             schema:
+ *               type: string
+ *             description: Dimensions of the variant served, e.g. 640x427
  *         content:
  *           image/*:
  *             schema:
@@ -238,7 +479,7 @@ router.delete('/:id', auth, imageController.deleteImage);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Original image not found
+ *         description: Original image (or a variant in the requested format) not found
  *         content:
  *           application/json:
  *             schema:
@@ -248,4 +489,144 @@ router.delete('/:id', auth, imageController.deleteImage);
  */
 router.get('/resize', imageController.resizeImage);
 
+/**
+ * @swagger
+ * /images/files/{key}:
+ *   get:
+ *     summary: Download a file through a signed URL
+ *     description: |
+ *       Serve a file kept on local disk through a URL signed by GET /images/{id}/url. The URL is
+ *       only valid until `expires`; files in a bucket are served by the bucket's own signed URLs.
+ *     tags: [Images]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Storage key of the file, e.g. private/events/3f1c9a52-8d4e-4c7b-9a0e-5b2d7c6e1f40.jpg
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Unix time the URL expires at
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signature of the key and expiry
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Invalid or expired signature
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: File not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/files/*key', imageController.serveSignedFile);
+
+/**
+ * @swagger
+ * /images/{id}/url:
+ *   get:
+ *     summary: Get a signed image URL
+ *     description: |
+ *       Get a short-lived signed URL of an image, or of the variant that best fits `width` and
+ *       `height` (chosen as by GET /images/resize). Private images, and images moderation hasn't
+ *       published, can only be signed by their uploader, the organiser of their event or an admin;
+ *       they are reported as not found to others.
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Image ID
+ *       - in: query
+ *         name: width
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 2000
+ *         description: Desired width in pixels
+ *       - in: query
+ *         name: height
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 2000
+ *         description: Desired height in pixels
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [jpeg, png, webp, avif]
+ *         description: Format to sign instead of the negotiated one
+ *     responses:
+ *       200:
+ *         description: Signed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   example: /api/images/files/private/events/3f1c9a52-8d4e-4c7b-9a0e-5b2d7c6e1f40.jpg?expires=1767225600&signature=9b1f...
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 width:
+ *                   type: integer
+ *                   nullable: true
+ *                 height:
+ *                   type: integer
+ *                   nullable: true
+ *                 format:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Format of the variant signed; null when the original was
+ *                 mimeType:
+ *                   type: string
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Image (or a variant in the requested format) not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/url', auth, imageController.getImageUrl);
+router.get('/:id', imageController.getImage);
+
 export default router;
\ No newline at end of file
@@ -5,6 +5,10 @@ import userRoutes from './userRoutes.js';
 import eventRoutes from './eventRoutes.js';
 import categoryRoutes from './categoryRoutes.js';
 import adminRoutes from './adminRoutes.js';
+import calendarRoutes from './calendarRoutes.js';
+import paymentRoutes from './paymentRoutes.js';
+import emailRoutes from './emailRoutes.js';
+import uploadCleanupRoutes from './uploadCleanupRoutes.js';
 import { authenticate } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -22,6 +26,12 @@ const router = express.Router();
  *     description: Event categories
  *   - name: Admin
  *     description: Administrative operations
+ *   - name: Calendar
+ *     description: iCalendar feeds
+ *   - name: Payments
+ *     description: Checkout, provider webhooks and refunds
+ *   - name: Emails
+ *     description: Email template previews and test sends
  */
 
 // Public routes
@@ -31,6 +41,10 @@ router.use('/auth', authRoutes);
 router.use('/users', authenticate, userRoutes);
 router.use('/events', eventRoutes); // Some event routes may be public
 router.use('/categories', categoryRoutes);
+router.use('/admin/emails', emailRoutes);
+router.use('/admin/uploads', uploadCleanupRoutes);
 router.use('/admin', authenticate, adminRoutes);
+router.use('/calendar', calendarRoutes); // Feeds are authorised by token, not header
+router.use('/payments', paymentRoutes); // Webhooks are authorised by provider signature
 
 export default router;
\ No newline at end of file
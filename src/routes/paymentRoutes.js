@@ -0,0 +1,152 @@
+// src/routes/paymentRoutes.js
+import express from 'express';
+import * as paymentController from '../controllers/paymentController.js';
+import { auth } from '../middleware/auth.js';
+import config from '../config/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /payments/webhooks/{provider}:
+ *   post:
+ *     summary: Payment provider webhook
+ *     description: Receives signed payment events from a provider. A successful payment confirms the held registration; a failed one releases the seat. Payments that succeed after their hold was released are refunded automatically.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *         description: Payment provider name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid webhook signature
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Unknown payment provider
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/webhooks/:provider', paymentController.handleWebhook);
+
+// The mock checkout pays without money changing hands, so it only exists
+// when the mock provider is chosen, and never in production
+if (config.payments.provider === 'mock' && config.env !== 'production') {
+  /**
+   * @swagger
+   * /payments/mock/checkout/{sessionId}:
+   *   get:
+   *     summary: Show a mock checkout session
+   *     description: Checkout page of the local mock payment provider. Only the payment's owner can use it, and only while PAYMENT_PROVIDER is mock outside production.
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: sessionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Checkout session ID
+   *     responses:
+   *       200:
+   *         description: Checkout session details
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       404:
+   *         description: No such checkout session of the user
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  router.get('/mock/checkout/:sessionId', auth, paymentController.getMockCheckout);
+
+  /**
+   * @swagger
+   * /payments/mock/checkout/{sessionId}:
+   *   post:
+   *     summary: Complete a mock checkout session
+   *     description: Pay or fail a mock checkout. The outcome is delivered through the signed webhook flow, exactly as a real provider would. Only the payment's owner can use it, and only while PAYMENT_PROVIDER is mock outside production.
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: sessionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Checkout session ID
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               outcome:
+   *                 type: string
+   *                 enum: [succeeded, failed]
+   *                 default: succeeded
+   *     responses:
+   *       200:
+   *         description: Checkout completed
+   *       400:
+   *         description: Invalid outcome
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       404:
+   *         description: No such checkout session of the user
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  router.post('/mock/checkout/:sessionId', auth, paymentController.completeMockCheckout);
+}
+
+/**
+ * @swagger
+ * /payments/{id}:
+ *   get:
+ *     summary: Get a payment
+ *     description: Status of one of the authenticated user's payments, including the checkout URL while it is pending
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Payment details
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id', auth, paymentController.getPayment);
+
+export default router;
@@ -0,0 +1,216 @@
+// src/routes/uploadCleanupRoutes.js
+import express from 'express';
+import * as uploadCleanupController from '../controllers/uploadCleanupController.js';
+import { auth, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /admin/uploads/cleanup:
+ *   get:
+ *     summary: List orphaned upload cleanup runs
+ *     description: |
+ *       List the runs of the orphaned upload cleanup, newest first (admin only). Runs are scheduled
+ *       by UPLOAD_CLEANUP_CRON or started through POST /admin/uploads/cleanup.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of runs to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of runs to skip
+ *     responses:
+ *       200:
+ *         description: Cleanup runs, without their reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UploadCleanupRun'
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/cleanup', auth, authorize('admin'), uploadCleanupController.getCleanupRuns);
+
+/**
+ * @swagger
+ * /admin/uploads/cleanup:
+ *   post:
+ *     summary: Start an orphaned upload cleanup run
+ *     description: |
+ *       Queue a run of the orphaned upload cleanup (admin only). It finds profile photos that were
+ *       replaced or whose user is gone, and stored files no image, event or user refers to (e.g. left
+ *       behind by deleted events), older than the grace period. Unless it's a dry run, they are deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Only report the orphans found
+ *               gracePeriodHours:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 8760
+ *                 description: Leave alone files and images younger than this. Defaults to UPLOAD_CLEANUP_GRACE_HOURS (24).
+ *     responses:
+ *       202:
+ *         description: Run queued; poll GET /admin/uploads/cleanup/{runId} for its outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadCleanupRun'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A run is already queued or running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/cleanup', auth, authorize('admin'), uploadCleanupController.startCleanupRun);
+
+/**
+ * @swagger
+ * /admin/uploads/cleanup/{runId}:
+ *   get:
+ *     summary: Get an orphaned upload cleanup run
+ *     description: Get a cleanup run with the report of the orphans it found (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Run ID
+ *     responses:
+ *       200:
+ *         description: Cleanup run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/UploadCleanupRun'
+ *                 - type: object
+ *                   properties:
+ *                     report:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Orphans found (at most 1000 of each kind); null until the run completes
+ *                       properties:
+ *                         images:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                                 format: uuid
+ *                               type:
+ *                                 type: string
+ *                               storage:
+ *                                 type: string
+ *                               key:
+ *                                 type: string
+ *                               size:
+ *                                 type: integer
+ *                                 description: Bytes of the original and its variants
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                         files:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               storage:
+ *                                 type: string
+ *                               key:
+ *                                 type: string
+ *                               size:
+ *                                 type: integer
+ *                               lastModified:
+ *                                 type: string
+ *                                 format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Cleanup run not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/cleanup/:runId', auth, authorize('admin'), uploadCleanupController.getCleanupRun);
+
+export default router;
@@ -2,6 +2,10 @@
 import express from 'express';
 import { auth, authorize } from '../middleware/auth.js';
 import * as userController from '../controllers/userController.js';
+import * as calendarController from '../controllers/calendarController.js';
+import * as savedSearchController from '../controllers/savedSearchController.js';
+import * as reminderController from '../controllers/reminderController.js';
+import * as sessionController from '../controllers/sessionController.js';
 
 const router = express.Router();
 
@@ -15,40 +19,24 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
+ *       - $ref: '#/components/parameters/Cursor'
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           minimum: 1
  *           maximum: 100
- *           default: 10
+ *           default: 20
  *         description: Number of users per page
  *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search term for username, first name, or last name
- *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [username, createdAt]
- *           default: createdAt
- *         description: Sort users by username or creation date
- *       - in: query
- *         name: order
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order (ascending or descending)
+ *           enum: [created_at, display_name, email]
+ *           default: created_at
+ *         description: Sort key (created_at defaults to newest first)
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: A list of users
@@ -57,34 +45,21 @@ const router = express.Router();
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 results:
- *                   type: integer
- *                   example: 10
- *                 pagination:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserResponse'
+ *                 sort:
  *                   type: object
  *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 10
- *                     totalPages:
- *                       type: integer
- *                       example: 5
- *                     totalResults:
- *                       type: integer
- *                       example: 47
- *                 data:
- *                   type: object
- *                   properties:
- *                     users:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/UserResponse'
+ *                     key:
+ *                       type: string
+ *                     order:
+ *                       type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Invalid cursor, limit or sort
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
@@ -170,6 +145,12 @@ router.get('/:id', auth, userController.getUserById);
  *           schema:
  *             type: object
  *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: |
+ *                   New email address (not for accounts signing in through Firebase). It stays
+ *                   unverified until the user follows the verification link sent to it.
  *               firstName:
  *                 type: string
  *                 description: User's first name
@@ -211,6 +192,12 @@ router.get('/:id', auth, userController.getUserById);
  *               $ref: '#/components/schemas/Error'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Another user already has this email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -417,4 +404,428 @@ router.get('/:id/events', auth, userController.getUserEvents);
  */
 router.get('/:id/organized-events', auth, userController.getUserOrganizedEvents);
 
+/**
+ * @swagger
+ * /users/me/calendar-token:
+ *   post:
+ *     summary: Create a calendar feed token
+ *     description: Issue a secret token for the personal calendar feed. Any previous token stops working.
+ *     tags: [Users, Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 feedUrl:
+ *                   type: string
+ *                   format: uri
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/me/calendar-token', auth, calendarController.createFeedToken);
+
+/**
+ * @swagger
+ * /users/me/calendar-token:
+ *   delete:
+ *     summary: Revoke the calendar feed token
+ *     description: Revoke the personal calendar feed token so the feed URL stops working
+ *     tags: [Users, Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: No token to revoke
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/me/calendar-token', auth, calendarController.revokeFeedToken);
+
+/**
+ * @swagger
+ * /users/me/saved-searches:
+ *   get:
+ *     summary: List saved searches
+ *     description: List the current user's saved event searches, newest first
+ *     tags: [Users, Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/me/saved-searches', auth, savedSearchController.getSavedSearches);
+
+/**
+ * @swagger
+ * /users/me/saved-searches:
+ *   post:
+ *     summary: Save a search
+ *     description: |
+ *       Save a filter set of the events listing. With `notify` set to `instant` an email goes out
+ *       for every newly published event that matches; with `daily` matching events are collected
+ *       into one digest email a day. Only events published after the search was saved are notified.
+ *       The search is matched in the request language (see the `lang` parameter of GET /events).
+ *     tags: [Users, Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, filters]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               filters:
+ *                 $ref: '#/components/schemas/SavedSearchFilters'
+ *               notify:
+ *                 type: string
+ *                 enum: [none, instant, daily]
+ *                 default: none
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Invalid name, filters or notification mode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: The user already has the maximum number of saved searches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/me/saved-searches', auth, savedSearchController.createSavedSearch);
+
+/**
+ * @swagger
+ * /users/me/saved-searches/{id}:
+ *   delete:
+ *     summary: Delete a saved search
+ *     description: Delete one of the current user's saved searches, stopping its notifications
+ *     tags: [Users, Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Saved search ID
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/me/saved-searches/:id', auth, savedSearchController.deleteSavedSearch);
+
+/**
+ * @swagger
+ * /users/me/reminder-preferences:
+ *   get:
+ *     summary: Get reminder preferences
+ *     description: When and how the current user is reminded of the events they registered for. Users who never saved preferences get the defaults.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reminder preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderPreferences'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/me/reminder-preferences', auth, reminderController.getReminderPreferences);
+
+/**
+ * @swagger
+ * /users/me/reminder-preferences:
+ *   put:
+ *     summary: Update reminder preferences
+ *     description: |
+ *       Choose how long before their events the current user is reminded, and through which channels.
+ *       Omitted fields keep their current value. Changed offsets apply to the reminders of every upcoming
+ *       registration; reminders are written in the request language.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               offsets:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 5
+ *                   maximum: 43200
+ *                 description: Minutes before the event, at most REMINDER_MAX_OFFSETS of them
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [email, push]
+ *     responses:
+ *       200:
+ *         description: Preferences saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderPreferences'
+ *       400:
+ *         description: Invalid offsets or channels
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/me/reminder-preferences', auth, reminderController.updateReminderPreferences);
+
+/**
+ * @swagger
+ * /users/me/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: List the devices the current user is logged in on, most recently seen first
+ *     tags: [Users, Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/me/sessions', auth, sessionController.getSessions);
+
+/**
+ * @swagger
+ * /users/me/sessions:
+ *   delete:
+ *     summary: Revoke all sessions
+ *     description: Log the current user out on every device. Their refresh tokens and access tokens stop working.
+ *     tags: [Users, Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: exceptCurrent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Keep the session making the request
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *                   description: Number of sessions revoked
+ *       400:
+ *         description: exceptCurrent used without a session (e.g. with a Firebase token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/me/sessions', auth, sessionController.revokeAllSessions);
+
+/**
+ * @swagger
+ * /users/me/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Log the current user out on one device. Revoking the current session logs out.
+ *     tags: [Users, Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: No active session with this ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/me/sessions/:sessionId', auth, sessionController.revokeSession);
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions
+ *     description: List the devices a user is logged in on (admin only)
+ *     tags: [Users, Sessions, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/sessions', auth, authorize('admin'), sessionController.getUserSessions);
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   delete:
+ *     summary: Log a user out everywhere
+ *     description: Revoke all of a user's sessions, e.g. when their account is compromised (admin only)
+ *     tags: [Users, Sessions, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *                   description: Number of sessions revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User does not have admin privileges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id/sessions', auth, authorize('admin'), sessionController.revokeUserSessions);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Date buckets offered by the events listing, smallest first
+export const DATE_BUCKETS = ['today', 'this_week', 'this_month'];
+
+/**
+ * Compute the calendar ranges of the date buckets in server local time.
+ * Weeks start on Monday. Buckets nest: today is inside this week, which
+ * overlaps this month.
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { today, this_week, this_month }, each { start, end } with an exclusive end
+ */
+export const getDateBuckets = (now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysSinceMonday = (today.getDay() + 6) % 7;
+  const weekStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysSinceMonday);
+
+  return {
+    today: {
+      start: today,
+      end: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1)
+    },
+    this_week: {
+      start: weekStart,
+      end: new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7)
+    },
+    this_month: {
+      start: new Date(today.getFullYear(), today.getMonth(), 1),
+      end: new Date(today.getFullYear(), today.getMonth() + 1, 1)
+    }
+  };
+};
+
+export default {
+  DATE_BUCKETS,
+  getDateBuckets
+};
@@ -0,0 +1,69 @@
+// Browsers and apps recognised in user agents, most specific first (Edge and
+// Opera also announce Chrome, Chrome also announces Safari)
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\//i },
+  { name: 'Opera', pattern: /OPR\/|Opera/i },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\//i },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\//i },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\//i },
+  { name: 'Safari', pattern: /Safari\//i },
+  { name: 'Postman', pattern: /PostmanRuntime\//i },
+  { name: 'curl', pattern: /^curl\//i },
+  { name: 'Mobile app', pattern: /okhttp|Dart|CFNetwork|Expo/i }
+];
+
+// Operating systems recognised in user agents (iOS and Android before the
+// desktop systems their user agents also mention)
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/i },
+  { name: 'Android', pattern: /Android/i },
+  { name: 'Windows', pattern: /Windows/i },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/i },
+  { name: 'ChromeOS', pattern: /CrOS/i },
+  { name: 'Linux', pattern: /Linux/i }
+];
+
+// Longest device name a client may give itself
+export const MAX_DEVICE_NAME_LENGTH = 100;
+
+/**
+ * Describe the device behind a user agent, e.g. "Firefox on Windows"
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string} Device description
+ */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(candidate => candidate.pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(candidate => candidate.pattern.test(userAgent));
+
+  if (browser && os) return `${browser.name} on ${os.name}`;
+
+  return browser?.name || os?.name || 'Unknown device';
+};
+
+/**
+ * Details of the client making a request, recorded with the sessions it
+ * starts. Clients can name themselves through `deviceName` in the body;
+ * otherwise the device is described from the user agent.
+ * @param {Object} req - Express request
+ * @returns {{ device: string, ipAddress: string, userAgent: string|null }} Client details
+ */
+export const getClientInfo = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  const deviceName = req.body?.deviceName;
+
+  return {
+    device: typeof deviceName === 'string' && deviceName.trim()
+      ? deviceName.trim().slice(0, MAX_DEVICE_NAME_LENGTH)
+      : describeDevice(userAgent),
+    ipAddress: req.ip,
+    userAgent
+  };
+};
+
+export default {
+  MAX_DEVICE_NAME_LENGTH,
+  describeDevice,
+  getClientInfo
+};
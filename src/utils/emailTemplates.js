@@ -0,0 +1,358 @@
+import i18next from './i18n.js';
+
+// Languages emails are translated into (see locales/<language>/emails.json)
+export const EMAIL_LANGUAGES = ['en', 'es'];
+
+// Supported email language for a requested locale (e.g. "es-ES" -> "es")
+export const emailLanguage = (locale) => {
+  const language = String(locale || '').slice(0, 2).toLowerCase();
+  return EMAIL_LANGUAGES.includes(language) ? language : 'en';
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Date and time of an event in the email's language. Contexts carry either a
+// startTime, or an eventDate and eventTime already formatted by the sender.
+const eventWhen = (t, { startTime, eventDate, eventTime }, language) => {
+  if (!startTime) return t('common.when', { date: eventDate, time: eventTime });
+
+  const start = new Date(startTime);
+
+  return t('common.when', {
+    date: new Intl.DateTimeFormat(language, { dateStyle: 'full' }).format(start),
+    time: new Intl.DateTimeFormat(language, { timeStyle: 'short' }).format(start)
+  });
+};
+
+// How long before an event a reminder goes out, in the largest whole unit
+// (a 1440 minute offset reads "in 1 day", 90 minutes "in 90 minutes")
+const timeUntil = (t, minutes) => {
+  if (minutes % (24 * 60) === 0) return t('eventReminder.inDays', { count: minutes / (24 * 60) });
+  if (minutes % 60 === 0) return t('eventReminder.inHours', { count: minutes / 60 });
+
+  return t('eventReminder.inMinutes', { count: minutes });
+};
+
+const sampleEvent = {
+  id: '00000000-0000-4000-8000-000000000001',
+  title: 'Community Jazz Night',
+  location: 'Riverside Hall',
+  startTime: '2026-06-12T19:30:00.000Z',
+  eventUrl: 'http://localhost:5000/api/events/00000000-0000-4000-8000-000000000001'
+};
+
+// Email templates. Each renders a context into a subject and a list of
+// blocks (see renderHtml and renderText); `sample` is the context used for
+// previews. Senders pass a `subject` as well, but the translated one wins.
+const TEMPLATES = {
+  eventRegistration: {
+    sample: {
+      userName: 'Alex',
+      eventTitle: sampleEvent.title,
+      eventDate: '6/12/2026',
+      eventTime: '7:30:00 PM',
+      eventLocation: sampleEvent.location
+    },
+    render: (t, context, language) => ({
+      subject: t('eventRegistration.subject', context),
+      blocks: [
+        t('eventRegistration.intro', context),
+        { list: [
+          { text: eventWhen(t, context, language) },
+          { text: t('common.where', { location: context.eventLocation }) }
+        ] }
+      ]
+    })
+  },
+
+  attendanceConfirmed: {
+    sample: {
+      userName: 'Alex',
+      eventTitle: sampleEvent.title,
+      eventDate: '6/12/2026',
+      eventTime: '7:30:00 PM'
+    },
+    render: (t, context, language) => ({
+      subject: t('attendanceConfirmed.subject', context),
+      blocks: [
+        t('attendanceConfirmed.intro', context),
+        { list: [{ text: eventWhen(t, context, language) }] }
+      ]
+    })
+  },
+
+  attendanceCancelled: {
+    sample: {
+      userName: 'Alex',
+      eventTitle: sampleEvent.title,
+      eventDate: '6/12/2026',
+      eventTime: '7:30:00 PM'
+    },
+    render: (t, context) => ({
+      subject: t('attendanceCancelled.subject', context),
+      blocks: [t('attendanceCancelled.intro', context)]
+    })
+  },
+
+  waitlistPromotion: {
+    sample: {
+      userName: 'Alex',
+      eventTitle: sampleEvent.title,
+      eventDate: '6/12/2026',
+      eventTime: '7:30:00 PM',
+      checkoutUrl: 'http://localhost:5000/api/payments/mock/checkout/sample',
+      paymentExpiresAt: '2026-06-01T12:15:00.000Z'
+    },
+    render: (t, context, language) => ({
+      subject: t('waitlistPromotion.subject', context),
+      blocks: [
+        t('waitlistPromotion.intro', context),
+        { list: [{ text: eventWhen(t, context, language) }] },
+        ...(context.checkoutUrl ? [
+          t('waitlistPromotion.payment'),
+          ...(context.paymentExpiresAt ? [t('waitlistPromotion.paymentExpires', {
+            expiresAt: new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeStyle: 'short' })
+              .format(new Date(context.paymentExpiresAt))
+          })] : []),
+          { button: { label: t('waitlistPromotion.pay'), url: context.checkoutUrl } }
+        ] : [])
+      ]
+    })
+  },
+
+  eventReminder: {
+    sample: {
+      userName: 'Alex',
+      offset: 60,
+      event: sampleEvent
+    },
+    render: (t, { offset, event }, language) => {
+      const values = { eventTitle: event.title, timeUntil: timeUntil(t, offset) };
+
+      return {
+        subject: t('eventReminder.subject', values),
+        blocks: [
+          t('eventReminder.intro', values),
+          { list: [
+            { text: eventWhen(t, event, language) },
+            ...(event.location ? [{ text: t('common.where', { location: event.location }) }] : [])
+          ] },
+          { button: { label: t('common.viewEvent'), url: event.eventUrl } },
+          { note: t('eventReminder.preferences') }
+        ]
+      };
+    }
+  },
+
+  savedSearchMatch: {
+    sample: {
+      userName: 'Alex',
+      searchName: 'Jazz nearby',
+      event: sampleEvent
+    },
+    render: (t, { searchName, event }, language) => ({
+      subject: t('savedSearchMatch.subject', { searchName, eventTitle: event.title }),
+      blocks: [
+        t('savedSearchMatch.intro', { searchName }),
+        { list: [{
+          text: event.title,
+          details: [eventWhen(t, event, language), t('common.where', { location: event.location })]
+        }] },
+        { button: { label: t('common.viewEvent'), url: event.eventUrl } },
+        { note: t('savedSearchMatch.unsubscribe') }
+      ]
+    })
+  },
+
+  savedSearchDigest: {
+    sample: {
+      userName: 'Alex',
+      searchName: 'Jazz nearby',
+      events: [
+        sampleEvent,
+        { ...sampleEvent, title: 'Jazz in the Park', location: 'Central Park', startTime: '2026-06-14T15:00:00.000Z' }
+      ],
+      hasMore: false
+    },
+    render: (t, { searchName, events = [], hasMore }, language) => ({
+      subject: t('savedSearchDigest.subject', { searchName, count: events.length }),
+      blocks: [
+        t('savedSearchDigest.intro', { searchName, count: events.length }),
+        { list: events.map(event => ({
+          text: event.title,
+          url: event.eventUrl,
+          details: [eventWhen(t, event, language), t('common.where', { location: event.location })]
+        })) },
+        ...(hasMore ? [t('savedSearchDigest.more')] : []),
+        { note: t('savedSearchDigest.unsubscribe') }
+      ]
+    })
+  },
+
+  passwordReset: {
+    sample: {
+      userName: 'Alex',
+      resetUrl: 'http://localhost:5000/reset-password?token=sample',
+      expiresInMinutes: 60
+    },
+    render: (t, { resetUrl, expiresInMinutes }) => ({
+      subject: t('passwordReset.subject'),
+      blocks: [
+        t('passwordReset.intro'),
+        { button: { label: t('passwordReset.reset'), url: resetUrl } },
+        t('passwordReset.expires', { count: expiresInMinutes }),
+        { note: t('passwordReset.ignore') }
+      ]
+    })
+  },
+
+  emailVerification: {
+    sample: {
+      userName: 'Alex',
+      email: 'alex@example.com',
+      verifyUrl: 'http://localhost:5000/api/auth/verify-email?token=sample',
+      expiresInHours: 24,
+      emailChanged: false
+    },
+    render: (t, { email, verifyUrl, expiresInHours, emailChanged }) => ({
+      subject: t('emailVerification.subject'),
+      blocks: [
+        t(emailChanged ? 'emailVerification.introChanged' : 'emailVerification.intro', { email }),
+        { button: { label: t('emailVerification.verify'), url: verifyUrl } },
+        t('emailVerification.expires', { count: expiresInHours }),
+        { note: t('emailVerification.ignore') }
+      ]
+    })
+  }
+};
+
+// Names of the available templates
+export const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+// HTML of one block
+const blockHtml = (block) => {
+  if (typeof block === 'string') {
+    return `<p style="margin:0 0 16px">${escapeHtml(block)}</p>`;
+  }
+
+  if (block.list) {
+    const items = block.list.map(item => {
+      const text = item.url
+        ? `<a href="${escapeHtml(item.url)}" style="color:#1a56db">${escapeHtml(item.text)}</a>`
+        : escapeHtml(item.text);
+      const details = (item.details || [])
+        .map(detail => `<br><span style="color:#555">${escapeHtml(detail)}</span>`)
+        .join('');
+
+      return `<li style="margin:0 0 8px">${text}${details}</li>`;
+    });
+
+    return `<ul style="margin:0 0 16px;padding-left:20px">${items.join('')}</ul>`;
+  }
+
+  if (block.button) {
+    return `<p style="margin:24px 0"><a href="${escapeHtml(block.button.url)}" ` +
+      'style="background:#1a56db;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none">' +
+      `${escapeHtml(block.button.label)}</a></p>`;
+  }
+
+  return `<p style="margin:0 0 16px;font-size:12px;color:#777">${escapeHtml(block.note)}</p>`;
+};
+
+// Plain text of one block
+const blockText = (block) => {
+  if (typeof block === 'string') return block;
+
+  if (block.list) {
+    return block.list.map(item => [
+      `- ${item.text}`,
+      ...(item.details || []).map(detail => `  ${detail}`),
+      ...(item.url ? [`  ${item.url}`] : [])
+    ].join('\n')).join('\n');
+  }
+
+  if (block.button) return `${block.button.label}: ${block.button.url}`;
+
+  return block.note;
+};
+
+// HTML document of an email: its blocks inside the layout
+const renderHtml = ({ subject, blocks, greeting, signoff, footer }, language) => `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;font-size:15px;line-height:1.5;color:#222">
+<div style="max-width:560px;margin:0 auto;background:#fff;padding:32px;border-radius:6px">
+<p style="margin:0 0 16px">${escapeHtml(greeting)}</p>
+${blocks.map(blockHtml).join('\n')}
+<p style="margin:24px 0 0">${escapeHtml(signoff)}</p>
+</div>
+<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#777;text-align:center">${escapeHtml(footer)}</p>
+</body>
+</html>
+`;
+
+// Plain text alternative of an email
+const renderText = ({ blocks, greeting, signoff, footer }) => {
+  return [greeting, ...blocks.map(blockText), signoff, '--', footer].join('\n\n') + '\n';
+};
+
+/**
+ * Render an email template in a language
+ * @param {string} template - Template name (one of EMAIL_TEMPLATES)
+ * @param {Object} context - Template data; userName addresses the recipient
+ * @param {string} [locale] - Requested language, falling back to English
+ * @returns {Promise<Object|null>} { subject, html, text, language }, or null for an unknown template
+ */
+export const renderEmail = async (template, context = {}, locale) => {
+  const definition = TEMPLATES[template];
+  if (!definition) return null;
+
+  const language = emailLanguage(locale);
+  await i18next.loadNamespaces('emails');
+
+  // Values are escaped by the HTML renderer, not by i18next, so the text version stays readable
+  const fixedT = i18next.getFixedT(language, 'emails');
+  const t = (key, options = {}) => fixedT(key, { ...options, interpolation: { escapeValue: false } });
+
+  const { subject, blocks } = definition.render(t, context, language);
+  const email = {
+    subject,
+    blocks,
+    greeting: context.userName ? t('layout.greeting', { name: context.userName }) : t('layout.greetingAnonymous'),
+    signoff: t('layout.signoff'),
+    footer: t('layout.footer')
+  };
+
+  return {
+    subject,
+    html: renderHtml(email, language),
+    text: renderText(email),
+    language
+  };
+};
+
+/**
+ * Sample context of a template, for previews
+ * @param {string} template - Template name
+ * @returns {Object|null} Sample context, or null for an unknown template
+ */
+export const getSampleContext = (template) => {
+  return TEMPLATES[template] ? structuredClone(TEMPLATES[template].sample) : null;
+};
+
+export default {
+  EMAIL_LANGUAGES,
+  EMAIL_TEMPLATES,
+  emailLanguage,
+  renderEmail,
+  getSampleContext
+};
@@ -0,0 +1,48 @@
+// Image formats recognised from their leading bytes (magic numbers)
+const IMAGE_SIGNATURES = [
+  { format: 'jpeg', mimeType: 'image/jpeg', extension: '.jpg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { format: 'png', mimeType: 'image/png', extension: '.png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'gif', mimeType: 'image/gif', extension: '.gif', matches: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6)) },
+  { format: 'webp', mimeType: 'image/webp', extension: '.webp', matches: (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' },
+  { format: 'avif', mimeType: 'image/avif', extension: '.avif', matches: (bytes) => bytes.toString('latin1', 4, 8) === 'ftyp' && ['avif', 'avis'].includes(bytes.toString('latin1', 8, 12)) }
+];
+
+// Markup that browsers may run when a file is opened directly: SVG, HTML,
+// XML and server-side scripts, including when hidden behind an image header
+const ACTIVE_CONTENT_PATTERN = /<(svg|script|html|body|iframe|object|embed)\b|<!doctype\s+html|<\?(xml|php)|javascript:/i;
+
+// How much of the start of a file is searched for active content
+const ACTIVE_CONTENT_SCAN_BYTES = 4096;
+
+/**
+ * Identify an image by its content rather than its name or declared type
+ * @param {Buffer} buffer - File contents
+ * @returns {{ format: string, mimeType: string, extension: string }|null} Detected type, or null if not a supported image
+ */
+export const sniffImageType = (buffer) => {
+  const signature = IMAGE_SIGNATURES.find(candidate => buffer.length >= 12 && candidate.matches(buffer));
+
+  if (!signature) return null;
+
+  const { format, mimeType, extension } = signature;
+
+  return { format, mimeType, extension };
+};
+
+/**
+ * Whether a file is, or carries, markup or script a browser could execute:
+ * SVG and HTML documents, or image/script polyglots
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True if the file contains active content
+ */
+export const hasActiveContent = (buffer) => {
+  const head = buffer.toString('latin1', 0, Math.min(buffer.length, ACTIVE_CONTENT_SCAN_BYTES));
+
+  // Text files starting with markup (after any byte order mark and whitespace)
+  return /^(\xef\xbb\xbf)?\s*</.test(head) || ACTIVE_CONTENT_PATTERN.test(head);
+};
+
+export default {
+  sniffImageType,
+  hasActiveContent
+};
@@ -0,0 +1,71 @@
+// Mean Earth radius used for great-circle distances
+export const EARTH_RADIUS_KM = 6371;
+
+// Largest radius accepted by `near` searches, in kilometres
+export const MAX_RADIUS_KM = 500;
+
+// Length of one degree of latitude
+const KM_PER_DEGREE = 111.045;
+
+/**
+ * Check whether a latitude/longitude pair is in range
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {boolean} True if both values are valid coordinates
+ */
+export const isValidCoordinates = (latitude, longitude) => {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+};
+
+/**
+ * Parse a "lat,lng" string (e.g. the `near` query parameter)
+ * @param {string} value - Comma separated coordinates
+ * @returns {{ latitude: number, longitude: number }|null} Coordinates, or null if invalid
+ */
+export const parseCoordinates = (value) => {
+  const parts = String(value ?? '').split(',');
+  if (parts.length !== 2 || parts.some(part => part.trim() === '')) return null;
+
+  const [latitude, longitude] = parts.map(Number);
+
+  return isValidCoordinates(latitude, longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Compute a latitude/longitude box containing every point within a radius.
+ * Used as an index-friendly prefilter before the exact distance check.
+ * Longitude bounds are omitted near the poles and across the antimeridian,
+ * where a single box can't describe the area.
+ * @param {{ latitude: number, longitude: number }} center - Search point
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {{ minLat: number, maxLat: number, minLng: number|null, maxLng: number|null }} Bounds
+ */
+export const boundingBox = ({ latitude, longitude }, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const minLat = Math.max(latitude - latDelta, -90);
+  const maxLat = Math.min(latitude + latDelta, 90);
+
+  if (minLat === -90 || maxLat === 90) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+
+  const lngDelta = radiusKm / (KM_PER_DEGREE * Math.cos(latitude * Math.PI / 180));
+  const minLng = longitude - lngDelta;
+  const maxLng = longitude + lngDelta;
+
+  if (minLng < -180 || maxLng > 180) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+export default {
+  EARTH_RADIUS_KM,
+  MAX_RADIUS_KM,
+  isValidCoordinates,
+  parseCoordinates,
+  boundingBox
+};
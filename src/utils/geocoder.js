@@ -0,0 +1,130 @@
+import config from '../config/index.js';
+import logger from './logger.js';
+
+/**
+ * A geocoding provider turns a free-text address into coordinates.
+ * Providers implement `geocode(address)` and resolve to
+ * `{ latitude, longitude, formattedAddress }`, or null when nothing matches.
+ */
+
+/**
+ * Create a local provider that resolves addresses from a fixed lookup table.
+ * Used in tests and development so no outside service is contacted.
+ * @param {Object} fixtures - Map of address to { latitude, longitude, formattedAddress }
+ * @returns {Object} Geocoding provider
+ */
+export const createStubGeocoder = (fixtures = {}) => {
+  const normalize = (address) => String(address).trim().toLowerCase();
+  const lookup = new Map(
+    Object.entries(fixtures).map(([address, result]) => [normalize(address), result])
+  );
+
+  return {
+    name: 'stub',
+    geocode: async (address) => {
+      const result = lookup.get(normalize(address));
+      return result ? { formattedAddress: address, ...result } : null;
+    }
+  };
+};
+
+/**
+ * Create a provider backed by an OpenStreetMap Nominatim server
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Nominatim base URL
+ * @param {string} options.userAgent - User agent required by the Nominatim usage policy
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Object} Geocoding provider
+ */
+export const createNominatimGeocoder = ({ url, userAgent, timeout }) => ({
+  name: 'nominatim',
+  geocode: async (address) => {
+    const params = new URLSearchParams({ q: address, format: 'json', limit: '1' });
+    const response = await fetch(`${url}/search?${params}`, {
+      headers: { 'User-Agent': userAgent },
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Geocoding request failed with status ${response.status}`);
+    }
+
+    const [match] = await response.json();
+    if (!match) return null;
+
+    return {
+      latitude: parseFloat(match.lat),
+      longitude: parseFloat(match.lon),
+      formattedAddress: match.display_name
+    };
+  }
+});
+
+// Registered provider factories, keyed by the name used in config
+const providers = {
+  stub: () => createStubGeocoder(),
+  nominatim: () => createNominatimGeocoder(config.geocoding.nominatim)
+};
+
+let activeGeocoder = null;
+
+/**
+ * Register a provider factory under a name selectable through config
+ * @param {string} name - Provider name
+ * @param {Function} factory - Function returning a provider
+ */
+export const registerGeocoder = (name, factory) => {
+  providers[name] = factory;
+};
+
+/**
+ * Replace the active provider (e.g. with a stub in tests)
+ * @param {Object|null} geocoder - Provider instance, or null to fall back to config
+ */
+export const setGeocoder = (geocoder) => {
+  activeGeocoder = geocoder;
+};
+
+/**
+ * Get the active provider, creating it from config on first use
+ * @returns {Object} Geocoding provider
+ */
+export const getGeocoder = () => {
+  if (!activeGeocoder) {
+    const factory = providers[config.geocoding.provider];
+
+    if (!factory) {
+      throw new Error(`Unknown geocoding provider: ${config.geocoding.provider}`);
+    }
+
+    activeGeocoder = factory();
+  }
+
+  return activeGeocoder;
+};
+
+/**
+ * Geocode an address with the active provider.
+ * Failures are logged and treated as no match so they never block a request.
+ * @param {string} address - Free-text address
+ * @returns {Promise<Object|null>} Coordinates or null
+ */
+export const geocode = async (address) => {
+  if (!address) return null;
+
+  try {
+    return await getGeocoder().geocode(address);
+  } catch (error) {
+    logger.warn(`Geocoding failed for "${address}": ${error.message}`);
+    return null;
+  }
+};
+
+export default {
+  createStubGeocoder,
+  createNominatimGeocoder,
+  registerGeocoder,
+  setGeocoder,
+  getGeocoder,
+  geocode
+};
@@ -52,7 +52,7 @@ i18next
       lookupHeader: 'accept-language',
       caches: ['cookie']
     },
-    ns: ['translation'],
+    ns: ['translation', 'emails'],
     defaultNS: 'translation'
   });
 
@@ -0,0 +1,181 @@
+const PRODID = '-//Community Events//Community Events API//EN';
+const UID_DOMAIN = 'community-events';
+
+// RFC 5545 limits content lines to 75 octets, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ * @param {*} value - Raw value
+ * @returns {string} Escaped value
+ */
+export const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Format a date as a UTC DATE-TIME value (e.g. 20251231T180000Z)
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date
+ */
+export const formatDate = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Fold a content line into 75-octet chunks joined by CRLF + space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let chunk = '';
+
+  for (const char of line) {
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build the lines of a single VEVENT component
+ * @param {Object} event - Event row (or occurrence) to serialise
+ * @param {Object} options - Component options
+ * @param {string} options.uid - Component UID
+ * @param {Date} [options.recurrenceId] - Original start of an overridden occurrence
+ * @param {boolean} [options.withRule] - Include the event's RRULE
+ * @returns {Array<string>} Content lines
+ */
+const buildVEvent = (event, { uid, recurrenceId, withRule = false }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(new Date())}`
+  ];
+
+  if (recurrenceId) {
+    lines.push(`RECURRENCE-ID:${formatDate(recurrenceId)}`);
+  }
+
+  lines.push(
+    `DTSTART:${formatDate(event.start_time)}`,
+    `DTEND:${formatDate(event.end_time)}`,
+    `SUMMARY:${escapeText(event.title)}`
+  );
+
+  if (withRule && event.recurrence_rule) {
+    lines.push(`RRULE:${event.recurrence_rule}`);
+  }
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+
+  if (event.category) {
+    lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  }
+
+  if (event.updated_at) {
+    lines.push(`LAST-MODIFIED:${formatDate(event.updated_at)}`);
+  }
+
+  // Cancelled events stay in the feed so subscribed calendars drop them
+  lines.push(`STATUS:${event.is_cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build the VEVENT components of an event.
+ * One-off events give a single component. Recurring series give a master
+ * component with an RRULE plus one component per overridden occurrence.
+ * Single occurrences (rows with occurrence_start) get their own UID.
+ * @param {Object} event - Event row or expanded occurrence
+ * @param {Array} [overrides] - event_occurrence_overrides rows for the event
+ * @returns {Array<string>} Content lines
+ */
+export const buildEventComponents = (event, overrides = []) => {
+  if (event.occurrence_start) {
+    return buildVEvent(event, {
+      uid: `${event.id}-${formatDate(event.occurrence_start)}@${UID_DOMAIN}`
+    });
+  }
+
+  const uid = `${event.id}@${UID_DOMAIN}`;
+  const lines = buildVEvent(event, { uid, withRule: true });
+
+  if (event.recurrence_rule) {
+    const duration = new Date(event.end_time) - new Date(event.start_time);
+
+    overrides.forEach(override => {
+      const startTime = override.start_time || override.occurrence_start;
+
+      lines.push(...buildVEvent({
+        ...event,
+        start_time: startTime,
+        end_time: override.end_time || new Date(new Date(startTime).getTime() + duration),
+        title: override.title ?? event.title,
+        location: override.location ?? event.location,
+        is_cancelled: event.is_cancelled || override.is_cancelled,
+        updated_at: override.updated_at
+      }, { uid, recurrenceId: override.occurrence_start }));
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar display name
+ * @param {Array} options.events - Event rows or expanded occurrences
+ * @param {Array} [options.overrides] - Overrides of any recurring events in the list
+ * @returns {string} iCalendar document
+ */
+export const buildCalendar = ({ name, events, overrides = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    const eventOverrides = overrides.filter(override => override.event_id === event.id);
+    lines.push(...buildEventComponents(event, eventOverrides));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export default {
+  escapeText,
+  formatDate,
+  buildEventComponents,
+  buildCalendar
+};
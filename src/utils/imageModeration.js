@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+/**
+ * An image moderator reviews every upload once it has been processed, before
+ * it is published. Moderators implement `review({ image, metadata, getUrl })`,
+ * where getUrl() resolves to a temporary URL of the original, and resolve to
+ * `{ decision, reason, labels }`:
+ * - `approve` publishes the image
+ * - `quarantine` keeps it private until an admin approves or rejects it
+ * - `reject` deletes its files
+ * Images a moderator fails to review are quarantined.
+ */
+export const MODERATION_DECISIONS = ['approve', 'quarantine', 'reject'];
+
+// Approves everything, publishing images as soon as they are processed
+export const createAutoApproveModerator = () => ({
+  name: 'none',
+  review: async () => ({ decision: 'approve' })
+});
+
+// Quarantines everything for an admin to review
+export const createManualModerator = () => ({
+  name: 'manual',
+  review: async () => ({ decision: 'quarantine', reason: 'Awaiting review' })
+});
+
+/**
+ * Create a moderator that asks an external service. The image is POSTed as
+ * JSON (with a temporary URL of the file) and signed with an HMAC of the body
+ * in the X-Moderation-Signature header; the service answers with
+ * `{ decision, reason, labels }`.
+ * @param {Object} options - Moderator options
+ * @param {string} options.url - Endpoint of the service
+ * @param {string} options.secret - Secret signing the requests
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Object} Moderator
+ */
+export const createWebhookModerator = ({ url, secret, timeout }) => ({
+  name: 'webhook',
+  review: async ({ image, metadata, getUrl }) => {
+    const fileUrl = await getUrl();
+    const body = JSON.stringify({
+      imageId: image.id,
+      type: image.type,
+      eventId: image.event_id,
+      uploadedBy: image.uploaded_by,
+      mimeType: metadata.mimeType,
+      width: metadata.width,
+      height: metadata.height,
+      // Local signed URLs are relative to the API
+      url: new URL(fileUrl, config.baseUrl).toString()
+    });
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Moderation-Signature': crypto.createHmac('sha256', secret).update(body).digest('hex')
+      },
+      body,
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Moderation service responded with ${response.status}`);
+    }
+
+    const { decision, reason = null, labels = null } = await response.json();
+
+    return { decision, reason, labels };
+  }
+});
+
+// Registered moderator factories, keyed by the name used in config
+const factories = {
+  none: createAutoApproveModerator,
+  manual: createManualModerator,
+  webhook: () => createWebhookModerator(config.images.moderation.webhook)
+};
+
+const moderators = new Map();
+
+/**
+ * Register a moderator factory under a name selectable through config
+ * @param {string} name - Moderator name
+ * @param {Function} factory - Function returning a moderator
+ */
+export const registerModerator = (name, factory) => {
+  factories[name] = factory;
+  moderators.delete(name);
+};
+
+/**
+ * Get a moderator, creating it on first use
+ * @param {string} [name] - Moderator name, defaults to the configured one
+ * @returns {Object} Moderator
+ */
+export const getModerator = (name = config.images.moderation.provider) => {
+  if (!moderators.has(name)) {
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown image moderator: ${name}`);
+    }
+
+    moderators.set(name, factory());
+  }
+
+  return moderators.get(name);
+};
+
+export default {
+  MODERATION_DECISIONS,
+  createAutoApproveModerator,
+  createManualModerator,
+  createWebhookModerator,
+  registerModerator,
+  getModerator
+};
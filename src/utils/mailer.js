@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import config from '../config/index.js';
+
+let transporter = null;
+
+/**
+ * Create the Nodemailer transport configured in config.email.
+ * 'smtp' connects to EMAIL_HOST (a real relay, or a local capture server
+ * such as Mailpit in development); 'file' only builds the raw message,
+ * which sendMail then writes to disk.
+ * @param {Object} options - config.email
+ * @returns {Object} Nodemailer transporter
+ */
+export const createTransporter = ({ transport, service, host, port, secure, auth }) => {
+  if (transport === 'file') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  return nodemailer.createTransport({
+    // Well-known services (e.g. "gmail") fill in host, port and security themselves
+    ...(service && service !== 'smtp' ? { service } : { host, port, secure }),
+    auth: auth?.user ? auth : undefined
+  });
+};
+
+// Shared transporter, created on first use
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter(config.email);
+  }
+
+  return transporter;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, html, text }
+ * @returns {Promise<Object>} { messageId, accepted, rejected }, or { messageId, file } with the file transport
+ */
+export const sendMail = async ({ to, subject, html, text }) => {
+  const info = await getTransporter().sendMail({ from: config.email.from, to, subject, html, text });
+
+  if (config.email.transport === 'file') {
+    const file = path.join(
+      config.email.fileDirectory,
+      `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`
+    );
+
+    await fs.mkdir(config.email.fileDirectory, { recursive: true });
+    await fs.writeFile(file, info.message);
+
+    return { messageId: info.messageId, file };
+  }
+
+  return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+};
+
+/**
+ * Check that the configured SMTP server accepts connections (and credentials)
+ * @returns {Promise<boolean>} True when the transport is ready
+ */
+export const verifyTransport = async () => {
+  if (config.email.transport === 'file') return true;
+
+  return getTransporter().verify();
+};
+
+export default {
+  createTransporter,
+  sendMail,
+  verifyTransport
+};
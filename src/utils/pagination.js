@@ -0,0 +1,203 @@
+// Page size limits shared by all cursor-paginated listings
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Column every keyset query selects its sort key into, as text
+const CURSOR_KEY_COLUMN = 'cursor_key';
+
+/**
+ * Encode a cursor. Cursors are opaque to clients; they carry the sort and
+ * order they were issued for, so following one keeps the listing stable, and
+ * optionally the mode of listings that page through different kinds of rows.
+ * @param {Object} cursor - { sort, order, direction: 'next'|'prev', keys: Array, mode }
+ * @returns {string} base64url cursor
+ */
+export const encodeCursor = ({ sort, order, direction, keys, mode }) => {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, d: direction, k: keys, m: mode })).toString('base64url');
+};
+
+/**
+ * Decode a cursor issued by encodeCursor
+ * @param {string} value - Cursor from the request
+ * @returns {{ sort: string, order: string, direction: string, keys: Array, mode: string|null }|null} Cursor, or null if malformed
+ */
+export const decodeCursor = (value) => {
+  try {
+    const { s, o, d, k, m = null } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+
+    if (typeof s !== 'string' || !['asc', 'desc'].includes(o) ||
+        !['next', 'prev'].includes(d) || !Array.isArray(k) || k.length === 0 ||
+        (m !== null && typeof m !== 'string')) {
+      return null;
+    }
+
+    return { sort: s, order: o, direction: d, keys: k, mode: m };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse the pagination query parameters of a listing:
+ * limit, cursor, sort, order and includeTotal.
+ * @param {Object} query - Request query
+ * @param {Object} options - { sorts: allowed sort keys, defaultLimit }
+ * @returns {Object} { limit, cursor, sort, order, includeTotal }, or { error } for invalid input
+ */
+export const parsePageOptions = (query, { sorts, defaultLimit = DEFAULT_PAGE_SIZE }) => {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const includeTotal = query.includeTotal === 'true' || query.includeTotal === true;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+
+    if (!cursor || !sorts.includes(cursor.sort)) {
+      return { error: 'Invalid cursor' };
+    }
+
+    // The cursor decides the sort, so pages of one listing can't be mixed up
+    return { limit, cursor, sort: cursor.sort, order: cursor.order, includeTotal };
+  }
+
+  if (query.sort !== undefined && !sorts.includes(query.sort)) {
+    return { error: `Sort must be one of: ${sorts.join(', ')}` };
+  }
+
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+    return { error: 'Order must be asc or desc' };
+  }
+
+  return { limit, cursor: null, sort: query.sort, order: query.order, includeTotal };
+};
+
+/**
+ * Build the keyset condition, ordering and selected key of a page.
+ * Rows are ordered by the sort expression with the tie-breaker column (a
+ * unique ID) as second key, both in the same direction, so a single row
+ * comparison finds where the previous page stopped. Pages before a cursor are
+ * read in reverse and flipped back by buildPage.
+ * @param {Object} sort - { expression, type, order } of the sort key; the expression must not be NULL
+ * @param {string} tieBreaker - Unique column breaking ties (e.g. "e.id")
+ * @param {Object} page - { cursor, order }
+ * @param {number} paramCount - Number of query parameters already in use
+ * @returns {Object} { condition, params, orderBy, keyColumn }
+ */
+export const keysetQuery = (sort, tieBreaker, { cursor, order }, paramCount) => {
+  const backward = cursor?.direction === 'prev';
+  const descending = (order === 'desc') !== backward;
+  const direction = descending ? 'DESC' : 'ASC';
+
+  let condition = '';
+  const params = [];
+
+  if (cursor) {
+    condition = `(${sort.expression}, ${tieBreaker}) ${descending ? '<' : '>'} ` +
+      `($${paramCount + 1}::${sort.type}, $${paramCount + 2}::uuid)`;
+    params.push(...cursor.keys.slice(0, 2));
+  }
+
+  return {
+    condition,
+    params,
+    orderBy: `${sort.expression} ${direction}, ${tieBreaker} ${direction}`,
+    // Selected as text so the cursor keeps the full precision of timestamps and reals
+    keyColumn: `(${sort.expression})::text AS ${CURSOR_KEY_COLUMN}`
+  };
+};
+
+// Slice fetched rows (limit + 1 of them) into a page and its cursors
+const toPage = (rows, { limit, cursor, sort, order, mode }, keysOf, itemOf) => {
+  const backward = cursor?.direction === 'prev';
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+
+  if (backward) pageRows.reverse();
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  // Going forward there is a previous page whenever we came from a cursor;
+  // going backward there is always a next page (the one we came from)
+  const hasNext = backward ? true : hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor);
+
+  return {
+    items: pageRows.map(itemOf),
+    nextCursor: hasNext && last ? encodeCursor({ sort, order, direction: 'next', keys: keysOf(last), mode }) : null,
+    prevCursor: hasPrev && first ? encodeCursor({ sort, order, direction: 'prev', keys: keysOf(first), mode }) : null
+  };
+};
+
+/**
+ * Turn the rows of a keyset query (fetched with LIMIT limit + 1) into a page
+ * @param {Array} rows - Rows including the CURSOR_KEY_COLUMN
+ * @param {Object} page - { limit, cursor, sort, order, mode }
+ * @param {Function} idOf - Tie-breaker value of a row
+ * @returns {Object} { items, nextCursor, prevCursor }
+ */
+export const buildPage = (rows, page, idOf) => {
+  return toPage(rows, page, row => [row[CURSOR_KEY_COLUMN], idOf(row)], row => {
+    const { [CURSOR_KEY_COLUMN]: key, ...item } = row;
+    return item;
+  });
+};
+
+/**
+ * Cursor-paginate a list that is assembled in memory (e.g. expanded
+ * occurrences of recurring events), with the same contract as keyset queries
+ * @param {Array} items - All items of the listing
+ * @param {Object} page - { limit, cursor, sort, order, mode }
+ * @param {Function} keyOf - Sort keys of an item, most significant first (numbers or strings)
+ * @returns {Object} { items, nextCursor, prevCursor }
+ */
+export const paginateInMemory = (items, page, keyOf) => {
+  const { cursor, order } = page;
+  const backward = cursor?.direction === 'prev';
+  const sign = ((order === 'desc') !== backward) ? -1 : 1;
+
+  const compare = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] < b[i]) return -sign;
+      if (a[i] > b[i]) return sign;
+    }
+    return 0;
+  };
+
+  const rows = items
+    .map(item => ({ item, key: keyOf(item) }))
+    .sort((a, b) => compare(a.key, b.key))
+    .filter(({ key }) => !cursor || compare(key, cursor.keys) > 0)
+    .slice(0, page.limit + 1);
+
+  return toPage(rows, page, row => row.key, row => row.item);
+};
+
+/**
+ * Pagination block of a listing response
+ * @param {Object} result - { nextCursor, prevCursor, total }
+ * @param {Object} page - { limit, includeTotal }
+ * @returns {Object} Pagination details (total only when requested)
+ */
+export const paginationResponse = (result, { limit, includeTotal }) => ({
+  limit,
+  nextCursor: result.nextCursor,
+  prevCursor: result.prevCursor,
+  ...(includeTotal && { total: result.total })
+});
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageOptions,
+  keysetQuery,
+  buildPage,
+  paginateInMemory,
+  paginationResponse
+};
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+/**
+ * A payment gateway wraps one payment provider. Gateways implement:
+ * - `createCheckoutSession({ paymentId, amount, currency, description })`
+ *   resolving to `{ sessionId, url }`
+ * - `expireCheckoutSession(sessionId)` so an abandoned session can no longer be paid
+ * - `refund({ providerPaymentId, amount, currency })` resolving to `{ refundId }`
+ * - `constructWebhookEvent(rawBody, headers)` which verifies the webhook signature
+ *   and returns `{ type, sessionId, providerPaymentId }`, where type is
+ *   'payment.succeeded' or 'payment.failed'. It throws if the signature is invalid.
+ */
+
+// Header carrying the mock provider's webhook signature
+export const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+/**
+ * Create a local gateway that never contacts an outside service.
+ * Checkout URLs point back at this API, where a session can be completed
+ * or failed by hand, and webhooks are signed with a shared secret.
+ * @param {Object} options - Gateway options
+ * @param {string} options.secret - Webhook signing secret
+ * @param {string} options.baseUrl - Public URL of this API
+ * @returns {Object} Payment gateway
+ */
+export const createMockGateway = ({ secret, baseUrl }) => {
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+  return {
+    name: 'mock',
+
+    createCheckoutSession: async () => {
+      const sessionId = `mock_cs_${crypto.randomBytes(12).toString('hex')}`;
+
+      return {
+        sessionId,
+        url: `${baseUrl}/api/payments/mock/checkout/${sessionId}`
+      };
+    },
+
+    expireCheckoutSession: async () => {},
+
+    refund: async () => ({
+      refundId: `mock_re_${crypto.randomBytes(12).toString('hex')}`
+    }),
+
+    constructWebhookEvent: (rawBody, headers) => {
+      const payload = rawBody ? rawBody.toString() : '';
+      const signature = String(headers[MOCK_SIGNATURE_HEADER] || '');
+      const expected = sign(payload);
+
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid webhook signature');
+      }
+
+      const { type, data = {} } = JSON.parse(payload);
+
+      return { type, sessionId: data.sessionId, providerPaymentId: data.paymentId };
+    },
+
+    /**
+     * Build a signed webhook request body, as the provider would send it
+     * @param {string} type - 'payment.succeeded' or 'payment.failed'
+     * @param {string} sessionId - Checkout session ID
+     * @returns {{ body: string, signature: string }} Request body and signature header value
+     */
+    buildWebhook: (type, sessionId) => {
+      const body = JSON.stringify({
+        type,
+        data: {
+          sessionId,
+          paymentId: type === 'payment.succeeded' ? `mock_pi_${crypto.randomBytes(12).toString('hex')}` : null
+        }
+      });
+
+      return { body, signature: sign(body) };
+    }
+  };
+};
+
+// Registered gateway factories, keyed by the name used in config. The mock
+// provider only exists when chosen, so its webhooks are refused otherwise.
+const factories = {
+  ...(config.payments.provider === 'mock' && {
+    mock: () => createMockGateway({ ...config.payments.mock, baseUrl: config.baseUrl })
+  })
+};
+
+const gateways = new Map();
+
+/**
+ * Register a gateway factory under a provider name
+ * @param {string} name - Provider name
+ * @param {Function} factory - Function returning a gateway
+ */
+export const registerPaymentGateway = (name, factory) => {
+  factories[name] = factory;
+  gateways.delete(name);
+};
+
+/**
+ * Get the gateway of a provider, creating it on first use.
+ * Defaults to the provider selected in config (none if none is).
+ * @param {string} [name] - Provider name
+ * @returns {Object|null} Payment gateway, or null if the provider is unknown
+ */
+export const getPaymentGateway = (name = config.payments.provider) => {
+  if (!gateways.has(name)) {
+    const factory = factories[name];
+    if (!factory) return null;
+
+    gateways.set(name, factory());
+  }
+
+  return gateways.get(name);
+};
+
+export default {
+  MOCK_SIGNATURE_HEADER,
+  createMockGateway,
+  registerPaymentGateway,
+  getPaymentGateway
+};
@@ -0,0 +1,40 @@
+import admin from 'firebase-admin';
+
+/**
+ * Firebase Cloud Messaging topic of a user. Client apps subscribe the
+ * devices a user signs in on to this topic, so the server never has to
+ * keep track of device tokens.
+ * @param {string} userId - User ID
+ * @returns {string} Topic name
+ */
+export const userTopic = (userId) => `user-${userId}`;
+
+/**
+ * Whether push notifications can be sent, i.e. Firebase is configured
+ * @returns {boolean} True if the Firebase app is initialized
+ */
+export const isPushEnabled = () => admin.apps.length > 0;
+
+/**
+ * Send a push notification to every device of a user
+ * @param {string} userId - User ID
+ * @param {Object} notification - { title, body, data }; data values must be strings
+ * @returns {Promise<string>} FCM message ID
+ */
+export const sendPush = async (userId, { title, body, data = {} }) => {
+  if (!isPushEnabled()) {
+    throw new Error('Push notifications need Firebase to be configured');
+  }
+
+  return admin.messaging().send({
+    topic: userTopic(userId),
+    notification: { title, body },
+    data
+  });
+};
+
+export default {
+  userTopic,
+  isPushEnabled,
+  sendPush
+};
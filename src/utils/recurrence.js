@@ -0,0 +1,155 @@
+import rrule from 'rrule';
+
+const { rrulestr } = rrule;
+
+// Upper bound on occurrences generated for a single series in one expansion
+const MAX_OCCURRENCES = 1000;
+
+// Default expansion horizon when only one end of the window is given
+const DEFAULT_HORIZON_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Normalise an RRULE string, stripping an optional "RRULE:" prefix
+ * @param {string} rule - iCalendar RRULE value
+ * @returns {string} The bare rule (e.g. "FREQ=WEEKLY;BYDAY=TU")
+ */
+export const normalizeRule = (rule) => {
+  return String(rule).trim().replace(/^RRULE:/i, '');
+};
+
+/**
+ * Parse an RRULE anchored at the series start
+ * @param {string} rule - iCalendar RRULE value
+ * @param {Date|string} dtstart - Start of the first occurrence
+ * @returns {RRule} Parsed rule
+ * @throws {Error} If the rule cannot be parsed
+ */
+export const parseRule = (rule, dtstart) => {
+  const normalized = normalizeRule(rule);
+
+  // DTSTART comes from the event itself, not from the rule text
+  if (/DTSTART/i.test(normalized)) {
+    throw new Error('RRULE must not contain DTSTART');
+  }
+
+  return rrulestr(normalized, { dtstart: new Date(dtstart) });
+};
+
+/**
+ * Check whether an RRULE string is valid
+ * @param {string} rule - iCalendar RRULE value
+ * @returns {boolean} True if the rule parses
+ */
+export const isValidRule = (rule) => {
+  try {
+    parseRule(rule, new Date());
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check whether a date is an occurrence start of a recurring event
+ * @param {Object} event - Event row with start_time and recurrence_rule
+ * @param {Date|string} occurrenceStart - Candidate occurrence start
+ * @returns {boolean} True if the rule produces that exact start
+ */
+export const isOccurrence = (event, occurrenceStart) => {
+  const candidate = new Date(occurrenceStart);
+  if (Number.isNaN(candidate.getTime())) return false;
+
+  const match = parseRule(event.recurrence_rule, event.start_time).before(candidate, true);
+  return Boolean(match) && match.getTime() === candidate.getTime();
+};
+
+/**
+ * Resolve the expansion window from optional start and end dates
+ * @param {Date|string} [startDate] - Window start
+ * @param {Date|string} [endDate] - Window end
+ * @returns {{ windowStart: Date, windowEnd: Date }} Bounded window
+ */
+export const resolveWindow = (startDate, endDate) => {
+  const windowStart = startDate
+    ? new Date(startDate)
+    : new Date(new Date(endDate).getTime() - DEFAULT_HORIZON_MS);
+  const windowEnd = endDate
+    ? new Date(endDate)
+    : new Date(windowStart.getTime() + DEFAULT_HORIZON_MS);
+
+  return { windowStart, windowEnd };
+};
+
+/**
+ * Build a single occurrence of a recurring event, applying its override
+ * @param {Object} event - Event row with start_time, end_time and recurrence_rule
+ * @param {Date} originalStart - Occurrence start as generated by the rule
+ * @param {Object} [override] - event_occurrence_overrides row for the occurrence
+ * @returns {Object} Occurrence object
+ */
+export const buildOccurrence = (event, originalStart, override) => {
+  const duration = new Date(event.end_time).getTime() - new Date(event.start_time).getTime();
+  const startTime = override?.start_time ? new Date(override.start_time) : new Date(originalStart);
+  const endTime = override?.end_time
+    ? new Date(override.end_time)
+    : new Date(startTime.getTime() + duration);
+
+  return {
+    ...event,
+    occurrence_start: new Date(originalStart),
+    start_time: startTime,
+    end_time: endTime,
+    title: override?.title ?? event.title,
+    location: override?.location ?? event.location,
+    is_cancelled: event.is_cancelled || Boolean(override?.is_cancelled),
+    is_override: Boolean(override)
+  };
+};
+
+/**
+ * Expand a recurring event into its occurrences inside a window.
+ * Overrides replace the fields of single occurrences, so a moved occurrence
+ * is included when its new start falls inside the window.
+ * @param {Object} event - Event row with start_time, end_time and recurrence_rule
+ * @param {Array} overrides - event_occurrence_overrides rows for the event
+ * @param {Date} windowStart - Window start (inclusive)
+ * @param {Date} windowEnd - Window end (inclusive)
+ * @returns {Array} Occurrence objects, sorted by start time
+ */
+export const expandOccurrences = (event, overrides, windowStart, windowEnd) => {
+  const rule = parseRule(event.recurrence_rule, event.start_time);
+
+  const overridesByStart = new Map(
+    overrides.map(override => [new Date(override.occurrence_start).getTime(), override])
+  );
+
+  const starts = new Map();
+  rule.between(windowStart, windowEnd, true, (date, index) => index < MAX_OCCURRENCES)
+    .forEach(date => starts.set(date.getTime(), date));
+
+  // Occurrences moved into the window from outside it
+  overrides.forEach(override => {
+    const originalStart = new Date(override.occurrence_start);
+    const movedStart = override.start_time ? new Date(override.start_time) : null;
+
+    if (movedStart && movedStart >= windowStart && movedStart <= windowEnd &&
+        !starts.has(originalStart.getTime()) && isOccurrence(event, originalStart)) {
+      starts.set(originalStart.getTime(), originalStart);
+    }
+  });
+
+  return [...starts.values()]
+    .map(originalStart => buildOccurrence(event, originalStart, overridesByStart.get(originalStart.getTime())))
+    .filter(occurrence => occurrence.start_time >= windowStart && occurrence.start_time <= windowEnd)
+    .sort((a, b) => a.start_time - b.start_time);
+};
+
+export default {
+  normalizeRule,
+  parseRule,
+  isValidRule,
+  isOccurrence,
+  resolveWindow,
+  buildOccurrence,
+  expandOccurrences
+};
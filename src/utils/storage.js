@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import config from '../config/index.js';
+
+/**
+ * A storage driver keeps uploaded files under keys such as "events/<id>.jpg".
+ * Keys starting with "private/" are never publicly readable: they are only
+ * served through signed URLs. Drivers implement:
+ * - `put(key, body, { contentType })` storing a Buffer
+ * - `get(key)` resolving to the file's contents as a Buffer
+ * - `createReadStream(key)` resolving to a readable stream of the file
+ * - `delete(key)`, which ignores files that don't exist
+ * - `list(prefix)` resolving to every key starting with prefix
+ * - `stat(key)` resolving to the file's `{ size, lastModified }`
+ * - `publicUrl(key)` returning the URL a public file is served at
+ * - `signedUrl(key, { expiresIn })` resolving to a URL that serves the file
+ *   for expiresIn seconds
+ */
+
+// Prefix of the keys that are only served through signed URLs
+export const PRIVATE_PREFIX = 'private/';
+
+// Whether a key names a private file
+export const isPrivateKey = (key) => key.startsWith(PRIVATE_PREFIX);
+
+// Path of the API route serving local files through signed URLs
+const SIGNED_FILES_PATH = '/api/images/files';
+
+/**
+ * Create a driver storing files on local disk. Public files live under
+ * `root`, which the server exposes at /uploads; private ones under
+ * `privateRoot`, outside of it, and are served by GET /api/images/files with
+ * an HMAC-signed expiry.
+ * @param {Object} options - Driver options
+ * @param {string} options.root - Directory of public files
+ * @param {string} options.privateRoot - Directory of private files
+ * @param {string} options.secret - Secret signing the URLs
+ * @returns {Object} Storage driver
+ */
+export const createLocalStorage = ({ root, privateRoot, secret }) => {
+  const sign = (key, expires) => crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+
+  // Path of a key (or of a directory prefix ending in "/"), refusing keys
+  // that would step outside their root
+  const resolve = (key) => {
+    const [base, relative] = isPrivateKey(key) ? [privateRoot, key.slice(PRIVATE_PREFIX.length)] : [root, key];
+    const basePath = path.resolve(base);
+    const filePath = path.resolve(basePath, relative);
+
+    if (!filePath.startsWith(basePath + path.sep) && !(key.endsWith('/') && filePath === basePath)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  // Keys of every file below a directory
+  const walk = async (directory, keyPrefix) => {
+    let entries;
+    try {
+      entries = await fsp.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const keys = [];
+    for (const entry of entries) {
+      const key = `${keyPrefix}${entry.name}`;
+
+      if (entry.isDirectory()) {
+        keys.push(...await walk(path.join(directory, entry.name), `${key}/`));
+      } else if (entry.isFile()) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, body) => {
+      const filePath = resolve(key);
+
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, body);
+    },
+
+    get: async (key) => fsp.readFile(resolve(key)),
+
+    createReadStream: async (key) => {
+      const filePath = resolve(key);
+
+      // Fail here rather than on the first read, so callers can still answer 404
+      await fsp.access(filePath);
+
+      return fs.createReadStream(filePath);
+    },
+
+    delete: async (key) => fsp.rm(resolve(key), { force: true }),
+
+    list: async (prefix = '') => {
+      // A directory prefix only needs that directory walked
+      if (prefix.endsWith('/')) {
+        return walk(resolve(prefix), prefix);
+      }
+
+      const keys = [...await walk(root, ''), ...await walk(privateRoot, PRIVATE_PREFIX)];
+
+      return keys.filter(key => key.startsWith(prefix));
+    },
+
+    stat: async (key) => {
+      const stats = await fsp.stat(resolve(key));
+
+      return { size: stats.size, lastModified: stats.mtime };
+    },
+
+    publicUrl: (key) => `/uploads/${key}`,
+
+    signedUrl: async (key, { expiresIn = config.storage.signedUrlExpiresIn } = {}) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+      return `${SIGNED_FILES_PATH}/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    /**
+     * Check the expiry and signature of a signed URL
+     * @param {string} key - Storage key from the URL path
+     * @param {string} expires - expires query parameter (Unix time)
+     * @param {string} signature - signature query parameter
+     * @returns {boolean} True if the URL is genuine and still valid
+     */
+    verifySignedUrl: (key, expires, signature) => {
+      const expected = sign(key, expires);
+      const given = String(signature || '');
+
+      return Number(expires) * 1000 > Date.now() &&
+        given.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+    }
+  };
+};
+
+/**
+ * Create a driver storing files in an S3 bucket, or in any S3-compatible
+ * service (MinIO, LocalStack, R2...) reached through `endpoint`. Public
+ * files are expected to be readable through the bucket policy or a CDN at
+ * `publicUrl`; private ones are served through presigned GET URLs.
+ * @param {Object} options - config.storage.s3
+ * @returns {Object} Storage driver
+ */
+export const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl }) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const baseUrl = (publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    get: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+
+    createReadStream: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+      return object.Body;
+    },
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    list: async (prefix = '') => {
+      const keys = [];
+      let continuationToken;
+
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+
+        keys.push(...(page.Contents || []).map(object => object.Key));
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return keys;
+    },
+
+    stat: async (key) => {
+      const object = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+
+      return { size: object.ContentLength, lastModified: object.LastModified };
+    },
+
+    publicUrl: (key) => `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`,
+
+    signedUrl: (key, { expiresIn = config.storage.signedUrlExpiresIn } = {}) => {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    }
+  };
+};
+
+// Registered driver factories, keyed by the name used in config
+const factories = {
+  local: () => createLocalStorage({
+    root: config.storage.local.uploadDir,
+    privateRoot: config.storage.local.privateDir,
+    secret: config.storage.signingSecret
+  }),
+  s3: () => createS3Storage(config.storage.s3)
+};
+
+const drivers = new Map();
+
+/**
+ * Register a driver factory under a name selectable through config
+ * @param {string} name - Driver name
+ * @param {Function} factory - Function returning a driver
+ */
+export const registerStorageDriver = (name, factory) => {
+  factories[name] = factory;
+  drivers.delete(name);
+};
+
+/**
+ * Get a storage driver, creating it on first use. Defaults to the driver
+ * selected in config, which new uploads are written to; files keep the
+ * driver they were stored with, so older ones are read from theirs.
+ * @param {string} [name] - Driver name
+ * @returns {Object} Storage driver
+ */
+export const getStorage = (name = config.storage.type) => {
+  if (!drivers.has(name)) {
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    drivers.set(name, factory());
+  }
+
+  return drivers.get(name);
+};
+
+export default {
+  PRIVATE_PREFIX,
+  isPrivateKey,
+  createLocalStorage,
+  createS3Storage,
+  registerStorageDriver,
+  getStorage
+};
@@ -43,6 +43,9 @@ const setupSwagger = (app) => {
             type: 'http',
             scheme: 'bearer',
             bearerFormat: 'JWT',
+            description: 'An access token from /auth/login, /auth/login/2fa or /auth/firebase, or a Firebase ID token. ' +
+              'Firebase ID tokens of users with two-factor authentication on are refused; they use access tokens. ' +
+              'Role-restricted routes refuse such users\' sessions that did not pass two-factor authentication.',
           },
         },
         schemas: {
@@ -86,10 +89,14 @@ const setupSwagger = (app) => {
                 type: 'boolean',
                 description: 'Whether the user has admin privileges',
               },
-              isVerified: {
+              emailVerified: {
                 type: 'boolean',
                 description: 'Whether the user\'s email is verified',
               },
+              twoFactorEnabled: {
+                type: 'boolean',
+                description: 'Whether the user has two-factor authentication on',
+              },
               createdAt: {
                 type: 'string',
                 format: 'date-time',
@@ -199,10 +206,14 @@ const setupSwagger = (app) => {
                 type: 'boolean',
                 description: 'Whether the user has admin privileges',
               },
-              isVerified: {
+              emailVerified: {
                 type: 'boolean',
                 description: 'Whether the user\'s email is verified',
               },
+              twoFactorEnabled: {
+                type: 'boolean',
+                description: 'Whether the user has two-factor authentication on',
+              },
               createdAt: {
                 type: 'string',
                 format: 'date-time',
@@ -269,7 +280,15 @@ const setupSwagger = (app) => {
               image: {
                 type: 'string',
                 format: 'uri',
-                description: 'URL to event image',
+                description: 'URL to event image (the gallery\'s cover)',
+              },
+              images: {
+                type: 'array',
+                description: 'Published images of the event\'s gallery, in order (single events only)',
+                items: {
+                  type: 'object',
+                  description: 'Gallery image as stored (snake_case), see GalleryImage',
+                },
               },
               organizerId: {
                 type: 'string',
@@ -733,6 +752,463 @@ const setupSwagger = (app) => {
               },
             },
           },
+          // Cursor pagination block of listing responses
+          CursorPagination: {
+            type: 'object',
+            properties: {
+              limit: {
+                type: 'integer',
+                description: 'Page size',
+              },
+              nextCursor: {
+                type: 'string',
+                nullable: true,
+                description: 'Cursor of the next page, null on the last page',
+              },
+              prevCursor: {
+                type: 'string',
+                nullable: true,
+                description: 'Cursor of the previous page, null on the first page',
+              },
+              total: {
+                type: 'integer',
+                description: 'Number of matching items, only present when includeTotal=true',
+              },
+            },
+          },
+          // Saved search schemas
+          SavedSearchFilters: {
+            type: 'object',
+            description: 'Filters of GET /events, in the same format as its query parameters',
+            properties: {
+              category: {
+                type: 'string',
+              },
+              search: {
+                type: 'string',
+                maxLength: 200,
+              },
+              organiserId: {
+                type: 'string',
+                format: 'uuid',
+              },
+              priceTier: {
+                type: 'string',
+                enum: ['free', 'low', 'medium', 'high'],
+              },
+              near: {
+                type: 'string',
+                example: '51.5074,-0.1278',
+              },
+              radius: {
+                type: 'number',
+                description: 'Radius around near, in km (requires near)',
+              },
+            },
+          },
+          Session: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                format: 'uuid',
+              },
+              device: {
+                type: 'string',
+                description: 'Name the client gave at login (deviceName), or the browser and system read from its user agent',
+                example: 'Firefox on Windows',
+              },
+              ipAddress: {
+                type: 'string',
+                nullable: true,
+                description: 'Address of the latest request',
+              },
+              userAgent: {
+                type: 'string',
+                nullable: true,
+              },
+              createdAt: {
+                type: 'string',
+                format: 'date-time',
+                description: 'When the user logged in',
+              },
+              lastSeenAt: {
+                type: 'string',
+                format: 'date-time',
+                description: 'Latest request or token refresh, to the minute',
+              },
+              current: {
+                type: 'boolean',
+                description: 'Whether this is the session making the request',
+              },
+            },
+          },
+          TwoFactorRequirements: {
+            type: 'object',
+            properties: {
+              roles: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Roles whose users must use two-factor authentication',
+                example: ['admin'],
+              },
+              availableRoles: {
+                type: 'array',
+                items: { type: 'string' },
+                example: ['admin', 'staff'],
+              },
+            },
+          },
+          SavedSearch: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                format: 'uuid',
+              },
+              user_id: {
+                type: 'string',
+                format: 'uuid',
+              },
+              name: {
+                type: 'string',
+              },
+              filters: {
+                $ref: '#/components/schemas/SavedSearchFilters',
+              },
+              language: {
+                type: 'string',
+                description: 'Language the search is matched and emailed in',
+              },
+              notify: {
+                type: 'string',
+                enum: ['none', 'instant', 'daily'],
+              },
+              last_notified_at: {
+                type: 'string',
+                format: 'date-time',
+                nullable: true,
+                description: 'When the last daily digest was sent',
+              },
+              events_url: {
+                type: 'string',
+                description: 'GET /events URL that re-runs the search',
+              },
+              created_at: {
+                type: 'string',
+                format: 'date-time',
+              },
+              updated_at: {
+                type: 'string',
+                format: 'date-time',
+              },
+            },
+          },
+          Image: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                format: 'uuid',
+              },
+              url: {
+                type: 'string',
+                nullable: true,
+                description: 'URL of the original upload (a path for local storage); null for private images',
+              },
+              isPrivate: {
+                type: 'boolean',
+                description: 'Private images are only served through signed URLs (GET /images/{id}/url)',
+              },
+              type: {
+                type: 'string',
+                enum: ['event', 'profile'],
+              },
+              eventId: {
+                type: 'string',
+                format: 'uuid',
+                nullable: true,
+              },
+              mimeType: {
+                type: 'string',
+                description: 'Read from the file once processed; the uploaded Content-Type until then',
+              },
+              size: {
+                type: 'integer',
+                description: 'Size of the original in bytes',
+              },
+              width: {
+                type: 'integer',
+                nullable: true,
+              },
+              height: {
+                type: 'integer',
+                nullable: true,
+              },
+              status: {
+                type: 'string',
+                enum: ['pending', 'ready', 'failed'],
+              },
+              processedAt: {
+                type: 'string',
+                format: 'date-time',
+                nullable: true,
+              },
+              moderationStatus: {
+                type: 'string',
+                enum: ['pending', 'quarantined', 'approved', 'rejected'],
+                description: 'Images are published once approved; quarantined ones wait for an admin',
+              },
+              moderationReason: {
+                type: 'string',
+                nullable: true,
+                description: 'Why the image was quarantined or rejected',
+              },
+              caption: {
+                type: 'string',
+                nullable: true,
+              },
+              altText: {
+                type: 'string',
+                nullable: true,
+                description: 'Text alternative read by screen readers',
+              },
+              position: {
+                type: 'integer',
+                description: 'Place of the image in its event\'s gallery, from 0',
+              },
+              isCover: {
+                type: 'boolean',
+                description: 'Whether the image is its event\'s cover',
+              },
+              variants: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    url: {
+                      type: 'string',
+                    },
+                    width: {
+                      type: 'integer',
+                    },
+                    height: {
+                      type: 'integer',
+                    },
+                    format: {
+                      type: 'string',
+                      enum: ['jpeg', 'png', 'webp', 'avif'],
+                    },
+                    mimeType: {
+                      type: 'string',
+                    },
+                    size: {
+                      type: 'integer',
+                    },
+                  },
+                },
+              },
+            },
+          },
+          GalleryImage: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                format: 'uuid',
+              },
+              url: {
+                type: 'string',
+                description: 'URL of the original upload',
+              },
+              caption: {
+                type: 'string',
+                nullable: true,
+              },
+              altText: {
+                type: 'string',
+                nullable: true,
+              },
+              position: {
+                type: 'integer',
+              },
+              isCover: {
+                type: 'boolean',
+              },
+              width: {
+                type: 'integer',
+              },
+              height: {
+                type: 'integer',
+              },
+              mimeType: {
+                type: 'string',
+              },
+              variants: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    url: {
+                      type: 'string',
+                    },
+                    width: {
+                      type: 'integer',
+                    },
+                    height: {
+                      type: 'integer',
+                    },
+                    format: {
+                      type: 'string',
+                    },
+                    mimeType: {
+                      type: 'string',
+                    },
+                  },
+                },
+              },
+            },
+          },
+          UploadCleanupRun: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                format: 'uuid',
+              },
+              source: {
+                type: 'string',
+                enum: ['schedule', 'manual'],
+              },
+              requestedBy: {
+                type: 'string',
+                format: 'uuid',
+                nullable: true,
+                description: 'Admin who started the run',
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Dry runs only report the orphans they find',
+              },
+              gracePeriodHours: {
+                type: 'integer',
+              },
+              status: {
+                type: 'string',
+                enum: ['queued', 'running', 'completed', 'failed'],
+              },
+              filesScanned: {
+                type: 'integer',
+              },
+              orphanedFiles: {
+                type: 'integer',
+                description: 'Stored files without a record that nothing refers to',
+              },
+              orphanedImages: {
+                type: 'integer',
+                description: 'Image records nothing refers to',
+              },
+              orphanedBytes: {
+                type: 'integer',
+              },
+              deletedFiles: {
+                type: 'integer',
+              },
+              deletedImages: {
+                type: 'integer',
+              },
+              failed: {
+                type: 'integer',
+                description: 'Orphans that could not be deleted; they are retried on the next run',
+              },
+              error: {
+                type: 'string',
+                nullable: true,
+              },
+              createdAt: {
+                type: 'string',
+                format: 'date-time',
+              },
+              startedAt: {
+                type: 'string',
+                format: 'date-time',
+                nullable: true,
+              },
+              finishedAt: {
+                type: 'string',
+                format: 'date-time',
+                nullable: true,
+              },
+            },
+          },
+          ReminderPreferences: {
+            type: 'object',
+            properties: {
+              offsets: {
+                type: 'array',
+                items: {
+                  type: 'integer',
+                  minimum: 5,
+                  maximum: 43200,
+                },
+                description: 'Minutes before each event that a reminder goes out, e.g. [1440, 60] for a day and an hour before. Empty turns reminders off.',
+                example: [1440, 60],
+              },
+              channels: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: ['email', 'push'],
+                },
+                description: 'How reminders are sent',
+              },
+              language: {
+                type: 'string',
+                description: 'Language reminders are written in',
+              },
+              isDefault: {
+                type: 'boolean',
+                description: 'True until the user saves preferences of their own',
+              },
+              updatedAt: {
+                type: 'string',
+                format: 'date-time',
+                nullable: true,
+              },
+              pushTopic: {
+                type: 'string',
+                description: 'Firebase Cloud Messaging topic client apps subscribe the user\'s devices to for push reminders',
+              },
+            },
+          },
+        },
+        parameters: {
+          Cursor: {
+            in: 'query',
+            name: 'cursor',
+            schema: {
+              type: 'string',
+            },
+            description: 'Opaque cursor (nextCursor or prevCursor of a previous page). The sort and order are taken from the cursor; the other filters must be repeated.',
+          },
+          Order: {
+            in: 'query',
+            name: 'order',
+            schema: {
+              type: 'string',
+              enum: ['asc', 'desc'],
+            },
+            description: 'Sort order. Defaults to the natural order of the sort key.',
+          },
+          IncludeTotal: {
+            in: 'query',
+            name: 'includeTotal',
+            schema: {
+              type: 'boolean',
+              default: false,
+            },
+            description: 'Also count all matching items (slower on large listings)',
+          },
         },
         responses: {
           UnauthorizedError: {
@@ -755,6 +1231,26 @@ const setupSwagger = (app) => {
               },
             },
           },
+          EmailNotVerifiedError: {
+            description: 'The user must verify their email address first (see REQUIRE_VERIFIED_EMAIL)',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: {
+                      type: 'string',
+                      example: 'Please verify your email address first',
+                    },
+                    emailVerificationRequired: {
+                      type: 'boolean',
+                      example: true,
+                    },
+                  },
+                },
+              },
+            },
+          },
           ValidationError: {
             description: 'The request data failed validation',
             content: {
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+// Version prefix, so the code format can change without breaking issued tickets
+const CODE_VERSION = 't1';
+
+// Version prefix of roster tokens
+const ROSTER_TOKEN_VERSION = 'r1';
+
+/**
+ * Sign a registration for a given event
+ * @param {string} eventId - Event ID
+ * @param {string} registrationId - event_attendees row ID
+ * @returns {string} base64url HMAC signature
+ */
+const sign = (eventId, registrationId) => {
+  return crypto
+    .createHmac('sha256', config.tickets.secret)
+    .update(`${CODE_VERSION}.${eventId}.${registrationId}`)
+    .digest('base64url');
+};
+
+/**
+ * Create the ticket code of a registration.
+ * The code names only the registration; the signature also covers the event,
+ * so a ticket scanned at another event fails verification.
+ * @param {string} eventId - Event ID
+ * @param {string} registrationId - event_attendees row ID
+ * @returns {string} Ticket code (e.g. "t1.<registrationId>.<signature>")
+ */
+export const createTicketCode = (eventId, registrationId) => {
+  return `${CODE_VERSION}.${registrationId}.${sign(eventId, registrationId)}`;
+};
+
+/**
+ * Verify a ticket code against the event it is scanned at
+ * @param {string} eventId - Event ID
+ * @param {string} code - Scanned ticket code
+ * @returns {string|null} The registration ID, or null if the code is malformed or forged
+ */
+export const verifyTicketCode = (eventId, code) => {
+  const parts = String(code ?? '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== CODE_VERSION) return null;
+
+  const [, registrationId, signature] = parts;
+  const expected = sign(eventId, registrationId);
+
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  return registrationId;
+};
+
+/**
+ * Time from which a ticket can be used
+ * @param {Date|string} startTime - Start of the event (or of the occurrence the ticket is for)
+ * @returns {Date} Time the doors open
+ */
+export const getTicketOpening = (startTime) => {
+  return new Date(new Date(startTime).getTime() - config.tickets.doorsOpenHours * 60 * 60 * 1000);
+};
+
+/**
+ * Check whether a ticket can't be used yet because its doors haven't opened
+ * @param {Date|string} startTime - Start of the event (or of the occurrence the ticket is for)
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True until the doors open before the start
+ */
+export const isTicketNotYetValid = (startTime, now = new Date()) => {
+  return now.getTime() < getTicketOpening(startTime).getTime();
+};
+
+/**
+ * Time after which a ticket can no longer be used
+ * @param {Date|string} endTime - End of the event (or of the occurrence the ticket is for)
+ * @returns {Date} End of the check-in grace period
+ */
+export const getTicketExpiry = (endTime) => {
+  return new Date(new Date(endTime).getTime() + config.tickets.graceHours * 60 * 60 * 1000);
+};
+
+/**
+ * Check whether a ticket can no longer be used because its event is over
+ * @param {Date|string} endTime - End of the event (or of the occurrence the ticket is for)
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True once the check-in grace period after the end has passed
+ */
+export const isTicketExpired = (endTime, now = new Date()) => {
+  return now.getTime() > getTicketExpiry(endTime).getTime();
+};
+
+/**
+ * Hash a ticket code for offline rosters. Door devices compare the hash of a
+ * scanned code with the roster without being able to mint codes themselves.
+ * @param {string} code - Ticket code
+ * @returns {string} base64url SHA-256 digest
+ */
+export const hashTicketCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).trim()).digest('base64url');
+};
+
+/**
+ * Sign an offline roster snapshot so it can be checked for tampering
+ * @param {Object} snapshot - Roster snapshot (JSON-serialisable)
+ * @returns {string} base64url HMAC signature of the serialised snapshot
+ */
+export const signRoster = (snapshot) => {
+  return crypto
+    .createHmac('sha256', config.tickets.secret)
+    .update(`roster.${JSON.stringify(snapshot)}`)
+    .digest('base64url');
+};
+
+/**
+ * Sign the event, occurrence and export time of a roster
+ * @param {string} eventId - Event ID
+ * @param {string} occurrence - Occurrence start in milliseconds, or '-'
+ * @param {string} generatedAt - Export time in milliseconds
+ * @returns {string} base64url HMAC signature
+ */
+const signRosterToken = (eventId, occurrence, generatedAt) => {
+  return crypto
+    .createHmac('sha256', config.tickets.secret)
+    .update(`${ROSTER_TOKEN_VERSION}.${eventId}.${occurrence}.${generatedAt}`)
+    .digest('base64url');
+};
+
+/**
+ * Create the token a door device sends back when it syncs the check-ins
+ * recorded with a roster, vouching for when and for what the roster was made
+ * @param {string} eventId - Event ID
+ * @param {Date|null} occurrenceStart - Occurrence of the roster, if recurring
+ * @param {Date} generatedAt - Export time of the roster
+ * @returns {string} Roster token (e.g. "r1.<occurrence>.<generatedAt>.<signature>")
+ */
+export const createRosterToken = (eventId, occurrenceStart, generatedAt) => {
+  const occurrence = occurrenceStart ? String(new Date(occurrenceStart).getTime()) : '-';
+  const generated = String(new Date(generatedAt).getTime());
+
+  return `${ROSTER_TOKEN_VERSION}.${occurrence}.${generated}.${signRosterToken(eventId, occurrence, generated)}`;
+};
+
+/**
+ * Verify a roster token against the event it is synced for
+ * @param {string} eventId - Event ID
+ * @param {string} token - Roster token
+ * @returns {{occurrenceStart: Date|null, generatedAt: Date}|null} What the roster was made for, or null if the token is malformed or forged
+ */
+export const verifyRosterToken = (eventId, token) => {
+  const parts = String(token ?? '').trim().split('.');
+  if (parts.length !== 4 || parts[0] !== ROSTER_TOKEN_VERSION) return null;
+
+  const [, occurrence, generated, signature] = parts;
+  if (!/^(\d+|-)$/.test(occurrence) || !/^\d+$/.test(generated)) return null;
+
+  const expected = signRosterToken(eventId, occurrence, generated);
+
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  return {
+    occurrenceStart: occurrence === '-' ? null : new Date(Number(occurrence)),
+    generatedAt: new Date(Number(generated))
+  };
+};
+
+export default {
+  createTicketCode,
+  verifyTicketCode,
+  getTicketOpening,
+  isTicketNotYetValid,
+  getTicketExpiry,
+  isTicketExpired,
+  hashTicketCode,
+  signRoster,
+  createRosterToken,
+  verifyRosterToken
+};
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+/**
+ * Hash a random token handed out to a user (refresh token, password reset or
+ * email verification link, login challenge, recovery code, calendar feed
+ * token) for storage and lookup, so the tokens themselves are never stored
+ * @param {string} token - Token as handed out
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+export default {
+  hashToken
+};
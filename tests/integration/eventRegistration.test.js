@@ -0,0 +1,90 @@
+import db from '../../src/db/connection.js';
+
+// These tests need a seeded database (npm run seed against the .env.test
+// database); without one they are skipped
+const databaseReady = await db.query('SELECT 1 FROM events LIMIT 1')
+  .then(() => true, () => false);
+
+if (!databaseReady) await db.end();
+
+const describeWithDatabase = databaseReady ? describe : describe.skip;
+
+// Loaded by the suite, so the job queues they open exist only when it runs
+let registerForEvent;
+let closeQueues;
+
+// Call the controller the way the router does, capturing the response
+const register = async (eventId, userId) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await registerForEvent({ params: { id: eventId }, user: { id: userId }, body: {}, query: {} }, res);
+
+  return res;
+};
+
+describeWithDatabase('registering for an event', () => {
+  const ATTENDEES = 8;
+  const runId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  let organiserId;
+  let userIds;
+  let eventId;
+
+  beforeAll(async () => {
+    ({ registerForEvent } = await import('../../src/controllers/eventController.js'));
+    ({ closeQueues } = await import('../../src/jobs/queue.js'));
+
+    const usersResult = await db.query(
+      `INSERT INTO users (email, display_name)
+       SELECT 'registration-test-' || $1 || '-' || n || '@example.com', 'Registration Test ' || n
+       FROM generate_series(0, $2) AS n
+       RETURNING id`,
+      [runId, ATTENDEES]
+    );
+    [organiserId, ...userIds] = usersResult.rows.map(row => row.id);
+
+    const eventResult = await db.query(
+      `INSERT INTO events (title, description, start_time, end_time, location, capacity, organiser_id)
+       VALUES ('Last seats', 'Registration race test', NOW() + INTERVAL '7 days',
+               NOW() + INTERVAL '7 days 2 hours', 'Test hall', $1, $2)
+       RETURNING id`,
+      [ATTENDEES - 1, organiserId]
+    );
+    eventId = eventResult.rows[0].id;
+  });
+
+  afterAll(async () => {
+    // Cascades to the event and its registrations
+    await db.query('DELETE FROM users WHERE id = ANY($1::uuid[])', [[organiserId, ...userIds]]);
+
+    await closeQueues();
+    await db.end();
+  });
+
+  it('gives the last seats to all but one of a burst of parallel registrations', async () => {
+    const responses = await Promise.all(userIds.map(userId => register(eventId, userId)));
+
+    const full = responses.filter(res => res.statusCode === 409);
+    const registered = responses.filter(res => res.statusCode === 200);
+
+    expect(full).toHaveLength(1);
+    expect(full[0].body).toEqual({ message: 'Event is at capacity', full: true });
+    expect(registered).toHaveLength(ATTENDEES - 1);
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM event_attendees WHERE event_id = $1',
+      [eventId]
+    );
+
+    expect(parseInt(countResult.rows[0].count, 10)).toBe(ATTENDEES - 1);
+  });
+});
@@ -0,0 +1,11 @@
+import dotenv from 'dotenv';
+
+// Tests read .env.test first, so they can point at their own database; the
+// app's .env still fills in anything it leaves out
+dotenv.config({ path: '.env.test' });
+
+process.env.NODE_ENV = 'test';
+// Secrets required at startup; tests only ever use them on throwaway data
+process.env.TWO_FACTOR_ENCRYPTION_KEY ||= 'test-two-factor-encryption-key';
+process.env.STORAGE_SIGNING_SECRET ||= 'test-storage-signing-secret';
+process.env.TICKET_SIGNING_SECRET ||= 'test-ticket-signing-secret';
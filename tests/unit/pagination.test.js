@@ -0,0 +1,186 @@
+import {
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageOptions,
+  keysetQuery,
+  buildPage,
+  paginateInMemory,
+  paginationResponse
+} from '../../src/utils/pagination.js';
+
+const SORTS = ['start_time', 'title'];
+
+// Cursor text of hand-made JSON, for cursors encodeCursor would never issue
+const rawCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('cursors', () => {
+  it('round-trip through encoding', () => {
+    const cursor = { sort: 'start_time', order: 'asc', direction: 'next', keys: ['2026-11-07 19:00:00', 'e1'], mode: null };
+
+    expect(decodeCursor(encodeCursor(cursor))).toEqual(cursor);
+    expect(decodeCursor(encodeCursor({ ...cursor, mode: 'occurrences' }))).toEqual({ ...cursor, mode: 'occurrences' });
+  });
+
+  it('leave out the mode when none was given', () => {
+    const cursor = decodeCursor(encodeCursor({ sort: 'title', order: 'desc', direction: 'prev', keys: ['a', 'b'] }));
+
+    expect(cursor.mode).toBeNull();
+  });
+
+  it.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['a JSON number', rawCursor(42)],
+    ['no sort', rawCursor({ o: 'asc', d: 'next', k: ['a'] })],
+    ['an unknown order', rawCursor({ s: 'title', o: 'up', d: 'next', k: ['a'] })],
+    ['an unknown direction', rawCursor({ s: 'title', o: 'asc', d: 'back', k: ['a'] })],
+    ['no keys', rawCursor({ s: 'title', o: 'asc', d: 'next', k: [] })],
+    ['keys that are not a list', rawCursor({ s: 'title', o: 'asc', d: 'next', k: 'a' })],
+    ['a mode that is not text', rawCursor({ s: 'title', o: 'asc', d: 'next', k: ['a'], m: 1 })]
+  ])('are rejected with %s', (label, value) => {
+    expect(decodeCursor(value)).toBeNull();
+  });
+});
+
+describe('page options', () => {
+  it('default to the page size and no cursor', () => {
+    expect(parsePageOptions({}, { sorts: SORTS })).toEqual({
+      limit: 20, cursor: null, sort: undefined, order: undefined, includeTotal: false
+    });
+    expect(parsePageOptions({}, { sorts: SORTS, defaultLimit: 5 }).limit).toBe(5);
+  });
+
+  it('read the limit, sort, order and total', () => {
+    expect(parsePageOptions({ limit: '10', sort: 'title', order: 'desc', includeTotal: 'true' }, { sorts: SORTS }))
+      .toEqual({ limit: 10, cursor: null, sort: 'title', order: 'desc', includeTotal: true });
+  });
+
+  it.each(['0', '-1', '2.5', 'ten', String(MAX_PAGE_SIZE + 1)])('reject limit %s', (limit) => {
+    expect(parsePageOptions({ limit }, { sorts: SORTS }).error).toMatch(/^limit must be an integer/);
+  });
+
+  it('reject unknown sorts and orders', () => {
+    expect(parsePageOptions({ sort: 'price' }, { sorts: SORTS }).error).toBe('Sort must be one of: start_time, title');
+    expect(parsePageOptions({ order: 'up' }, { sorts: SORTS }).error).toBe('Order must be asc or desc');
+  });
+
+  it('take the sort and order from the cursor over the query', () => {
+    const cursor = { sort: 'title', order: 'desc', direction: 'next', keys: ['m', 'e1'], mode: null };
+
+    expect(parsePageOptions({ cursor: encodeCursor(cursor), sort: 'start_time', order: 'asc' }, { sorts: SORTS }))
+      .toEqual({ limit: 20, cursor, sort: 'title', order: 'desc', includeTotal: false });
+  });
+
+  it('reject malformed cursors and cursors of another listing', () => {
+    const otherListing = encodeCursor({ sort: 'created_at', order: 'desc', direction: 'next', keys: ['x', 'u1'] });
+
+    expect(parsePageOptions({ cursor: 'garbage' }, { sorts: SORTS }).error).toBe('Invalid cursor');
+    expect(parsePageOptions({ cursor: otherListing }, { sorts: SORTS }).error).toBe('Invalid cursor');
+  });
+});
+
+describe('keyset queries', () => {
+  const sort = { expression: 'e.start_time', type: 'timestamptz' };
+
+  it('have no condition on the first page', () => {
+    expect(keysetQuery(sort, 'e.id', { cursor: null, order: 'asc' }, 2)).toEqual({
+      condition: '',
+      params: [],
+      orderBy: 'e.start_time ASC, e.id ASC',
+      keyColumn: '(e.start_time)::text AS cursor_key'
+    });
+  });
+
+  it('continue after the cursor going forward', () => {
+    const cursor = { direction: 'next', keys: ['2026-11-07', 'e1'] };
+    const query = keysetQuery(sort, 'e.id', { cursor, order: 'asc' }, 2);
+
+    expect(query.condition).toBe('(e.start_time, e.id) > ($3::timestamptz, $4::uuid)');
+    expect(query.params).toEqual(['2026-11-07', 'e1']);
+    expect(query.orderBy).toBe('e.start_time ASC, e.id ASC');
+  });
+
+  it('read in reverse going backward', () => {
+    const cursor = { direction: 'prev', keys: ['2026-11-07', 'e1'] };
+    const query = keysetQuery(sort, 'e.id', { cursor, order: 'asc' }, 0);
+
+    expect(query.condition).toBe('(e.start_time, e.id) < ($1::timestamptz, $2::uuid)');
+    expect(query.orderBy).toBe('e.start_time DESC, e.id DESC');
+  });
+
+  it('build pages without the key column, flipping backward pages back', () => {
+    const rows = [
+      { id: 'e3', cursor_key: 'c' },
+      { id: 'e2', cursor_key: 'b' },
+      { id: 'e1', cursor_key: 'a' }
+    ];
+    const cursor = { direction: 'prev', keys: ['d', 'e4'] };
+    const page = buildPage(rows, { limit: 2, cursor, sort: 'title', order: 'asc' }, row => row.id);
+
+    expect(page.items).toEqual([{ id: 'e2' }, { id: 'e3' }]);
+    expect(decodeCursor(page.prevCursor)).toMatchObject({ direction: 'prev', keys: ['b', 'e2'] });
+    expect(decodeCursor(page.nextCursor)).toMatchObject({ direction: 'next', keys: ['c', 'e3'] });
+  });
+});
+
+describe('paginating in memory', () => {
+  const items = [5, 1, 4, 2, 3].map(n => ({ id: `e${n}`, start: n }));
+  const keyOf = item => [item.start, item.id];
+  const ids = page => page.items.map(item => item.id);
+
+  // Follow a page's cursor as a client would
+  const follow = (value, page) => ({ ...page, cursor: decodeCursor(value) });
+
+  it('pages forward through sorted items', () => {
+    const page = { limit: 2, cursor: null, sort: 'start_time', order: 'asc' };
+    const first = paginateInMemory(items, page, keyOf);
+
+    expect(ids(first)).toEqual(['e1', 'e2']);
+    expect(first.prevCursor).toBeNull();
+
+    const second = paginateInMemory(items, follow(first.nextCursor, page), keyOf);
+    expect(ids(second)).toEqual(['e3', 'e4']);
+
+    const third = paginateInMemory(items, follow(second.nextCursor, page), keyOf);
+    expect(ids(third)).toEqual(['e5']);
+    expect(third.nextCursor).toBeNull();
+    expect(third.prevCursor).not.toBeNull();
+  });
+
+  it('pages backward to the pages already seen', () => {
+    const page = { limit: 2, cursor: null, sort: 'start_time', order: 'asc' };
+    const first = paginateInMemory(items, page, keyOf);
+    const second = paginateInMemory(items, follow(first.nextCursor, page), keyOf);
+    const back = paginateInMemory(items, follow(second.prevCursor, page), keyOf);
+
+    expect(ids(back)).toEqual(['e1', 'e2']);
+    expect(back.prevCursor).toBeNull();
+    expect(decodeCursor(back.nextCursor)).toMatchObject({ direction: 'next', keys: [2, 'e2'] });
+  });
+
+  it('honours descending order in both directions', () => {
+    const page = { limit: 2, cursor: null, sort: 'start_time', order: 'desc' };
+    const first = paginateInMemory(items, page, keyOf);
+    const second = paginateInMemory(items, follow(first.nextCursor, page), keyOf);
+    const back = paginateInMemory(items, follow(second.prevCursor, page), keyOf);
+
+    expect(ids(first)).toEqual(['e5', 'e4']);
+    expect(ids(second)).toEqual(['e3', 'e2']);
+    expect(ids(back)).toEqual(['e5', 'e4']);
+  });
+
+  it('carries the mode in its cursors', () => {
+    const page = { limit: 2, cursor: null, sort: 'start_time', order: 'asc', mode: 'occurrences' };
+
+    expect(decodeCursor(paginateInMemory(items, page, keyOf).nextCursor).mode).toBe('occurrences');
+  });
+});
+
+describe('pagination responses', () => {
+  const result = { nextCursor: 'n', prevCursor: null, total: 12 };
+
+  it('include the total only when asked for', () => {
+    expect(paginationResponse(result, { limit: 2, includeTotal: false })).toEqual({ limit: 2, nextCursor: 'n', prevCursor: null });
+    expect(paginationResponse(result, { limit: 2, includeTotal: true })).toEqual({ limit: 2, nextCursor: 'n', prevCursor: null, total: 12 });
+  });
+});
@@ -0,0 +1,116 @@
+import {
+  createTicketCode,
+  verifyTicketCode,
+  hashTicketCode,
+  signRoster,
+  createRosterToken,
+  verifyRosterToken
+} from '../../src/utils/ticketCode.js';
+
+const EVENT_ID = '6f1c2a4e-8d3b-4c7a-9e51-0b2d3f4a5c6d';
+const OTHER_EVENT_ID = 'a2b3c4d5-e6f7-4819-8a2b-3c4d5e6f7a8b';
+const REGISTRATION_ID = 'c0ffee00-1234-4abc-8def-0123456789ab';
+
+// Swap one character of a signature for another valid base64url one
+const tamper = (value) => {
+  const last = value.at(-1);
+  return `${value.slice(0, -1)}${last === 'A' ? 'B' : 'A'}`;
+};
+
+describe('ticket codes', () => {
+  it('name the registration under the version prefix', () => {
+    const code = createTicketCode(EVENT_ID, REGISTRATION_ID);
+
+    expect(code).toMatch(new RegExp(`^t1\\.${REGISTRATION_ID}\\.[\\w-]+$`));
+  });
+
+  it('verify at their own event', () => {
+    const code = createTicketCode(EVENT_ID, REGISTRATION_ID);
+
+    expect(verifyTicketCode(EVENT_ID, code)).toBe(REGISTRATION_ID);
+    expect(verifyTicketCode(EVENT_ID, ` ${code}\n`)).toBe(REGISTRATION_ID);
+  });
+
+  it('fail at another event', () => {
+    expect(verifyTicketCode(OTHER_EVENT_ID, createTicketCode(EVENT_ID, REGISTRATION_ID))).toBeNull();
+  });
+
+  it('fail with a tampered signature or registration', () => {
+    const code = createTicketCode(EVENT_ID, REGISTRATION_ID);
+    const [version, , signature] = code.split('.');
+
+    expect(verifyTicketCode(EVENT_ID, tamper(code))).toBeNull();
+    expect(verifyTicketCode(EVENT_ID, `${version}.${tamper(REGISTRATION_ID)}.${signature}`)).toBeNull();
+    expect(verifyTicketCode(EVENT_ID, `${code}x`)).toBeNull();
+  });
+
+  it('fail under another version prefix', () => {
+    const code = createTicketCode(EVENT_ID, REGISTRATION_ID);
+
+    expect(verifyTicketCode(EVENT_ID, code.replace(/^t1\./, 't2.'))).toBeNull();
+  });
+
+  it.each([undefined, null, '', 't1', `t1.${REGISTRATION_ID}`, 't1.a.b.c'])('reject malformed code %p', (code) => {
+    expect(verifyTicketCode(EVENT_ID, code)).toBeNull();
+  });
+
+  it('hash the same with or without surrounding whitespace', () => {
+    const code = createTicketCode(EVENT_ID, REGISTRATION_ID);
+
+    expect(hashTicketCode(` ${code} `)).toBe(hashTicketCode(code));
+    expect(hashTicketCode(code)).not.toBe(hashTicketCode(createTicketCode(OTHER_EVENT_ID, REGISTRATION_ID)));
+  });
+});
+
+describe('roster signatures', () => {
+  it('change with the snapshot', () => {
+    const snapshot = { eventId: EVENT_ID, tickets: ['a', 'b'] };
+
+    expect(signRoster(snapshot)).toBe(signRoster({ ...snapshot }));
+    expect(signRoster(snapshot)).not.toBe(signRoster({ ...snapshot, tickets: ['a'] }));
+  });
+});
+
+describe('roster tokens', () => {
+  const occurrenceStart = new Date('2026-11-07T19:00:00Z');
+  const generatedAt = new Date('2026-11-07T17:30:00Z');
+
+  it('carry the occurrence and export time under the version prefix', () => {
+    const token = createRosterToken(EVENT_ID, occurrenceStart, generatedAt);
+
+    expect(token).toMatch(new RegExp(`^r1\\.${occurrenceStart.getTime()}\\.${generatedAt.getTime()}\\.[\\w-]+$`));
+    expect(verifyRosterToken(EVENT_ID, token)).toEqual({ occurrenceStart, generatedAt });
+  });
+
+  it('mark one-off events with a dash', () => {
+    const token = createRosterToken(EVENT_ID, null, generatedAt);
+
+    expect(token.split('.')[1]).toBe('-');
+    expect(verifyRosterToken(EVENT_ID, token)).toEqual({ occurrenceStart: null, generatedAt });
+  });
+
+  it('fail for another event', () => {
+    expect(verifyRosterToken(OTHER_EVENT_ID, createRosterToken(EVENT_ID, null, generatedAt))).toBeNull();
+  });
+
+  it('fail when the occurrence, export time or signature is changed', () => {
+    const token = createRosterToken(EVENT_ID, occurrenceStart, generatedAt);
+    const [version, occurrence, generated, signature] = token.split('.');
+
+    expect(verifyRosterToken(EVENT_ID, `${version}.-.${generated}.${signature}`)).toBeNull();
+    expect(verifyRosterToken(EVENT_ID, `${version}.${occurrence}.${Date.now()}.${signature}`)).toBeNull();
+    expect(verifyRosterToken(EVENT_ID, tamper(token))).toBeNull();
+  });
+
+  it('fail under another version prefix or as a ticket code', () => {
+    const token = createRosterToken(EVENT_ID, null, generatedAt);
+
+    expect(verifyRosterToken(EVENT_ID, token.replace(/^r1\./, 'r2.'))).toBeNull();
+    expect(verifyRosterToken(EVENT_ID, createTicketCode(EVENT_ID, REGISTRATION_ID))).toBeNull();
+    expect(verifyTicketCode(EVENT_ID, token)).toBeNull();
+  });
+
+  it.each([undefined, '', 'r1.-.1', 'r1.x.1.sig', 'r1.-.soon.sig'])('reject malformed token %p', (token) => {
+    expect(verifyRosterToken(EVENT_ID, token)).toBeNull();
+  });
+});
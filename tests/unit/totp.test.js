@@ -0,0 +1,102 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  otpauthUri
+} from '../../src/utils/totp.js';
+
+// The SHA-1 secret of the RFC 6238 test vectors, "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B, cut to the 6 digits apps show
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('base32', () => {
+  it('encodes the RFC 4648 test vectors without padding', () => {
+    expect(base32Encode(Buffer.from(''))).toBe('');
+    expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+  });
+
+  it('decodes ignoring case, spaces and padding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('round-trips secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character: 1');
+  });
+});
+
+describe('generating codes', () => {
+  it.each(RFC_VECTORS)('matches RFC 6238 at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, timeStep(seconds * 1000))).toBe(code);
+  });
+});
+
+describe('verifying codes', () => {
+  const now = 1111111111 * 1000;
+  const step = timeStep(now);
+
+  it('returns the step the code matched', () => {
+    expect(verifyCode(RFC_SECRET, '050471', { now })).toBe(step);
+  });
+
+  it('ignores spaces in the code', () => {
+    expect(verifyCode(RFC_SECRET, '050 471', { now })).toBe(step);
+  });
+
+  it('allows a step of drift either way by default', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now })).toBeNull();
+  });
+
+  it('honours a narrower window', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now, window: 0 })).toBeNull();
+  });
+
+  it('refuses a code of a step already used', () => {
+    expect(verifyCode(RFC_SECRET, '050471', { now, afterStep: step })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now, afterStep: step - 1 })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now, afterStep: step })).toBe(step + 1);
+  });
+
+  it('refuses wrong and malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '050472', { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '50471', { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '05047a', { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '0504711', { now })).toBeNull();
+  });
+
+  it('refuses the code of another secret', () => {
+    expect(verifyCode(base32Encode(Buffer.from('98765432109876543210')), '050471', { now })).toBeNull();
+  });
+});
+
+describe('otpauth URIs', () => {
+  it('encodes the label and parameters', () => {
+    const uri = otpauthUri({ secret: RFC_SECRET, accountName: 'ada@example.com', issuer: 'Community Events' });
+
+    expect(uri).toBe(
+      'otpauth://totp/Community%20Events:ada%40example.com' +
+      `?secret=${RFC_SECRET}&issuer=Community%20Events&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});